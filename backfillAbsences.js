@@ -5,7 +5,10 @@ dotenv.config();
 const connectDB = require("./config/db");
 const Attendance = require("./models/Attendance");
 const User = require("./models/User");
-const { getTodayRangeIST } = require("./utils/dateUtils");
+const LeaveRequest = require("./models/LeaveRequest");
+const { LEAVE_STATUS } = require("./utils/constants");
+const { getTodayRangeIST, getMonthRangeIST } = require("./utils/dateUtils");
+const { loadCalendar } = require("./services/holidayService");
 
 async function backfillAbsences() {
     console.log("Starting backfill for missing past attendance records...");
@@ -24,6 +27,8 @@ async function backfillAbsences() {
         const { start: todayStart } = getTodayRangeIST(now);
 
         const activeUsers = await User.find({ status: "active" });
+        const { start: monthStart, end: monthEnd } = getMonthRangeIST(month + 1, year);
+        const calendar = await loadCalendar(monthStart, monthEnd);
 
         for (const user of activeUsers) {
             // Do not mark absent for days before the user actually joined the system
@@ -37,6 +42,7 @@ async function backfillAbsences() {
 
                 if (dayStart < userJoinedStart) continue;
                 if (dayStart >= todayStart) continue;
+                if (!calendar.isWorkingDay(user, dayStart)) continue; // Holiday or weekly off
 
                 const existingRecord = await Attendance.findOne({
                     user: user._id,
@@ -45,6 +51,27 @@ async function backfillAbsences() {
 
                 if (!existingRecord) {
                     const displayDate = new Date(dayStart.getTime() + IST_OFFSET_MS).toDateString();
+
+                    // Approved leave days are recorded as "on-leave", not absent
+                    const leave = await LeaveRequest.findOne({
+                        user: user._id,
+                        status: LEAVE_STATUS.APPROVED,
+                        startDate: { $lte: dayStart },
+                        endDate: { $gte: dayStart },
+                    });
+                    if (leave) {
+                        console.log(`Backfilling leave for ${user.fullName} on ${displayDate} (IST)...`);
+                        await new Attendance({
+                            user: user._id,
+                            date: dayStart,
+                            status: "on-leave",
+                            leaveRequest: leave._id,
+                            activeSeconds: 0,
+                            dailyReport: "On leave.",
+                        }).save();
+                        continue;
+                    }
+
                     console.log(`Backfilling absence for ${user.fullName} on ${displayDate} (IST)...`);
                     const absentRecord = new Attendance({
                         user: user._id,
@@ -60,7 +87,7 @@ async function backfillAbsences() {
             }
         }
 
-        console.log("\n✅ Absence backfill complete! The Google Sheet should now display 'Absent' for all missed past days.");
+        console.log("\n✅ Absence backfill complete! The Google Sheet should now display 'Absent' for all missed past working days.");
     } catch (error) {
         console.error("❌ Backfill error:", error);
     } finally {
@@ -0,0 +1,99 @@
+const apiTokenService = require("../services/apiTokenService");
+const { hasPermission } = require("../services/permissionService");
+const { logAction } = require("./auditController");
+
+/**
+ * GET /api/tokens?all=true
+ * Protected — your own API tokens; all=true lists everyone's (apiTokens.manageAll)
+ */
+const getTokens = async (req, res, next) => {
+    try {
+        const wantsAll = req.query.all === "true";
+
+        if (wantsAll && !(await hasPermission(req.user, "apiTokens.manageAll"))) {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied. Missing permission(s): apiTokens.manageAll",
+            });
+        }
+
+        const tokens = await apiTokenService.listTokens(wantsAll ? null : req.user._id);
+
+        res.status(200).json({
+            success: true,
+            count: tokens.length,
+            data: tokens,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/tokens
+ * Protected — create a personal API token (the raw token is returned only once)
+ * Body: { name, scopes: ["attendance.viewAll", ...], expiresInDays }
+ */
+const createToken = async (req, res, next) => {
+    try {
+        // Tokens must be minted from an interactive login, never from another token
+        if (req.apiToken) {
+            return res.status(403).json({
+                success: false,
+                message: "API tokens cannot be used to create other API tokens",
+            });
+        }
+
+        const { token, rawToken } = await apiTokenService.createToken(req.user, req.body);
+
+        await logAction({
+            action: "CREATE_API_TOKEN",
+            performedBy: req.user._id,
+            targetUserId: req.user._id,
+            targetUser: req.user.email,
+            details: `Created API token "${token.name}" (${token.tokenPrefix}…) expiring ${token.expiresAt.toISOString()}`,
+            metadata: { tokenId: token._id, scopes: token.scopes },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "API token created. Copy it now — it will not be shown again.",
+            data: { ...token, token: rawToken },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/tokens/:id
+ * Protected — revoke your own token (or anyone's with apiTokens.manageAll)
+ */
+const revokeToken = async (req, res, next) => {
+    try {
+        const canManageAll = await hasPermission(req.user, "apiTokens.manageAll");
+        const token = await apiTokenService.revokeToken(req.params.id, req.user, canManageAll);
+
+        await logAction({
+            action: "REVOKE_API_TOKEN",
+            performedBy: req.user._id,
+            targetUserId: token.user?._id,
+            targetUser: token.user?.email,
+            details: `Revoked API token "${token.name}" (${token.tokenPrefix}…)`,
+            metadata: { tokenId: token._id },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "API token revoked",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getTokens,
+    createToken,
+    revokeToken,
+};
@@ -2,6 +2,7 @@ const Attendance = require("../models/Attendance");
 const User = require("../models/User");
 const googleSheetsService = require("../services/googleSheetsService");
 const { sendAbsentEmail } = require("../utils/emailService");
+const { getScopedUserIds } = require("../services/orgService");
 
 const { getTodayRangeIST, getMonthRangeIST, deduplicateByISTDay } = require("../utils/dateUtils");
 
@@ -460,9 +461,13 @@ const getAllUsersStatus = async (req, res, next) => {
     try {
         const { start } = getTodayRange();
 
-        // 1. Get all active users
+        // 1. Get all active users (only the caller's reporting line without org.viewAll)
         console.log("Fetching users for directory...");
-        const users = await User.find({ status: { $ne: "inactive" } })
+        const userQuery = { status: { $ne: "inactive" } };
+        const scopedIds = await getScopedUserIds(req.user);
+        if (scopedIds) userQuery._id = { $in: scopedIds };
+
+        const users = await User.find(userQuery)
             .select("fullName email role department status avatar")
             .lean();
         console.log(`Found ${users.length} users`);
@@ -1,22 +1,24 @@
 const AuditLog = require("../models/AuditLog");
+const { parseListQuery, paginate, sendList } = require("../utils/pagination");
 
 /**
  * GET /api/audit
  * Access: Admin Only
- * Retrieve recent audit logs to track system changes
+ * Retrieve audit logs, newest first — ?page=&limit= or ?cursor= (100 per page by default)
  */
 const getAuditLogs = async (req, res, next) => {
     try {
-        const logs = await AuditLog.find()
-            .populate("performedBy", "fullName email role")
-            .sort({ createdAt: -1 })
-            .limit(100);
+        const listQuery = parseListQuery(req.query, {
+            sortFields: { createdAt: "createdAt", action: "action" },
+            defaultSort: "-createdAt",
+            defaultLimit: 100,
+        });
 
-        res.status(200).json({
-            success: true,
-            count: logs.length,
-            data: logs,
+        const result = await paginate(AuditLog, {}, listQuery, {
+            populate: { path: "performedBy", select: "fullName email role" },
         });
+
+        sendList(res, result);
     } catch (error) {
         next(error);
     }
@@ -26,7 +28,7 @@ const getAuditLogs = async (req, res, next) => {
  * Internal Helper: Log diverse administrative actions
  * Not an API route, but a utility for other controllers
  */
-const logAction = async ({ action, performedBy, targetUser, targetUserId, details }) => {
+const logAction = async ({ action, performedBy, targetUser, targetUserId, details, metadata }) => {
     try {
         await AuditLog.create({
             action,
@@ -34,6 +36,7 @@ const logAction = async ({ action, performedBy, targetUser, targetUserId, detail
             targetUser,     // Name/Email string
             targetUserId,   // ObjectId
             details,
+            metadata,       // Optional structured context (IP, diff, etc.)
         });
     } catch (error) {
         console.error("❌ Audit Logging Failed:", error);
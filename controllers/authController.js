@@ -1,6 +1,20 @@
 const authService = require("../services/authService");
+const twoFactorService = require("../services/twoFactorService");
+const sessionService = require("../services/sessionService");
+const invitationService = require("../services/invitationService");
+const oidcService = require("../services/oidcService");
+const keyRotationService = require("../services/keyRotationService");
 const { logAction } = require("./auditController");
 
+/**
+ * Helper: client details recorded on the login session
+ */
+const getClientInfo = (req) => ({
+    ip: req.ip,
+    userAgent: req.get("user-agent") || "",
+    deviceName: req.body?.deviceName,
+});
+
 /**
  * POST /api/auth/login
  * Public — any user can login
@@ -8,7 +22,97 @@ const { logAction } = require("./auditController");
 const login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
-        const result = await authService.loginUser(email, password);
+        const result = await authService.loginUser(email, password, getClientInfo(req));
+
+        // 2FA enabled — client must call POST /api/auth/login/2fa next
+        if (result.twoFactorRequired) {
+            return res.status(200).json({
+                success: true,
+                message: "Two-factor verification required",
+                data: {
+                    twoFactorRequired: true,
+                    twoFactorToken: result.twoFactorToken,
+                },
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Login successful",
+            data: {
+                user: result.user,
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+                twoFactorSetupRequired: result.twoFactorSetupRequired,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/login/2fa
+ * Public — second login step: challenge token + TOTP or recovery code
+ */
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+        const result = await authService.loginWithTwoFactor(twoFactorToken, code, getClientInfo(req));
+
+        res.status(200).json({
+            success: true,
+            message: "Login successful",
+            data: {
+                user: result.user,
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/auth/oidc/authorize
+ * Public — start single sign-on; the client redirects the browser to authorizationUrl
+ * and keeps transactionToken to send back with the code
+ */
+const oidcAuthorize = async (req, res, next) => {
+    try {
+        const result = await oidcService.createAuthorizationRequest();
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/oidc/callback
+ * Public — finish single sign-on with the code/state the IdP redirected back with
+ * Body: { code, state, transactionToken, deviceName? }
+ */
+const oidcCallback = async (req, res, next) => {
+    try {
+        const { code, state, transactionToken } = req.body;
+        const result = await authService.loginWithOidc({ code, state, transactionToken }, getClientInfo(req));
+
+        // Portal 2FA still applies — client must call POST /api/auth/login/2fa next
+        if (result.twoFactorRequired) {
+            return res.status(200).json({
+                success: true,
+                message: "Two-factor verification required",
+                data: {
+                    twoFactorRequired: true,
+                    twoFactorToken: result.twoFactorToken,
+                },
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -17,6 +121,384 @@ const login = async (req, res, next) => {
                 user: result.user,
                 accessToken: result.accessToken,
                 refreshToken: result.refreshToken,
+                twoFactorSetupRequired: result.twoFactorSetupRequired,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/refresh
+ * Public — exchange a refresh token for a new access/refresh token pair
+ */
+const refresh = async (req, res, next) => {
+    try {
+        const result = await authService.refreshTokens(req.body.refreshToken, getClientInfo(req));
+
+        res.status(200).json({
+            success: true,
+            message: "Token refreshed",
+            data: {
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/logout
+ * Public — invalidates the given refresh token (works even if the access token has expired)
+ */
+const logout = async (req, res, next) => {
+    try {
+        await authService.logoutUser(req.body.refreshToken);
+
+        res.status(200).json({
+            success: true,
+            message: "Logged out successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/auth/sessions
+ * Protected — list where the current user is logged in
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id);
+        const currentId = String(req.authSession._id);
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map((s) => ({ ...s, current: String(s._id) === currentId })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Protected — log out one of your own devices
+ */
+const revokeSession = async (req, res, next) => {
+    try {
+        const session = await sessionService.revokeSession(req.user._id, req.params.sessionId, "user");
+
+        if (!session) {
+            return res.status(404).json({ success: false, message: "Session not found" });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Session revoked",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/auth/sessions
+ * Protected — log out every other device (the current session stays active)
+ */
+const revokeOtherSessions = async (req, res, next) => {
+    try {
+        const count = await sessionService.revokeAllSessions(req.user._id, {
+            reason: "user",
+            exceptSessionId: req.authSession._id,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Logged out of ${count} other session(s)`,
+            count,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/forgot-password
+ * Public — emails a password reset link if the account exists
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        await authService.requestPasswordReset(req.body.email);
+
+        res.status(200).json({
+            success: true,
+            message: "If an account exists for this email, a password reset link has been sent",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/reset-password
+ * Public — set a new password using the emailed reset token
+ */
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+        await authService.resetPassword(token, password);
+
+        res.status(200).json({
+            success: true,
+            message: "Password reset successfully. Please log in with your new password.",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/auth/password
+ * Protected — change own password (requires current password)
+ */
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const result = await authService.changePassword(
+            req.user._id,
+            currentPassword,
+            newPassword,
+            getClientInfo(req)
+        );
+
+        res.status(200).json({
+            success: true,
+            message: "Password changed successfully",
+            data: {
+                user: result.user,
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/2fa/setup
+ * Protected — start TOTP enrolment (returns secret + QR code to scan)
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.startEnrollment(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: "Scan the QR code with your authenticator app, then verify a code",
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/2fa/verify
+ * Protected — confirm enrolment with a code; returns one-time recovery codes
+ */
+const verifyTwoFactor = async (req, res, next) => {
+    try {
+        const { user, recoveryCodes } = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+        await logAction({
+            action: "ENABLE_2FA",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `${user.fullName} enabled two-factor authentication`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+            data: { recoveryCodes },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/2fa/disable
+ * Protected — turn off 2FA (requires password + code; blocked if mandatory for role)
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const { password, code } = req.body;
+        const user = await twoFactorService.disableTwoFactor(req.user._id, password, code);
+
+        await logAction({
+            action: "DISABLE_2FA",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `${user.fullName} disabled two-factor authentication`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor authentication disabled",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Protected — replace all recovery codes (requires a current code)
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+
+        res.status(200).json({
+            success: true,
+            message: "Recovery codes regenerated. Previous codes no longer work.",
+            data: { recoveryCodes },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/auth/2fa/users/:userId
+ * Protected — Admin only: reset 2FA for a user who lost their device
+ */
+const resetUserTwoFactor = async (req, res, next) => {
+    try {
+        const user = await twoFactorService.resetTwoFactor(req.params.userId);
+
+        await logAction({
+            action: "DISABLE_2FA",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `Reset two-factor authentication for ${user.fullName}`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Two-factor authentication reset for ${user.fullName}`,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/auth/2fa/policy
+ * Protected — Admin only: roles for which 2FA is mandatory
+ */
+const getTwoFactorPolicy = async (req, res, next) => {
+    try {
+        const requiredRoles = await twoFactorService.getRequiredRoles();
+
+        res.status(200).json({
+            success: true,
+            data: { requiredRoles },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/auth/2fa/policy
+ * Protected — Admin only: make 2FA mandatory for admin and/or hr
+ */
+const updateTwoFactorPolicy = async (req, res, next) => {
+    try {
+        const requiredRoles = await twoFactorService.updatePolicy(req.body.requiredRoles, req.user);
+
+        await logAction({
+            action: "UPDATE_SECURITY_POLICY",
+            performedBy: req.user._id,
+            details: `Two-factor authentication required for: ${requiredRoles.length ? requiredRoles.join(", ") : "no roles"}`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor policy updated",
+            data: { requiredRoles },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/auth/encryption/report
+ * Protected — Admin only: encrypted records per key (anything not on the current key still
+ * needs re-encryption) and the state of the last rotation job
+ */
+const getEncryptionReport = async (req, res, next) => {
+    try {
+        const report = await keyRotationService.getKeyReport();
+
+        res.status(200).json({
+            success: true,
+            data: { ...report, job: keyRotationService.getRotationJob() },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/encryption/rotate
+ * Protected — Admin only: re-encrypt stored bank details, 2FA secrets and documents with the
+ * current key (ENCRYPTION_KEY_ID). Runs in the background — poll the report for progress.
+ */
+const rotateEncryptionKeys = async (req, res, next) => {
+    try {
+        const job = keyRotationService.startRotation(req.user);
+
+        res.status(202).json({
+            success: true,
+            message: `Re-encrypting stored data with key "${job.keyId}"`,
+            data: job,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/invitations/accept
+ * Public — invited employee sets their password; returns a logged-in session
+ */
+const acceptInvitation = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+        const result = await authService.acceptInvitation(token, password, getClientInfo(req));
+
+        res.status(200).json({
+            success: true,
+            message: "Invitation accepted. Please complete your onboarding.",
+            data: {
+                user: result.user,
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+                twoFactorSetupRequired: result.twoFactorSetupRequired,
             },
         });
     } catch (error) {
@@ -24,6 +506,75 @@ const login = async (req, res, next) => {
     }
 };
 
+/**
+ * GET /api/auth/invitations
+ * Protected — Admin/HR: outstanding invitations (pending, expired or revoked)
+ */
+const getInvitations = async (req, res, next) => {
+    try {
+        const invitations = await invitationService.listInvitations();
+
+        res.status(200).json({
+            success: true,
+            count: invitations.length,
+            data: invitations,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/auth/invitations/:userId/resend
+ * Protected — Admin/HR: email a fresh invitation link (older links stop working)
+ */
+const resendInvitation = async (req, res, next) => {
+    try {
+        const user = await invitationService.resendInvitation(req.params.userId, req.user);
+
+        await logAction({
+            action: "INVITE_RESENT",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `Resent invitation to ${user.fullName} (sent ${user.invitation.sentCount} time(s))`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Invitation resent",
+            data: { expiresAt: user.invitation.expiresAt },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/auth/invitations/:userId
+ * Protected — Admin/HR: invalidate an outstanding invitation link
+ */
+const revokeInvitation = async (req, res, next) => {
+    try {
+        const user = await invitationService.revokeInvitation(req.params.userId, req.user);
+
+        await logAction({
+            action: "INVITE_REVOKED",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `Revoked invitation for ${user.fullName}`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Invitation revoked",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * POST /api/auth/register
  * Protected — only Admin and HR can register new users
@@ -38,12 +589,12 @@ const register = async (req, res, next) => {
             performedBy: req.user._id,
             targetUserId: newUser._id,
             targetUser: newUser.email,
-            details: `Created user ${newUser.fullName} with role ${newUser.role}`
+            details: `Created user ${newUser.fullName} with role ${newUser.role} and sent invitation`
         });
 
         res.status(201).json({
             success: true,
-            message: "User registered successfully. Status: Pending (requires onboarding)",
+            message: "User registered successfully. Invitation email sent. Status: Pending (requires onboarding)",
             data: { user: newUser },
         });
     } catch (error) {
@@ -70,6 +621,30 @@ const getMe = async (req, res, next) => {
 
 module.exports = {
     login,
+    loginTwoFactor,
+    oidcAuthorize,
+    oidcCallback,
+    refresh,
+    logout,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    setupTwoFactor,
+    verifyTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetUserTwoFactor,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
+    getEncryptionReport,
+    rotateEncryptionKeys,
+    acceptInvitation,
+    getInvitations,
+    resendInvitation,
+    revokeInvitation,
     register,
     getMe,
 };
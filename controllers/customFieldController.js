@@ -0,0 +1,101 @@
+const customFieldService = require("../services/customFieldService");
+const { hasPermission } = require("../services/permissionService");
+const { logAction } = require("./auditController");
+
+/**
+ * GET /api/custom-fields
+ * Protected — field definitions; HR (customFields.manage) sees all, others only what their role may view
+ */
+const getCustomFields = async (req, res, next) => {
+    try {
+        const fields = (await hasPermission(req.user, "customFields.manage"))
+            ? await customFieldService.listFields()
+            : await customFieldService.getViewableFields(req.user);
+
+        res.status(200).json({
+            success: true,
+            count: fields.length,
+            data: fields,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/custom-fields
+ * HR — define a new profile field
+ */
+const createCustomField = async (req, res, next) => {
+    try {
+        const field = await customFieldService.createField(req.body, req.user);
+
+        await logAction({
+            action: "CREATE_CUSTOM_FIELD",
+            performedBy: req.user._id,
+            details: `Created custom field "${field.label}" (${field.key}, ${field.type})`,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Custom field created successfully",
+            data: field,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/custom-fields/:key
+ * HR — edit label, options, visibility or requirement (key and type are fixed)
+ */
+const updateCustomField = async (req, res, next) => {
+    try {
+        const field = await customFieldService.updateField(req.params.key, req.body);
+
+        await logAction({
+            action: "UPDATE_CUSTOM_FIELD",
+            performedBy: req.user._id,
+            details: `Updated custom field "${field.label}" (${field.key})`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Custom field updated successfully",
+            data: field,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/custom-fields/:key
+ * HR — delete a field and all stored values
+ */
+const deleteCustomField = async (req, res, next) => {
+    try {
+        const { field, clearedUsers } = await customFieldService.deleteField(req.params.key);
+
+        await logAction({
+            action: "DELETE_CUSTOM_FIELD",
+            performedBy: req.user._id,
+            details: `Deleted custom field "${field.label}" (${field.key}) and cleared it from ${clearedUsers} user(s)`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Custom field deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getCustomFields,
+    createCustomField,
+    updateCustomField,
+    deleteCustomField,
+};
@@ -1,4 +1,4 @@
-const { ROLES } = require("../utils/constants");
+const { hasPermission } = require("../services/permissionService");
 const {
     getEmployeeDashboard,
     getManagementDashboard,
@@ -10,16 +10,16 @@ const {
  */
 const getDashboard = async (req, res, next) => {
     try {
-        const { _id, role } = req.user;
+        const { _id } = req.user;
 
         let data;
 
-        if (role === ROLES.EMPLOYEE) {
+        if (!(await hasPermission(req.user, "dashboard.viewTeam"))) {
             // PRD 5.2A: Employee Dashboard
             data = await getEmployeeDashboard(_id);
         } else {
             // PRD 5.2B: Management Dashboard (Manager/HR/Admin)
-            data = await getManagementDashboard(_id, role);
+            data = await getManagementDashboard(_id);
         }
 
         res.status(200).json({
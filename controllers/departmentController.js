@@ -0,0 +1,137 @@
+const departmentService = require("../services/departmentService");
+const { logAction } = require("./auditController");
+
+/**
+ * GET /api/departments
+ * Protected — all departments with head, parent and employee count
+ */
+const getDepartments = async (req, res, next) => {
+    try {
+        const departments = await departmentService.listDepartments();
+
+        res.status(200).json({
+            success: true,
+            count: departments.length,
+            data: departments,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/departments
+ * Admin — create a department
+ * Body: { name, description?, head?, parent? }
+ */
+const createDepartment = async (req, res, next) => {
+    try {
+        const department = await departmentService.createDepartment(req.body, req.user);
+
+        await logAction({
+            action: "CREATE_DEPARTMENT",
+            performedBy: req.user._id,
+            details: `Created department "${department.name}"`,
+            metadata: { departmentId: department._id, head: department.head, parent: department.parent },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Department created successfully",
+            data: department,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/departments/:id
+ * Admin — edit a department; renaming moves every member to the new name
+ */
+const updateDepartment = async (req, res, next) => {
+    try {
+        const { department, renamedFrom, affectedUsers } = await departmentService.updateDepartment(
+            req.params.id,
+            req.body,
+            req.user
+        );
+
+        await logAction({
+            action: "UPDATE_DEPARTMENT",
+            performedBy: req.user._id,
+            details: renamedFrom
+                ? `Renamed department "${renamedFrom}" to "${department.name}" (${affectedUsers} user(s) updated)`
+                : `Updated department "${department.name}"`,
+            metadata: { departmentId: department._id, head: department.head, parent: department.parent },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Department updated successfully",
+            data: department,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/departments/:id/merge
+ * Admin — move all members and sub-departments into targetId, then delete this department
+ */
+const mergeDepartment = async (req, res, next) => {
+    try {
+        const { source, target, affectedUsers } = await departmentService.mergeDepartments(
+            req.params.id,
+            req.body.targetId,
+            req.user
+        );
+
+        await logAction({
+            action: "MERGE_DEPARTMENT",
+            performedBy: req.user._id,
+            details: `Merged department "${source.name}" into "${target.name}" (${affectedUsers} user(s) moved)`,
+            metadata: { sourceId: source._id, targetId: target._id },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `"${source.name}" merged into "${target.name}"`,
+            data: target,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/departments/:id
+ * Admin — delete an empty department
+ */
+const deleteDepartment = async (req, res, next) => {
+    try {
+        const department = await departmentService.deleteDepartment(req.params.id);
+
+        await logAction({
+            action: "DELETE_DEPARTMENT",
+            performedBy: req.user._id,
+            details: `Deleted department "${department.name}"`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Department deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getDepartments,
+    createDepartment,
+    updateDepartment,
+    mergeDepartment,
+    deleteDepartment,
+};
@@ -0,0 +1,195 @@
+const path = require("path");
+const holidayService = require("../services/holidayService");
+const { logAction } = require("./auditController");
+
+/**
+ * GET /api/holidays?year=2026&location=&department=&mine=true
+ * Protected — holiday calendar; mine=true keeps the holidays that apply to you
+ */
+const getHolidays = async (req, res, next) => {
+    try {
+        const mine = req.query.mine === "true";
+        const holidays = await holidayService.listHolidays({
+            year: req.query.year,
+            location: mine ? req.user.location : req.query.location,
+            department: mine ? req.user.department : req.query.department,
+        });
+
+        res.status(200).json({
+            success: true,
+            count: holidays.length,
+            data: holidays,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/holidays
+ * HR — add a holiday: { name, date, locations?, departments? } (empty = everyone)
+ */
+const createHoliday = async (req, res, next) => {
+    try {
+        const holiday = await holidayService.createHoliday(req.body, req.user);
+
+        await logAction({
+            action: "CREATE_HOLIDAY",
+            performedBy: req.user._id,
+            details: `Added holiday "${holiday.name}" on ${holiday.day}`,
+            metadata: { locations: holiday.locations, departments: holiday.departments },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Holiday added successfully",
+            data: holiday,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/holidays/:id
+ * HR — edit a holiday's name, date or scope
+ */
+const updateHoliday = async (req, res, next) => {
+    try {
+        const holiday = await holidayService.updateHoliday(req.params.id, req.body);
+
+        await logAction({
+            action: "UPDATE_HOLIDAY",
+            performedBy: req.user._id,
+            details: `Updated holiday "${holiday.name}" on ${holiday.day}`,
+            metadata: { locations: holiday.locations, departments: holiday.departments },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Holiday updated successfully",
+            data: holiday,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/holidays/:id
+ * HR — remove a holiday (past days already skipped are not marked absent retroactively)
+ */
+const deleteHoliday = async (req, res, next) => {
+    try {
+        const holiday = await holidayService.deleteHoliday(req.params.id);
+
+        await logAction({
+            action: "DELETE_HOLIDAY",
+            performedBy: req.user._id,
+            details: `Removed holiday "${holiday.name}" on ${holiday.day}`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Holiday deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/holidays/import?dryRun=true
+ * HR — import an iCal (.ics) or CSV (date, name, locations, departments) file in field "file"
+ * Optional body fields locations / departments (separated by ";") scope rows that don't set their own
+ */
+const importHolidays = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Please upload an .ics or .csv file in the 'file' field",
+            });
+        }
+
+        const format = path.extname(req.file.originalname).toLowerCase() === ".ics" ? "ical" : "csv";
+        const dryRun = req.query.dryRun === "true";
+        const result = await holidayService.importHolidays(
+            req.file.buffer.toString("utf8"),
+            format,
+            { locations: req.body.locations, departments: req.body.departments, dryRun },
+            req.user
+        );
+
+        if (!dryRun) {
+            await logAction({
+                action: "IMPORT_HOLIDAYS",
+                performedBy: req.user._id,
+                details: `Imported holidays from ${req.file.originalname} (${result.summary.created} added, ${result.summary.updated} updated)`,
+                metadata: result.summary,
+            });
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun
+                ? `${result.summary.created + result.summary.updated} of ${result.summary.total} holidays can be imported`
+                : `Imported ${result.summary.created + result.summary.updated} of ${result.summary.total} holidays`,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/holidays/weekly-offs
+ * Protected — weekly-off rules (default: Sundays)
+ */
+const getWeeklyOffs = async (req, res, next) => {
+    try {
+        const rules = await holidayService.getWeeklyOffs();
+
+        res.status(200).json({
+            success: true,
+            data: rules,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/holidays/weekly-offs
+ * HR — replace the weekly-off rules: { rules: [{ days, weeks?, locations?, departments? }] }
+ */
+const setWeeklyOffs = async (req, res, next) => {
+    try {
+        const rules = await holidayService.setWeeklyOffs(req.body.rules, req.user);
+
+        await logAction({
+            action: "UPDATE_WEEKLY_OFFS",
+            performedBy: req.user._id,
+            details: `Updated weekly-off rules (${rules.length} rule(s))`,
+            metadata: { rules },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Weekly offs updated successfully",
+            data: rules,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    importHolidays,
+    getWeeklyOffs,
+    setWeeklyOffs,
+};
@@ -0,0 +1,203 @@
+const LeaveRequest = require("../models/LeaveRequest");
+const leaveService = require("../services/leaveService");
+const { parseListQuery, paginate, sendList } = require("../utils/pagination");
+
+const REQUEST_SORTS = {
+    startDate: "startDate",
+    createdAt: "createdAt",
+    days: "days",
+};
+
+const REQUEST_POPULATE = [
+    { path: "user", select: "fullName email department" },
+    { path: "approver", select: "fullName email" },
+    { path: "reviewedBy", select: "fullName email" },
+];
+
+/**
+ * GET /api/leave/types
+ * Protected — leave types with their accrual and carry-forward policy
+ */
+const getLeaveTypes = async (req, res, next) => {
+    try {
+        const types = leaveService.getLeaveTypes();
+
+        res.status(200).json({
+            success: true,
+            count: types.length,
+            data: types,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/leave/balances?year=2026
+ * Protected — the logged-in employee's balances
+ */
+const getMyBalances = async (req, res, next) => {
+    try {
+        const data = await leaveService.getBalances(req.user._id, req.query.year);
+
+        res.status(200).json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/leave/balances/:userId?year=2026
+ * Manager (own reporting line) / HR — an employee's balances
+ */
+const getUserBalances = async (req, res, next) => {
+    try {
+        const data = await leaveService.getBalances(req.params.userId, req.query.year);
+
+        res.status(200).json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/leave/balances/:userId/adjust
+ * HR — grant (comp-off) or correct days: { type, days, year?, reason }
+ */
+const adjustBalance = async (req, res, next) => {
+    try {
+        const balance = await leaveService.adjustBalance(req.params.userId, req.body, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: "Leave balance adjusted",
+            data: balance,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/leave/requests?status=&type=&year=
+ * Protected — the logged-in employee's leave requests (paginated)
+ */
+const getMyRequests = async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, { sortFields: REQUEST_SORTS, defaultSort: "-startDate" });
+        const filter = { ...leaveService.buildRequestFilter(req.query), user: req.user._id };
+
+        const result = await paginate(LeaveRequest, filter, listQuery, { populate: REQUEST_POPULATE });
+        sendList(res, { ...result, data: result.data.map(leaveService.presentRequest) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/leave/requests
+ * Protected — apply for leave: { type, startDate, endDate?, reason? }
+ * Routed to the reporting manager, or HR when there is none
+ */
+const applyForLeave = async (req, res, next) => {
+    try {
+        const request = await leaveService.applyForLeave(req.user._id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: request.approver ? "Leave request sent to your manager" : "Leave request sent to HR",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/leave/approvals?status=pending&routed=hr|me
+ * Manager — requests routed to them; HR — every request (paginated)
+ */
+const getApprovals = async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, { sortFields: REQUEST_SORTS, defaultSort: "createdAt" });
+        const filter = await leaveService.buildApprovalFilter(req.user, req.query);
+
+        const result = await paginate(LeaveRequest, filter, listQuery, { populate: REQUEST_POPULATE });
+        sendList(res, { ...result, data: result.data.map(leaveService.presentRequest) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/leave/requests/:id/approve
+ * Reporting manager / HR — approve a pending request: { note? }
+ */
+const approveRequest = async (req, res, next) => {
+    try {
+        const request = await leaveService.reviewRequest(req.params.id, req.user, { approved: true, note: req.body.note });
+
+        res.status(200).json({
+            success: true,
+            message: "Leave approved",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/leave/requests/:id/reject
+ * Reporting manager / HR — reject a pending request: { note }
+ */
+const rejectRequest = async (req, res, next) => {
+    try {
+        const request = await leaveService.reviewRequest(req.params.id, req.user, { approved: false, note: req.body.note });
+
+        res.status(200).json({
+            success: true,
+            message: "Leave rejected",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/leave/requests/:id/cancel
+ * Protected — withdraw your own request; HR can cancel any pending or approved leave
+ */
+const cancelRequest = async (req, res, next) => {
+    try {
+        const request = await leaveService.cancelRequest(req.params.id, req.user, { note: req.body.note });
+
+        res.status(200).json({
+            success: true,
+            message: "Leave request cancelled",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getLeaveTypes,
+    getMyBalances,
+    getUserBalances,
+    adjustBalance,
+    getMyRequests,
+    applyForLeave,
+    getApprovals,
+    approveRequest,
+    rejectRequest,
+    cancelRequest,
+};
@@ -0,0 +1,167 @@
+const onboardingConfigService = require("../services/onboardingConfigService");
+const { logAction } = require("./auditController");
+
+/**
+ * GET /api/onboarding/flows
+ * Admin — every flow with its steps, oldest first
+ */
+const getFlows = async (req, res, next) => {
+    try {
+        const flows = await onboardingConfigService.listFlows();
+
+        res.status(200).json({
+            success: true,
+            count: flows.length,
+            data: flows,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/onboarding/flows
+ * Admin — create a flow for a set of roles / departments (empty = everyone)
+ */
+const createFlow = async (req, res, next) => {
+    try {
+        const flow = await onboardingConfigService.createFlow(req.body, req.user);
+
+        await logAction({
+            action: "CREATE_ONBOARDING_FLOW",
+            performedBy: req.user._id,
+            details: `Created onboarding flow "${flow.name}" (${flow.steps.length} step(s))`,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Onboarding flow created successfully",
+            data: flow,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/onboarding/flows/:id
+ * Admin — edit a flow; employees part-way through keep completed steps with unchanged keys
+ */
+const updateFlow = async (req, res, next) => {
+    try {
+        const flow = await onboardingConfigService.updateFlow(req.params.id, req.body);
+
+        await logAction({
+            action: "UPDATE_ONBOARDING_FLOW",
+            performedBy: req.user._id,
+            details: `Updated onboarding flow "${flow.name}"`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Onboarding flow updated successfully",
+            data: flow,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/onboarding/flows/:id
+ * Admin — delete a flow nobody is part-way through
+ */
+const deleteFlow = async (req, res, next) => {
+    try {
+        const flow = await onboardingConfigService.deleteFlow(req.params.id);
+
+        await logAction({
+            action: "DELETE_ONBOARDING_FLOW",
+            performedBy: req.user._id,
+            details: `Deleted onboarding flow "${flow.name}"`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Onboarding flow deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/onboarding/policies?history=true
+ * Admin — policies with their current text (and every published version with ?history=true)
+ */
+const getPolicies = async (req, res, next) => {
+    try {
+        const policies = await onboardingConfigService.listPolicies({ withHistory: req.query.history === "true" });
+
+        res.status(200).json({
+            success: true,
+            count: policies.length,
+            data: policies,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/onboarding/policies
+ * Admin — create a policy (version 1) that flow steps can ask employees to acknowledge
+ */
+const createPolicy = async (req, res, next) => {
+    try {
+        const policy = await onboardingConfigService.createPolicy(req.body, req.user);
+
+        await logAction({
+            action: "PUBLISH_POLICY",
+            performedBy: req.user._id,
+            details: `Created policy "${policy.title}" (${policy.key}, v1)`,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Policy created successfully",
+            data: policy,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/onboarding/policies/:key/versions
+ * Admin — publish new policy text; existing acknowledgements keep the version they accepted
+ */
+const publishPolicyVersion = async (req, res, next) => {
+    try {
+        const policy = await onboardingConfigService.publishPolicyVersion(req.params.key, req.body, req.user);
+
+        await logAction({
+            action: "PUBLISH_POLICY",
+            performedBy: req.user._id,
+            details: `Published version ${policy.currentVersion} of policy "${policy.title}" (${policy.key})`,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Version ${policy.currentVersion} published`,
+            data: policy,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getFlows,
+    createFlow,
+    updateFlow,
+    deleteFlow,
+    getPolicies,
+    createPolicy,
+    publishPolicyVersion,
+};
@@ -1,92 +1,115 @@
 const User = require("../models/User");
-const { USER_STATUS } = require("../utils/constants");
-const { encrypt, encryptBuffer, decrypt } = require("../utils/encryptData");
+const { USER_STATUS, ONBOARDING_REVIEW_STATUS } = require("../utils/constants");
+const { decrypt } = require("../utils/encryptData");
+const documentService = require("../services/documentService");
+const onboardingService = require("../services/onboardingService");
+const reviewService = require("../services/onboardingReviewService");
 
 /**
- * POST /api/onboarding/step1
- * Protected — Submit financials & identity documents
- * Expects multipart/form-data with fields + files (aadhaarCard, panCard)
+ * Run a step submission and send the shared response
  */
-const submitStep1 = async (req, res, next) => {
-    try {
-        const user = await User.findById(req.user._id);
-
-        if (!user) {
-            return res.status(404).json({ success: false, message: "User not found" });
-        }
-
-        if (user.status !== USER_STATUS.PENDING) {
-            return res.status(400).json({
-                success: false,
-                message: "Onboarding already completed",
-            });
+const handleStep = async (req, res, stepKeyOrIndex) => {
+    const { user, step, submittedForReview } = await onboardingService.submitStep(
+        req.user._id,
+        stepKeyOrIndex,
+        req.body || {},
+        req.files || {}
+    );
+
+    const data = {
+        step: step.key,
+        submittedForReview,
+        progress: await onboardingService.getProgress(user),
+    };
+
+    // Once everything is submitted, return the profile (account number decrypted) as before
+    if (submittedForReview) {
+        const userData = user.toJSON();
+        if (userData.onboarding && userData.onboarding.accountNumber) {
+            try {
+                userData.onboarding.accountNumber = decrypt(userData.onboarding.accountNumber);
+            } catch (err) {
+                console.error("Decryption failed in onboarding submission");
+            }
         }
+        data.user = userData;
+    }
 
-        const { bankName, accountNumber, ifscCode } = req.body;
+    res.status(200).json({
+        success: true,
+        message: submittedForReview
+            ? "Onboarding submitted! HR will verify your details shortly"
+            : `${step.title} saved`,
+        data,
+    });
+};
 
-        // ─── Manual validation (express-validator doesn't work with multipart) ───
-        if (!bankName || !bankName.trim()) {
-            return res.status(400).json({ success: false, message: "Bank name is required" });
-        }
-        if (!accountNumber || !accountNumber.trim()) {
-            return res.status(400).json({ success: false, message: "Account number is required" });
-        }
-        if (!ifscCode || !ifscCode.trim()) {
-            return res.status(400).json({ success: false, message: "IFSC code is required" });
-        }
+/**
+ * POST /api/onboarding/steps/:stepKey
+ * Protected — Submit one step of the user's onboarding flow
+ * multipart/form-data (JSON is fine for steps without documents): field values, files named by
+ * document type, acknowledgedPolicies (policy keys) and digitalSignature where the step asks for them
+ * The last step sends the whole submission to HR for verification
+ */
+const submitStep = async (req, res, next) => {
+    try {
+        await handleStep(req, res, req.params.stepKey);
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Update financial info (Encrypt sensitive fields)
-        user.onboarding.bankName = bankName.trim();
-        user.onboarding.accountNumber = encrypt(accountNumber.trim());
-        user.onboarding.ifscCode = ifscCode.trim().toUpperCase();
-
-        // Handle file uploads (Aadhaar and PAN) - Encrypt Buffers
-        if (req.files) {
-            if (req.files.aadhaarCard && req.files.aadhaarCard[0]) {
-                const aadhaar = req.files.aadhaarCard[0];
-                user.onboarding.aadhaarCard = {
-                    data: encryptBuffer(aadhaar.buffer),
-                    contentType: aadhaar.mimetype,
-                    fileName: aadhaar.originalname,
-                };
-            }
+/**
+ * POST /api/onboarding/step1
+ * Protected — First step of the user's flow (by default: financials & identity documents)
+ */
+const submitStep1 = async (req, res, next) => {
+    try {
+        await handleStep(req, res, 0);
+    } catch (error) {
+        next(error);
+    }
+};
 
-            if (req.files.panCard && req.files.panCard[0]) {
-                const pan = req.files.panCard[0];
-                user.onboarding.panCard = {
-                    data: encryptBuffer(pan.buffer),
-                    contentType: pan.mimetype,
-                    fileName: pan.originalname,
-                };
-            }
-        }
+/**
+ * POST /api/onboarding/step2
+ * Protected — Second step of the user's flow (by default: digital declaration & signature)
+ */
+const submitStep2 = async (req, res, next) => {
+    try {
+        await handleStep(req, res, 1);
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Validate that both documents are uploaded
-        if (!user.onboarding.aadhaarCard?.data) {
-            return res.status(400).json({
-                success: false,
-                message: "Aadhaar card document is required",
-            });
-        }
+/**
+ * GET /api/onboarding/status
+ * Protected — Check onboarding progress against the user's flow
+ * currentStep is a step key, "review" while HR verifies the submission, or "done"
+ */
+const getOnboardingStatus = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
 
-        if (!user.onboarding.panCard?.data) {
-            return res.status(400).json({
-                success: false,
-                message: "PAN card document is required",
-            });
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
         }
 
-        await user.save({ validateBeforeSave: false });
+        const { flow, steps, currentStep } = await onboardingService.getProgress(user);
+        const underReview = reviewService.isUnderReview(user);
 
         res.status(200).json({
             success: true,
-            message: "Step 1 completed — Financials & documents saved",
             data: {
-                step: 1,
-                bankName: user.onboarding.bankName,
-                ifscCode: user.onboarding.ifscCode,
-                aadhaarUploaded: !!user.onboarding.aadhaarCard?.data,
-                panUploaded: !!user.onboarding.panCard?.data,
+                status: user.status,
+                flow,
+                steps,
+                step1Complete: !!steps[0]?.complete,
+                step2Complete: !!steps[1]?.complete,
+                onboardingComplete: user.status === USER_STATUS.ACTIVE,
+                currentStep: user.status === USER_STATUS.ACTIVE ? "done" : underReview ? "review" : currentStep,
+                review: reviewService.presentReview(user),
             },
         });
     } catch (error) {
@@ -95,62 +118,71 @@ const submitStep1 = async (req, res, next) => {
 };
 
 /**
- * POST /api/onboarding/step2
- * Protected — Submit digital declaration & signature
- * On completion: status changes from "pending" → "active"
+ * GET /api/onboarding/documents
+ * Protected — Own document version history and any re-upload requested by HR
  */
-const submitStep2 = async (req, res, next) => {
+const getMyDocuments = async (req, res, next) => {
     try {
-        const user = await User.findById(req.user._id);
+        const documents = await documentService.listDocuments(req.user._id);
 
-        if (!user) {
-            return res.status(404).json({ success: false, message: "User not found" });
-        }
-
-        if (user.status !== USER_STATUS.PENDING) {
-            return res.status(400).json({
-                success: false,
-                message: "Onboarding already completed",
-            });
-        }
-
-        // Check that Step 1 was completed first
-        if (!user.onboarding.bankName || !user.onboarding.aadhaarCard?.data) {
-            return res.status(400).json({
-                success: false,
-                message: "Please complete Step 1 (Financials & Identity) first",
-            });
-        }
+        res.status(200).json({
+            success: true,
+            data: documents,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        const { declarationAccepted, digitalSignature } = req.body;
+/**
+ * PUT /api/onboarding/documents/:docType
+ * Protected — Upload a new version (multipart "file"); allowed during onboarding or when HR requested it
+ */
+const reuploadDocument = async (req, res, next) => {
+    try {
+        const document = await documentService.reuploadDocument(req.user._id, req.params.docType, req.file);
 
-        // Update declaration data
-        user.onboarding.declarationAccepted = declarationAccepted === true || declarationAccepted === "true";
-        user.onboarding.digitalSignature = digitalSignature;
-        user.onboarding.declarationDate = new Date();
-        user.onboarding.completedAt = new Date();
+        res.status(200).json({
+            success: true,
+            message: `Document uploaded (version ${document.version})`,
+            data: document,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // ─── KEY: Update status to ACTIVE ───
-        user.status = USER_STATUS.ACTIVE;
+/**
+ * POST /api/onboarding/resubmit
+ * Protected — Resubmit only the items HR rejected
+ * multipart/form-data: the rejected steps' field values + the rejected documents (files named by document type)
+ */
+const resubmitOnboarding = async (req, res, next) => {
+    try {
+        const review = await onboardingService.resubmit(req.user._id, req.body || {}, req.files || {});
 
-        await user.save({ validateBeforeSave: false });
+        res.status(200).json({
+            success: true,
+            message: "Resubmitted — HR will review your changes",
+            data: review,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Decrypt account number for the response
-        const userData = user.toJSON();
-        if (userData.onboarding && userData.onboarding.accountNumber) {
-            try {
-                userData.onboarding.accountNumber = decrypt(userData.onboarding.accountNumber);
-            } catch (err) {
-                console.error("Decryption failed in onboarding step 2");
-            }
-        }
+/**
+ * GET /api/onboarding/reviews?status=submitted
+ * Protected — HR queue of onboarding packets (oldest first)
+ */
+const getReviewQueue = async (req, res, next) => {
+    try {
+        const packets = await reviewService.listQueue({ status: req.query.status || undefined });
 
         res.status(200).json({
             success: true,
-            message: "Onboarding complete! Welcome aboard 🎉",
-            data: {
-                user: userData,
-            },
+            count: packets.length,
+            data: packets,
         });
     } catch (error) {
         next(error);
@@ -158,35 +190,40 @@ const submitStep2 = async (req, res, next) => {
 };
 
 /**
- * GET /api/onboarding/status
- * Protected — Check onboarding progress
+ * GET /api/onboarding/reviews/:userId
+ * Protected — One packet with decrypted bank details and document metadata
  */
-const getOnboardingStatus = async (req, res, next) => {
+const getReviewPacket = async (req, res, next) => {
     try {
-        const user = await User.findById(req.user._id);
-
-        if (!user) {
-            return res.status(404).json({ success: false, message: "User not found" });
-        }
+        const packet = await reviewService.getPacket(req.params.userId);
 
-        const step1Complete =
-            !!user.onboarding.bankName &&
-            !!user.onboarding.accountNumber &&
-            !!user.onboarding.aadhaarCard?.data &&
-            !!user.onboarding.panCard?.data;
+        res.status(200).json({
+            success: true,
+            data: packet,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        const step2Complete =
-            user.onboarding.declarationAccepted && !!user.onboarding.digitalSignature;
+/**
+ * POST /api/onboarding/reviews/:userId
+ * Protected — Approve / reject items. Body: { items: [{ key, approved, comment }] }
+ */
+const reviewOnboarding = async (req, res, next) => {
+    try {
+        const user = await reviewService.reviewItems(req.params.userId, req.body.items, req.user);
+        const { status } = user.onboarding.review;
 
         res.status(200).json({
             success: true,
-            data: {
-                status: user.status,
-                step1Complete,
-                step2Complete,
-                onboardingComplete: user.status === USER_STATUS.ACTIVE,
-                currentStep: step2Complete ? "done" : step1Complete ? 2 : 1,
-            },
+            message:
+                status === ONBOARDING_REVIEW_STATUS.VERIFIED
+                    ? `${user.fullName}'s onboarding is verified — account activated`
+                    : status === ONBOARDING_REVIEW_STATUS.CHANGES_REQUESTED
+                        ? `Changes requested — ${user.fullName} has been emailed`
+                        : "Review saved",
+            data: reviewService.presentReview(user),
         });
     } catch (error) {
         next(error);
@@ -194,7 +231,14 @@ const getOnboardingStatus = async (req, res, next) => {
 };
 
 module.exports = {
+    submitStep,
     submitStep1,
     submitStep2,
     getOnboardingStatus,
+    getMyDocuments,
+    reuploadDocument,
+    resubmitOnboarding,
+    getReviewQueue,
+    getReviewPacket,
+    reviewOnboarding,
 };
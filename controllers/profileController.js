@@ -0,0 +1,168 @@
+const User = require("../models/User");
+const profileService = require("../services/profileService");
+const customFieldService = require("../services/customFieldService");
+
+// ═══════════════════════════════════════════════
+// PUT /api/users/me
+// Employee updates their own phone / address
+// ═══════════════════════════════════════════════
+const updateMyProfile = async (req, res, next) => {
+    try {
+        const user = await profileService.updateOwnProfile(req.user._id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: "Profile updated successfully",
+            data: user,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// PUT /api/users/me/custom-fields
+// Employee sets custom fields HR marked as self-editable — Body: { values }
+// ═══════════════════════════════════════════════
+const updateMyCustomFields = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+        await customFieldService.setValues(user, req.body.values, { self: true });
+
+        res.status(200).json({
+            success: true,
+            message: "Profile updated successfully",
+            data: await customFieldService.presentValues(user, user),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// PUT /api/users/me/custom-fields/:key/file
+// Employee uploads a self-editable file field (multipart field "file")
+// ═══════════════════════════════════════════════
+const uploadMyCustomFieldFile = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "Please upload a file in the 'file' field" });
+        }
+
+        const user = await User.findById(req.user._id);
+        const value = await customFieldService.setFileValue(user, req.params.key, req.file, req.user, { self: true });
+
+        res.status(200).json({
+            success: true,
+            message: "File uploaded successfully",
+            data: value,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/users/me/change-requests
+// Employee asks HR to change bank name / account number / IFSC
+// ═══════════════════════════════════════════════
+const submitChangeRequest = async (req, res, next) => {
+    try {
+        const request = await profileService.submitChangeRequest(req.user._id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: "Change request submitted. HR will review it shortly.",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/users/me/change-requests
+// Employee's own change requests and their outcome
+// ═══════════════════════════════════════════════
+const getMyChangeRequests = async (req, res, next) => {
+    try {
+        const requests = await profileService.listOwnRequests(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            data: requests,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// DELETE /api/users/me/change-requests/:requestId
+// Employee withdraws a pending request
+// ═══════════════════════════════════════════════
+const cancelMyChangeRequest = async (req, res, next) => {
+    try {
+        await profileService.cancelOwnRequest(req.user._id, req.params.requestId);
+
+        res.status(200).json({
+            success: true,
+            message: "Change request cancelled",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/users/change-requests?status=pending
+// HR queue of profile change requests (current vs requested values)
+// ═══════════════════════════════════════════════
+const getChangeRequests = async (req, res, next) => {
+    try {
+        const requests = await profileService.listRequests({ status: req.query.status || "pending" });
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            data: requests,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/users/change-requests/:requestId/approve
+// POST /api/users/change-requests/:requestId/reject
+// HR decision — Body: { note? }; the employee is emailed either way
+// ═══════════════════════════════════════════════
+const reviewChangeRequest = (approve) => async (req, res, next) => {
+    try {
+        const request = await profileService.reviewRequest(req.params.requestId, approve, req.body.note, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: approve ? "Change request approved and applied" : "Change request rejected",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const approveChangeRequest = reviewChangeRequest(true);
+const rejectChangeRequest = reviewChangeRequest(false);
+
+module.exports = {
+    updateMyProfile,
+    updateMyCustomFields,
+    uploadMyCustomFieldFile,
+    submitChangeRequest,
+    getMyChangeRequests,
+    cancelMyChangeRequest,
+    getChangeRequests,
+    approveChangeRequest,
+    rejectChangeRequest,
+};
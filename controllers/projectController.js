@@ -1,6 +1,6 @@
 const Project = require("../models/Project");
 const Task = require("../models/Task");
-const { ROLES } = require("../utils/constants");
+const { hasPermission } = require("../services/permissionService");
 
 // ─────────────────────────────────────────────────
 // POST /api/projects
@@ -52,8 +52,8 @@ const getAllProjects = async (req, res, next) => {
     try {
         let filter = {};
 
-        // Employees see only projects where they are assigned to at least one task
-        if (req.user.role === ROLES.EMPLOYEE) {
+        // Without projects.viewAll, users see only projects where they are assigned to at least one task
+        if (!(await hasPermission(req.user, "projects.viewAll"))) {
             const assignedProjectIds = await Task.distinct("project", {
                 assignees: req.user._id,
             });
@@ -136,8 +136,8 @@ const getProjectById = async (req, res, next) => {
             });
         }
 
-        // Employees can only view projects they belong to or have tasks assigned in
-        if (req.user.role === ROLES.EMPLOYEE) {
+        // Without projects.viewAll, users can only view projects they belong to or have tasks assigned in
+        if (!(await hasPermission(req.user, "projects.viewAll"))) {
             const isMember = project.members.some(
                 (m) => m._id.toString() === req.user._id.toString()
             );
@@ -283,7 +283,7 @@ const removeMember = async (req, res, next) => {
 // ─────────────────────────────────────────────────
 // DELETE /api/projects/:id
 // Delete a project and all its tasks
-// Admin can delete any project; creator can delete their own
+// projects.delete can delete any project; creator can delete their own
 // ─────────────────────────────────────────────────
 const deleteProject = async (req, res, next) => {
     try {
@@ -296,11 +296,11 @@ const deleteProject = async (req, res, next) => {
             });
         }
 
-        // Only admin OR the creator can delete the project
-        const isAdmin = req.user.role === ROLES.ADMIN;
+        // Only projects.delete holders OR the creator can delete the project
+        const canDeleteAny = await hasPermission(req.user, "projects.delete");
         const isCreator = project.createdBy.toString() === req.user._id.toString();
 
-        if (!isAdmin && !isCreator) {
+        if (!canDeleteAny && !isCreator) {
             return res.status(403).json({
                 success: false,
                 message: "Access denied. Only the project creator or an admin can delete this project.",
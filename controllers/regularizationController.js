@@ -0,0 +1,129 @@
+const RegularizationRequest = require("../models/RegularizationRequest");
+const regularizationService = require("../services/regularizationService");
+const { parseListQuery, paginate, sendList } = require("../utils/pagination");
+
+const REQUEST_SORTS = {
+    date: "date",
+    createdAt: "createdAt",
+};
+
+const REQUEST_POPULATE = [
+    { path: "user", select: "fullName email department" },
+    { path: "approver", select: "fullName email" },
+    { path: "reviewedBy", select: "fullName email" },
+];
+
+// ═══════════════════════════════════════════════
+// POST /api/attendance/regularizations
+// Body: { date: "YYYY-MM-DD", clockIn: "09:30", clockOut: "18:15", reason }
+//   or  { date, sessions: [{ start, end }, ...], reason } for days with breaks
+// Routed to the reporting manager, or HR when there is none
+// ═══════════════════════════════════════════════
+const submitRegularization = async (req, res, next) => {
+    try {
+        const request = await regularizationService.submitRequest(req.user._id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: request.approver ? "Regularization request sent to your manager" : "Regularization request sent to HR",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/attendance/regularizations?status=&from=&to=
+// The logged-in employee's requests (paginated)
+// ═══════════════════════════════════════════════
+const getMyRegularizations = async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, { sortFields: REQUEST_SORTS, defaultSort: "-date" });
+        const filter = { ...regularizationService.buildRequestFilter(req.query), user: req.user._id };
+
+        const result = await paginate(RegularizationRequest, filter, listQuery, { populate: REQUEST_POPULATE });
+        sendList(res, { ...result, data: result.data.map(regularizationService.presentRequest) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/attendance/regularizations/approvals?status=pending&routed=hr|me
+// Managers: requests routed to them; HR (org.viewAll): every request (paginated)
+// ═══════════════════════════════════════════════
+const getRegularizationApprovals = async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, { sortFields: REQUEST_SORTS, defaultSort: "createdAt" });
+        const filter = await regularizationService.buildApprovalFilter(req.user, req.query);
+
+        const result = await paginate(RegularizationRequest, filter, listQuery, { populate: REQUEST_POPULATE });
+        sendList(res, { ...result, data: result.data.map(regularizationService.presentRequest) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/attendance/regularizations/:id/approve
+// Rewrites the day's sessions, activeSeconds and clock-in/out (before/after is audited)
+// ═══════════════════════════════════════════════
+const approveRegularization = async (req, res, next) => {
+    try {
+        const request = await regularizationService.reviewRequest(req.params.id, req.user, { approved: true, note: req.body.note });
+
+        res.status(200).json({
+            success: true,
+            message: "Regularization approved — attendance updated",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/attendance/regularizations/:id/reject
+// Body: { note } — required
+// ═══════════════════════════════════════════════
+const rejectRegularization = async (req, res, next) => {
+    try {
+        const request = await regularizationService.reviewRequest(req.params.id, req.user, { approved: false, note: req.body.note });
+
+        res.status(200).json({
+            success: true,
+            message: "Regularization rejected",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/attendance/regularizations/:id/cancel
+// Employee withdraws their own pending request
+// ═══════════════════════════════════════════════
+const cancelRegularization = async (req, res, next) => {
+    try {
+        const request = await regularizationService.cancelRequest(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: "Regularization request cancelled",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    submitRegularization,
+    getMyRegularizations,
+    getRegularizationApprovals,
+    approveRegularization,
+    rejectRegularization,
+    cancelRegularization,
+};
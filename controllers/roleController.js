@@ -0,0 +1,121 @@
+const permissionService = require("../services/permissionService");
+const { PERMISSIONS } = require("../utils/permissions");
+const { logAction } = require("./auditController");
+
+/**
+ * GET /api/roles
+ * Admin — all roles (built-in + custom) with their permissions
+ */
+const getRoles = async (req, res, next) => {
+    try {
+        const roles = await permissionService.listRoles();
+
+        res.status(200).json({
+            success: true,
+            count: roles.length,
+            data: roles,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /api/roles/permissions
+ * Admin — the permission registry (key → description)
+ */
+const getPermissionRegistry = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /api/roles
+ * Admin — create a custom role
+ */
+const createRole = async (req, res, next) => {
+    try {
+        const role = await permissionService.createRole(req.body, req.user);
+
+        await logAction({
+            action: "CREATE_ROLE",
+            performedBy: req.user._id,
+            details: `Created role "${role.name}" with ${role.permissions.length} permission(s)`,
+            metadata: { permissions: role.permissions, assignableRoles: role.assignableRoles },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Role created successfully",
+            data: role,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /api/roles/:name
+ * Admin — edit a role's permissions, assignable roles or label
+ */
+const updateRole = async (req, res, next) => {
+    try {
+        const before = await permissionService.getRole(req.params.name);
+        const role = await permissionService.updateRole(req.params.name, req.body, req.user);
+
+        await logAction({
+            action: "UPDATE_ROLE",
+            performedBy: req.user._id,
+            details: `Updated role "${role.name}"`,
+            metadata: {
+                before: { permissions: before.permissions, assignableRoles: before.assignableRoles },
+                after: { permissions: role.permissions, assignableRoles: role.assignableRoles },
+            },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Role updated successfully",
+            data: role,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /api/roles/:name
+ * Admin — delete an unused custom role
+ */
+const deleteRole = async (req, res, next) => {
+    try {
+        await permissionService.deleteRole(req.params.name);
+
+        await logAction({
+            action: "DELETE_ROLE",
+            performedBy: req.user._id,
+            details: `Deleted role "${req.params.name}"`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Role deleted successfully",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getRoles,
+    getPermissionRegistry,
+    createRole,
+    updateRole,
+    deleteRole,
+};
@@ -1,6 +1,6 @@
 const Task = require("../models/Task");
 const Project = require("../models/Project");
-const { ROLES } = require("../utils/constants");
+const { hasPermission } = require("../services/permissionService");
 const { sendOverdueTaskEmail } = require("../utils/emailService");
 const { getTodayRangeIST } = require("../utils/dateUtils");
 
@@ -22,8 +22,8 @@ const createTask = async (req, res, next) => {
             });
         }
 
-        // Employees can only create tasks in projects they belong to or have tasks assigned in
-        if (req.user.role === ROLES.EMPLOYEE) {
+        // Without projects.viewAll, users can only create tasks in projects they belong to or have tasks assigned in
+        if (!(await hasPermission(req.user, "projects.viewAll"))) {
             const isMember = projectDoc.members.some(
                 (m) => m.toString() === req.user._id.toString()
             );
@@ -127,8 +127,8 @@ const getTasksByProject = async (req, res, next) => {
             });
         }
 
-        // Employees can only view tasks in their projects or projects they have tasks in
-        if (req.user.role === ROLES.EMPLOYEE) {
+        // Without projects.viewAll, users can only view tasks in their projects or projects they have tasks in
+        if (!(await hasPermission(req.user, "projects.viewAll"))) {
             const isMember = project.members.some(
                 (m) => m.toString() === req.user._id.toString()
             );
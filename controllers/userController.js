@@ -1,58 +1,177 @@
 const User = require("../models/User");
 const { USER_STATUS } = require("../utils/constants");
-const { encrypt, decrypt, decryptBuffer } = require("../utils/encryptData");
+const { encrypt, decrypt } = require("../utils/encryptData");
 const { logAction } = require("./auditController");
-const { removeEmployeeFromSheets, renameEmployeeInSheets } = require("../services/googleSheetsService");
+const { revokeAllSessions } = require("../services/sessionService");
+const { canAssignRole } = require("../services/permissionService");
+const orgService = require("../services/orgService");
+const offboardingService = require("../services/offboardingService");
+const customFieldService = require("../services/customFieldService");
+const documentService = require("../services/documentService");
+const { departmentExists } = require("../services/departmentService");
+const { importEmployees: runEmployeeImport, buildReportCsv } = require("../services/userImportService");
+const { renameEmployeeInSheets } = require("../services/googleSheetsService");
+const userExportService = require("../services/userExportService");
+const { parseListQuery, paginate, buildSearchFilter, sendList } = require("../utils/pagination");
+const { toCsvRow } = require("../utils/csv");
+const { toXlsx } = require("../utils/xlsx");
+const { toISTDateString } = require("../utils/dateUtils");
+
+// Directory columns callers may pick with ?fields= (onboarding data is never listable)
+const DIRECTORY_FIELDS = ["fullName", "email", "role", "department", "location", "status", "phone", "startDate", "createdAt", "reportsTo", "customFields"];
+const DIRECTORY_SORTS = {
+    name: "fullName",
+    email: "email",
+    department: "department",
+    startDate: "startDate",
+    status: "status",
+    createdAt: "createdAt",
+};
+
+/**
+ * Directory filters shared by the list and the export:
+ * ?search= (prefix + fuzzy on name/email), ?department=, ?status=, ?role=, ?cf.<key>=
+ */
+const buildDirectoryQuery = async (req) => {
+    const { search, department, status, role } = req.query;
+
+    // Build Query — prefix + fuzzy search on name and email
+    const query = buildSearchFilter(search, ["fullName", "email"]);
+
+    // Filter by Department
+    if (department) {
+        query.department = department;
+    }
+
+    // Filter by Status (e.g., active, pending)
+    if (status) {
+        query.status = status;
+    }
+
+    // Filter by Role
+    if (role) {
+        query.role = role;
+    }
+
+    // Filter by custom fields (?cf.bloodGroup=O%2B) — only fields the caller can see
+    Object.assign(query, await customFieldService.buildFilter(req.query, req.user));
+
+    return query;
+};
 
 // ═══════════════════════════════════════════════
 // GET /api/users
-// Get all users (Admin/HR Only) - Searchable & Filterable
+// Get all users (Admin/HR Only) - Searchable, Filterable & Paginated
+// ?page=&limit= or ?cursor=, ?sort=name|-startDate, ?fields=fullName,email
 // ═══════════════════════════════════════════════
 const getAllEmployees = async (req, res, next) => {
     try {
-        const { search, department, status, role } = req.query;
+        const { fields } = req.query;
+        const listQuery = parseListQuery(req.query, { sortFields: DIRECTORY_SORTS, defaultSort: "-createdAt" });
+
+        let columns = DIRECTORY_FIELDS;
+        if (fields) {
+            columns = String(fields).split(",").map((f) => f.trim()).filter(Boolean);
+            const unknown = columns.filter((f) => !DIRECTORY_FIELDS.includes(f));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown field(s): ${unknown.join(", ")}. Allowed: ${DIRECTORY_FIELDS.join(", ")}`,
+                });
+            }
+        }
 
-        // Build Query
-        let query = {};
+        const query = await buildDirectoryQuery(req);
 
-        // Search by Name or Email
-        // Search by Name or Email using Text Index for better performance
-        if (search) {
-            query.$text = { $search: search };
-        }
+        // Custom field visibility depends on the employee's department
+        const withCustomFields = columns.includes("customFields");
+        const select = withCustomFields ? [...columns, "department"] : columns;
 
-        // Filter by Department
-        if (department) {
-            query.department = department;
-        }
+        const result = await paginate(User, query, listQuery, { select: select.join(" ") });
 
-        // Filter by Status (e.g., active, pending)
-        if (status) {
-            query.status = status;
+        if (withCustomFields) {
+            for (const user of result.data) {
+                user.customFields = await customFieldService.presentValues(user, req.user);
+                if (!columns.includes("department")) delete user.department;
+            }
         }
 
-        // Filter by Role
-        if (role) {
-            query.role = role;
-        }
+        sendList(res, result);
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Execute Query — select only the fields needed for listing
-        // (excludes heavy onboarding data like bank details, documents, etc.)
-        const users = await User.find(query)
-            .select("fullName email role department status phone startDate createdAt")
-            .sort({ createdAt: -1 })
-            .lean(); // lean() returns plain JS objects = much faster
+// ═══════════════════════════════════════════════
+// GET /api/users/export/columns
+// Columns the caller can export (sensitive ones are masked without users.view)
+// ═══════════════════════════════════════════════
+const getExportColumns = async (req, res, next) => {
+    try {
+        const columns = await userExportService.getExportColumns(req.user);
 
         res.status(200).json({
             success: true,
-            count: users.length,
-            data: users,
+            count: columns.length,
+            data: columns,
         });
     } catch (error) {
         next(error);
     }
 };
 
+// ═══════════════════════════════════════════════
+// GET /api/users/export?format=csv|xlsx&columns=fullName,email,cf.bloodGroup
+// Download the directory — same filters and sort as GET /api/users
+// ═══════════════════════════════════════════════
+const exportEmployees = async (req, res, next) => {
+    try {
+        const format = String(req.query.format || "csv").toLowerCase();
+        const { sort } = parseListQuery(req.query, { sortFields: DIRECTORY_SORTS, defaultSort: "name" });
+        const filter = await buildDirectoryQuery(req);
+
+        const filters = Object.fromEntries(
+            Object.entries(req.query).filter(([key]) => !["format", "columns", "sort"].includes(key))
+        );
+
+        const { headers, rows } = await userExportService.prepareExport(
+            {
+                filter,
+                sort: { [sort.field]: sort.direction, _id: sort.direction },
+                format,
+                columns: req.query.columns,
+                filters,
+            },
+            req.user
+        );
+
+        const fileName = `employees-${toISTDateString(new Date())}.${format}`;
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+        if (format === "csv") {
+            // Stream row by row; the BOM makes Excel open UTF-8 names correctly
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            res.write("\uFEFF" + toCsvRow(headers));
+            for await (const row of rows) {
+                res.write(toCsvRow(row));
+            }
+            return res.end();
+        }
+
+        const data = [];
+        for await (const row of rows) data.push(row);
+
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        res.send(toXlsx(headers, data, { sheetName: "Employees" }));
+    } catch (error) {
+        if (res.headersSent) {
+            console.error("Employee export failed mid-stream:", error.message);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
 // ═══════════════════════════════════════════════
 // GET /api/users/:id
 // Get single employee details (Admin/HR Only)
@@ -92,6 +211,9 @@ const getEmployeeById = async (req, res, next) => {
             }
         }
 
+        // Only the custom fields the caller's role may see
+        userData.customFields = await customFieldService.presentValues(user, req.user);
+
         res.status(200).json({
             success: true,
             data: userData,
@@ -108,7 +230,7 @@ const getEmployeeById = async (req, res, next) => {
 // ═══════════════════════════════════════════════
 const updateEmployeeProfile = async (req, res, next) => {
     try {
-        const { fullName, email, phone, role, department, status, startDate, bankName, accountNumber, ifscCode } = req.body;
+        const { fullName, email, phone, role, department, location, status, startDate, reportsTo, bankName, accountNumber, ifscCode } = req.body;
 
         // Find user
         let user = await User.findById(req.params.id);
@@ -116,9 +238,33 @@ const updateEmployeeProfile = async (req, res, next) => {
             return res.status(404).json({ success: false, message: "User not found" });
         }
 
+        // Role changes follow the same rule as creation: you can only move someone
+        // out of, and into, roles your own role may assign
+        if (role && role !== user.role) {
+            const canChange =
+                (await canAssignRole(req.user.role, user.role)) &&
+                (await canAssignRole(req.user.role, role));
+            if (!canChange) {
+                return res.status(403).json({
+                    success: false,
+                    message: `${req.user.role} cannot change role from ${user.role} to ${role}`,
+                });
+            }
+        }
+
+        if (department && department !== user.department && !(await departmentExists(department))) {
+            return res.status(400).json({ success: false, message: "Invalid department" });
+        }
+
+        // reportsTo: null/"" clears the manager; otherwise it must not create a cycle
+        if (reportsTo) {
+            await orgService.assertValidManager(user._id, reportsTo);
+        }
+
         // Capture old sheet-relevant values BEFORE mutating the user document
         const oldName = user.fullName;
         const oldDepartment = user.department;
+        const oldStatus = user.status;
 
         // Update fields
         if (fullName) user.fullName = fullName;
@@ -126,8 +272,10 @@ const updateEmployeeProfile = async (req, res, next) => {
         if (phone) user.phone = phone;
         if (role) user.role = role;
         if (department) user.department = department;
+        if (location !== undefined) user.location = location;
         if (status) user.status = status;
         if (startDate) user.startDate = startDate;
+        if (reportsTo !== undefined) user.reportsTo = reportsTo || null;
 
         // Update Financials (nested in onboarding object)
         if (bankName !== undefined) user.onboarding.bankName = bankName;
@@ -141,6 +289,11 @@ const updateEmployeeProfile = async (req, res, next) => {
 
         await user.save();
 
+        // Deactivated employees are logged out of every device immediately
+        if (status === USER_STATUS.INACTIVE && oldStatus !== USER_STATUS.INACTIVE) {
+            await revokeAllSessions(user._id, { reason: "deactivated" });
+        }
+
         // If name or department changed, propagate to Google Sheets (fire-and-forget)
         const nameChanged = fullName && fullName !== oldName;
         const deptChanged = department && department !== oldDepartment;
@@ -171,9 +324,105 @@ const updateEmployeeProfile = async (req, res, next) => {
 
 // ═══════════════════════════════════════════════
 // DELETE /api/users/:id
-// Offboard/Delete employee (Admin Only)
+// Permanently purge an offboarded employee (data-retention operation)
+// Body: { confirmEmail } — must match the employee's email
 // ═══════════════════════════════════════════════
 const deleteEmployee = async (req, res, next) => {
+    try {
+        await offboardingService.purgeEmployee(req.params.id, req.body?.confirmEmail, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: "Employee and their personal data permanently deleted",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/users/:id/offboard
+// Start offboarding: last working day, task handover, exit checklist
+// The account is deactivated once the last working day has passed
+// ═══════════════════════════════════════════════
+const offboardEmployee = async (req, res, next) => {
+    try {
+        const user = await offboardingService.startOffboarding(req.params.id, req.body, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: user.status === USER_STATUS.INACTIVE
+                ? "Employee offboarded and deactivated"
+                : "Offboarding scheduled for the last working day",
+            data: { status: user.status, offboarding: user.offboarding },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/users/:id/offboarding
+// Offboarding details and exit checklist
+// ═══════════════════════════════════════════════
+const getEmployeeOffboarding = async (req, res, next) => {
+    try {
+        const user = await offboardingService.getOffboarding(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: { status: user.status, offboarding: user.offboarding },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// PATCH /api/users/:id/offboarding/checklist/:key
+// Tick or untick an exit checklist item — Body: { done }
+// ═══════════════════════════════════════════════
+const updateOffboardingChecklist = async (req, res, next) => {
+    try {
+        const offboarding = await offboardingService.updateChecklistItem(
+            req.params.id,
+            req.params.key,
+            req.body.done,
+            req.user
+        );
+
+        res.status(200).json({
+            success: true,
+            message: "Checklist updated",
+            data: offboarding,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// DELETE /api/users/:id/offboarding
+// Cancel a scheduled offboarding (before the last working day has passed)
+// ═══════════════════════════════════════════════
+const cancelEmployeeOffboarding = async (req, res, next) => {
+    try {
+        await offboardingService.cancelOffboarding(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: "Offboarding cancelled",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// DELETE /api/users/:id/sessions
+// Force-logout an employee from every device (Admin/HR Only)
+// ═══════════════════════════════════════════════
+const revokeEmployeeSessions = async (req, res, next) => {
     try {
         const user = await User.findById(req.params.id);
 
@@ -181,33 +430,77 @@ const deleteEmployee = async (req, res, next) => {
             return res.status(404).json({ success: false, message: "User not found" });
         }
 
-        // Prevent deleting oneself
-        if (String(user._id) === String(req.user._id)) {
-            return res.status(400).json({ success: false, message: "You cannot delete your own account" });
-        }
+        const count = await revokeAllSessions(user._id, { reason: "admin" });
+
+        // Audit Log
+        await logAction({
+            action: "REVOKE_SESSIONS",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `Revoked ${count} active session(s) for ${user.fullName}`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Revoked ${count} session(s)`,
+            count,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/users/:id/unlock
+// Clear a brute-force lockout (Admin/HR Only)
+// ═══════════════════════════════════════════════
+const unlockEmployee = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
 
-        // Capture name before deletion for sheet cleanup
-        const deletedName = user.fullName;
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
 
-        await user.deleteOne();
+        const wasLocked = user.isLocked();
 
-        // Remove the employee's rows from ALL month sheet tabs (fire-and-forget)
-        removeEmployeeFromSheets(deletedName).catch(err =>
-            console.error("Sheet removal sync failed:", err.message)
-        );
+        user.failedLoginAttempts = 0;
+        user.lockoutCount = 0;
+        user.lockUntil = undefined;
+        await user.save({ validateBeforeSave: false });
 
         // Audit Log
         await logAction({
-            action: "DELETE_EMPLOYEE",
+            action: "ACCOUNT_UNLOCKED",
             performedBy: req.user._id,
             targetUserId: user._id,
             targetUser: user.email,
-            details: `Deleted user ${deletedName} (${user.role})`
+            details: wasLocked
+                ? `Unlocked account for ${user.fullName}`
+                : `Reset failed login attempts for ${user.fullName} (account was not locked)`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Account unlocked successfully",
         });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/users/:id/documents
+// Onboarding document version history (Admin/HR Only)
+// ═══════════════════════════════════════════════
+const getEmployeeDocuments = async (req, res, next) => {
+    try {
+        const documents = await documentService.listDocuments(req.params.id);
 
         res.status(200).json({
             success: true,
-            message: "User deleted successfully",
+            data: documents,
         });
     } catch (error) {
         next(error);
@@ -215,37 +508,205 @@ const deleteEmployee = async (req, res, next) => {
 };
 
 // ═══════════════════════════════════════════════
-// GET /api/users/:id/document/:docType
-// Stream onboarding document binaries directly (Admin/HR Only)
+// GET /api/users/:id/document/:docType?version=2
+// Stream onboarding document binaries directly (Admin/HR Only) — latest version by default
 // ═══════════════════════════════════════════════
 const getEmployeeDocument = async (req, res, next) => {
     try {
         const { id, docType } = req.params;
 
-        const user = await User.findById(id);
+        const doc = await documentService.getDocument(id, docType, req.query.version);
+
+        // Send decrypted raw binary directly to browser natively
+        res.set("Content-Type", doc.contentType);
+        res.set("Content-Disposition", `inline; filename="${doc.fileName}"`);
+        res.set("X-Document-Version", String(doc.version));
+        res.send(doc.data);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/users/:id/documents/:docType/request-reupload
+// Ask the employee to upload a document again — Body: { reason }
+// ═══════════════════════════════════════════════
+const requestDocumentReupload = async (req, res, next) => {
+    try {
+        const request = await documentService.requestReupload(req.params.id, req.params.docType, req.body.reason, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: "Re-upload requested — the employee has been emailed",
+            data: request,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// PUT /api/users/:id/custom-fields
+// Set custom field values — Body: { values: { bloodGroup: "O+", ... } } (null clears)
+// ═══════════════════════════════════════════════
+const updateEmployeeCustomFields = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+
+        const changed = await customFieldService.setValues(user, req.body.values);
+
+        if (changed.length > 0) {
+            await logAction({
+                action: "UPDATE_EMPLOYEE",
+                performedBy: req.user._id,
+                targetUserId: user._id,
+                targetUser: user.email,
+                details: `Updated custom fields for ${user.fullName}: ${changed.join(", ")}`,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Custom fields updated successfully",
+            data: await customFieldService.presentValues(user, req.user),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// PUT /api/users/:id/custom-fields/:key/file
+// Upload the file for a "file" custom field (multipart field "file")
+// ═══════════════════════════════════════════════
+const uploadEmployeeCustomFieldFile = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "Please upload a file in the 'file' field" });
+        }
+
+        const user = await User.findById(req.params.id);
         if (!user) {
             return res.status(404).json({ success: false, message: "User not found" });
         }
 
-        const doc = user.onboarding?.[docType];
+        const value = await customFieldService.setFileValue(user, req.params.key, req.file, req.user);
+
+        await logAction({
+            action: "UPDATE_EMPLOYEE",
+            performedBy: req.user._id,
+            targetUserId: user._id,
+            targetUser: user.email,
+            details: `Uploaded ${req.params.key} for ${user.fullName}`,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "File uploaded successfully",
+            data: value,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/users/:id/custom-fields/:key/file
+// Stream a custom field file (subject to the field's visibility rules)
+// ═══════════════════════════════════════════════
+const getEmployeeCustomFieldFile = async (req, res, next) => {
+    try {
+        const file = await customFieldService.getFileValue(req.params.id, req.params.key, req.user);
+
+        res.set("Content-Type", file.contentType);
+        res.set("Content-Disposition", `inline; filename="${file.fileName}"`);
+        res.send(file.data);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// GET /api/users/org-chart?root=<userId>
+// Reporting hierarchy as nested trees (whole company, or one subtree)
+// Without org.viewAll: the caller's own subtree, or one within their team
+// ═══════════════════════════════════════════════
+const getOrgChart = async (req, res, next) => {
+    try {
+        const data = await orgService.getOrgChartFor(req.user, req.query.root);
+
+        res.status(200).json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        if (!doc || !doc.data) {
-            return res.status(404).json({ success: false, message: "Document not found or not uploaded" });
+// ═══════════════════════════════════════════════
+// GET /api/users/:id/reports?scope=direct|all
+// Direct reports, or everyone in the user's reporting line (default)
+// ═══════════════════════════════════════════════
+const getEmployeeReports = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select("_id");
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
         }
 
-        // Decrypt the raw AES-encrypted binary back to its original file state (e.g. PDF/Image bytes)
-        let exactBuffer = doc.data;
-        if (typeof exactBuffer === "object" && exactBuffer.buffer) {
-            // Unpack MongooseBuffer if it isn't an explicit Node buffer Array
-            exactBuffer = exactBuffer.buffer;
+        const reports = await orgService.getReports(user._id, { directOnly: req.query.scope === "direct" });
+
+        res.status(200).json({
+            success: true,
+            count: reports.length,
+            data: reports,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ═══════════════════════════════════════════════
+// POST /api/users/import?dryRun=true&format=csv
+// Bulk-create employees from a CSV upload (field "file") and send invites
+// dryRun=true only validates; format=csv downloads the per-row result report
+// ═══════════════════════════════════════════════
+const importEmployees = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Please upload a CSV file in the 'file' field",
+            });
         }
 
-        const originalFileBytes = decryptBuffer(Buffer.from(exactBuffer));
+        const dryRun = req.query.dryRun === "true";
+        const result = await runEmployeeImport(req.user, req.file.buffer.toString("utf8"), { dryRun });
+
+        // Nothing is created if any row is invalid — the report tells HR what to fix
+        const statusCode = !dryRun && !result.committed ? 400 : result.committed ? 201 : 200;
+        const message = result.committed
+            ? `Imported ${result.summary.created} of ${result.summary.total} employees. Invitations sent.`
+            : result.summary.invalid > 0
+                ? `${result.summary.invalid} row(s) have errors — nothing was imported`
+                : `All ${result.summary.total} rows are valid`;
+
+        if (req.query.format === "csv") {
+            const stamp = new Date().toISOString().slice(0, 10);
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            res.setHeader("Content-Disposition", `attachment; filename="employee-import-${stamp}.csv"`);
+            return res.status(statusCode).send(buildReportCsv(result.rows));
+        }
 
-        // Send decrypted raw binary directly to browser natively
-        res.set("Content-Type", doc.contentType);
-        res.set("Content-Disposition", `inline; filename="${doc.fileName}"`);
-        res.send(originalFileBytes);
+        res.status(statusCode).json({
+            success: statusCode !== 400,
+            message,
+            data: result,
+        });
     } catch (error) {
         next(error);
     }
@@ -253,8 +714,24 @@ const getEmployeeDocument = async (req, res, next) => {
 
 module.exports = {
     getAllEmployees,
+    getExportColumns,
+    exportEmployees,
     getEmployeeById,
     updateEmployeeProfile,
     deleteEmployee,
+    offboardEmployee,
+    getEmployeeOffboarding,
+    updateOffboardingChecklist,
+    cancelEmployeeOffboarding,
+    revokeEmployeeSessions,
+    unlockEmployee,
+    getEmployeeDocuments,
     getEmployeeDocument,
+    requestDocumentReupload,
+    getOrgChart,
+    getEmployeeReports,
+    importEmployees,
+    updateEmployeeCustomFields,
+    uploadEmployeeCustomFieldFile,
+    getEmployeeCustomFieldFile,
 };
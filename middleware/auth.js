@@ -1,9 +1,55 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isTwoFactorRequired } = require("../services/twoFactorService");
+const { findActiveSession, touchSession } = require("../services/sessionService");
+const apiTokenService = require("../services/apiTokenService");
+
+// Routes a user may still reach while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_ROUTES = ["/api/auth/me", "/api/auth/password"];
+
+// Routes a user may still reach while mandatory 2FA enrolment is pending
+const TWO_FACTOR_SETUP_ALLOWED_ROUTES = [
+    ...PASSWORD_CHANGE_ALLOWED_ROUTES,
+    "/api/auth/2fa/setup",
+    "/api/auth/2fa/verify",
+];
 
 /**
- * Protect routes — verifies JWT token from Authorization header
- * Attaches user object to req.user
+ * Is the endpoint this request is headed for guarded by requirePermission?
+ * Route-level protect can look at its own route. Router-level protect (router.use) runs before
+ * the route is matched, so find it the way the router will — walk the app's stack, descending
+ * into mounted routers. Guards are recognised by the flag requirePermission sets on its middleware.
+ */
+const findPermissionGuard = (stack, method, path) => {
+    for (const layer of stack) {
+        if (!layer.match(path)) continue;
+
+        if (layer.route) {
+            const { methods } = layer.route;
+            if (!methods._all && !methods[method] && !(method === "head" && methods.get)) continue;
+            return layer.route.stack.some((l) => l.handle.requiresPermission);
+        }
+
+        if (layer.handle.requiresPermission) return true; // router.use(requirePermission(...))
+
+        if (layer.handle.stack) {
+            const found = findPermissionGuard(layer.handle.stack, method, path.slice(layer.path.length) || "/");
+            if (found !== undefined) return found;
+        }
+    }
+    return undefined;
+};
+
+const reachesPermissionGuard = (req) => {
+    if (req.route) return req.route.stack.some((l) => l.handle.requiresPermission);
+    return findPermissionGuard(req.app.router.stack, req.method.toLowerCase(), req.originalUrl.split("?")[0]) === true;
+};
+
+/**
+ * Protect routes — verifies JWT token (or personal API token) from Authorization header
+ * Attaches user object to req.user and the login session to req.authSession
+ * API tokens are only accepted on requirePermission routes; they attach req.apiToken and
+ * req.apiTokenUser, and requirePermission sets req.user once the token's scopes pass
  */
 const protect = async (req, res, next) => {
     try {
@@ -21,9 +67,78 @@ const protect = async (req, res, next) => {
             });
         }
 
+        // Personal API token (scripts / integrations) — no session, scopes narrow permissions
+        if (apiTokenService.isApiToken(token)) {
+            const result = await apiTokenService.authenticate(token, req.ip);
+            if (!result) {
+                return res.status(401).json({
+                    success: false,
+                    message: "Not authorized — API token is invalid, expired or revoked",
+                });
+            }
+
+            const { user } = result;
+
+            // Same account-state rules as a login session — a token is never a way around them
+            if (user.passwordChangedAt && result.token.createdAt < user.passwordChangedAt) {
+                return res.status(401).json({
+                    success: false,
+                    message: "Password was changed — create a new API token",
+                });
+            }
+
+            if (user.mustChangePassword) {
+                return res.status(403).json({
+                    success: false,
+                    message: "You must change your password before continuing",
+                    mustChangePassword: true,
+                });
+            }
+
+            if (!user.twoFactor?.enabled && (await isTwoFactorRequired(user))) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Two-factor authentication is required for your role. Please set it up to continue.",
+                    twoFactorSetupRequired: true,
+                });
+            }
+
+            // Deny by default: tokens only reach endpoints guarded by requirePermission
+            // (never password, 2FA, sessions or self-service profile routes)
+            if (!reachesPermissionGuard(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: "API tokens can only be used on endpoints that require a permission",
+                });
+            }
+
+            // req.user is set by requirePermission once the token's scopes pass
+            user.$locals.apiTokenScopes = result.token.scopes;
+            req.apiToken = result.token;
+            req.apiTokenUser = user;
+            return next();
+        }
+
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+        if (decoded.purpose) {
+            return res.status(401).json({
+                success: false,
+                message: "Not authorized — invalid token",
+            });
+        }
+
+        // The login session must still be live (not logged out / revoked by user or admin)
+        const session = decoded.sid ? await findActiveSession(decoded.sid) : null;
+        if (!session || String(session.user) !== String(decoded.id)) {
+            return res.status(401).json({
+                success: false,
+                message: "Session expired or revoked — please log in again",
+            });
+        }
+
         // Get user from database (exclude password)
         const user = await User.findById(decoded.id);
 
@@ -41,8 +156,42 @@ const protect = async (req, res, next) => {
             });
         }
 
-        // Attach user to request
+        // Reject access tokens issued before the last password change
+        if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+            return res.status(401).json({
+                success: false,
+                message: "Password was changed — please log in again",
+            });
+        }
+
+        // Force HR-issued initial passwords to be replaced before anything else
+        const path = req.originalUrl.split("?")[0];
+        if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_ROUTES.includes(path)) {
+            return res.status(403).json({
+                success: false,
+                message: "You must change your password before continuing",
+                mustChangePassword: true,
+            });
+        }
+
+        // Admin policy may make 2FA mandatory — enrol before anything else
+        if (
+            !user.twoFactor?.enabled &&
+            !TWO_FACTOR_SETUP_ALLOWED_ROUTES.includes(path) &&
+            (await isTwoFactorRequired(user))
+        ) {
+            return res.status(403).json({
+                success: false,
+                message: "Two-factor authentication is required for your role. Please set it up to continue.",
+                twoFactorSetupRequired: true,
+            });
+        }
+
+        touchSession(session, req.ip);
+
+        // Attach user and session to request
         req.user = user;
+        req.authSession = session;
         next();
     } catch (error) {
         return res.status(401).json({
@@ -0,0 +1,47 @@
+const multer = require("multer");
+const upload = require("../utils/fileUpload");
+const { getStepDocTypes, getResubmitDocTypes } = require("../services/onboardingService");
+
+/**
+ * Bounded multipart parsing for onboarding submissions — the document types the submission
+ * may carry are resolved first, each is accepted once under its docType field name, and any
+ * other file is refused before it is buffered in memory
+ */
+const boundedUpload = (resolveDocTypes) => {
+    return async (req, res, next) => {
+        try {
+            const docTypes = await resolveDocTypes(req);
+            const parse = upload.fields(docTypes.map((docType) => ({ name: docType, maxCount: 1 })));
+
+            parse(req, res, (err) => {
+                if (err instanceof multer.MulterError) {
+                    err.statusCode = 400;
+                    if (err.code === "LIMIT_UNEXPECTED_FILE") {
+                        err.message = `"${err.field}" is not a document this submission accepts (one file per document)`;
+                    }
+                }
+                next(err);
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Usage: uploadStepDocuments()  — step from req.params.stepKey
+ *        uploadStepDocuments(0) — step by position (legacy /step1, /step2)
+ * Must be used AFTER the protect (auth) middleware
+ */
+const uploadStepDocuments = (stepIndex) =>
+    boundedUpload((req) => getStepDocTypes(req.user._id, stepIndex ?? req.params.stepKey));
+
+/**
+ * Only the documents HR rejected may be resubmitted
+ */
+const uploadResubmitDocuments = boundedUpload((req) => getResubmitDocTypes(req.user._id));
+
+module.exports = {
+    uploadStepDocuments,
+    uploadResubmitDocuments,
+};
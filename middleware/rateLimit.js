@@ -0,0 +1,25 @@
+const { rateLimit } = require("express-rate-limit");
+
+/**
+ * Per-IP throttling for authentication endpoints
+ * Complements the per-account lockout in authService — this one stops a single
+ * client from spraying passwords across many accounts.
+ *
+ * Note: the store is in-memory, so limits are per server instance.
+ */
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    limit: Number(process.env.LOGIN_RATE_LIMIT) || 20,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+        res.status(options.statusCode).json({
+            success: false,
+            message: "Too many attempts from this IP. Please try again later.",
+        });
+    },
+});
+
+module.exports = {
+    authLimiter,
+};
@@ -0,0 +1,48 @@
+const { getUserPermissions } = require("../services/permissionService");
+
+/**
+ * Permission-based authorization middleware
+ * Usage: requirePermission("users.viewDocuments")        — needs that permission
+ *        requirePermission("users.view", "users.update") — needs ALL listed permissions
+ *
+ * Permission keys live in utils/permissions.js; roles map to permissions via /api/roles.
+ * API token requests are further limited to the token's scopes — and can only reach
+ * routes that use this middleware at all (see protect).
+ * Must be used AFTER the protect (auth) middleware
+ */
+const requirePermission = (...requiredPermissions) => {
+    const middleware = async (req, res, next) => {
+        // API token requests: protect leaves the token's user for this check to admit
+        const user = req.apiToken ? req.apiTokenUser : req.user;
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: "Not authorized",
+            });
+        }
+
+        try {
+            const granted = await getUserPermissions(user);
+            const missing = requiredPermissions.filter((p) => !granted.has(p));
+
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Access denied. Missing permission(s): ${missing.join(", ")}`,
+                });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Lets protect admit API tokens only on routes guarded by a permission check
+    middleware.requiresPermission = true;
+    return middleware;
+};
+
+module.exports = requirePermission;
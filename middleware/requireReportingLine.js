@@ -0,0 +1,35 @@
+const { hasPermission } = require("../services/permissionService");
+const { isInTeam } = require("../services/orgService");
+
+/**
+ * Hierarchy-scoped access middleware
+ * Usage: requireReportingLine("userId") — req.params.userId must report (directly or
+ * indirectly) to the caller or belong to a department the caller heads,
+ * unless the caller has org.viewAll (HR/Admin by default)
+ *
+ * Must be used AFTER protect and the route's requirePermission check
+ */
+const requireReportingLine = (param = "id") => {
+    return async (req, res, next) => {
+        try {
+            const targetId = req.params[param];
+
+            if (
+                String(targetId) === String(req.user._id) ||
+                (await hasPermission(req.user, "org.viewAll")) ||
+                (await isInTeam(req.user._id, targetId))
+            ) {
+                return next();
+            }
+
+            res.status(403).json({
+                success: false,
+                message: "Access denied. This employee is not in your team.",
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = requireReportingLine;
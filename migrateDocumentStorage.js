@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const connectDB = require("./config/db");
+const User = require("./models/User");
+const OnboardingDocument = require("./models/OnboardingDocument");
+const CustomFieldFile = require("./models/CustomFieldFile");
+const { saveFile, readFile, getActiveDriverName } = require("./services/fileStorageService");
+const { migrateLegacy } = require("./services/documentService");
+
+// Moves encrypted files stored inside MongoDB documents into the configured file storage
+// (FILE_STORAGE_DRIVER):
+//   1. Aadhaar / PAN Buffers still embedded in User.onboarding → OnboardingDocument version 1
+//   2. OnboardingDocument records with an inline `data` Buffer
+//   3. CustomFieldFile records with an inline `data` Buffer
+// Safe to re-run: only records that still hold inline data are touched.
+//
+// Usage: node migrateDocumentStorage.js [--dry-run]
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/**
+ * Re-store one inline record's file and drop the Buffer
+ */
+const moveInline = async (Model, record, folder) => {
+    const storage = await saveFile(await readFile(record), { folder, contentType: record.contentType });
+    await Model.updateOne({ _id: record._id }, { $set: { storage }, $unset: { data: "" } });
+};
+
+async function migrateDocumentStorage() {
+    console.log(`Moving embedded files to "${getActiveDriverName()}" storage${DRY_RUN ? " (dry run)" : ""}...`);
+
+    try {
+        await connectDB();
+
+        // ─── 1. Embedded onboarding documents on User ───
+        const legacyUsers = User.find({
+            $or: [
+                { "onboarding.aadhaarCard.data": { $exists: true }, "onboarding.aadhaarCard.version": { $exists: false } },
+                { "onboarding.panCard.data": { $exists: true }, "onboarding.panCard.version": { $exists: false } },
+            ],
+        }).cursor();
+
+        let usersMoved = 0;
+        for await (const user of legacyUsers) {
+            if (DRY_RUN) {
+                usersMoved++;
+                continue;
+            }
+            try {
+                const moved = [await migrateLegacy(user, "aadhaarCard"), await migrateLegacy(user, "panCard")];
+                if (moved.some(Boolean)) {
+                    await user.save({ validateBeforeSave: false });
+                    usersMoved++;
+                }
+            } catch (err) {
+                console.error(`❌ ${user.email}: ${err.message}`);
+            }
+        }
+        console.log(`Users with embedded Aadhaar / PAN: ${usersMoved}`);
+
+        // ─── 2 & 3. Inline Buffers on file records ───
+        const collections = [
+            { Model: OnboardingDocument, label: "Onboarding document versions", folder: (r) => `onboarding/${r.user}` },
+            { Model: CustomFieldFile, label: "Custom field files", folder: (r) => `custom-fields/${r.user}` },
+        ];
+
+        for (const { Model, label, folder } of collections) {
+            const inline = { data: { $exists: true }, "storage.key": { $exists: false } };
+
+            if (DRY_RUN) {
+                console.log(`${label} with inline data: ${await Model.countDocuments(inline)}`);
+                continue;
+            }
+
+            let moved = 0;
+            let failed = 0;
+            // One record at a time — each holds a whole file in memory
+            for await (const record of Model.find(inline).lean().cursor()) {
+                try {
+                    await moveInline(Model, record, folder(record));
+                    moved++;
+                } catch (err) {
+                    failed++;
+                    console.error(`❌ ${label} ${record._id}: ${err.message}`);
+                }
+            }
+            console.log(`${label}: moved ${moved}${failed ? `, ${failed} failed` : ""}`);
+        }
+
+        console.log("\n✅ Document storage migration complete!");
+    } catch (error) {
+        console.error("❌ Migration error:", error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+migrateDocumentStorage();
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { PERMISSION_KEYS } = require("../utils/permissions");
+
+// Personal access token for scripts and integrations.
+// Acts as its owner, limited to the intersection of its scopes and the owner's role permissions.
+const apiTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        name: {
+            type: String,
+            required: [true, "Token name is required"],
+            trim: true,
+        },
+
+        // SHA-256 of the raw token — the raw value is shown once at creation
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+
+        // First characters of the raw token, so users can tell tokens apart
+        tokenPrefix: { type: String, required: true },
+
+        scopes: [{
+            type: String,
+            enum: PERMISSION_KEYS,
+        }],
+
+        expiresAt: { type: Date, required: true },
+
+        // ─── Usage ───
+        lastUsedAt: { type: Date },
+        lastUsedIp: { type: String, default: "" },
+
+        // ─── Revocation ───
+        revokedAt: { type: Date },
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+module.exports = ApiToken;
@@ -17,13 +17,19 @@ const attendanceSchema = new mongoose.Schema(
         clockIn: { type: Date },
         clockOut: { type: Date },
 
-        // Status: clocked-in, clocked-out, away, absent
+        // Status: clocked-in, clocked-out, away, absent, on-leave (approved leave day)
         status: {
             type: String,
-            enum: ["clocked-in", "clocked-out", "away", "absent"],
+            enum: ["clocked-in", "clocked-out", "away", "absent", "on-leave"],
             default: "absent",
         },
 
+        // Approved leave this day belongs to (status "on-leave")
+        leaveRequest: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "LeaveRequest",
+        },
+
         // Total ACTIVE working time in seconds (sum of all sessions)
         activeSeconds: { type: Number, default: 0 },
 
@@ -5,7 +5,63 @@ const auditLogSchema = new mongoose.Schema(
         action: {
             type: String,
             required: true,
-            enum: ["CREATE_EMPLOYEE", "DELETE_EMPLOYEE", "ATTENDANCE_OVERRIDE", "UPDATE_EMPLOYEE"],
+            enum: [
+                "CREATE_EMPLOYEE",
+                "DELETE_EMPLOYEE",
+                "ATTENDANCE_OVERRIDE",
+                "UPDATE_EMPLOYEE",
+                "ENABLE_2FA",
+                "DISABLE_2FA",
+                "UPDATE_SECURITY_POLICY",
+                "ACCOUNT_LOCKED",
+                "ACCOUNT_UNLOCKED",
+                "REVOKE_SESSIONS",
+                "INVITE_RESENT",
+                "INVITE_REVOKED",
+                "CREATE_ROLE",
+                "UPDATE_ROLE",
+                "DELETE_ROLE",
+                "CREATE_API_TOKEN",
+                "REVOKE_API_TOKEN",
+                "SSO_PROVISION",
+                "BULK_IMPORT_EMPLOYEES",
+                "EXPORT_EMPLOYEES",
+                "CREATE_DEPARTMENT",
+                "UPDATE_DEPARTMENT",
+                "MERGE_DEPARTMENT",
+                "DELETE_DEPARTMENT",
+                "OFFBOARD_EMPLOYEE",
+                "OFFBOARDING_COMPLETED",
+                "OFFBOARDING_CANCELLED",
+                "PURGE_EMPLOYEE",
+                "SELF_UPDATE_PROFILE",
+                "PROFILE_CHANGE_APPROVED",
+                "PROFILE_CHANGE_REJECTED",
+                "CREATE_CUSTOM_FIELD",
+                "UPDATE_CUSTOM_FIELD",
+                "DELETE_CUSTOM_FIELD",
+                "UPLOAD_DOCUMENT",
+                "REQUEST_DOCUMENT_REUPLOAD",
+                "ONBOARDING_VERIFIED",
+                "ONBOARDING_CHANGES_REQUESTED",
+                "ONBOARDING_RESUBMITTED",
+                "CREATE_ONBOARDING_FLOW",
+                "UPDATE_ONBOARDING_FLOW",
+                "DELETE_ONBOARDING_FLOW",
+                "PUBLISH_POLICY",
+                "ROTATE_ENCRYPTION_KEYS",
+                "LEAVE_APPROVED",
+                "LEAVE_REJECTED",
+                "LEAVE_CANCELLED",
+                "LEAVE_BALANCE_ADJUSTED",
+                "CREATE_HOLIDAY",
+                "UPDATE_HOLIDAY",
+                "DELETE_HOLIDAY",
+                "IMPORT_HOLIDAYS",
+                "UPDATE_WEEKLY_OFFS",
+                "REGULARIZATION_APPROVED",
+                "REGULARIZATION_REJECTED",
+            ],
         },
         performedBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const CUSTOM_FIELD_TYPES = ["text", "number", "date", "select", "file"];
+
+// HR-defined extra profile fields (emergency contact, blood group, asset tag...).
+// Values live on User.customFields keyed by `key`; file values point to CustomFieldFile.
+const customFieldSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, "Field key is required"],
+            unique: true,
+            trim: true,
+            match: [/^[a-z][a-zA-Z0-9]{1,39}$/, "Field key must be camelCase letters and digits"],
+        },
+
+        label: {
+            type: String,
+            required: [true, "Field label is required"],
+            trim: true,
+        },
+
+        type: {
+            type: String,
+            enum: CUSTOM_FIELD_TYPES,
+            required: true,
+        },
+
+        // Allowed values for "select" fields
+        options: [{ type: String, trim: true }],
+
+        required: { type: Boolean, default: false },
+
+        // Only collected for these departments (empty = everyone)
+        departments: [{ type: String, trim: true }],
+
+        // Roles that may see this field on other employees' profiles (empty = anyone who can view the profile)
+        visibleToRoles: [{ type: String, lowercase: true, trim: true }],
+
+        // Whether employees see / edit the value on their own profile
+        visibleToSelf: { type: Boolean, default: true },
+        editableBySelf: { type: Boolean, default: false },
+
+        order: { type: Number, default: 0 },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const CustomField = mongoose.model("CustomField", customFieldSchema);
+
+module.exports = CustomField;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Uploaded value of a "file" custom field — kept out of the User document
+// so directory queries stay light. The encrypted file lives in file storage
+// like onboarding documents.
+const customFieldFileSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        fieldKey: { type: String, required: true },
+        storage: {
+            driver: { type: String },
+            key: { type: String },
+            keyId: { type: String }, // Encryption key the file was written with
+        },
+        data: { type: Buffer }, // Legacy: encrypted file stored inline (moved out by migrateDocumentStorage.js)
+        contentType: { type: String },
+        fileName: { type: String },
+        size: { type: Number },
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+customFieldFileSchema.index({ user: 1, fieldKey: 1 }, { unique: true });
+
+const CustomFieldFile = mongoose.model("CustomFieldFile", customFieldFileSchema);
+
+module.exports = CustomFieldFile;
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Departments are managed by admins via /api/departments.
+// Users reference a department by name (User.department); renames and merges
+// rewrite those names so existing queries keep working.
+const departmentSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Department name is required"],
+            unique: true,
+            trim: true,
+            maxlength: [60, "Department name must be at most 60 characters"],
+        },
+
+        description: { type: String, default: "" },
+
+        // Department head — sees the department's employees on the management dashboard
+        head: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        // Optional parent (e.g. "Frontend" under "Engineering")
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Department",
+            default: null,
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+departmentSchema.index({ head: 1 });
+departmentSchema.index({ parent: 1 });
+
+const Department = mongoose.model("Department", departmentSchema);
+
+module.exports = Department;
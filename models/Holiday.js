@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// A company holiday on one IST calendar day (00:00 IST, like Attendance.date).
+// Scoped by location and/or department — empty lists mean it applies to everyone.
+// Nobody is marked absent on a holiday that applies to them (see services/holidayService.js).
+const holidaySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Holiday name is required"],
+            trim: true,
+            maxlength: [100, "Holiday name must be at most 100 characters"],
+        },
+
+        date: { type: Date, required: true },
+
+        locations: [{ type: String, trim: true }],   // Matches User.location
+        departments: [{ type: String, trim: true }], // Matches User.department
+
+        source: {
+            type: String,
+            enum: ["manual", "ical", "csv"],
+            default: "manual",
+        },
+        externalId: { type: String, default: null }, // iCal UID — re-imports update instead of duplicating
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ externalId: 1, date: 1 }, { sparse: true });
+
+const Holiday = mongoose.model("Holiday", holidaySchema);
+
+module.exports = Holiday;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { LEAVE_TYPES } = require("../utils/constants");
+
+// One employee's balance of one leave type for one calendar year.
+// available = opening + accrued + adjustment - used - pending
+// opening is carried forward from the previous year; accrued follows the leave policy
+// (services/leaveService.js) and is recalculated as the year goes on.
+const leaveBalanceSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        year: { type: Number, required: true },
+        type: {
+            type: String,
+            enum: Object.values(LEAVE_TYPES),
+            required: true,
+        },
+
+        opening: { type: Number, default: 0 },    // Carried forward
+        accrued: { type: Number, default: 0 },    // Earned so far this year
+        adjustment: { type: Number, default: 0 }, // HR grants / corrections (comp-off is granted here)
+        used: { type: Number, default: 0 },       // Approved leave
+        pending: { type: Number, default: 0 },    // Applied, waiting for approval
+
+        // History of manual adjustments
+        adjustments: [{
+            _id: false,
+            days: { type: Number, required: true },
+            reason: { type: String, default: "" },
+            adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            adjustedAt: { type: Date, default: Date.now },
+        }],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+leaveBalanceSchema.index({ user: 1, year: 1, type: 1 }, { unique: true });
+
+const LeaveBalance = mongoose.model("LeaveBalance", leaveBalanceSchema);
+
+module.exports = LeaveBalance;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { LEAVE_TYPES, LEAVE_STATUS } = require("../utils/constants");
+
+// An employee's application for leave. Dates are IST calendar days (00:00 IST, like
+// Attendance.date); a request never spans two calendar years so it debits one balance.
+// Routed to the employee's reporting manager, or to HR when they have none.
+const leaveRequestSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        type: {
+            type: String,
+            enum: Object.values(LEAVE_TYPES),
+            required: [true, "Leave type is required"],
+        },
+
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+        days: { type: Number, required: true }, // Leave days debited from the balance
+
+        reason: { type: String, trim: true, default: "" },
+
+        status: {
+            type: String,
+            enum: Object.values(LEAVE_STATUS),
+            default: LEAVE_STATUS.PENDING,
+        },
+
+        // Reporting manager at the time of applying — null means the HR queue
+        approver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: { type: Date },
+        reviewNote: { type: String, default: "" },
+
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        cancelledAt: { type: Date },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+leaveRequestSchema.index({ user: 1, startDate: -1 });
+leaveRequestSchema.index({ approver: 1, status: 1, createdAt: 1 }); // Manager approval queue
+leaveRequestSchema.index({ status: 1, startDate: 1, endDate: 1 }); // Daily cron: who is on leave
+
+const LeaveRequest = mongoose.model("LeaveRequest", leaveRequestSchema);
+
+module.exports = LeaveRequest;
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One uploaded version of an onboarding document (Aadhaar, PAN, flow-defined types).
+// Every upload is kept so HR can see what was submitted when; the User document
+// only holds metadata for the latest version. The encrypted file itself lives in
+// file storage (see services/fileStorageService.js).
+const onboardingDocumentSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        docType: { type: String, required: true },
+        version: { type: Number, required: true },
+        storage: {
+            driver: { type: String },
+            key: { type: String },
+            keyId: { type: String }, // Encryption key the file was written with
+        },
+        data: { type: Buffer }, // Legacy: encrypted file stored inline (moved out by migrateDocumentStorage.js)
+        contentType: { type: String },
+        fileName: { type: String },
+        size: { type: Number },
+        checksum: { type: String }, // SHA-256 of the original (unencrypted) file
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+onboardingDocumentSchema.index({ user: 1, docType: 1, version: -1 }, { unique: true });
+
+const OnboardingDocument = mongoose.model("OnboardingDocument", onboardingDocumentSchema);
+
+module.exports = OnboardingDocument;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+const ONBOARDING_FIELD_TYPES = ["text", "number", "date", "select"];
+
+// Form field collected in a step. bankName / accountNumber / ifscCode map onto
+// User.onboarding directly (accountNumber is always encrypted); any other key is
+// stored in User.onboarding.fields.
+const fieldSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^[a-z][a-zA-Z0-9]{1,39}$/, "Field key must be camelCase letters and digits"],
+        },
+        label: { type: String, required: true, trim: true },
+        type: { type: String, enum: ONBOARDING_FIELD_TYPES, default: "text" },
+        required: { type: Boolean, default: true },
+        options: [{ type: String, trim: true }], // "select" fields
+        pattern: { type: String }, // Optional regex the value must match (e.g. IFSC format)
+        sensitive: { type: Boolean, default: false }, // Stored encrypted
+    },
+    { _id: false }
+);
+
+// Document the employee uploads in a step (versions live in OnboardingDocument)
+const documentSchema = new mongoose.Schema(
+    {
+        docType: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^[a-z][a-zA-Z0-9]{1,39}$/, "Document type must be camelCase letters and digits"],
+        },
+        label: { type: String, required: true, trim: true },
+        required: { type: Boolean, default: true },
+    },
+    { _id: false }
+);
+
+const stepSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^[a-z][a-zA-Z0-9]{1,39}$/, "Step key must be camelCase letters and digits"],
+        },
+        title: { type: String, required: true, trim: true },
+        description: { type: String, default: "" },
+        fields: [fieldSchema],
+        documents: [documentSchema],
+        policies: [{ type: String, trim: true }], // Policy keys the employee must acknowledge
+        requireSignature: { type: Boolean, default: false }, // Full name typed as signature
+    },
+    { _id: false }
+);
+
+// Ordered onboarding steps for new employees, managed by admins via /api/onboarding/flows.
+// The most specific flow matching a user's role and department applies; a flow with
+// no roles and no departments is the catch-all.
+const onboardingFlowSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Flow name is required"],
+            unique: true,
+            trim: true,
+        },
+
+        description: { type: String, default: "" },
+
+        // Applies to these roles / departments (empty = any)
+        roles: [{ type: String, lowercase: true, trim: true }],
+        departments: [{ type: String, trim: true }],
+
+        steps: [stepSchema],
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const OnboardingFlow = mongoose.model("OnboardingFlow", onboardingFlowSchema);
+
+module.exports = OnboardingFlow;
+module.exports.ONBOARDING_FIELD_TYPES = ONBOARDING_FIELD_TYPES;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Policy text employees acknowledge during onboarding (code of conduct, declaration...).
+// Text is never edited in place — publishing creates a new version, and acknowledgements
+// on User.onboarding.acknowledgements record which version was accepted.
+const policySchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, "Policy key is required"],
+            unique: true,
+            trim: true,
+            match: [/^[a-z][a-z0-9-]{1,59}$/, "Policy key must be lowercase letters, digits and dashes"],
+        },
+
+        title: {
+            type: String,
+            required: [true, "Policy title is required"],
+            trim: true,
+        },
+
+        versions: [{
+            _id: false,
+            version: { type: Number, required: true },
+            text: { type: String, required: true },
+            publishedAt: { type: Date, default: Date.now },
+            publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        }],
+
+        currentVersion: { type: Number, default: 1 },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const Policy = mongoose.model("Policy", policySchema);
+
+module.exports = Policy;
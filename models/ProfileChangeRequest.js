@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Employee-requested changes to sensitive profile fields (bank details).
+// Applied to the User only once HR approves.
+const profileChangeRequestSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // Only the requested fields are set; accountNumber is stored encrypted
+        changes: {
+            bankName: { type: String },
+            accountNumber: { type: String },
+            ifscCode: { type: String },
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected", "cancelled"],
+            default: "pending",
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: { type: Date },
+        reviewNote: { type: String, default: "" },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+profileChangeRequestSchema.index({ status: 1, createdAt: 1 });
+profileChangeRequestSchema.index({ user: 1, createdAt: -1 });
+
+const ProfileChangeRequest = mongoose.model("ProfileChangeRequest", profileChangeRequestSchema);
+
+module.exports = ProfileChangeRequest;
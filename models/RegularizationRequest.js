@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { REGULARIZATION_STATUS } = require("../utils/constants");
+
+const timeRangeSchema = new mongoose.Schema(
+    {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        duration: { type: Number, default: 0 }, // seconds
+    },
+    { _id: false }
+);
+
+// An employee's request to correct one day's attendance (forgot to clock out, clocked in
+// late because of a network issue, ...). date is the IST calendar day (00:00 IST, like
+// Attendance.date). Once approved, the day's sessions, activeSeconds and clockIn / clockOut
+// are rewritten with the proposed work sessions; `before` keeps what they replaced.
+const regularizationRequestSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        date: { type: Date, required: true },
+
+        // Proposed work sessions, in order — the gaps between them become breaks
+        sessions: {
+            type: [timeRangeSchema],
+            validate: [(v) => v.length > 0, "At least one work session is required"],
+        },
+
+        reason: {
+            type: String,
+            trim: true,
+            required: [true, "A reason is required"],
+        },
+
+        status: {
+            type: String,
+            enum: Object.values(REGULARIZATION_STATUS),
+            default: REGULARIZATION_STATUS.PENDING,
+        },
+
+        // Reporting manager at the time of the request — null means the HR queue
+        approver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: { type: Date },
+        reviewNote: { type: String, default: "" },
+
+        // The attendance record as it was just before approval (null = there was none),
+        // plus any same-day duplicates the approval deleted under before.duplicates
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+regularizationRequestSchema.index({ user: 1, date: -1 });
+regularizationRequestSchema.index({ approver: 1, status: 1, createdAt: 1 }); // Manager approval queue
+
+const RegularizationRequest = mongoose.model("RegularizationRequest", regularizationRequestSchema);
+
+module.exports = RegularizationRequest;
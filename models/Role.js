@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { PERMISSION_KEYS } = require("../utils/permissions");
+
+// A role is a named set of permissions. Built-in roles (admin, hr, manager,
+// employee) only get a document once an admin edits them; until then the
+// defaults in utils/permissions.js apply.
+const roleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Role name is required"],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^[a-z][a-z0-9-]{1,30}$/, "Role name must be a lowercase slug (letters, digits, hyphens)"],
+        },
+
+        label: { type: String, trim: true, default: "" },
+        description: { type: String, default: "" },
+
+        permissions: [{
+            type: String,
+            enum: PERMISSION_KEYS,
+        }],
+
+        // Roles that users with this role may create / invite (replaces CREATION_PERMISSIONS)
+        assignableRoles: [{ type: String, lowercase: true, trim: true }],
+
+        isSystem: { type: Boolean, default: false },
+
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+module.exports = Role;
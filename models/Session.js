@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// One document per login (device). Refresh tokens rotate within a session;
+// replaying an already-rotated refresh token revokes the whole session.
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // SHA-256 of the current refresh token — never the raw token
+        refreshTokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        // ─── Device info (captured at login) ───
+        device: { type: String, default: "Unknown device" }, // e.g. "Chrome on Windows"
+        userAgent: { type: String, default: "" },
+        ipAddress: { type: String, default: "" },
+
+        // ─── Activity ───
+        lastSeenAt: { type: Date, default: Date.now },
+        lastSeenIp: { type: String, default: "" },
+
+        // Matches the refresh token expiry; MongoDB purges the document afterwards
+        expiresAt: { type: Date, required: true },
+
+        // ─── Revocation ───
+        revokedAt: { type: Date },
+        revokedReason: {
+            type: String,
+            enum: ["logout", "user", "admin", "password-change", "token-reuse", "deactivated"],
+        },
+    },
+    {
+        timestamps: true, // createdAt = login time
+    }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
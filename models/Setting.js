@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Admin-configurable, system-wide settings (one document per key)
+const settingSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        value: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+module.exports = Setting;
@@ -1,6 +1,18 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
-const { ROLES, USER_STATUS, DEPARTMENTS } = require("../utils/constants");
+const { ROLES, USER_STATUS, ONBOARDING_REVIEW_STATUS, DEPARTMENTS } = require("../utils/constants");
+
+// ─── Onboarding document (latest version metadata) ───
+const documentRefSchema = {
+    data: Buffer, // Legacy embedded file — moved to file storage by migrateDocumentStorage.js
+    contentType: String,
+    fileName: String,
+    size: Number,
+    checksum: String, // SHA-256 of the original file
+    version: Number,
+    uploadedAt: Date,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+};
 
 const userSchema = new mongoose.Schema(
     {
@@ -19,16 +31,18 @@ const userSchema = new mongoose.Schema(
             match: [/^\S+@\S+\.\S+$/, "Please enter a valid email"],
         },
 
+        // Not set until the employee accepts their invitation
         password: {
             type: String,
-            required: [true, "Password is required"],
             minlength: [8, "Password must be at least 8 characters"],
             select: false, // Never return password in queries by default
         },
 
+        // Built-in (ROLES) or custom role name — see models/Role.js
         role: {
             type: String,
-            enum: Object.values(ROLES),
+            lowercase: true,
+            trim: true,
             default: ROLES.EMPLOYEE,
         },
 
@@ -38,6 +52,16 @@ const userSchema = new mongoose.Schema(
             default: "",
         },
 
+        // Office / work location (e.g. "Mumbai") — scopes holidays and weekly offs
+        location: { type: String, trim: true, default: "" },
+
+        // Reporting manager — forms the org hierarchy (see services/orgService.js)
+        reportsTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
         status: {
             type: String,
             enum: Object.values(USER_STATUS),
@@ -50,34 +74,142 @@ const userSchema = new mongoose.Schema(
         startDate: { type: Date, default: Date.now },
 
         // ─── Onboarding Data (PRD Section 5.1) ───
+        // Steps come from the OnboardingFlow matching the user's role/department
         onboarding: {
-            // Step 1: Financials & Identity
+            flow: { type: mongoose.Schema.Types.ObjectId, ref: "OnboardingFlow" }, // Fixed on first step submission
+            stepsCompleted: [{
+                _id: false,
+                key: { type: String, required: true },
+                completedAt: { type: Date, default: Date.now },
+            }],
+
+            // Financials (built-in field keys)
             bankName: { type: String, default: "" },
             accountNumber: { type: String, default: "" }, // Will be encrypted
             ifscCode: { type: String, default: "" },
-            aadhaarCard: {
-                data: Buffer,
-                contentType: String,
-                fileName: String,
-            },
-            panCard: {
-                data: Buffer,
-                contentType: String,
-                fileName: String,
-            },
+            // Latest version only — every upload is kept in OnboardingDocument.
+            // `data` is set only on legacy records uploaded before versioning.
+            aadhaarCard: documentRefSchema,
+            panCard: documentRefSchema,
+            documents: { type: Map, of: new mongoose.Schema(documentRefSchema, { _id: false }), default: {} }, // Flow-defined document types
+
+            // Other flow-defined form fields — key → value (sensitive values encrypted)
+            fields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} },
+
+            // Policies accepted, with the version that was shown
+            acknowledgements: [{
+                _id: false,
+                policyKey: { type: String, required: true },
+                version: { type: Number, required: true },
+                acceptedAt: { type: Date, default: Date.now },
+            }],
+
+            // HR asked the employee to upload a document again
+            documentRequests: [{
+                docType: { type: String, required: true },
+                reason: { type: String, default: "" },
+                requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+                requestedAt: { type: Date, default: Date.now },
+                resolvedAt: { type: Date }, // Set when the new version is uploaded
+            }],
 
-            // Step 2: Digital Declaration
+            // Digital Declaration (steps with requireSignature)
             declarationAccepted: { type: Boolean, default: false },
             digitalSignature: { type: String, default: "" }, // Full name typed as signature
             declarationDate: { type: Date },
 
+            // HR verification — each item (bank details, each document) is approved or rejected
+            review: {
+                status: { type: String, enum: [...Object.values(ONBOARDING_REVIEW_STATUS), null], default: null },
+                submittedAt: { type: Date },
+                verifiedAt: { type: Date },
+                verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+                items: [{
+                    _id: false,
+                    key: { type: String, required: true }, // Step key (form fields) or document type
+                    kind: { type: String, enum: ["fields", "document"] },
+                    label: { type: String },
+                    status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+                    version: { type: Number }, // Document version that was reviewed
+                    comment: { type: String, default: "" },
+                    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+                    reviewedAt: { type: Date },
+                }],
+            },
+
             // Tracking
-            completedAt: { type: Date },
+            completedAt: { type: Date }, // Set when HR verifies the submission
+        },
+
+        // ─── HR-defined custom fields (see models/CustomField.js) ───
+        // key → value (string | number | Date); file fields hold { fileId, fileName, contentType, size }
+        customFields: {
+            type: Map,
+            of: mongoose.Schema.Types.Mixed,
+            default: {},
         },
 
         // ─── Auth tracking ───
         lastLogin: { type: Date },
-        refreshToken: { type: String, select: false },
+
+        // ─── Password management ───
+        mustChangePassword: { type: Boolean, default: false }, // Set for HR-issued initial passwords
+        passwordChangedAt: { type: Date }, // Access tokens issued before this are rejected
+        passwordResetToken: { type: String, select: false }, // SHA-256 hash, never the raw token
+        passwordResetExpires: { type: Date, select: false },
+
+        // ─── Brute-force protection ───
+        failedLoginAttempts: { type: Number, default: 0 }, // Consecutive failures since last success
+        lockUntil: { type: Date }, // Login refused until this time
+        lockoutCount: { type: Number, default: 0 }, // Consecutive lockouts — drives progressive duration
+
+        // ─── Invitation (HR invites; employee sets own password) ───
+        invitation: {
+            tokenId: { type: String, select: false }, // jti of the only valid invite link
+            sentAt: { type: Date },
+            sentCount: { type: Number, default: 0 },
+            expiresAt: { type: Date },
+            acceptedAt: { type: Date },
+            revokedAt: { type: Date },
+            invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        },
+
+        // ─── Offboarding (see services/offboardingService.js) ───
+        offboarding: {
+            lastWorkingDay: { type: Date }, // IST midnight; account is deactivated once this day has passed
+            reason: { type: String, default: "" },
+            reassignTasksTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null = unassign
+            initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            initiatedAt: { type: Date },
+            completedAt: { type: Date },
+            tasksReassigned: { type: Number, default: 0 },
+            checklist: [{
+                _id: false,
+                key: { type: String, required: true },
+                label: { type: String, required: true },
+                done: { type: Boolean, default: false },
+                doneAt: { type: Date },
+                doneBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            }],
+        },
+
+        // ─── Single sign-on (OIDC) ───
+        sso: {
+            subject: { type: String }, // IdP "sub" — bound on first SSO login
+            issuer: { type: String },
+            provisionedAt: { type: Date }, // Set when the account was created just-in-time
+            lastLoginAt: { type: Date },
+        },
+
+        // ─── Two-factor authentication (TOTP) ───
+        twoFactor: {
+            enabled: { type: Boolean, default: false },
+            secret: { type: String, select: false }, // Encrypted base32 secret
+            pendingSecret: { type: String, select: false }, // Encrypted, awaiting first verification
+            recoveryCodes: { type: [String], select: false }, // SHA-256 hashes, removed once used
+            lastUsedStep: { type: Number, select: false }, // Blocks replay of the same code
+            enabledAt: { type: Date },
+        },
 
         // ─── Added by whom ───
         createdBy: {
@@ -101,21 +233,49 @@ userSchema.pre("save", async function () {
 
 // ─── Compare password method ───
 userSchema.methods.comparePassword = async function (candidatePassword) {
+    if (!this.password) return false; // Invited user who hasn't set a password yet
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// ─── Has an invitation been sent but not yet accepted? ───
+userSchema.methods.hasPendingInvitation = function () {
+    return !!(this.invitation?.sentAt && !this.invitation.acceptedAt);
+};
+
+// ─── Is an offboarding scheduled but not yet completed? ───
+userSchema.methods.isBeingOffboarded = function () {
+    return !!(this.offboarding?.initiatedAt && !this.offboarding.completedAt);
+};
+
+// ─── Is the account currently locked out? ───
+userSchema.methods.isLocked = function () {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
 // ─── Remove sensitive fields when converting to JSON ───
 userSchema.methods.toJSON = function () {
-    const user = this.toObject();
+    const user = this.toObject({ flattenMaps: true });
     delete user.password;
-    delete user.refreshToken;
+    delete user.refreshToken; // Legacy field — sessions now live in the Session collection
+    delete user.passwordResetToken;
+    delete user.passwordResetExpires;
+    if (user.invitation) delete user.invitation.tokenId;
+    if (user.twoFactor) {
+        delete user.twoFactor.secret;
+        delete user.twoFactor.pendingSecret;
+        delete user.twoFactor.recoveryCodes;
+        delete user.twoFactor.lastUsedStep;
+    }
     delete user.__v;
     return user;
 };
 
 userSchema.index({ status: 1 });
 userSchema.index({ department: 1, status: 1 });
-userSchema.index({ "fullName": "text", "email": "text" }); // Add text search index for Admin directory lookups
+userSchema.index({ reportsTo: 1 });
+userSchema.index({ "offboarding.lastWorkingDay": 1, "offboarding.completedAt": 1 });
+userSchema.index({ fullName: 1 }); // Directory sort by name
+userSchema.index({ "onboarding.review.status": 1, "onboarding.review.submittedAt": 1 }); // HR review queue
 
 const User = mongoose.model("User", userSchema);
 
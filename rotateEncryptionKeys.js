@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const connectDB = require("./config/db");
+const { currentKeyId } = require("./utils/encryptData");
+const { getKeyReport, rotateKeys } = require("./services/keyRotationService");
+
+// Re-encrypts bank details, 2FA secrets, sensitive onboarding fields and stored documents with
+// the current key (ENCRYPTION_KEY_ID), then prints which records are still on old keys.
+// Same job as POST /api/auth/encryption/rotate, for running outside the web server.
+//
+// Usage: node rotateEncryptionKeys.js [--report] [--batch-size=100]
+//   --report   only print the per-key report, change nothing
+
+const REPORT_ONLY = process.argv.includes("--report");
+const batchArg = process.argv.find((arg) => arg.startsWith("--batch-size="));
+const BATCH_SIZE = (batchArg && Number(batchArg.split("=")[1])) || undefined;
+
+const printReport = (report) => {
+    console.log(`\nCurrent key: ${report.currentKeyId} (configured: ${report.configuredKeys.join(", ")})`);
+    console.table(report.records);
+    console.log(report.outdated === 0 ? "✅ Everything is on the current key." : `⚠️  ${report.outdated} record(s) still on old keys.`);
+};
+
+async function rotateEncryptionKeys() {
+    try {
+        await connectDB();
+
+        if (!REPORT_ONLY) {
+            console.log(`Re-encrypting stored data with key "${currentKeyId}"...`);
+            const summary = await rotateKeys({
+                batchSize: BATCH_SIZE,
+                onProgress: (progress) => console.log(JSON.stringify(progress)),
+            });
+            console.log("Re-encryption finished:", summary);
+        }
+
+        printReport(await getKeyReport({ batchSize: BATCH_SIZE }));
+    } catch (error) {
+        console.error("❌ Key rotation error:", error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+rotateEncryptionKeys();
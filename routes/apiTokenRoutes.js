@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const { getTokens, createToken, revokeToken } = require("../controllers/apiTokenController");
+const { createTokenValidator } = require("../validators/apiTokenValidator");
+const validate = require("../middleware/validate");
+const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+
+// ─── Protect All Routes ───
+router.use(protect);
+
+router.get("/", getTokens);                                                   // Own tokens (all=true: apiTokens.manageAll)
+router.post("/", requirePermission("apiTokens.create"), createTokenValidator, validate, createToken);
+router.delete("/:id", revokeToken);                                           // Owner or apiTokens.manageAll
+
+module.exports = router;
@@ -14,27 +14,42 @@ const {
     adminOverride,
     syncGoogleSheet
 } = require("../controllers/attendanceController");
+const {
+    submitRegularization,
+    getMyRegularizations,
+    getRegularizationApprovals,
+    approveRegularization,
+    rejectRegularization,
+    cancelRegularization,
+} = require("../controllers/regularizationController");
+const {
+    regularizationValidator,
+    reviewRegularizationValidator,
+} = require("../validators/regularizationValidator");
+const validate = require("../middleware/validate");
 const protect = require("../middleware/auth");
-const roleAuth = require("../middleware/roleAuth");
+const requirePermission = require("../middleware/requirePermission");
+const requireReportingLine = require("../middleware/requireReportingLine");
 
 // All attendance routes require authentication
 router.use(protect);
 
 // ─── Admin / HR Routes ───
+// Managers without org.viewAll only reach employees in their reporting line
 // Get everyone's status (for Directory/Dashboard)
-router.get("/admin/status", roleAuth("admin", "hr", "manager"), getAllUsersStatus);
+router.get("/admin/status", requirePermission("attendance.viewAll"), getAllUsersStatus);
 
 // Get specific user history
-router.get("/admin/:userId/history", roleAuth("admin", "hr", "manager"), getUserAttendanceHistory);
+router.get("/admin/:userId/history", requirePermission("attendance.viewAll"), requireReportingLine("userId"), getUserAttendanceHistory);
 
 // Get single day record for a specific user
-router.get("/admin/:userId/day/:date", roleAuth("admin", "hr", "manager"), getAdminDayRecord);
+router.get("/admin/:userId/day/:date", requirePermission("attendance.viewAll"), requireReportingLine("userId"), getAdminDayRecord);
 
 // Override an attendance day
-router.post("/admin/:userId/override", roleAuth("admin", "hr", "manager"), adminOverride);
+router.post("/admin/:userId/override", requirePermission("attendance.override"), requireReportingLine("userId"), adminOverride);
 
 // Sync all attendance for a month to Google Sheets
-router.post("/admin/sync-google-sheet", roleAuth("admin", "hr", "manager"), syncGoogleSheet);
+router.post("/admin/sync-google-sheet", requirePermission("attendance.syncSheet"), syncGoogleSheet);
 
 // ─── Personal Routes ───
 // Today's status
@@ -52,4 +67,13 @@ router.post("/away", goAway);
 router.post("/resume", resume);
 router.post("/clock-out", clockOut);
 
+// ─── Regularization ───
+// Employees correct a past day; the reporting manager (or HR) approves
+router.get("/regularizations", getMyRegularizations);
+router.post("/regularizations", regularizationValidator, validate, submitRegularization);
+router.post("/regularizations/:id/cancel", cancelRegularization);
+router.get("/regularizations/approvals", requirePermission("attendance.regularize"), getRegularizationApprovals);
+router.post("/regularizations/:id/approve", requirePermission("attendance.regularize"), reviewRegularizationValidator, validate, approveRegularization);
+router.post("/regularizations/:id/reject", requirePermission("attendance.regularize"), reviewRegularizationValidator, validate, rejectRegularization);
+
 module.exports = router;
@@ -2,11 +2,11 @@ const express = require("express");
 const router = express.Router();
 const { getAuditLogs } = require("../controllers/auditController");
 const protect = require("../middleware/auth");
-const roleAuth = require("../middleware/roleAuth");
+const requirePermission = require("../middleware/requirePermission");
 
 // ─── Protect All Routes ───
 router.use(protect);
-router.use(roleAuth("admin")); // Only Admins can view logs
+router.use(requirePermission("audit.view")); // Admins by default
 
 router.get("/", getAuditLogs);
 
@@ -1,25 +1,98 @@
 const express = require("express");
 const router = express.Router();
-const { login, register, getMe } = require("../controllers/authController");
-const { loginValidator, registerValidator } = require("../validators/authValidator");
+const {
+    login,
+    loginTwoFactor,
+    oidcAuthorize,
+    oidcCallback,
+    refresh,
+    logout,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    setupTwoFactor,
+    verifyTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetUserTwoFactor,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
+    getEncryptionReport,
+    rotateEncryptionKeys,
+    acceptInvitation,
+    getInvitations,
+    resendInvitation,
+    revokeInvitation,
+    register,
+    getMe,
+} = require("../controllers/authController");
+const {
+    loginValidator,
+    refreshTokenValidator,
+    forgotPasswordValidator,
+    resetPasswordValidator,
+    changePasswordValidator,
+    acceptInvitationValidator,
+    twoFactorLoginValidator,
+    oidcCallbackValidator,
+    twoFactorCodeValidator,
+    twoFactorDisableValidator,
+    twoFactorPolicyValidator,
+    registerValidator,
+} = require("../validators/authValidator");
 const validate = require("../middleware/validate");
 const protect = require("../middleware/auth");
-const roleAuth = require("../middleware/roleAuth");
-const { ROLES } = require("../utils/constants");
+const requirePermission = require("../middleware/requirePermission");
+const { authLimiter } = require("../middleware/rateLimit");
 
 // ─── Public Routes ───
-router.post("/login", loginValidator, validate, login);
+router.post("/login", authLimiter, loginValidator, validate, login);
+router.post("/login/2fa", authLimiter, twoFactorLoginValidator, validate, loginTwoFactor);
+router.get("/oidc/authorize", authLimiter, oidcAuthorize);
+router.post("/oidc/callback", authLimiter, oidcCallbackValidator, validate, oidcCallback);
+router.post("/refresh", refreshTokenValidator, validate, refresh);
+router.post("/logout", refreshTokenValidator, validate, logout);
+router.post("/forgot-password", authLimiter, forgotPasswordValidator, validate, forgotPassword);
+router.post("/reset-password", resetPasswordValidator, validate, resetPassword);
+router.post("/invitations/accept", authLimiter, acceptInvitationValidator, validate, acceptInvitation);
 
 // ─── Protected Routes ───
 router.post(
     "/register",
     protect,
-    roleAuth(ROLES.ADMIN, ROLES.HR),
+    requirePermission("users.create"),
     registerValidator,
     validate,
     register
 );
 
+// ─── Invitations ───
+router.get("/invitations", protect, requirePermission("users.create"), getInvitations);
+router.post("/invitations/:userId/resend", protect, requirePermission("users.create"), resendInvitation);
+router.delete("/invitations/:userId", protect, requirePermission("users.create"), revokeInvitation);
+
 router.get("/me", protect, getMe);
+router.put("/password", protect, changePasswordValidator, validate, changePassword);
+
+// ─── Sessions / Devices ───
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete("/sessions/:sessionId", protect, revokeSession);
+
+// ─── Two-Factor Authentication ───
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/verify", protect, twoFactorCodeValidator, validate, verifyTwoFactor);
+router.post("/2fa/disable", protect, twoFactorDisableValidator, validate, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, twoFactorCodeValidator, validate, regenerateRecoveryCodes);
+router.get("/2fa/policy", protect, requirePermission("security.manage"), getTwoFactorPolicy);
+router.put("/2fa/policy", protect, requirePermission("security.manage"), twoFactorPolicyValidator, validate, updateTwoFactorPolicy);
+router.delete("/2fa/users/:userId", protect, requirePermission("security.manage"), resetUserTwoFactor);
+
+// ─── Encryption Key Rotation ───
+router.get("/encryption/report", protect, requirePermission("security.manage"), getEncryptionReport);
+router.post("/encryption/rotate", protect, requirePermission("security.manage"), rotateEncryptionKeys);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+    getCustomFields,
+    createCustomField,
+    updateCustomField,
+    deleteCustomField,
+} = require("../controllers/customFieldController");
+const { createCustomFieldValidator, updateCustomFieldValidator } = require("../validators/customFieldValidator");
+const validate = require("../middleware/validate");
+const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+
+// ─── Protect All Routes ───
+router.use(protect);
+
+router.get("/", getCustomFields);
+
+// ─── Management (HR & Admin) ───
+router.post("/", requirePermission("customFields.manage"), createCustomFieldValidator, validate, createCustomField);
+router.put("/:key", requirePermission("customFields.manage"), updateCustomFieldValidator, validate, updateCustomField);
+router.delete("/:key", requirePermission("customFields.manage"), deleteCustomField);
+
+module.exports = router;
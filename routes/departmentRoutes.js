@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const {
+    getDepartments,
+    createDepartment,
+    updateDepartment,
+    mergeDepartment,
+    deleteDepartment,
+} = require("../controllers/departmentController");
+const {
+    createDepartmentValidator,
+    updateDepartmentValidator,
+    mergeDepartmentValidator,
+} = require("../validators/departmentValidator");
+const validate = require("../middleware/validate");
+const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+
+// ─── Protect All Routes ───
+router.use(protect);
+
+// Everyone needs the list for profile forms and directory filters
+router.get("/", getDepartments);
+
+// ─── Management (Admin) ───
+router.post("/", requirePermission("departments.manage"), createDepartmentValidator, validate, createDepartment);
+router.put("/:id", requirePermission("departments.manage"), updateDepartmentValidator, validate, updateDepartment);
+router.post("/:id/merge", requirePermission("departments.manage"), mergeDepartmentValidator, validate, mergeDepartment);
+router.delete("/:id", requirePermission("departments.manage"), deleteDepartment);
+
+module.exports = router;
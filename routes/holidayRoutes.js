@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    importHolidays,
+    getWeeklyOffs,
+    setWeeklyOffs,
+} = require("../controllers/holidayController");
+const {
+    createHolidayValidator,
+    updateHolidayValidator,
+    weeklyOffsValidator,
+} = require("../validators/holidayValidator");
+const validate = require("../middleware/validate");
+const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const { calendarUpload } = require("../utils/fileUpload");
+
+// All holiday routes require authentication
+router.use(protect);
+
+// ─── Calendar (everyone) ───
+router.get("/", getHolidays);
+router.get("/weekly-offs", getWeeklyOffs);
+
+// ─── Calendar management (HR) ───
+router.post("/", requirePermission("attendance.manageCalendar"), createHolidayValidator, validate, createHoliday);
+router.post("/import", requirePermission("attendance.manageCalendar"), calendarUpload.single("file"), importHolidays);
+router.put("/weekly-offs", requirePermission("attendance.manageCalendar"), weeklyOffsValidator, validate, setWeeklyOffs);
+router.put("/:id", requirePermission("attendance.manageCalendar"), updateHolidayValidator, validate, updateHoliday);
+router.delete("/:id", requirePermission("attendance.manageCalendar"), deleteHoliday);
+
+module.exports = router;
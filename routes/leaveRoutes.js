@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const {
+    getLeaveTypes,
+    getMyBalances,
+    getUserBalances,
+    adjustBalance,
+    getMyRequests,
+    applyForLeave,
+    getApprovals,
+    approveRequest,
+    rejectRequest,
+    cancelRequest,
+} = require("../controllers/leaveController");
+const {
+    applyLeaveValidator,
+    reviewLeaveValidator,
+    adjustBalanceValidator,
+} = require("../validators/leaveValidator");
+const validate = require("../middleware/validate");
+const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const requireReportingLine = require("../middleware/requireReportingLine");
+
+// All leave routes require authentication
+router.use(protect);
+
+// ─── Personal Routes ───
+// Leave types and policy
+router.get("/types", getLeaveTypes);
+
+// Own balances
+router.get("/balances", getMyBalances);
+
+// Own requests / apply / withdraw (HR can cancel anyone's — checked in the service)
+router.get("/requests", getMyRequests);
+router.post("/requests", applyLeaveValidator, validate, applyForLeave);
+router.post("/requests/:id/cancel", reviewLeaveValidator, validate, cancelRequest);
+
+// ─── Manager / HR Routes ───
+// Managers without org.viewAll only reach employees in their reporting line
+router.get("/balances/:userId", requirePermission("leave.approve"), requireReportingLine("userId"), getUserBalances);
+router.post("/balances/:userId/adjust", requirePermission("leave.manageAll"), adjustBalanceValidator, validate, adjustBalance);
+
+// Approval queue — the service limits managers to requests routed to them
+router.get("/approvals", requirePermission("leave.approve"), getApprovals);
+router.post("/requests/:id/approve", requirePermission("leave.approve"), reviewLeaveValidator, validate, approveRequest);
+router.post("/requests/:id/reject", requirePermission("leave.approve"), reviewLeaveValidator, validate, rejectRequest);
+
+module.exports = router;
@@ -1,9 +1,37 @@
 const express = require("express");
 const router = express.Router();
-const { submitStep1, submitStep2, getOnboardingStatus } = require("../controllers/onboardingController");
-const { step1Validator, step2Validator } = require("../validators/onboardingValidator");
+const {
+    submitStep,
+    submitStep1,
+    submitStep2,
+    getOnboardingStatus,
+    getMyDocuments,
+    reuploadDocument,
+    resubmitOnboarding,
+    getReviewQueue,
+    getReviewPacket,
+    reviewOnboarding,
+} = require("../controllers/onboardingController");
+const {
+    getFlows,
+    createFlow,
+    updateFlow,
+    deleteFlow,
+    getPolicies,
+    createPolicy,
+    publishPolicyVersion,
+} = require("../controllers/onboardingConfigController");
+const {
+    createFlowValidator,
+    updateFlowValidator,
+    createPolicyValidator,
+    publishPolicyValidator,
+    reviewValidator,
+} = require("../validators/onboardingValidator");
 const validate = require("../middleware/validate");
 const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+const { uploadStepDocuments, uploadResubmitDocuments } = require("../middleware/onboardingUpload");
 const upload = require("../utils/fileUpload");
 
 // All onboarding routes require authentication
@@ -12,19 +40,43 @@ router.use(protect);
 // Get onboarding progress
 router.get("/status", getOnboardingStatus);
 
-// Step 1: Financials & Identity (with file uploads)
-// Note: validation is handled in the controller since multipart/form-data
-// fields aren't reliably read by express-validator's body()
+// Steps come from the user's onboarding flow (see /flows below).
+// Validation is handled in the service against the flow's field definitions, since
+// multipart/form-data fields aren't reliably read by express-validator's body()
+// and the fields differ per flow. Files are named by document type — only the step's own
+// documents are accepted, one file each.
+router.post("/steps/:stepKey", uploadStepDocuments(), submitStep);
+
+// Legacy endpoints: first and second step of the user's flow
+router.post("/step1", uploadStepDocuments(0), submitStep1);
+router.post("/step2", uploadStepDocuments(1), submitStep2);
+
+// Document history & re-upload (new version) when HR asks for it
+router.get("/documents", getMyDocuments);
+router.put("/documents/:docType", upload.single("file"), reuploadDocument);
+
+// Resubmit the items HR rejected (same fields / files as the steps they belong to)
+router.post("/resubmit", uploadResubmitDocuments, resubmitOnboarding);
+
+// ─── HR Verification ───
+router.get("/reviews", requirePermission("onboarding.verify"), getReviewQueue);
+router.get("/reviews/:userId", requirePermission("onboarding.verify"), getReviewPacket);
+router.post("/reviews/:userId", requirePermission("onboarding.verify"), reviewValidator, validate, reviewOnboarding);
+
+// ─── Flow & Policy Configuration (Admin) ───
+router.get("/flows", requirePermission("onboarding.configure"), getFlows);
+router.post("/flows", requirePermission("onboarding.configure"), createFlowValidator, validate, createFlow);
+router.put("/flows/:id", requirePermission("onboarding.configure"), updateFlowValidator, validate, updateFlow);
+router.delete("/flows/:id", requirePermission("onboarding.configure"), deleteFlow);
+
+router.get("/policies", requirePermission("onboarding.configure"), getPolicies);
+router.post("/policies", requirePermission("onboarding.configure"), createPolicyValidator, validate, createPolicy);
 router.post(
-    "/step1",
-    upload.fields([
-        { name: "aadhaarCard", maxCount: 1 },
-        { name: "panCard", maxCount: 1 },
-    ]),
-    submitStep1
+    "/policies/:key/versions",
+    requirePermission("onboarding.configure"),
+    publishPolicyValidator,
+    validate,
+    publishPolicyVersion
 );
 
-// Step 2: Digital Declaration
-router.post("/step2", step2Validator, validate, submitStep2);
-
 module.exports = router;
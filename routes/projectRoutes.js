@@ -10,19 +10,19 @@ const {
     deleteProject,
 } = require("../controllers/projectController");
 const protect = require("../middleware/auth");
-const roleAuth = require("../middleware/roleAuth");
+const requirePermission = require("../middleware/requirePermission");
 
 // ─── All routes require authentication ───
 router.use(protect);
 
 // ─── Project CRUD ───
-router.get("/", getAllProjects);                              // All users (filtered by role)
-router.post("/", roleAuth("admin", "manager", "employee"), createProject); // Admin, Manager, Employee
-router.put("/:id", roleAuth("admin"), updateProject);        // Admin only
-router.delete("/:id", deleteProject);                        // Admin or project creator
+router.get("/", getAllProjects);                              // All users (filtered by projects.viewAll)
+router.post("/", requirePermission("projects.create"), createProject); // Admin, Manager, Employee by default
+router.put("/:id", requirePermission("projects.update"), updateProject); // Admin by default
+router.delete("/:id", deleteProject);                        // projects.delete or project creator
 
 // ─── Member Management ───
-router.put("/:id/members", roleAuth("admin"), addMembers);         // Admin only
-router.delete("/:id/members", roleAuth("admin"), removeMember);    // Admin only
+router.put("/:id/members", requirePermission("projects.manageMembers"), addMembers);      // Admin by default
+router.delete("/:id/members", requirePermission("projects.manageMembers"), removeMember); // Admin by default
 
 module.exports = router;
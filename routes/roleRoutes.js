@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const {
+    getRoles,
+    getPermissionRegistry,
+    createRole,
+    updateRole,
+    deleteRole,
+} = require("../controllers/roleController");
+const { createRoleValidator, updateRoleValidator } = require("../validators/roleValidator");
+const validate = require("../middleware/validate");
+const protect = require("../middleware/auth");
+const requirePermission = require("../middleware/requirePermission");
+
+// ─── Protect All Routes ───
+router.use(protect);
+router.use(requirePermission("roles.manage"));
+
+router.get("/", getRoles);
+router.get("/permissions", getPermissionRegistry);
+router.post("/", createRoleValidator, validate, createRole);
+router.put("/:name", updateRoleValidator, validate, updateRole);
+router.delete("/:name", deleteRole);
+
+module.exports = router;
@@ -10,7 +10,7 @@ const {
     deleteTask,
 } = require("../controllers/taskController");
 const protect = require("../middleware/auth");
-const roleAuth = require("../middleware/roleAuth");
+const requirePermission = require("../middleware/requirePermission");
 
 // ─── All routes require authentication ───
 router.use(protect);
@@ -19,7 +19,7 @@ router.use(protect);
 router.get("/my-tasks", getMyTasks);                          // Any logged-in user
 
 // ─── Admin: Task Oversight (PRD 5.4) ───
-router.get("/user/:userId", roleAuth("admin"), getTasksByUser); // Admin only
+router.get("/user/:userId", requirePermission("tasks.viewByUser"), getTasksByUser); // Admin by default
 
 // ─── Task CRUD ───
 router.post("/", createTask);                                 // Any project member
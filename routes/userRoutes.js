@@ -2,27 +2,101 @@ const express = require("express");
 const router = express.Router();
 const {
     getAllEmployees,
+    getExportColumns,
+    exportEmployees,
     getEmployeeById,
     updateEmployeeProfile,
     deleteEmployee,
+    offboardEmployee,
+    getEmployeeOffboarding,
+    updateOffboardingChecklist,
+    cancelEmployeeOffboarding,
+    revokeEmployeeSessions,
+    unlockEmployee,
+    getEmployeeDocuments,
     getEmployeeDocument,
+    requestDocumentReupload,
+    getOrgChart,
+    getEmployeeReports,
+    importEmployees,
+    updateEmployeeCustomFields,
+    uploadEmployeeCustomFieldFile,
+    getEmployeeCustomFieldFile,
 } = require("../controllers/userController");
+const {
+    updateMyProfile,
+    updateMyCustomFields,
+    uploadMyCustomFieldFile,
+    submitChangeRequest,
+    getMyChangeRequests,
+    cancelMyChangeRequest,
+    getChangeRequests,
+    approveChangeRequest,
+    rejectChangeRequest,
+} = require("../controllers/profileController");
 const { getEmployeeWorklog } = require("../controllers/worklogController");
+const {
+    offboardValidator,
+    checklistItemValidator,
+    purgeValidator,
+} = require("../validators/offboardingValidator");
+const {
+    updateOwnProfileValidator,
+    changeRequestValidator,
+    reviewChangeRequestValidator,
+} = require("../validators/profileValidator");
+const { customFieldValuesValidator } = require("../validators/customFieldValidator");
+const { reuploadRequestValidator } = require("../validators/onboardingValidator");
+const validate = require("../middleware/validate");
 const protect = require("../middleware/auth");
-const roleAuth = require("../middleware/roleAuth");
+const requirePermission = require("../middleware/requirePermission");
+const requireReportingLine = require("../middleware/requireReportingLine");
+const upload = require("../utils/fileUpload");
+const { csvUpload } = upload;
 
 // ─── Protected Routes ───
 // All routes here require authentication
 router.use(protect);
 
+// ─── Self-Service Profile (any employee) ───
+router.put("/me", updateOwnProfileValidator, validate, updateMyProfile);
+router.put("/me/custom-fields", customFieldValuesValidator, validate, updateMyCustomFields);
+router.put("/me/custom-fields/:key/file", upload.single("file"), uploadMyCustomFieldFile);
+router.get("/me/change-requests", getMyChangeRequests);
+router.post("/me/change-requests", changeRequestValidator, validate, submitChangeRequest);
+router.delete("/me/change-requests/:requestId", cancelMyChangeRequest);
+
+// ─── Profile Change Approvals (HR & Admin) ───
+router.get("/change-requests", requirePermission("users.approveChanges"), getChangeRequests);
+router.post("/change-requests/:requestId/approve", requirePermission("users.approveChanges"), reviewChangeRequestValidator, validate, approveChangeRequest);
+router.post("/change-requests/:requestId/reject", requirePermission("users.approveChanges"), reviewChangeRequestValidator, validate, rejectChangeRequest);
+
 // ─── Directory (HR & Admin & Employee for assignments) ───
-router.get("/", roleAuth("admin", "hr", "employee"), getAllEmployees);
-router.get("/:id", roleAuth("admin", "hr"), getEmployeeById);
-router.get("/:id/worklog", roleAuth("admin", "hr"), getEmployeeWorklog);
-router.get("/:id/document/:docType", roleAuth("admin", "hr"), getEmployeeDocument);
+router.get("/", requirePermission("users.viewDirectory"), getAllEmployees);
+router.get("/export", requirePermission("users.export"), exportEmployees);
+router.get("/export/columns", requirePermission("users.export"), getExportColumns);
+router.get("/org-chart", requirePermission("org.viewChart"), getOrgChart); // Own subtree without org.viewAll
+router.get("/:id", requirePermission("users.view"), getEmployeeById);
+router.get("/:id/reports", requirePermission("org.viewChart"), requireReportingLine("id"), getEmployeeReports);
+router.get("/:id/worklog", requirePermission("users.viewWorklog"), requireReportingLine("id"), getEmployeeWorklog);
+router.get("/:id/documents", requirePermission("users.viewDocuments"), getEmployeeDocuments);
+router.get("/:id/document/:docType", requirePermission("users.viewDocuments"), getEmployeeDocument);
+router.get("/:id/custom-fields/:key/file", requirePermission("users.view"), getEmployeeCustomFieldFile);
 
 // ─── Management (HR & Admin) ───
-router.put("/:id", roleAuth("admin", "hr"), updateEmployeeProfile);
-router.delete("/:id", roleAuth("admin", "hr"), deleteEmployee);
+router.post("/import", requirePermission("users.create"), csvUpload.single("file"), importEmployees);
+router.put("/:id", requirePermission("users.update"), updateEmployeeProfile);
+router.put("/:id/custom-fields", requirePermission("users.update"), customFieldValuesValidator, validate, updateEmployeeCustomFields);
+router.put("/:id/custom-fields/:key/file", requirePermission("users.update"), upload.single("file"), uploadEmployeeCustomFieldFile);
+router.delete("/:id", requirePermission("users.delete"), purgeValidator, validate, deleteEmployee); // Purge (inactive users only)
+router.post("/:id/documents/:docType/request-reupload", requirePermission("users.update"), reuploadRequestValidator, validate, requestDocumentReupload);
+router.post("/:id/unlock", requirePermission("users.unlock"), unlockEmployee);
+router.delete("/:id/sessions", requirePermission("users.revokeSessions"), revokeEmployeeSessions);
+
+// ─── Offboarding (HR & Admin) ───
+router.post("/:id/offboard", requirePermission("users.offboard"), offboardValidator, validate, offboardEmployee);
+router.get("/:id/offboarding", requirePermission("users.offboard"), getEmployeeOffboarding);
+router.patch("/:id/offboarding/checklist/:key", requirePermission("users.offboard"), checklistItemValidator, validate, updateOffboardingChecklist);
+router.delete("/:id/offboarding", requirePermission("users.offboard"), cancelEmployeeOffboarding);
 
 module.exports = router;
@@ -37,7 +37,7 @@ const seedData = async () => {
             email: "admin@example.com",
             password: password,
             role: ROLES.ADMIN,
-            department: "Management",
+            department: "Operations",
             status: USER_STATUS.ACTIVE,
         });
 
@@ -17,6 +17,9 @@ const { startCronJobs } = require("./utils/cronJobs");
 // Initialize Express
 const app = express();
 
+// Trust the first proxy hop (Heroku/Vercel) so req.ip is the real client IP
+app.set("trust proxy", 1);
+
 // ─── Core Middleware ───
 app.use(helmet()); // Security headers
 app.use(cors(corsOptions)); // CORS
@@ -48,6 +51,12 @@ app.use("/api/tasks", require("./routes/taskRoutes"));
 app.use("/api/onboarding", require("./routes/onboardingRoutes"));
 app.use("/api/dashboard", require("./routes/dashboardRoutes"));
 app.use("/api/audit", require("./routes/auditRoutes"));
+app.use("/api/roles", require("./routes/roleRoutes"));
+app.use("/api/tokens", require("./routes/apiTokenRoutes"));
+app.use("/api/departments", require("./routes/departmentRoutes"));
+app.use("/api/custom-fields", require("./routes/customFieldRoutes"));
+app.use("/api/leave", require("./routes/leaveRoutes"));
+app.use("/api/holidays", require("./routes/holidayRoutes"));
 
 // ─── 404 Handler ───
 app.use((req, res) => {
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const ApiToken = require("../models/ApiToken");
+const User = require("../models/User");
+const { hashToken } = require("../utils/generateToken");
+const { getPermissions } = require("./permissionService");
+const { USER_STATUS } = require("../utils/constants");
+
+// Raw tokens look like "hfp_<43 url-safe chars>" so protect can tell them apart from JWTs
+const TOKEN_PREFIX = "hfp_";
+const MAX_EXPIRY_DAYS = 365;
+const DEFAULT_EXPIRY_DAYS = 90;
+
+// Only write lastUsedAt when it is older than this, to avoid a DB write per request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const isApiToken = (token) => typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token for the user — scopes must be permissions the user currently has
+ * Returns the stored token and the raw value (shown once, never retrievable again)
+ */
+const createToken = async (user, { name, scopes = [], expiresInDays = DEFAULT_EXPIRY_DAYS }) => {
+    const granted = await getPermissions(user.role);
+    const notGranted = scopes.filter((s) => !granted.has(s));
+    if (notGranted.length > 0) {
+        const error = new Error(`You cannot grant permission(s) you don't have: ${notGranted.join(", ")}`);
+        error.statusCode = 403;
+        throw error;
+    }
+
+    const days = Math.min(Number(expiresInDays) || DEFAULT_EXPIRY_DAYS, MAX_EXPIRY_DAYS);
+    const rawToken = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    const token = await ApiToken.create({
+        user: user._id,
+        name,
+        tokenHash: hashToken(rawToken),
+        tokenPrefix: rawToken.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+
+    const { tokenHash, ...tokenData } = token.toObject();
+    return { token: tokenData, rawToken };
+};
+
+/**
+ * Resolve a raw token to its (active) token document and owner
+ * Returns null if the token is unknown, revoked, expired or the owner is inactive
+ */
+const authenticate = async (rawToken, ip) => {
+    const token = await ApiToken.findOne({
+        tokenHash: hashToken(rawToken),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    if (!token) return null;
+
+    const user = await User.findById(token.user);
+    if (!user || user.status === USER_STATUS.INACTIVE) return null;
+
+    if (!token.lastUsedAt || Date.now() - token.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+        ApiToken.updateOne({ _id: token._id }, { lastUsedAt: new Date(), lastUsedIp: ip || "" })
+            .catch((err) => console.error("Failed to update API token usage:", err.message));
+    }
+
+    return { token, user };
+};
+
+/**
+ * List tokens — one user's, or everyone's (for token administrators)
+ */
+const listTokens = async (userId) => {
+    const filter = userId ? { user: userId } : {};
+
+    return await ApiToken.find(filter)
+        .populate("user", "fullName email role")
+        .populate("revokedBy", "fullName email")
+        .sort({ createdAt: -1 })
+        .lean();
+};
+
+/**
+ * Revoke a token — owners can revoke their own; canManageAll may revoke anyone's
+ */
+const revokeToken = async (tokenId, actor, canManageAll = false) => {
+    const filter = { _id: tokenId, revokedAt: null };
+    if (!canManageAll) filter.user = actor._id;
+
+    const token = await ApiToken.findOneAndUpdate(
+        filter,
+        { revokedAt: new Date(), revokedBy: actor._id },
+        { returnDocument: "after" }
+    )
+        .populate("user", "fullName email")
+        .lean();
+
+    if (!token) {
+        const error = new Error("Token not found or already revoked");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return token;
+};
+
+module.exports = {
+    MAX_EXPIRY_DAYS,
+    isApiToken,
+    createToken,
+    authenticate,
+    listTokens,
+    revokeToken,
+};
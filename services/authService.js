@@ -1,8 +1,80 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const { generateAccessToken, generateRefreshToken } = require("../utils/generateToken");
-const { CREATION_PERMISSIONS, USER_STATUS, ROLES } = require("../utils/constants");
+const { generateTwoFactorToken, hashToken } = require("../utils/generateToken");
+const { USER_STATUS, ROLES } = require("../utils/constants");
 const { decrypt } = require("../utils/encryptData");
-const { sendWelcomeEmail } = require("../utils/emailService");
+const { sendPasswordResetEmail } = require("../utils/emailService");
+const twoFactorService = require("./twoFactorService");
+const sessionService = require("./sessionService");
+const invitationService = require("./invitationService");
+const oidcService = require("./oidcService");
+const orgService = require("./orgService");
+const customFieldService = require("./customFieldService");
+const { departmentExists } = require("./departmentService");
+const { canAssignRole } = require("./permissionService");
+const { logAction } = require("../controllers/auditController");
+
+const PASSWORD_RESET_EXPIRE_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+// ─── Account lockout (progressive: 15m, 30m, 1h ... capped at 24h) ───
+const MAX_FAILED_LOGIN_ATTEMPTS = Number(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * Refuse login attempts while the account is locked
+ */
+const assertNotLocked = (user) => {
+    if (!user.isLocked()) return;
+
+    const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    const error = new Error(
+        `Account locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s) or contact HR.`
+    );
+    error.statusCode = 423;
+    throw error;
+};
+
+/**
+ * Record a failed password / 2FA attempt and lock the account once the limit is hit
+ * Each consecutive lockout doubles the lock duration
+ * Counters are updated atomically so concurrent attempts cannot undercount
+ */
+const registerFailedLogin = async (user, client = {}) => {
+    const attempt = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { returnDocument: "after" }
+    ).select("failedLoginAttempts lockoutCount");
+
+    if (!attempt || attempt.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) return;
+
+    const lockoutCount = (attempt.lockoutCount || 0) + 1;
+    const lockMinutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCKOUT_MINUTES);
+
+    // Several attempts may pass the limit at once — only the first one resets the counter and locks
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGIN_ATTEMPTS } },
+        {
+            $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+            $inc: { lockoutCount: 1 },
+        },
+        { returnDocument: "after" }
+    ).select("lockUntil lockoutCount");
+    if (!locked) return;
+
+    await logAction({
+        action: "ACCOUNT_LOCKED",
+        performedBy: user._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Account locked for ${lockMinutes} minutes after ${MAX_FAILED_LOGIN_ATTEMPTS} failed login attempts`,
+        metadata: { ip: client.ip, lockUntil: locked.lockUntil, lockoutCount: locked.lockoutCount },
+    });
+
+    assertNotLocked(locked);
+};
 
 /**
  * Helper to decrypt sensitive fields for authorized viewing
@@ -21,8 +93,9 @@ const getDecryptedUser = (user) => {
 
 /**
  * Login user — validate credentials, generate tokens
+ * client: { ip, userAgent, deviceName? } — recorded on the new session
  */
-const loginUser = async (email, password) => {
+const loginUser = async (email, password, client) => {
     // Find user and include password field (it's select: false by default)
     const user = await User.findOne({ email }).select("+password");
 
@@ -38,25 +111,343 @@ const loginUser = async (email, password) => {
         throw error;
     }
 
+    if (user.hasPendingInvitation()) {
+        const error = new Error("Please accept the invitation sent to your email to set your password first.");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    assertNotLocked(user);
+
     // Compare password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+        await registerFailedLogin(user, client);
         const error = new Error("Invalid email or password");
         error.statusCode = 401;
         throw error;
     }
 
-    // Update last login
+    // Two-step login: password passed, now the authenticator code is needed
+    if (user.twoFactor?.enabled) {
+        return {
+            twoFactorRequired: true,
+            twoFactorToken: generateTwoFactorToken(user),
+        };
+    }
+
+    return await completeLogin(user, client);
+};
+
+/**
+ * Final step of every successful login — record it and open a new session
+ */
+const completeLogin = async (user, client) => {
+    // Update last login and clear any failed-attempt history
     user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    // Every login is its own session (device) with its own refresh token chain
+    const { accessToken, refreshToken } = await sessionService.createSession(user, client);
+
+    return {
+        accessToken,
+        refreshToken,
+        user: getDecryptedUser(user),
+        twoFactorSetupRequired: !user.twoFactor?.enabled && (await twoFactorService.isTwoFactorRequired(user)),
+    };
+};
+
+/**
+ * Login step 2 — exchange the challenge token + TOTP/recovery code for real tokens
+ */
+const loginWithTwoFactor = async (twoFactorToken, code, client) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (err) {
+        decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "2fa") {
+        const error = new Error("Login session expired. Please log in again.");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const user = await User.findById(decoded.id).select(twoFactorService.TWO_FACTOR_FIELDS);
+
+    if (!user || user.status === USER_STATUS.INACTIVE || !user.twoFactor?.enabled) {
+        const error = new Error("Login session expired. Please log in again.");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    assertNotLocked(user);
+
+    const isValid = await twoFactorService.verifyLoginCode(user, code);
+    if (!isValid) {
+        await registerFailedLogin(user, client);
+        const error = new Error("Invalid verification code");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    return await completeLogin(user, client);
+};
+
+/**
+ * Create a pending employee for a first-time SSO user (OIDC_JIT_PROVISIONING=true)
+ * They land in OIDC_DEFAULT_DEPARTMENT and go through onboarding like invited staff
+ */
+const provisionSsoUser = async (identity) => {
+    const { defaultDepartment } = oidcService.getConfig();
+
+    if (!(await departmentExists(defaultDepartment))) {
+        const error = new Error("Single sign-on provisioning is misconfigured. Contact HR.");
+        error.statusCode = 500;
+        throw error;
+    }
+
+    const user = await User.create({
+        fullName: identity.name || identity.email.split("@")[0],
+        email: identity.email,
+        role: ROLES.EMPLOYEE,
+        department: defaultDepartment,
+        status: USER_STATUS.PENDING,
+        sso: {
+            subject: identity.subject,
+            issuer: identity.issuer,
+            provisionedAt: new Date(),
+        },
+    });
+
+    await logAction({
+        action: "SSO_PROVISION",
+        performedBy: user._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Account created on first single sign-on login (department: ${defaultDepartment})`,
+        metadata: { issuer: identity.issuer, subject: identity.subject },
+    });
+
+    return user;
+};
+
+/**
+ * Login via OpenID Connect — the IdP email must match a portal user
+ * Issues the portal's own tokens; portal 2FA still applies if the user enabled it
+ */
+const loginWithOidc = async ({ code, state, transactionToken }, client) => {
+    const identity = await oidcService.completeAuthorization({ code, state, transactionToken });
+
+    let user = await User.findOne({ email: identity.email });
+
+    // Matching by email (first link or JIT provisioning) needs the IdP to vouch for the address
+    const alreadyLinked = user?.sso?.subject === identity.subject && user?.sso?.issuer === identity.issuer;
+    if (!alreadyLinked && !identity.emailVerified) {
+        const error = new Error("Your email address is not verified with the identity provider");
+        error.statusCode = 403;
+        throw error;
+    }
+
+    if (!user) {
+        if (!oidcService.getConfig().jitProvisioning) {
+            const error = new Error("No portal account exists for this email. Contact HR.");
+            error.statusCode = 403;
+            throw error;
+        }
+        user = await provisionSsoUser(identity);
+    }
+
+    if (user.status === USER_STATUS.INACTIVE) {
+        const error = new Error("Account has been deactivated. Contact HR.");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    // Once bound, the account only accepts the same IdP subject (guards against email reuse at the IdP)
+    if (user.sso?.subject && (user.sso.subject !== identity.subject || user.sso.issuer !== identity.issuer)) {
+        const error = new Error("This account is linked to a different single sign-on identity. Contact HR.");
+        error.statusCode = 403;
+        throw error;
+    }
+
+    assertNotLocked(user);
+
+    user.sso.subject = identity.subject;
+    user.sso.issuer = identity.issuer;
+    user.sso.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    if (user.twoFactor?.enabled) {
+        return {
+            twoFactorRequired: true,
+            twoFactorToken: generateTwoFactorToken(user),
+        };
+    }
+
+    return await completeLogin(user, client);
+};
+
+/**
+ * Refresh tokens — rotate the refresh token on every use
+ * If an already-rotated refresh token is replayed, the whole session is
+ * revoked and the user must log in again on that device.
+ */
+const refreshTokens = async (refreshToken, client) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (err) {
+        const error = new Error("Invalid or expired refresh token");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const session = decoded.sid
+        ? await sessionService.findActiveSession(decoded.sid, { withTokenHash: true })
+        : null;
+
+    if (!session || String(session.user) !== String(decoded.id)) {
+        const error = new Error("Invalid or expired refresh token");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    // A stale token from a live session means it was stolen or replayed — kill the session
+    const rejectReuse = async () => {
+        await sessionService.revokeSession(session.user, session._id, "token-reuse");
+        console.warn(`⚠️ Refresh token reuse detected for user ${session.user} — session ${session._id} revoked`);
+
+        const error = new Error("Invalid or expired refresh token");
+        error.statusCode = 401;
+        throw error;
+    };
+
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        await rejectReuse();
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.status === USER_STATUS.INACTIVE) {
+        const error = new Error("Account has been deactivated. Contact HR.");
+        error.statusCode = 401;
+        throw error;
+    }
+
+    // Rotate — same session, new token. A concurrent refresh with the same token loses the race.
+    const tokens = await sessionService.rotateSession(session, user, client);
+    if (!tokens) await rejectReuse();
+
+    return tokens;
+};
+
+/**
+ * Logout — revoke the session behind the given refresh token
+ * Silently succeeds for unknown/expired tokens so logout never fails for the client
+ */
+const logoutUser = async (refreshToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+    } catch (err) {
+        return;
+    }
+
+    if (decoded.sid) {
+        await sessionService.revokeSession(decoded.id, decoded.sid, "logout");
+    }
+};
+
+/**
+ * Forgot password — email a single-use, expiring reset link
+ * Always resolves without revealing whether the email is registered
+ */
+const requestPasswordReset = async (email) => {
+    const user = await User.findOne({ email });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Invited users set their first password through the invitation link instead
+    if (!user || user.status === USER_STATUS.INACTIVE || user.hasPendingInvitation()) return;
 
-    // Save refresh token to user document
-    user.refreshToken = refreshToken;
+    const rawToken = crypto.randomBytes(32).toString("hex");
+    user.passwordResetToken = hashToken(rawToken);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
     await user.save({ validateBeforeSave: false });
 
+    const resetUrl = `${process.env.CLIENT_URL || "http://localhost:5173"}/reset-password?token=${rawToken}`;
+
+    // Fire-and-forget email notification
+    sendPasswordResetEmail(user.email, user.fullName, resetUrl, PASSWORD_RESET_EXPIRE_MINUTES).catch((err) => {
+        console.error("Failed to send password reset email to", user.email, err);
+    });
+};
+
+/**
+ * Reset password using the emailed token
+ * Consumes the token and revokes all existing sessions
+ */
+const resetPassword = async (token, newPassword) => {
+    const user = await User.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+    }).select("+passwordResetToken +passwordResetExpires");
+
+    if (!user) {
+        const error = new Error("Reset link is invalid or has expired");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await sessionService.revokeAllSessions(user._id, { reason: "password-change" });
+};
+
+/**
+ * Change password — requires the current password
+ * Revokes every session and opens a fresh one for the caller
+ */
+const changePassword = async (userId, currentPassword, newPassword, client) => {
+    const user = await User.findById(userId).select("+password");
+
+    if (!user) {
+        const error = new Error("User not found");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+        const error = new Error("Current password is incorrect");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (await user.comparePassword(newPassword)) {
+        const error = new Error("New password must be different from the current password");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await sessionService.revokeAllSessions(user._id, { reason: "password-change" });
+    const { accessToken, refreshToken } = await sessionService.createSession(user, client);
+
     return {
         accessToken,
         refreshToken,
@@ -65,14 +456,23 @@ const loginUser = async (email, password) => {
 };
 
 /**
- * Register a new user — only Admin and HR can do this
+ * Accept an invitation — set own password and start a session
+ * The user is still "pending", so the client continues to onboarding step 1
+ */
+const acceptInvitation = async (token, password, client) => {
+    const user = await invitationService.acceptInvitation(token, password);
+    return await completeLogin(user, client);
+};
+
+/**
+ * Register a new user — requires users.create (Admin and HR by default)
+ * The user is created without a password and receives an invitation link
  */
 const registerUser = async (creatorUser, userData) => {
-    const { fullName, email, password, role, department } = userData;
+    const { fullName, email, role, department, startDate, phone, reportsTo } = userData;
 
-    // Check if creator has permission to create this role
-    const allowedRoles = CREATION_PERMISSIONS[creatorUser.role];
-    if (!allowedRoles || !allowedRoles.includes(role)) {
+    // Check if creator's role may assign this role (Role.assignableRoles)
+    if (!(await canAssignRole(creatorUser.role, role))) {
         const error = new Error(
             `${creatorUser.role} cannot create users with role: ${role}`
         );
@@ -88,25 +488,30 @@ const registerUser = async (creatorUser, userData) => {
         throw error;
     }
 
-    // Auto-assign Management department for admin and hr roles
-    const finalDepartment =
-        role === ROLES.ADMIN || role === ROLES.HR ? "Management" : department;
+    await orgService.assertValidManager(null, reportsTo);
+
+    // Departments are managed (renameable / deletable) — only accept one that exists now
+    if (department && !(await departmentExists(department))) {
+        const error = new Error("Invalid department");
+        error.statusCode = 400;
+        throw error;
+    }
 
     // Create user with status "pending" (needs onboarding)
     const newUser = await User.create({
         fullName,
         email,
-        password,
         role,
-        department: finalDepartment,
+        department: department || "",
+        ...(startDate && { startDate }),
+        ...(phone && { phone }),
+        ...(reportsTo && { reportsTo }),
         status: USER_STATUS.PENDING,
         createdBy: creatorUser._id,
     });
 
-    // Fire-and-forget email notification (TRULY non-blocking)
-    sendWelcomeEmail(email, fullName, password).catch((err) => {
-        console.error("Failed to send welcome email to", email, err);
-    });
+    // Email the invitation link (the email itself is fire-and-forget)
+    await invitationService.sendInvitation(newUser, creatorUser);
 
     return newUser.toJSON();
 };
@@ -123,11 +528,21 @@ const getCurrentUser = async (userId) => {
         throw error;
     }
 
-    return getDecryptedUser(user);
+    const userData = getDecryptedUser(user);
+    userData.customFields = await customFieldService.presentValues(user, user);
+    return userData;
 };
 
 module.exports = {
     loginUser,
+    loginWithTwoFactor,
+    loginWithOidc,
+    refreshTokens,
+    logoutUser,
+    requestPasswordReset,
+    resetPassword,
+    changePassword,
+    acceptInvitation,
     registerUser,
     getCurrentUser,
 };
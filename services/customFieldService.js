@@ -0,0 +1,316 @@
+const CustomField = require("../models/CustomField");
+const CustomFieldFile = require("../models/CustomFieldFile");
+const User = require("../models/User");
+const { saveFile, readFile, deleteFiles } = require("./fileStorageService");
+
+// Field definitions are read on every profile fetch, so cache briefly
+const CACHE_TTL_MS = 60 * 1000;
+let fieldsCache = { fields: null, expiresAt: 0 };
+
+const clearCache = () => {
+    fieldsCache = { fields: null, expiresAt: 0 };
+};
+
+const MAX_TEXT_LENGTH = 500;
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * All field definitions, in display order (cached)
+ */
+const listFields = async () => {
+    if (fieldsCache.fields && fieldsCache.expiresAt > Date.now()) {
+        return fieldsCache.fields;
+    }
+
+    const fields = await CustomField.find().sort({ order: 1, label: 1 }).lean();
+    fieldsCache = { fields, expiresAt: Date.now() + CACHE_TTL_MS };
+    return fields;
+};
+
+const getField = async (key) => {
+    const field = (await listFields()).find((f) => f.key === key);
+    if (!field) throw httpError(`Unknown custom field: ${key}`, 400);
+    return field;
+};
+
+// ─── Visibility rules ───
+
+/**
+ * Is the field collected for this employee's department?
+ */
+const appliesTo = (field, user) => field.departments.length === 0 || field.departments.includes(user.department);
+
+/**
+ * Can viewer see this field on target's profile?
+ */
+const canView = (field, viewer, targetUserId) => {
+    if (targetUserId && String(viewer._id) === String(targetUserId) && field.visibleToSelf) return true;
+    return field.visibleToRoles.length === 0 || field.visibleToRoles.includes(viewer.role);
+};
+
+/**
+ * Fields a viewer may see on other employees' profiles (directory filters, exports)
+ */
+const getViewableFields = async (viewer) => (await listFields()).filter((f) => canView(f, viewer));
+
+/**
+ * The custom fields of one employee as seen by viewer — { key: value | null }
+ */
+const presentValues = async (user, viewer) => {
+    const fields = await listFields();
+    const values = user.customFields instanceof Map ? Object.fromEntries(user.customFields) : user.customFields || {};
+
+    return fields
+        .filter((f) => appliesTo(f, user) && canView(f, viewer, user._id))
+        .reduce((result, field) => {
+            result[field.key] = values[field.key] ?? null;
+            return result;
+        }, {});
+};
+
+// ─── Writes ───
+
+/**
+ * Coerce and validate a raw value for a field; null clears the value
+ */
+const parseValue = (field, raw) => {
+    const empty = raw === null || raw === undefined || raw === "";
+    if (empty) {
+        if (field.required) throw httpError(`${field.label} is required`, 400);
+        return null;
+    }
+
+    switch (field.type) {
+        case "text": {
+            const value = String(raw).trim();
+            if (value.length > MAX_TEXT_LENGTH) {
+                throw httpError(`${field.label} must be at most ${MAX_TEXT_LENGTH} characters`, 400);
+            }
+            return value;
+        }
+        case "number": {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) throw httpError(`${field.label} must be a number`, 400);
+            return value;
+        }
+        case "date": {
+            const value = new Date(raw);
+            if (Number.isNaN(value.getTime())) throw httpError(`${field.label} must be a valid date`, 400);
+            return value;
+        }
+        case "select": {
+            const value = String(raw);
+            if (!field.options.includes(value)) {
+                throw httpError(`${field.label} must be one of: ${field.options.join(", ")}`, 400);
+            }
+            return value;
+        }
+        default:
+            throw httpError(`${field.label} is a file field — upload it instead`, 400);
+    }
+};
+
+const assertWritable = (field, user, { self }) => {
+    if (!appliesTo(field, user)) {
+        throw httpError(`${field.label} does not apply to the ${user.department || "employee's"} department`, 400);
+    }
+    if (self && !field.editableBySelf) {
+        throw httpError(`${field.label} can only be changed by HR`, 403);
+    }
+};
+
+/**
+ * Set several values at once — { key: value }. self: the employee editing their own profile
+ * Returns the list of changed keys
+ */
+const setValues = async (user, values, { self = false } = {}) => {
+    const changed = [];
+
+    for (const [key, raw] of Object.entries(values || {})) {
+        const field = await getField(key);
+        assertWritable(field, user, { self });
+
+        const value = parseValue(field, raw);
+        if (value === null) user.customFields.delete(key);
+        else user.customFields.set(key, value);
+        changed.push(key);
+    }
+
+    if (changed.length > 0) {
+        user.markModified("customFields");
+        await user.save({ validateBeforeSave: false });
+    }
+
+    return changed;
+};
+
+/**
+ * Upload (replace) the file for a "file" field
+ */
+const setFileValue = async (user, key, file, actor, { self = false } = {}) => {
+    const field = await getField(key);
+    if (field.type !== "file") throw httpError(`${field.label} is not a file field`, 400);
+    assertWritable(field, user, { self });
+
+    const previous = await CustomFieldFile.findOne({ user: user._id, fieldKey: key }).select("storage").lean();
+    const stored = await CustomFieldFile.findOneAndUpdate(
+        { user: user._id, fieldKey: key },
+        {
+            storage: await saveFile(file.buffer, { folder: `custom-fields/${user._id}`, contentType: file.mimetype }),
+            $unset: { data: "" },
+            contentType: file.mimetype,
+            fileName: file.originalname,
+            size: file.size,
+            uploadedBy: actor._id,
+        },
+        { upsert: true, returnDocument: "after", setDefaultsOnInsert: true }
+    ).select("_id");
+    if (previous) await deleteFiles([previous]); // Replaced file
+
+    user.customFields.set(key, {
+        fileId: stored._id,
+        fileName: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+    });
+    user.markModified("customFields");
+    await user.save({ validateBeforeSave: false });
+
+    return user.customFields.get(key);
+};
+
+/**
+ * Decrypted file for download — respects the field's visibility rules
+ */
+const getFileValue = async (userId, key, viewer) => {
+    const field = await getField(key);
+    if (!canView(field, viewer, userId)) throw httpError("Access denied", 403);
+
+    const file = await CustomFieldFile.findOne({ user: userId, fieldKey: key });
+    if (!file) throw httpError("File not found or not uploaded", 404);
+
+    return {
+        contentType: file.contentType,
+        fileName: file.fileName,
+        data: await readFile(file),
+    };
+};
+
+// ─── Directory filters ───
+
+/**
+ * Turn ?cf.<key>=value query params into User query conditions
+ * Only fields the viewer can see are filterable; text matches are case-insensitive "contains"
+ */
+const buildFilter = async (query, viewer) => {
+    const conditions = {};
+    const fields = await getViewableFields(viewer);
+
+    for (const [param, raw] of Object.entries(query)) {
+        if (!param.startsWith("cf.") || raw === "") continue;
+
+        const field = fields.find((f) => f.key === param.slice(3));
+        if (!field || field.type === "file") {
+            throw httpError(`Cannot filter by custom field: ${param.slice(3)}`, 400);
+        }
+
+        const path = `customFields.${field.key}`;
+        if (field.type === "text") {
+            conditions[path] = { $regex: escapeRegex(String(raw)), $options: "i" };
+        } else if (field.type === "date") {
+            const day = parseValue({ ...field, required: false }, raw);
+            conditions[path] = { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) };
+        } else {
+            conditions[path] = parseValue({ ...field, required: false }, raw);
+        }
+    }
+
+    return conditions;
+};
+
+// ─── Definitions (HR) ───
+
+const assertSelectOptions = (type, options) => {
+    if (type === "select" && (!options || options.length === 0)) {
+        throw httpError("Select fields need at least one option", 400);
+    }
+};
+
+/**
+ * Define a new field
+ */
+const createField = async (data, actor) => {
+    if (await CustomField.exists({ key: data.key })) {
+        throw httpError(`A custom field with key "${data.key}" already exists`, 400);
+    }
+    assertSelectOptions(data.type, data.options);
+
+    const field = await CustomField.create({ ...data, createdBy: actor._id });
+    clearCache();
+    return field;
+};
+
+/**
+ * Edit a field — key and type are fixed once created (stored values depend on them)
+ */
+const updateField = async (key, updates) => {
+    const field = await CustomField.findOne({ key });
+    if (!field) throw httpError("Custom field not found", 404);
+
+    const editable = ["label", "options", "required", "departments", "visibleToRoles", "visibleToSelf", "editableBySelf", "order"];
+    for (const prop of editable) {
+        if (updates[prop] !== undefined) field[prop] = updates[prop];
+    }
+    assertSelectOptions(field.type, field.options);
+
+    await field.save();
+    clearCache();
+    return field;
+};
+
+/**
+ * Delete a field and every stored value / file for it
+ */
+const deleteField = async (key) => {
+    const field = await CustomField.findOneAndDelete({ key });
+    if (!field) throw httpError("Custom field not found", 404);
+
+    await deleteFiles(await CustomFieldFile.find({ fieldKey: key }).select("storage").lean());
+    const [users] = await Promise.all([
+        User.updateMany({ [`customFields.${key}`]: { $exists: true } }, { $unset: { [`customFields.${key}`]: "" } }),
+        CustomFieldFile.deleteMany({ fieldKey: key }),
+    ]);
+
+    clearCache();
+    return { field, clearedUsers: users.modifiedCount };
+};
+
+/**
+ * Remove every uploaded custom field file of a user (employee purge)
+ */
+const deleteUserFiles = async (userId) => {
+    await deleteFiles(await CustomFieldFile.find({ user: userId }).select("storage").lean());
+    await CustomFieldFile.deleteMany({ user: userId });
+};
+
+module.exports = {
+    listFields,
+    getViewableFields,
+    presentValues,
+    setValues,
+    setFileValue,
+    getFileValue,
+    deleteUserFiles,
+    parseValue,
+    buildFilter,
+    createField,
+    updateField,
+    deleteField,
+};
@@ -2,7 +2,10 @@ const User = require("../models/User");
 const Attendance = require("../models/Attendance");
 const Task = require("../models/Task");
 const Project = require("../models/Project");
-const { ROLES, USER_STATUS } = require("../utils/constants");
+const { USER_STATUS } = require("../utils/constants");
+const { hasPermission } = require("./permissionService");
+const { getTeamUserIds } = require("./orgService");
+const { loadCalendar } = require("./holidayService");
 
 const { getTodayRangeIST, getMonthRangeIST, deduplicateByISTDay } = require("../utils/dateUtils");
 
@@ -29,12 +32,12 @@ const getEmployeeDashboard = async (userId) => {
     const { start: todayStart, end: todayEnd } = getTodayRange();
 
     // Fetch user details first so we know their role
-    const userObj = await User.findById(userId).select("fullName email role department status");
+    const userObj = await User.findById(userId).select("fullName email role department location status");
 
     const projectQuery = { status: "active" };
-    // If regular employee or manager, only show projects where they have a task assigned.
+    // Without dashboard.viewCompany (employee, manager), only show projects where they have a task assigned.
     // Admin/HR see all active projects.
-    if (userObj.role !== "admin" && userObj.role !== "hr") {
+    if (!(await hasPermission(userObj, "dashboard.viewCompany"))) {
         const assignedProjectIds = await Task.distinct("project", { assignees: userId });
         projectQuery._id = { $in: assignedProjectIds };
     }
@@ -77,8 +80,10 @@ const getEmployeeDashboard = async (userId) => {
     const daysPresent = dedupedMonthly.filter(
         (a) => a.status === "clocked-out" || a.status === "clocked-in"
     ).length;
+    // Absences on holidays / weekly offs (e.g. recorded before they were on the calendar) don't count
+    const calendar = await loadCalendar(monthStart, monthEnd);
     const daysAbsent = dedupedMonthly.filter(
-        (a) => a.status === "absent"
+        (a) => a.status === "absent" && calendar.isWorkingDay(user, a.date)
     ).length;
     const totalWorkingSeconds = dedupedMonthly.reduce(
         (sum, a) => sum + (a.activeSeconds || 0),
@@ -132,7 +137,7 @@ const getEmployeeDashboard = async (userId) => {
  * Get Management Dashboard Data (Manager/HR/Admin)
  * PRD 5.2B: Personal widgets + team overview + resource availability
  */
-const getManagementDashboard = async (userId, userRole) => {
+const getManagementDashboard = async (userId) => {
     // Get personal dashboard data first
     const personalData = await getEmployeeDashboard(userId);
 
@@ -141,10 +146,11 @@ const getManagementDashboard = async (userId, userRole) => {
     // Build team query based on role
     let teamQuery = { status: USER_STATUS.ACTIVE };
 
-    // Managers see their department, HR/Admin see everyone
-    if (userRole === ROLES.MANAGER) {
-        const currentUser = await User.findById(userId).select("department");
-        teamQuery.department = currentUser.department;
+    // Managers see their reporting line and departments they head,
+    // HR/Admin (dashboard.viewCompany) see everyone
+    const currentUser = await User.findById(userId).select("role department");
+    if (!(await hasPermission(currentUser, "dashboard.viewCompany"))) {
+        teamQuery._id = { $in: await getTeamUserIds(userId) };
     }
 
     // Run management-specific queries in parallel
@@ -155,10 +161,11 @@ const getManagementDashboard = async (userId, userRole) => {
                 .select("fullName email department role")
                 .lean(),
 
-            // Today's attendance for all employees
+            // Today's attendance for the team
             Attendance.find({
                 date: { $gte: todayStart, $lte: todayEnd },
                 status: "clocked-in",
+                ...(teamQuery._id && { user: teamQuery._id }),
             })
                 .populate("user", "fullName department")
                 .lean(),
@@ -166,7 +173,7 @@ const getManagementDashboard = async (userId, userRole) => {
             // Employees with zero active tasks (Resource Availability)
             (async () => {
                 const activeTaskAssignees = await Task.distinct('assignees', { status: { $ne: 'done' } });
-                return User.find({ ...teamQuery, _id: { $nin: activeTaskAssignees } })
+                return User.find({ ...teamQuery, _id: { ...teamQuery._id, $nin: activeTaskAssignees } })
                     .select("fullName email department role")
                     .limit(20)
                     .lean();
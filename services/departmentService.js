@@ -0,0 +1,298 @@
+const mongoose = require("mongoose");
+const Department = require("../models/Department");
+const User = require("../models/User");
+const CustomField = require("../models/CustomField");
+const OnboardingFlow = require("../models/OnboardingFlow");
+const { DEPARTMENTS, USER_STATUS } = require("../utils/constants");
+const { updateDepartmentInSheets } = require("./googleSheetsService");
+const { renameDepartment: renameInCalendar } = require("./holidayService");
+
+// Department names are checked on every user create/update, so cache briefly
+const CACHE_TTL_MS = 60 * 1000;
+let namesCache = { names: null, expiresAt: 0 };
+
+const clearCache = () => {
+    namesCache = { names: null, expiresAt: 0 };
+};
+
+// Case-insensitive name matching ("engineering" clashes with "Engineering")
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * First run: create the departments that used to be hard-coded in utils/constants.js
+ */
+let seeding = null;
+const ensureDefaults = async () => {
+    if (!seeding) {
+        seeding = (async () => {
+            if ((await Department.estimatedDocumentCount()) > 0) return;
+            await Department.bulkWrite(
+                DEPARTMENTS.map((name) => ({
+                    updateOne: { filter: { name }, update: { $setOnInsert: { name } }, upsert: true },
+                }))
+            );
+        })().catch((err) => {
+            seeding = null;
+            throw err;
+        });
+    }
+    await seeding;
+};
+
+/**
+ * All department names (cached)
+ */
+const getDepartmentNames = async () => {
+    if (namesCache.names && namesCache.expiresAt > Date.now()) {
+        return namesCache.names;
+    }
+
+    await ensureDefaults();
+    const names = (await Department.find().select("name").lean()).map((d) => d.name);
+
+    namesCache = { names, expiresAt: Date.now() + CACHE_TTL_MS };
+    return names;
+};
+
+/**
+ * Does a department with exactly this name exist?
+ */
+const departmentExists = async (name) => {
+    return (await getDepartmentNames()).includes(name);
+};
+
+/**
+ * Departments with head, parent and current (non-inactive) employee count
+ */
+const listDepartments = async () => {
+    await ensureDefaults();
+
+    const [departments, counts] = await Promise.all([
+        Department.find()
+            .populate("head", "fullName email")
+            .populate("parent", "name")
+            .sort({ name: 1 })
+            .lean(),
+        User.aggregate([
+            { $match: { status: { $ne: USER_STATUS.INACTIVE } } },
+            { $group: { _id: "$department", count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const countByName = new Map(counts.map((c) => [c._id, c.count]));
+    return departments.map((d) => ({ ...d, employeeCount: countByName.get(d.name) || 0 }));
+};
+
+const findDepartment = async (id) => {
+    const department = mongoose.isValidObjectId(id) ? await Department.findById(id) : null;
+    if (!department) throw httpError("Department not found", 404);
+    return department;
+};
+
+const assertNameAvailable = async (name, exceptId) => {
+    const clash = await Department.findOne({ name }).collation(NAME_COLLATION).select("_id");
+    if (clash && String(clash._id) !== String(exceptId)) {
+        throw httpError(`A department named "${name}" already exists`, 400);
+    }
+};
+
+const assertValidHead = async (headId) => {
+    if (!headId) return;
+    const head = mongoose.isValidObjectId(headId) ? await User.findById(headId).select("status") : null;
+    if (!head || head.status === USER_STATUS.INACTIVE) {
+        throw httpError("Department head not found or inactive", 400);
+    }
+};
+
+/**
+ * Parent must exist and must not be the department itself or one of its descendants
+ */
+const assertValidParent = async (departmentId, parentId) => {
+    if (!parentId) return;
+
+    let current = await findDepartment(parentId).catch(() => null);
+    if (!current) throw httpError("Parent department not found", 400);
+
+    for (let depth = 0; current && depth < 50; depth++) {
+        if (departmentId && String(current._id) === String(departmentId)) {
+            throw httpError("A department cannot be nested under itself or one of its sub-departments", 400);
+        }
+        current = current.parent ? await Department.findById(current.parent).select("parent") : null;
+    }
+};
+
+/**
+ * Sheet header rows show each employee's department — relabel them after renames/merges
+ */
+const relabelSheets = (employeeNames, newName) => {
+    updateDepartmentInSheets(employeeNames, newName).catch((err) =>
+        console.error("Sheet department sync failed:", err.message)
+    );
+};
+
+/**
+ * Custom fields scoped to departments reference them by name
+ */
+const renameInCustomFields = async (oldName, newName) => {
+    await CustomField.updateMany({ departments: oldName }, { $addToSet: { departments: newName } });
+    await CustomField.updateMany({ departments: oldName }, { $pull: { departments: oldName } });
+};
+
+/**
+ * Onboarding flows target departments by name too
+ */
+const renameInOnboardingFlows = async (oldName, newName) => {
+    await OnboardingFlow.updateMany({ departments: oldName }, { $addToSet: { departments: newName } });
+    await OnboardingFlow.updateMany({ departments: oldName }, { $pull: { departments: oldName } });
+};
+
+/**
+ * Create a department
+ */
+const createDepartment = async ({ name, description, head, parent }, actor) => {
+    await ensureDefaults();
+    await assertNameAvailable(name);
+    await assertValidHead(head);
+    await assertValidParent(null, parent);
+
+    const department = await Department.create({
+        name,
+        description: description || "",
+        head: head || null,
+        parent: parent || null,
+        createdBy: actor._id,
+    });
+
+    clearCache();
+    return department;
+};
+
+/**
+ * Update a department — renaming rewrites User.department for every member,
+ * plus custom field, onboarding flow, holiday and weekly-off scoping
+ * Returns { department, renamedFrom, affectedUsers }
+ */
+const updateDepartment = async (id, { name, description, head, parent }, actor) => {
+    const department = await findDepartment(id);
+    const oldName = department.name;
+
+    if (name !== undefined && name !== oldName) await assertNameAvailable(name, department._id);
+    if (head !== undefined) await assertValidHead(head);
+    if (parent !== undefined) await assertValidParent(department._id, parent);
+
+    if (name !== undefined) department.name = name;
+    if (description !== undefined) department.description = description;
+    if (head !== undefined) department.head = head || null;
+    if (parent !== undefined) department.parent = parent || null;
+    await department.save();
+
+    let affectedUsers = 0;
+    if (department.name !== oldName) {
+        const members = await User.find({ department: oldName }).select("fullName").lean();
+        await User.updateMany({ department: oldName }, { department: department.name });
+        await renameInCustomFields(oldName, department.name);
+        await renameInOnboardingFlows(oldName, department.name);
+        await renameInCalendar(oldName, department.name, actor);
+        affectedUsers = members.length;
+        relabelSheets(members.map((m) => m.fullName), department.name);
+    }
+
+    clearCache();
+    return { department, renamedFrom: department.name !== oldName ? oldName : null, affectedUsers };
+};
+
+/**
+ * Merge source into target — members, sub-departments and source-scoped settings
+ * (custom fields, onboarding flows, holidays, weekly offs) move over, source is deleted
+ * Returns { source, target, affectedUsers }
+ */
+const mergeDepartments = async (sourceId, targetId, actor) => {
+    if (String(sourceId) === String(targetId)) {
+        throw httpError("Cannot merge a department into itself", 400);
+    }
+
+    const source = await findDepartment(sourceId);
+    const target = await findDepartment(targetId);
+
+    // The target may not sit below the source, or re-parenting would orphan it
+    await assertValidParent(source._id, target._id).catch(() => {
+        throw httpError("Cannot merge a department into one of its own sub-departments", 400);
+    });
+
+    const members = await User.find({ department: source.name }).select("fullName").lean();
+    await User.updateMany({ department: source.name }, { department: target.name });
+    await renameInCustomFields(source.name, target.name);
+    await renameInOnboardingFlows(source.name, target.name);
+    await renameInCalendar(source.name, target.name, actor);
+    await Department.updateMany({ parent: source._id }, { parent: target._id });
+    if (!target.head && source.head) {
+        target.head = source.head;
+        await target.save();
+    }
+    await source.deleteOne();
+
+    relabelSheets(members.map((m) => m.fullName), target.name);
+    clearCache();
+
+    return { source, target, affectedUsers: members.length };
+};
+
+/**
+ * Delete an empty department (no users, no sub-departments)
+ */
+const deleteDepartment = async (id) => {
+    const department = await findDepartment(id);
+
+    const [userCount, childCount] = await Promise.all([
+        User.countDocuments({ department: department.name }),
+        Department.countDocuments({ parent: department._id }),
+    ]);
+
+    if (userCount > 0 || childCount > 0) {
+        throw httpError(
+            `"${department.name}" still has ${userCount} user(s) and ${childCount} sub-department(s). Merge it into another department instead.`,
+            400
+        );
+    }
+
+    await department.deleteOne();
+    clearCache();
+    return department;
+};
+
+/**
+ * Names of departments a user heads, including all of their sub-departments
+ */
+const getHeadedDepartmentNames = async (userId) => {
+    const headed = await Department.find({ head: userId }).select("_id name").lean();
+    if (headed.length === 0) return [];
+
+    const names = new Set(headed.map((d) => d.name));
+    let frontier = headed.map((d) => d._id);
+
+    for (let depth = 0; frontier.length > 0 && depth < 50; depth++) {
+        const children = await Department.find({ parent: { $in: frontier } }).select("_id name").lean();
+        const fresh = children.filter((c) => !names.has(c.name));
+        fresh.forEach((c) => names.add(c.name));
+        frontier = fresh.map((c) => c._id);
+    }
+
+    return [...names];
+};
+
+module.exports = {
+    getDepartmentNames,
+    departmentExists,
+    listDepartments,
+    createDepartment,
+    updateDepartment,
+    mergeDepartments,
+    deleteDepartment,
+    getHeadedDepartmentNames,
+};
@@ -0,0 +1,334 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const OnboardingDocument = require("../models/OnboardingDocument");
+const { USER_STATUS, ONBOARDING_REVIEW_STATUS } = require("../utils/constants");
+const { sendDocumentReuploadEmail } = require("../utils/emailService");
+const { BUILT_IN_DOCUMENT_TYPES, getDocumentTypes } = require("./onboardingConfigService");
+const { saveFile, readFile, deleteFiles } = require("./fileStorageService");
+const { logAction } = require("../controllers/auditController");
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Label of a known document type (built-in or defined in an onboarding flow)
+ */
+const getDocumentLabel = async (docType) => {
+    const types = await getDocumentTypes();
+    if (!types[docType]) {
+        throw httpError(`Unknown document type. Use one of: ${Object.keys(types).join(", ")}`, 400);
+    }
+    return types[docType];
+};
+
+// Built-in types have their own User.onboarding path; flow-defined ones live in onboarding.documents
+const isBuiltIn = (docType) => !!BUILT_IN_DOCUMENT_TYPES[docType];
+
+/**
+ * Latest-version metadata for a document type on a user
+ */
+const getRef = (user, docType) => {
+    if (isBuiltIn(docType)) return user.onboarding?.[docType];
+    const documents = user.onboarding?.documents;
+    return documents instanceof Map ? documents.get(docType) : documents?.[docType];
+};
+
+const setRef = (user, docType, ref) => {
+    if (isBuiltIn(docType)) user.onboarding[docType] = ref;
+    else user.onboarding.documents.set(docType, ref);
+};
+
+/**
+ * Has a document of this type been uploaded (versioned or legacy embedded)?
+ */
+const isUploaded = (user, docType) => {
+    const doc = getRef(user, docType);
+    return !!(doc?.version || doc?.data);
+};
+
+/**
+ * Open re-upload request for a document type, if any
+ */
+const openRequest = (user, docType) =>
+    (user.onboarding?.documentRequests || []).find((r) => r.docType === docType && !r.resolvedAt);
+
+const storageFolder = (user) => `onboarding/${user._id}`;
+
+// Concurrent uploads of one document type race for the next version number (unique index)
+const MAX_VERSION_ATTEMPTS = 5;
+const isDuplicateKey = (err) => err?.code === 11000;
+
+/**
+ * Move a pre-versioning embedded document out of the User into file storage as version 1
+ * Returns whether anything moved. The caller saves the user.
+ * Idempotent — if an earlier attempt stored version 1 but the user was never saved, that copy is reused.
+ */
+const migrateLegacy = async (user, docType) => {
+    if (!isBuiltIn(docType)) return false;
+    const legacy = user.onboarding?.[docType];
+    if (!legacy?.data || legacy.version) return false;
+
+    let first = await OnboardingDocument.findOne({ user: user._id, docType, version: 1 });
+    if (!first) {
+        const plain = await readFile(legacy);
+        const storage = await saveFile(plain, { folder: storageFolder(user), contentType: legacy.contentType });
+
+        try {
+            first = await OnboardingDocument.create({
+                user: user._id,
+                docType,
+                version: 1,
+                storage,
+                contentType: legacy.contentType,
+                fileName: legacy.fileName,
+                size: plain.length,
+                checksum: crypto.createHash("sha256").update(plain).digest("hex"),
+                uploadedBy: user._id,
+                createdAt: user.onboarding.completedAt || user.updatedAt,
+            });
+        } catch (err) {
+            await deleteFiles([{ storage }]);
+            if (!isDuplicateKey(err)) throw err;
+            first = await OnboardingDocument.findOne({ user: user._id, docType, version: 1 }); // Migrated concurrently
+        }
+    }
+
+    user.onboarding[docType] = {
+        contentType: first.contentType,
+        fileName: first.fileName,
+        size: first.size,
+        checksum: first.checksum,
+        version: 1,
+        uploadedAt: first.createdAt,
+        uploadedBy: first.uploadedBy,
+    };
+    return true;
+};
+
+/**
+ * Store an uploaded file as the next version and point the user at it
+ * Resolves any open re-upload request for the type. The caller saves the user.
+ */
+const addVersion = async (user, docType, file, actor) => {
+    await getDocumentLabel(docType);
+    await migrateLegacy(user, docType);
+
+    const checksum = crypto.createHash("sha256").update(file.buffer).digest("hex");
+
+    const storage = await saveFile(file.buffer, { folder: storageFolder(user), contentType: file.mimetype });
+    let stored;
+    try {
+        for (let attempt = 1; !stored; attempt++) {
+            const latest = await OnboardingDocument.findOne({ user: user._id, docType }).sort({ version: -1 }).select("version");
+            try {
+                stored = await OnboardingDocument.create({
+                    user: user._id,
+                    docType,
+                    version: (latest?.version || 0) + 1,
+                    storage,
+                    contentType: file.mimetype,
+                    fileName: file.originalname,
+                    size: file.size,
+                    checksum,
+                    uploadedBy: actor._id,
+                });
+            } catch (err) {
+                if (!isDuplicateKey(err) || attempt >= MAX_VERSION_ATTEMPTS) throw err;
+            }
+        }
+    } catch (err) {
+        await deleteFiles([{ storage }]); // Don't leave an orphaned file behind
+        throw err;
+    }
+
+    setRef(user, docType, {
+        contentType: stored.contentType,
+        fileName: stored.fileName,
+        size: stored.size,
+        checksum,
+        version: stored.version,
+        uploadedAt: stored.createdAt,
+        uploadedBy: actor._id,
+    });
+
+    const request = openRequest(user, docType);
+    if (request) request.resolvedAt = new Date();
+
+    return stored;
+};
+
+/**
+ * Version history per document type (metadata only) plus open re-upload requests
+ */
+const listDocuments = async (userId) => {
+    const user = await User.findById(userId).select("onboarding.aadhaarCard onboarding.panCard onboarding.documents onboarding.documentRequests onboarding.completedAt updatedAt");
+    if (!user) throw httpError("User not found", 404);
+
+    // Built-in types always, plus any flow-defined type this user has uploaded
+    const types = await getDocumentTypes();
+    const shown = Object.entries(types).filter(([docType]) => isBuiltIn(docType) || isUploaded(user, docType));
+
+    const versions = await OnboardingDocument.find({ user: userId })
+        .select("-data -storage")
+        .populate("uploadedBy", "fullName")
+        .sort({ version: -1 })
+        .lean();
+
+    return shown.map(([docType, label]) => {
+        const history = versions.filter((v) => v.docType === docType);
+        const legacy = user.onboarding?.[docType];
+
+        // Legacy embedded upload that has not been migrated yet shows as version 1
+        if (history.length === 0 && legacy?.data) {
+            history.push({
+                docType,
+                version: 1,
+                contentType: legacy.contentType,
+                fileName: legacy.fileName,
+                createdAt: user.onboarding.completedAt || user.updatedAt,
+                legacy: true,
+            });
+        }
+
+        return {
+            docType,
+            label,
+            currentVersion: history[0]?.version || null,
+            versions: history,
+            openRequest: openRequest(user, docType) || null,
+        };
+    });
+};
+
+/**
+ * Decrypted file for one version (latest when version is omitted)
+ */
+const getDocument = async (userId, docType, version) => {
+    await getDocumentLabel(docType);
+    if (!mongoose.isValidObjectId(userId)) throw httpError("User not found", 404);
+
+    const filter = { user: userId, docType };
+    if (version !== undefined) {
+        const number = Number(version);
+        if (!Number.isInteger(number) || number < 1) throw httpError("Version must be a positive integer", 400);
+        filter.version = number;
+    }
+
+    const stored = await OnboardingDocument.findOne(filter).sort({ version: -1 });
+    if (stored) {
+        return {
+            version: stored.version,
+            contentType: stored.contentType,
+            fileName: stored.fileName,
+            data: await readFile(stored),
+        };
+    }
+
+    // Legacy embedded upload (served as version 1)
+    const user = isBuiltIn(docType) ? await User.findById(userId).select(`onboarding.${docType}`) : null;
+    const legacy = user?.onboarding?.[docType];
+    if (legacy?.data && (version === undefined || Number(version) === 1)) {
+        return {
+            version: 1,
+            contentType: legacy.contentType,
+            fileName: legacy.fileName,
+            data: await readFile(legacy),
+        };
+    }
+
+    throw httpError("Document not found or not uploaded", 404);
+};
+
+/**
+ * HR asks an employee to upload a document again — emails them and opens a request
+ */
+const requestReupload = async (userId, docType, reason, actor) => {
+    const label = await getDocumentLabel(docType);
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) throw httpError("User not found", 404);
+
+    if (openRequest(user, docType)) {
+        throw httpError(`A re-upload of the ${label} has already been requested`, 400);
+    }
+
+    user.onboarding.documentRequests.push({ docType, reason: reason || "", requestedBy: actor._id });
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "REQUEST_DOCUMENT_REUPLOAD",
+        performedBy: actor._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Requested a new ${label} from ${user.fullName}`,
+        metadata: { docType, reason: reason || "" },
+    });
+
+    // Fire-and-forget email notification
+    sendDocumentReuploadEmail(user.email, user.fullName, label, reason).catch((err) =>
+        console.error("Failed to send document re-upload email to", user.email, err)
+    );
+
+    return openRequest(user, docType);
+};
+
+/**
+ * Employee uploads a new version — allowed while onboarding or when HR has requested it
+ */
+const reuploadDocument = async (userId, docType, file) => {
+    const label = await getDocumentLabel(docType);
+    if (!file) throw httpError("No file uploaded", 400);
+
+    const user = await User.findById(userId);
+    if (!user) throw httpError("User not found", 404);
+
+    // While HR reviews a submission, documents change only through the resubmission flow
+    const reviewStatus = user.onboarding.review?.status;
+    if ([ONBOARDING_REVIEW_STATUS.SUBMITTED, ONBOARDING_REVIEW_STATUS.CHANGES_REQUESTED].includes(reviewStatus)) {
+        throw httpError("Your onboarding is with HR for review — resubmit rejected documents from the onboarding page", 403);
+    }
+
+    const request = openRequest(user, docType);
+    if (user.status !== USER_STATUS.PENDING && !request) {
+        throw httpError(`HR has not requested a new ${label}`, 403);
+    }
+
+    const stored = await addVersion(user, docType, file, user);
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "UPLOAD_DOCUMENT",
+        performedBy: user._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Uploaded ${label} version ${stored.version}`,
+        metadata: { docType, version: stored.version, checksum: stored.checksum, requested: !!request },
+    });
+
+    return getRef(user, docType);
+};
+
+/**
+ * Remove every stored version of a user's documents (employee purge)
+ */
+const deleteUserDocuments = async (userId) => {
+    const stored = await OnboardingDocument.find({ user: userId }).select("storage").lean();
+    await deleteFiles(stored);
+    await OnboardingDocument.deleteMany({ user: userId });
+};
+
+module.exports = {
+    getDocumentLabel,
+    getRef,
+    isUploaded,
+    addVersion,
+    listDocuments,
+    getDocument,
+    requestReupload,
+    reuploadDocument,
+    migrateLegacy,
+    deleteUserDocuments,
+};
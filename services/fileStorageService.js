@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const { encryptBuffer, decryptBuffer, getKeyId } = require("../utils/encryptData");
+
+// ─── File Storage ───
+// Uploaded files (onboarding documents, custom field files, future attachments) live outside
+// the records that describe them. Records keep a { driver, key, keyId } reference; files are
+// always encrypted with encryptBuffer before they reach a driver (keyId is the encryption key
+// used, so key rotation can find old files without downloading them).
+//
+// FILE_STORAGE_DRIVER selects where new files go (existing files are read from the driver
+// recorded on them, so switching drivers never strands old uploads):
+//   gridfs (default) — the app's MongoDB, "files" bucket
+//   disk             — FILE_STORAGE_DIR (default ./uploads)
+//   s3               — any S3-compatible store: S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID,
+//                      S3_SECRET_ACCESS_KEY, optional S3_ENDPOINT (e.g. a local MinIO at
+//                      http://localhost:9000, which uses path-style URLs)
+
+const DRIVERS = ["gridfs", "disk", "s3"];
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const notFound = () => httpError("Stored file not found", 404);
+
+// ─── GridFS ───
+const createGridfsDriver = () => {
+    const bucket = () => {
+        if (!mongoose.connection.db) throw new Error("GridFS storage needs an open MongoDB connection");
+        return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: "files" });
+    };
+
+    return {
+        put: (key, data, { contentType } = {}) =>
+            new Promise((resolve, reject) => {
+                const upload = bucket().openUploadStream(key, { metadata: { contentType } });
+                upload.once("error", reject);
+                upload.once("finish", () => resolve(key));
+                upload.end(data);
+            }),
+
+        get: async (key) => {
+            const [file] = await bucket().find({ filename: key }).limit(1).toArray();
+            if (!file) throw notFound();
+
+            const chunks = [];
+            for await (const chunk of bucket().openDownloadStream(file._id)) chunks.push(chunk);
+            return Buffer.concat(chunks);
+        },
+
+        remove: async (key) => {
+            const files = await bucket().find({ filename: key }).toArray();
+            for (const file of files) await bucket().delete(file._id);
+        },
+    };
+};
+
+// ─── Local disk ───
+const createDiskDriver = () => {
+    const root = path.resolve(process.env.FILE_STORAGE_DIR || "uploads");
+
+    // Keys are generated here, but never let one escape the storage directory
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw httpError("Invalid storage key", 400);
+        return file;
+    };
+
+    return {
+        put: async (key, data) => {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, data, { flag: "wx" });
+            return key;
+        },
+
+        get: async (key) => {
+            try {
+                return await fs.readFile(resolve(key));
+            } catch (err) {
+                if (err.code === "ENOENT") throw notFound();
+                throw err;
+            }
+        },
+
+        remove: async (key) => {
+            await fs.rm(resolve(key), { force: true });
+        },
+    };
+};
+
+// ─── S3-compatible (AWS S3, MinIO...) ───
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+/**
+ * AWS Signature V4 headers for a single-chunk request
+ */
+const signS3Request = ({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+
+    const signed = {
+        ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+        host: url.host,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate,
+    };
+    const names = Object.keys(signed).sort();
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        url.searchParams.toString(),
+        names.map((name) => `${name}:${signed[name]}\n`).join(""),
+        names.join(";"),
+        payloadHash,
+    ].join("\n");
+
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    const { host, ...rest } = signed; // fetch sets Host from the URL
+    return {
+        ...rest,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+    };
+};
+
+const createS3Driver = () => {
+    const { S3_BUCKET, S3_REGION = "us-east-1", S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_ENDPOINT } = process.env;
+    if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+        throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+
+    // Custom endpoints (MinIO) use path-style URLs; AWS uses virtual-hosted buckets
+    const objectUrl = (key) => {
+        const encoded = key.split("/").map(encodeURIComponent).join("/");
+        return S3_ENDPOINT
+            ? new URL(`${S3_ENDPOINT.replace(/\/$/, "")}/${S3_BUCKET}/${encoded}`)
+            : new URL(`https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com/${encoded}`);
+    };
+
+    const request = async (method, key, body, headers = {}) => {
+        const url = objectUrl(key);
+        const response = await fetch(url, {
+            method,
+            body,
+            headers: signS3Request({
+                method,
+                url,
+                headers,
+                payloadHash: sha256(body || ""),
+                region: S3_REGION,
+                accessKeyId: S3_ACCESS_KEY_ID,
+                secretAccessKey: S3_SECRET_ACCESS_KEY,
+            }),
+        });
+
+        if (response.status === 404 && method === "GET") throw notFound();
+        if (!response.ok) {
+            const detail = (await response.text()).match(/<Code>(.*?)<\/Code>/)?.[1] || response.statusText;
+            throw new Error(`S3 ${method} ${key} failed: ${response.status} ${detail}`);
+        }
+        return response;
+    };
+
+    return {
+        put: async (key, data, { contentType } = {}) => {
+            await request("PUT", key, data, { "content-type": contentType || "application/octet-stream" });
+            return key;
+        },
+
+        get: async (key) => Buffer.from(await (await request("GET", key)).arrayBuffer()),
+
+        remove: async (key) => {
+            await request("DELETE", key); // S3 answers 204 for missing keys too
+        },
+    };
+};
+
+const FACTORIES = { gridfs: createGridfsDriver, disk: createDiskDriver, s3: createS3Driver };
+const instances = {};
+
+const getDriver = (name) => {
+    if (!FACTORIES[name]) throw new Error(`Unknown file storage driver "${name}". Use one of: ${DRIVERS.join(", ")}`);
+    if (!instances[name]) instances[name] = FACTORIES[name]();
+    return instances[name];
+};
+
+/**
+ * Driver new uploads are written to
+ */
+const getActiveDriverName = () => (process.env.FILE_STORAGE_DRIVER || "gridfs").toLowerCase();
+
+// ─── Public API ───
+
+/**
+ * Encrypt and store a file — returns the { driver, key, keyId } reference to keep on the record
+ * folder groups related files (e.g. "onboarding/<userId>")
+ */
+const saveFile = async (buffer, { folder, contentType } = {}) => {
+    const driver = getActiveDriverName();
+    const key = `${folder ? `${folder}/` : ""}${crypto.randomUUID()}`;
+    const encrypted = encryptBuffer(buffer);
+
+    await getDriver(driver).put(key, encrypted, { contentType });
+    return { driver, key, keyId: getKeyId(encrypted) };
+};
+
+/**
+ * Decrypted contents of a stored record — from its storage reference, or the legacy
+ * embedded `data` Buffer on records that have not been migrated yet
+ */
+const readFile = async (record) => {
+    if (record.storage?.key) {
+        return decryptBuffer(await getDriver(record.storage.driver).get(record.storage.key));
+    }
+    if (record.data) {
+        // Hydrated records hold a Buffer; lean ones a BSON Binary wrapping the bytes
+        const { data } = record;
+        return decryptBuffer(Buffer.isBuffer(data) ? data : Buffer.from(data.buffer));
+    }
+    throw notFound();
+};
+
+/**
+ * Delete the stored files behind records (missing files are ignored)
+ */
+const deleteFiles = async (records) => {
+    for (const record of records) {
+        if (!record.storage?.key) continue;
+        try {
+            await getDriver(record.storage.driver).remove(record.storage.key);
+        } catch (err) {
+            console.error(`Failed to delete stored file ${record.storage.driver}:${record.storage.key}:`, err.message);
+        }
+    }
+};
+
+module.exports = {
+    DRIVERS,
+    getActiveDriverName,
+    saveFile,
+    readFile,
+    deleteFiles,
+};
@@ -335,6 +335,7 @@ const syncRecordToSheet = async (user, record) => {
     let attendanceStatus = record.status;
     if (isPresent) attendanceStatus = "Present";
     else if (isAbsent) attendanceStatus = "Absent";
+    else if (record.status === "on-leave") attendanceStatus = "On Leave";
 
     const colLetter = getColumnLetter(1 + dayIndex); // Column A=0, B=1, C=2=01/03. Day 1 -> C (2)
 
@@ -472,5 +473,57 @@ const renameEmployeeInSheets = async (oldName, newName, newDepartment) => {
     }
 };
 
-module.exports = { syncRecordToSheet, formatHHMMSS, getSheetsInstance, removeEmployeeFromSheets, renameEmployeeInSheets };
+/**
+ * Update the department label (column B) of several employees' header rows on every
+ * sheet tab — used when a department is renamed or merged. One batch write per tab.
+ */
+const updateDepartmentInSheets = async (employeeNames, newDepartment) => {
+    const instance = getSheetsInstance();
+    if (!instance || employeeNames.length === 0) return;
+    const { sheets, spreadsheetId } = instance;
+
+    const names = new Set(employeeNames);
+
+    try {
+        const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId });
+        const allSheets = spreadsheet.data.sheets || [];
+
+        for (const sheetMeta of allSheets) {
+            const sheetTitle = sheetMeta.properties.title;
+
+            const readRes = await sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range: `'${sheetTitle}'!A:B`,
+            });
+
+            const rows = readRes.data.values || [];
+            const data = [];
+            rows.forEach((row, i) => {
+                if (row && names.has(row[0]) && row[1] !== newDepartment) {
+                    data.push({ range: `'${sheetTitle}'!B${i + 1}`, values: [[newDepartment]] });
+                }
+            });
+
+            if (data.length === 0) continue;
+
+            await sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: { valueInputOption: "USER_ENTERED", data },
+            });
+
+            console.log(`✏️  Set department "${newDepartment}" for ${data.length} row(s) on sheet tab "${sheetTitle}"`);
+        }
+    } catch (err) {
+        console.error(`❌ updateDepartmentInSheets failed for "${newDepartment}":`, err.message);
+    }
+};
+
+module.exports = {
+    syncRecordToSheet,
+    formatHHMMSS,
+    getSheetsInstance,
+    removeEmployeeFromSheets,
+    renameEmployeeInSheets,
+    updateDepartmentInSheets,
+};
 
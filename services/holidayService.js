@@ -0,0 +1,372 @@
+const mongoose = require("mongoose");
+const Holiday = require("../models/Holiday");
+const { getSetting, setSetting } = require("./settingsService");
+const { parseCsv } = require("../utils/csv");
+const { getNowIST, parseISTDate, toISTDateString } = require("../utils/dateUtils");
+
+// ─── Working-day calendar ───
+// A day is non-working for an employee when a holiday scoped to them falls on it, or it
+// matches one of the weekly-off rules. The absence cron, backfillAbsences, monthly reports
+// and leave day counts all go through loadCalendar().
+//
+// Weekly-off rule: { days: [0-6] (0 = Sunday), weeks: [1-5] (nth weekday of the month; empty =
+// every week), locations: [], departments: [] (empty = everyone) } — e.g. 2nd & 4th Saturdays:
+// { days: [6], weeks: [2, 4] }
+
+const WEEKLY_OFFS_KEY = "attendance.weeklyOffs";
+const DEFAULT_WEEKLY_OFFS = [{ days: [0], weeks: [], locations: [], departments: [] }]; // Sundays
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MAX_EVENT_DAYS = 31;   // Longest multi-day iCal event expanded into holidays
+const MAX_IMPORT_ROWS = 1000;
+
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const normalizeList = (values) =>
+    [...new Set((Array.isArray(values) ? values : String(values || "").split(/[;|]/)).map((v) => String(v).trim()).filter(Boolean))];
+
+const matches = (list, value) =>
+    !list || list.length === 0 || list.some((v) => v.toLowerCase() === String(value || "").toLowerCase());
+
+/**
+ * Does a holiday / weekly-off rule (by its locations + departments) apply to the user?
+ */
+const appliesTo = (scope, user) => matches(scope.locations, user.location) && matches(scope.departments, user.department);
+
+// ─── Weekly offs ───
+
+const getWeeklyOffs = async () => getSetting(WEEKLY_OFFS_KEY, DEFAULT_WEEKLY_OFFS);
+
+/**
+ * Replace the weekly-off rules (an empty list means every day is a working day)
+ */
+const setWeeklyOffs = async (rules, actor) => {
+    if (!Array.isArray(rules)) throw httpError("rules must be a list", 400);
+
+    const normalized = rules.map((rule, i) => {
+        const days = [...new Set(rule.days || [])].map(Number);
+        const weeks = [...new Set(rule.weeks || [])].map(Number);
+        if (days.length === 0 || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+            throw httpError(`Rule ${i + 1}: days must be weekdays 0 (Sunday) – 6 (Saturday)`, 400);
+        }
+        if (weeks.some((w) => !Number.isInteger(w) || w < 1 || w > 5)) {
+            throw httpError(`Rule ${i + 1}: weeks must be between 1 and 5`, 400);
+        }
+        return {
+            days: days.sort(),
+            weeks: weeks.sort(),
+            locations: normalizeList(rule.locations),
+            departments: normalizeList(rule.departments),
+        };
+    });
+
+    return setSetting(WEEKLY_OFFS_KEY, normalized, actor._id);
+};
+
+const isWeeklyOff = (rules, user, dayStart) => {
+    const ist = new Date(dayStart.getTime() + IST_OFFSET_MS);
+    const weekday = ist.getUTCDay();
+    const nth = Math.ceil(ist.getUTCDate() / 7);
+
+    return rules.some(
+        (rule) =>
+            rule.days.includes(weekday) &&
+            (!rule.weeks || rule.weeks.length === 0 || rule.weeks.includes(nth)) &&
+            appliesTo(rule, user)
+    );
+};
+
+/**
+ * Calendar for an IST date range — holidays and weekly offs are loaded once, then checked per user:
+ *   nonWorkingReason(user, dayStart) → { type: "holiday", name } | { type: "weekly-off" } | null
+ *   isWorkingDay(user, dayStart)
+ *   countWorkingDays(user, start, end) — inclusive IST days
+ * user needs location and department
+ */
+const loadCalendar = async (start, end) => {
+    const [holidays, rules] = await Promise.all([
+        Holiday.find({ date: { $gte: start, $lte: end } }).select("name date locations departments").lean(),
+        getWeeklyOffs(),
+    ]);
+
+    const byDay = new Map();
+    for (const holiday of holidays) {
+        const key = toISTDateString(holiday.date);
+        byDay.set(key, [...(byDay.get(key) || []), holiday]);
+    }
+
+    const nonWorkingReason = (user, dayStart) => {
+        const holiday = (byDay.get(toISTDateString(dayStart)) || []).find((h) => appliesTo(h, user));
+        if (holiday) return { type: "holiday", name: holiday.name };
+        return isWeeklyOff(rules, user, dayStart) ? { type: "weekly-off" } : null;
+    };
+
+    const isWorkingDay = (user, dayStart) => !nonWorkingReason(user, dayStart);
+
+    const countWorkingDays = (user, from, to) => {
+        let count = 0;
+        for (let day = new Date(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+            if (isWorkingDay(user, day)) count++;
+        }
+        return count;
+    };
+
+    return { nonWorkingReason, isWorkingDay, countWorkingDays };
+};
+
+// ─── Holidays ───
+
+const presentHoliday = (holiday) => {
+    const data = holiday.toObject ? holiday.toObject() : holiday;
+    return { ...data, day: toISTDateString(data.date) };
+};
+
+/**
+ * Holidays in a year (default: current IST year) — ?location= / ?department= keep the
+ * ones that apply there (incl. company-wide holidays)
+ */
+const listHolidays = async ({ year, location, department } = {}) => {
+    const targetYear = year ? Number(year) : getNowIST().year;
+    if (!Number.isInteger(targetYear) || targetYear < 2000 || targetYear > 2100) {
+        throw httpError("year must be a 4-digit year", 400);
+    }
+
+    const holidays = await Holiday.find({
+        date: { $gte: parseISTDate(`${targetYear}-01-01`), $lte: parseISTDate(`${targetYear}-12-31`) },
+    })
+        .sort({ date: 1, name: 1 })
+        .lean();
+
+    return holidays
+        .filter((h) => (!location || matches(h.locations, location)) && (!department || matches(h.departments, department)))
+        .map(presentHoliday);
+};
+
+const findHoliday = async (id) => {
+    const holiday = mongoose.isValidObjectId(id) ? await Holiday.findById(id) : null;
+    if (!holiday) throw httpError("Holiday not found", 404);
+    return holiday;
+};
+
+const assertNotDuplicate = async (name, date, exceptId) => {
+    const existing = await Holiday.findOne({ name, date, _id: { $ne: exceptId } }).collation(NAME_COLLATION);
+    if (existing) throw httpError(`"${name}" is already on the calendar for ${toISTDateString(date)}`, 400);
+};
+
+/**
+ * Add a holiday — { name, date (YYYY-MM-DD), locations?, departments? }
+ */
+const createHoliday = async ({ name, date, locations, departments }, actor) => {
+    const day = parseISTDate(date);
+    if (!day) throw httpError("date must be a real calendar day (YYYY-MM-DD)", 400);
+    await assertNotDuplicate(name, day);
+
+    const holiday = await Holiday.create({
+        name,
+        date: day,
+        locations: normalizeList(locations),
+        departments: normalizeList(departments),
+        createdBy: actor._id,
+    });
+    return presentHoliday(holiday);
+};
+
+const updateHoliday = async (id, { name, date, locations, departments }) => {
+    const holiday = await findHoliday(id);
+
+    if (date !== undefined) {
+        const day = parseISTDate(date);
+        if (!day) throw httpError("date must be a real calendar day (YYYY-MM-DD)", 400);
+        holiday.date = day;
+    }
+    if (name !== undefined) holiday.name = name;
+    if (locations !== undefined) holiday.locations = normalizeList(locations);
+    if (departments !== undefined) holiday.departments = normalizeList(departments);
+
+    await assertNotDuplicate(holiday.name, holiday.date, holiday._id);
+    await holiday.save();
+    return presentHoliday(holiday);
+};
+
+const deleteHoliday = async (id) => {
+    const holiday = await findHoliday(id);
+    await holiday.deleteOne();
+    return presentHoliday(holiday);
+};
+
+// ─── Import ───
+
+/**
+ * iCal (RFC 5545) VEVENTs → [{ line, name, date, externalId, warning? }]
+ * All-day events use DTEND as the (exclusive) end; timed events count on their IST start day.
+ */
+const parseICal = (text) => {
+    // Unfold continuation lines (they start with a space or tab)
+    const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const unescape = (value) => value.replace(/\\n/gi, " ").replace(/\\([\\;,])/g, "$1").trim();
+
+    const toDay = (value) => {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}(Z?))?$/.exec(value || "");
+        if (!match) return null;
+        const [, y, m, d, time, utc] = match;
+        if (time && utc) return parseISTDate(toISTDateString(new Date(`${y}-${m}-${d}T${time.slice(1, 3)}:${time.slice(3, 5)}:${time.slice(5, 7)}Z`)));
+        return parseISTDate(`${y}-${m}-${d}`);
+    };
+
+    const entries = [];
+    let event = null;
+
+    lines.forEach((raw, i) => {
+        const line = raw.trim();
+        if (line === "BEGIN:VEVENT") return (event = { line: i + 1 });
+        if (!event) return;
+
+        if (line === "END:VEVENT") {
+            const start = toDay(event.DTSTART);
+            const name = unescape(event.SUMMARY || "");
+            if (!start || !name) {
+                entries.push({ line: event.line, error: !start ? "Missing or invalid DTSTART" : "Missing SUMMARY" });
+            } else {
+                const allDay = /^\d{8}$/.test(event.DTSTART);
+                const end = allDay && event.DTEND ? toDay(event.DTEND) : null;
+                const days = end ? Math.min(Math.max(Math.round((end - start) / DAY_MS), 1), MAX_EVENT_DAYS) : 1;
+                for (let n = 0; n < days; n++) {
+                    entries.push({
+                        line: event.line,
+                        name,
+                        date: new Date(start.getTime() + n * DAY_MS),
+                        externalId: event.UID || null,
+                        warning: event.RRULE ? "Recurring rule ignored — only the first occurrence was imported" : undefined,
+                    });
+                }
+            }
+            event = null;
+            return;
+        }
+
+        // NAME;PARAM=...:VALUE
+        const separator = line.indexOf(":");
+        if (separator === -1) return;
+        const key = line.slice(0, separator).split(";")[0].toUpperCase();
+        if (["DTSTART", "DTEND", "SUMMARY", "UID", "RRULE"].includes(key)) event[key] = line.slice(separator + 1);
+    });
+
+    return entries;
+};
+
+/**
+ * CSV with a header row: date (YYYY-MM-DD), name, and optional locations / departments
+ * (several values separated by ";") → [{ line, name, date, locations, departments }]
+ */
+const parseHolidayCsv = (text) => {
+    const { headers, records } = parseCsv(text);
+    const missing = ["date", "name"].filter((c) => !headers.includes(c));
+    if (missing.length > 0) {
+        throw httpError(`CSV is missing required column(s): ${missing.join(", ")}. Expected: date, name, locations, departments`, 400);
+    }
+
+    return records.map((record, i) => {
+        const date = parseISTDate(String(record.date || "").trim());
+        const name = String(record.name || "").trim();
+        if (!date) return { line: i + 2, error: "date must be YYYY-MM-DD" };
+        if (!name) return { line: i + 2, error: "name is required" };
+        return {
+            line: i + 2,
+            name,
+            date,
+            locations: record.locations ? normalizeList(record.locations) : undefined,
+            departments: record.departments ? normalizeList(record.departments) : undefined,
+        };
+    });
+};
+
+/**
+ * Import holidays from an iCal or CSV file. Holidays already on the calendar (same iCal UID,
+ * or same name on the same day) are updated instead of duplicated.
+ * scope { locations, departments } applies to every row that doesn't set its own.
+ * Returns { dryRun, summary: { total, created, updated, invalid }, rows }
+ */
+const importHolidays = async (text, format, { locations, departments, dryRun = false } = {}, actor) => {
+    const entries = format === "ical" ? parseICal(text) : parseHolidayCsv(text);
+    if (entries.length === 0) throw httpError("The file contains no holidays", 400);
+    if (entries.length > MAX_IMPORT_ROWS) throw httpError(`A single import is limited to ${MAX_IMPORT_ROWS} holidays`, 400);
+
+    const summary = { total: entries.length, created: 0, updated: 0, invalid: 0 };
+    const rows = [];
+
+    for (const entry of entries) {
+        if (entry.error) {
+            summary.invalid++;
+            rows.push({ line: entry.line, status: "invalid", error: entry.error });
+            continue;
+        }
+
+        const data = {
+            name: entry.name,
+            date: entry.date,
+            locations: entry.locations || normalizeList(locations),
+            departments: entry.departments || normalizeList(departments),
+            source: format,
+            externalId: entry.externalId || null,
+        };
+
+        const existing = entry.externalId
+            ? await Holiday.findOne({ externalId: entry.externalId, date: entry.date })
+            : await Holiday.findOne({ name: entry.name, date: entry.date }).collation(NAME_COLLATION);
+
+        const status = existing ? "updated" : "created";
+        if (!dryRun) {
+            if (existing) await Holiday.updateOne({ _id: existing._id }, data);
+            else await Holiday.create({ ...data, createdBy: actor._id });
+        }
+
+        summary[status]++;
+        rows.push({ line: entry.line, status, name: entry.name, day: toISTDateString(entry.date), warning: entry.warning });
+    }
+
+    return { dryRun, summary, rows };
+};
+
+// ─── Department renames / merges ───
+
+// Swap a department name in a scope list (case-insensitive, like appliesTo) without duplicating it
+const renameInList = (list, oldName, newName) =>
+    [...new Set((list || []).map((name) => (name.toLowerCase() === oldName.toLowerCase() ? newName : name)))];
+
+/**
+ * Re-point holidays and weekly-off rules scoped to oldName at newName
+ * Called by departmentService when a department is renamed or merged away
+ */
+const renameDepartment = async (oldName, newName, actor) => {
+    const holidays = await Holiday.find({ departments: oldName }).collation(NAME_COLLATION);
+    for (const holiday of holidays) {
+        holiday.departments = renameInList(holiday.departments, oldName, newName);
+        await holiday.save();
+    }
+
+    const rules = await getWeeklyOffs();
+    const renamed = rules.map((rule) => ({ ...rule, departments: renameInList(rule.departments, oldName, newName) }));
+    if (JSON.stringify(renamed) !== JSON.stringify(rules)) {
+        await setSetting(WEEKLY_OFFS_KEY, renamed, actor?._id);
+    }
+};
+
+module.exports = {
+    DEFAULT_WEEKLY_OFFS,
+    getWeeklyOffs,
+    setWeeklyOffs,
+    loadCalendar,
+    listHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    importHolidays,
+    renameDepartment,
+};
@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { generateInviteToken } = require("../utils/generateToken");
+const { sendInvitationEmail } = require("../utils/emailService");
+const { USER_STATUS } = require("../utils/constants");
+const { canAssignRole } = require("./permissionService");
+
+const INVITE_EXPIRE_DAYS = Number(process.env.INVITE_EXPIRE_DAYS) || 7;
+
+/**
+ * Helper: can this HR/Admin manage invites for a user of that role?
+ */
+const assertCanManage = async (actor, user) => {
+    if (!(await canAssignRole(actor.role, user.role))) {
+        const error = new Error(`${actor.role} cannot manage invitations for role: ${user.role}`);
+        error.statusCode = 403;
+        throw error;
+    }
+};
+
+/**
+ * Helper: load an invitee that still has an outstanding invitation
+ */
+const findInvitee = async (userId) => {
+    const user = await User.findById(userId).select("+invitation.tokenId");
+
+    if (!user || !user.hasPendingInvitation()) {
+        const error = new Error("No outstanding invitation found for this user");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return user;
+};
+
+/**
+ * Issue (or re-issue) an invitation link and email it
+ * Any previously sent link stops working because the stored tokenId changes
+ */
+const sendInvitation = async (user, invitedBy) => {
+    const tokenId = crypto.randomUUID();
+    const token = generateInviteToken(user, tokenId, INVITE_EXPIRE_DAYS);
+
+    user.invitation.tokenId = tokenId;
+    user.invitation.sentAt = new Date();
+    user.invitation.sentCount = (user.invitation.sentCount || 0) + 1;
+    user.invitation.expiresAt = new Date(jwt.decode(token).exp * 1000);
+    user.invitation.revokedAt = undefined;
+    user.invitation.invitedBy = invitedBy._id;
+    await user.save({ validateBeforeSave: false });
+
+    const inviteUrl = `${process.env.CLIENT_URL || "http://localhost:5173"}/accept-invite?token=${token}`;
+
+    // Fire-and-forget email notification (TRULY non-blocking)
+    sendInvitationEmail(user.email, user.fullName, inviteUrl, INVITE_EXPIRE_DAYS).catch((err) => {
+        console.error("Failed to send invitation email to", user.email, err);
+    });
+
+    return user;
+};
+
+/**
+ * Accept an invitation — verify the signed link and set the employee's own password
+ * Returns the user, ready for a normal login session
+ */
+const acceptInvitation = async (token, password) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        decoded = null;
+    }
+
+    const invalid = () => {
+        const error = new Error("Invitation link is invalid or has expired. Ask HR to resend it.");
+        error.statusCode = 400;
+        return error;
+    };
+
+    if (!decoded || decoded.purpose !== "invite") throw invalid();
+
+    const user = await User.findById(decoded.id).select("+invitation.tokenId");
+
+    if (
+        !user ||
+        user.status === USER_STATUS.INACTIVE ||
+        !user.hasPendingInvitation() ||
+        user.invitation.revokedAt ||
+        user.invitation.tokenId !== decoded.jti
+    ) {
+        throw invalid();
+    }
+
+    user.password = password;
+    user.invitation.tokenId = undefined;
+    user.invitation.acceptedAt = new Date();
+    await user.save();
+
+    return user;
+};
+
+/**
+ * List outstanding (not accepted) invitations
+ */
+const listInvitations = async () => {
+    const users = await User.find({
+        "invitation.sentAt": { $exists: true },
+        "invitation.acceptedAt": null,
+        status: { $ne: USER_STATUS.INACTIVE },
+    })
+        .select("fullName email role department status invitation createdAt")
+        .populate("invitation.invitedBy", "fullName email")
+        .sort({ "invitation.sentAt": -1 })
+        .lean();
+
+    const now = new Date();
+    return users.map(({ invitation: { tokenId, ...invitation }, ...u }) => ({
+        ...u,
+        invitation,
+        invitationState: invitation.revokedAt
+            ? "revoked"
+            : invitation.expiresAt < now
+                ? "expired"
+                : "pending",
+    }));
+};
+
+/**
+ * Resend an invitation (also re-activates a revoked or expired one)
+ */
+const resendInvitation = async (userId, actor) => {
+    const user = await findInvitee(userId);
+    await assertCanManage(actor, user);
+    return await sendInvitation(user, actor);
+};
+
+/**
+ * Revoke an outstanding invitation — the emailed link stops working
+ */
+const revokeInvitation = async (userId, actor) => {
+    const user = await findInvitee(userId);
+    await assertCanManage(actor, user);
+
+    user.invitation.tokenId = undefined;
+    user.invitation.revokedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+};
+
+module.exports = {
+    sendInvitation,
+    acceptInvitation,
+    listInvitations,
+    resendInvitation,
+    revokeInvitation,
+};
@@ -0,0 +1,268 @@
+const path = require("path");
+const User = require("../models/User");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const OnboardingDocument = require("../models/OnboardingDocument");
+const CustomFieldFile = require("../models/CustomFieldFile");
+const { LEGACY_KEY_ID, currentKeyId, keyIds, getKeyId, reencrypt, reencryptBuffer } = require("../utils/encryptData");
+const { saveFile, readFile, deleteFiles } = require("./fileStorageService");
+const { logAction } = require("../controllers/auditController");
+
+// ─── Encryption key rotation ───
+// 1. Add a new key to ENCRYPTION_KEYS and point ENCRYPTION_KEY_ID at it — new writes use it at once
+// 2. Run the re-encryption job (POST /api/auth/encryption/rotate or `node rotateEncryptionKeys.js`)
+// 3. When the report shows nothing on an old key, remove that key from the environment
+
+const DEFAULT_BATCH_SIZE = 100;
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Encrypted fields on User — onboarding.fields values are checked individually (only sensitive ones are encrypted)
+const USER_STRING_FIELDS = ["onboarding.accountNumber", "twoFactor.secret", "twoFactor.pendingSecret"];
+const USER_BUFFER_FIELDS = ["onboarding.aadhaarCard.data", "onboarding.panCard.data"]; // Legacy embedded documents
+const USER_SELECT = [
+    "onboarding.accountNumber",
+    "onboarding.fields",
+    ...USER_BUFFER_FIELDS,
+    "+twoFactor.secret",
+    "+twoFactor.pendingSecret",
+].join(" ");
+
+// Pending and past bank detail change requests
+const CHANGE_REQUEST_FILTER = { "changes.accountNumber": { $nin: [null, ""] } };
+
+const FILE_COLLECTIONS = [
+    { name: "onboardingdocuments", Model: OnboardingDocument, folder: (r) => `onboarding/${r.user}` },
+    { name: "customfieldfiles", Model: CustomFieldFile, folder: (r) => `custom-fields/${r.user}` },
+];
+
+const getPath = (doc, fieldPath) => fieldPath.split(".").reduce((value, key) => value?.[key], doc);
+
+// Lean reads return Buffers as BSON Binary
+const toBuffer = (data) => (Buffer.isBuffer(data) ? data : Buffer.from(data.buffer));
+
+/**
+ * Every encrypted value on a (lean) user — [{ path, value, buffer }]
+ */
+const encryptedUserValues = (user) => {
+    const values = [];
+
+    for (const fieldPath of USER_STRING_FIELDS) {
+        const value = getPath(user, fieldPath);
+        if (getKeyId(value)) values.push({ path: fieldPath, value });
+    }
+    for (const [key, value] of Object.entries(user.onboarding?.fields || {})) {
+        if (getKeyId(value)) values.push({ path: `onboarding.fields.${key}`, value });
+    }
+    for (const fieldPath of USER_BUFFER_FIELDS) {
+        const value = getPath(user, fieldPath);
+        if (value) values.push({ path: fieldPath, value: toBuffer(value), buffer: true });
+    }
+
+    return values;
+};
+
+/**
+ * Walk a collection in _id order, batchSize documents at a time
+ */
+async function* inBatches(Model, filter, select, batchSize) {
+    let lastId = null;
+    for (;;) {
+        const docs = await Model.find(lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter)
+            .select(select)
+            .sort({ _id: 1 })
+            .limit(batchSize)
+            .lean();
+        if (docs.length === 0) return;
+
+        yield docs;
+        lastId = docs[docs.length - 1]._id;
+    }
+}
+
+// ─── Report ───
+
+/**
+ * How many encrypted values / files are on each key
+ * records: [{ collection, field, keyId, count }]; outdated: total not on the current key
+ */
+const getKeyReport = async ({ batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+    const counts = new Map();
+    const add = (collection, field, keyId, count = 1) => {
+        const id = `${collection}|${field}|${keyId}`;
+        const entry = counts.get(id) || { collection, field, keyId, count: 0 };
+        entry.count += count;
+        counts.set(id, entry);
+    };
+
+    for await (const users of inBatches(User, {}, USER_SELECT, batchSize)) {
+        for (const user of users) {
+            for (const { path: fieldPath, value } of encryptedUserValues(user)) {
+                // Report custom onboarding fields as one group
+                add("users", fieldPath.startsWith("onboarding.fields.") ? "onboarding.fields.*" : fieldPath, getKeyId(value));
+            }
+        }
+    }
+
+    for await (const requests of inBatches(ProfileChangeRequest, CHANGE_REQUEST_FILTER, "changes.accountNumber", batchSize)) {
+        for (const request of requests) {
+            const keyId = getKeyId(request.changes.accountNumber);
+            if (keyId) add("profilechangerequests", "changes.accountNumber", keyId);
+        }
+    }
+
+    // Files written before key ids were recorded (and inline legacy data) are on the legacy key
+    for (const { name, Model } of FILE_COLLECTIONS) {
+        const groups = await Model.aggregate([
+            { $group: { _id: { $ifNull: ["$storage.keyId", LEGACY_KEY_ID] }, count: { $sum: 1 } } },
+        ]);
+        for (const group of groups) add(name, "file", group._id, group.count);
+    }
+
+    const records = [...counts.values()].sort(
+        (a, b) => a.collection.localeCompare(b.collection) || a.field.localeCompare(b.field) || a.keyId.localeCompare(b.keyId)
+    );
+
+    return {
+        currentKeyId,
+        configuredKeys: keyIds,
+        records,
+        outdated: records.filter((r) => r.keyId !== currentKeyId).reduce((sum, r) => sum + r.count, 0),
+    };
+};
+
+// ─── Re-encryption ───
+
+/**
+ * Re-encrypt one document's values with the current key. The update only applies if the
+ * values are still the ones we read, so a concurrent edit is never overwritten.
+ */
+const rotateValues = async (Model, id, values) => {
+    const outdated = values.filter(({ value }) => getKeyId(value) !== currentKeyId);
+    if (outdated.length === 0) return 0;
+
+    const filter = { _id: id };
+    const update = {};
+    for (const { path: fieldPath, value, buffer } of outdated) {
+        filter[fieldPath] = value;
+        update[fieldPath] = buffer ? reencryptBuffer(value) : reencrypt(value);
+    }
+
+    const result = await Model.updateOne(filter, { $set: update });
+    return result.modifiedCount > 0 ? outdated.length : 0;
+};
+
+/**
+ * Move a file onto the current key: write a new copy, repoint the record, delete the old copy
+ */
+const rotateFile = async (Model, record, folder) => {
+    const plain = await readFile(record);
+    const storage = await saveFile(plain, {
+        folder: record.storage?.key ? path.posix.dirname(record.storage.key) : folder,
+        contentType: record.contentType,
+    });
+
+    const unchanged = record.storage?.key ? { "storage.key": record.storage.key } : { "storage.key": { $exists: false } };
+    const result = await Model.updateOne({ _id: record._id, ...unchanged }, { $set: { storage }, $unset: { data: "" } });
+
+    // Replaced meanwhile (e.g. a re-upload) — drop our copy instead
+    await deleteFiles([result.modifiedCount > 0 ? record : { storage }]);
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Re-encrypt everything not on the current key, batch by batch
+ * onProgress(summary) is called after each batch. Returns { rotated, failed } per collection.
+ */
+const rotateKeys = async ({ batchSize = DEFAULT_BATCH_SIZE, onProgress } = {}) => {
+    const summary = {};
+    const track = (collection) => (summary[collection] = summary[collection] || { rotated: 0, failed: 0 });
+
+    const fail = (collection, id, err) => {
+        track(collection).failed++;
+        console.error(`Key rotation failed for ${collection} ${id}:`, err.message);
+    };
+
+    for await (const users of inBatches(User, {}, USER_SELECT, batchSize)) {
+        for (const user of users) {
+            try {
+                track("users").rotated += await rotateValues(User, user._id, encryptedUserValues(user));
+            } catch (err) {
+                fail("users", user._id, err);
+            }
+        }
+        if (onProgress) onProgress(summary);
+    }
+
+    for await (const requests of inBatches(ProfileChangeRequest, CHANGE_REQUEST_FILTER, "changes.accountNumber", batchSize)) {
+        for (const request of requests) {
+            try {
+                const values = [{ path: "changes.accountNumber", value: request.changes.accountNumber }];
+                track("profilechangerequests").rotated += await rotateValues(ProfileChangeRequest, request._id, values);
+            } catch (err) {
+                fail("profilechangerequests", request._id, err);
+            }
+        }
+        if (onProgress) onProgress(summary);
+    }
+
+    // Files are read and rewritten one at a time — each holds a whole document in memory
+    for (const { name, Model, folder } of FILE_COLLECTIONS) {
+        const outdated = { "storage.keyId": { $ne: currentKeyId } };
+        for await (const records of inBatches(Model, outdated, "user storage data contentType", batchSize)) {
+            for (const record of records) {
+                try {
+                    if (await rotateFile(Model, record, folder(record))) track(name).rotated++;
+                } catch (err) {
+                    fail(name, record._id, err);
+                }
+            }
+            if (onProgress) onProgress(summary);
+        }
+    }
+
+    return summary;
+};
+
+// ─── Background job (admin endpoint) ───
+// One rotation at a time per server process; progress is kept in memory for the status endpoint
+let job = null;
+
+const getRotationJob = () => job;
+
+/**
+ * Start re-encryption in the background — resolves immediately with the job state
+ */
+const startRotation = (actor, { batchSize } = {}) => {
+    if (job?.status === "running") throw httpError("A key rotation is already running", 409);
+
+    job = { status: "running", keyId: currentKeyId, startedAt: new Date(), startedBy: actor._id, summary: {} };
+    const current = job;
+
+    rotateKeys({ batchSize, onProgress: (summary) => (current.summary = summary) })
+        .then(async (summary) => {
+            Object.assign(current, { status: "completed", summary, finishedAt: new Date() });
+            await logAction({
+                action: "ROTATE_ENCRYPTION_KEYS",
+                performedBy: actor._id,
+                details: `Re-encrypted stored data with key "${currentKeyId}"`,
+                metadata: summary,
+            });
+        })
+        .catch((err) => {
+            Object.assign(current, { status: "failed", error: err.message, finishedAt: new Date() });
+            console.error("Key rotation failed:", err);
+        });
+
+    return job;
+};
+
+module.exports = {
+    getKeyReport,
+    rotateKeys,
+    startRotation,
+    getRotationJob,
+};
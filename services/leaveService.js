@@ -0,0 +1,573 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Attendance = require("../models/Attendance");
+const LeaveRequest = require("../models/LeaveRequest");
+const LeaveBalance = require("../models/LeaveBalance");
+const { USER_STATUS, LEAVE_TYPES, LEAVE_STATUS } = require("../utils/constants");
+const { getTodayRangeIST, getNowIST, formatISTDate, parseISTDate, toISTDateString } = require("../utils/dateUtils");
+const { sendLeaveRequestEmail, sendLeaveDecisionEmail } = require("../utils/emailService");
+const { hasPermission, listRoles } = require("./permissionService");
+const { loadCalendar } = require("./holidayService");
+const { logAction } = require("../controllers/auditController");
+
+// ─── Leave Policy ───
+// annual: days per calendar year. accrual:
+//   monthly — annual / 12 credited each month worked (so far this year)
+//   yearly  — the full year's entitlement up front (prorated for the joining year)
+//   granted — nothing accrues; HR / managers grant days as balance adjustments (comp-off)
+// carryForward: unused days moved into next year's opening balance (capped)
+const LEAVE_POLICY = {
+    [LEAVE_TYPES.CASUAL]: { label: "Casual leave", annual: 12, accrual: "monthly", carryForward: 0 },
+    [LEAVE_TYPES.SICK]: { label: "Sick leave", annual: 8, accrual: "yearly", carryForward: 0 },
+    [LEAVE_TYPES.EARNED]: { label: "Earned leave", annual: 15, accrual: "monthly", carryForward: 30 },
+    [LEAVE_TYPES.UNPAID]: { label: "Unpaid leave", unlimited: true },
+    [LEAVE_TYPES.COMP_OFF]: { label: "Compensatory off", annual: 0, accrual: "granted", carryForward: 0 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKDATE_DAYS = 30; // Sick leave etc. can be applied for after the fact
+const MAX_CARRY_YEARS = 10;   // How far back carry-forward balances are rebuilt
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const istYear = (date) => Number(toISTDateString(date).slice(0, 4));
+const istMonth = (date) => Number(toISTDateString(date).slice(5, 7));
+
+const findUser = async (userId) => {
+    const user = mongoose.isValidObjectId(userId)
+        ? await User.findById(userId).select("fullName email role department location status startDate createdAt reportsTo")
+        : null;
+    if (!user) throw httpError("User not found", 404);
+    return user;
+};
+
+/**
+ * Leave days between two IST calendar days (inclusive) — holidays and weekly offs don't count
+ */
+const countLeaveDays = async (user, start, end) => {
+    const calendar = await loadCalendar(start, end);
+    return calendar.countWorkingDays(user, start, end);
+};
+
+// ─── Balances ───
+
+/**
+ * Days of a leave type earned in a year so far, per the policy (prorated from the joining month)
+ */
+const accruedFor = (type, user, year) => {
+    const policy = LEAVE_POLICY[type];
+    if (policy.unlimited || policy.accrual === "granted") return 0;
+
+    const joined = user.startDate || user.createdAt;
+    const now = getNowIST();
+    if (istYear(joined) > year || year > now.year) return 0;
+
+    const firstMonth = istYear(joined) === year ? istMonth(joined) : 1;
+    const lastMonth = policy.accrual === "monthly" && year === now.year ? now.month : 12;
+    const months = Math.max(0, lastMonth - firstMonth + 1);
+
+    // Credited in half days
+    return Math.floor(((policy.annual * months) / 12) * 2) / 2;
+};
+
+const availableOf = (balance) =>
+    balance.opening + balance.accrued + balance.adjustment - balance.used - balance.pending;
+
+// available = opening + accrued + adjustment - used - pending, as an aggregation expression
+const balanceExpr = {
+    $subtract: [{ $add: ["$opening", "$accrued", "$adjustment"] }, { $add: ["$used", "$pending"] }],
+};
+
+/**
+ * Balance document for a user / year / type — created on first use with the carry-forward
+ * from the previous year, and with accrual brought up to date
+ */
+const ensureBalance = async (user, year, type, depth = 0) => {
+    const policy = LEAVE_POLICY[type];
+    let balance = await LeaveBalance.findOne({ user: user._id, year, type });
+
+    if (!balance) {
+        let opening = 0;
+        const joined = user.startDate || user.createdAt;
+        if (policy.carryForward > 0 && istYear(joined) < year && depth < MAX_CARRY_YEARS) {
+            const previous = await ensureBalance(user, year - 1, type, depth + 1);
+            opening = Math.min(Math.max(0, availableOf(previous)), policy.carryForward);
+        }
+
+        balance = await LeaveBalance.findOneAndUpdate(
+            { user: user._id, year, type },
+            { $setOnInsert: { opening } },
+            { upsert: true, returnDocument: "after", setDefaultsOnInsert: true }
+        );
+    }
+
+    const accrued = accruedFor(type, user, year);
+    if (balance.accrued !== accrued) {
+        balance.accrued = accrued;
+        await LeaveBalance.updateOne({ _id: balance._id }, { accrued });
+    }
+
+    return balance;
+};
+
+const presentBalance = (balance) => {
+    const policy = LEAVE_POLICY[balance.type];
+    return {
+        type: balance.type,
+        label: policy.label,
+        year: balance.year,
+        opening: balance.opening,
+        accrued: balance.accrued,
+        adjustment: balance.adjustment,
+        used: balance.used,
+        pending: balance.pending,
+        available: policy.unlimited ? null : availableOf(balance),
+        unlimited: !!policy.unlimited,
+    };
+};
+
+/**
+ * Leave types with their policy
+ */
+const getLeaveTypes = () =>
+    Object.entries(LEAVE_POLICY).map(([type, policy]) => ({
+        type,
+        label: policy.label,
+        annual: policy.unlimited ? null : policy.annual,
+        accrual: policy.unlimited ? null : policy.accrual,
+        carryForward: policy.carryForward || 0,
+        unlimited: !!policy.unlimited,
+    }));
+
+/**
+ * Every leave balance of a user for a year (default: current IST year)
+ */
+const getBalances = async (userId, year) => {
+    const user = await findUser(userId);
+    const targetYear = year ? Number(year) : getNowIST().year;
+    if (!Number.isInteger(targetYear) || targetYear < 2000 || targetYear > 2100) {
+        throw httpError("year must be a 4-digit year", 400);
+    }
+
+    const balances = [];
+    for (const type of Object.values(LEAVE_TYPES)) {
+        balances.push(presentBalance(await ensureBalance(user, targetYear, type)));
+    }
+    return { user: { _id: user._id, fullName: user.fullName }, year: targetYear, balances };
+};
+
+/**
+ * HR grants or corrects days (comp-off is granted this way) — negative days deduct
+ */
+const adjustBalance = async (userId, { type, year, days, reason }, actor) => {
+    const user = await findUser(userId);
+    const policy = LEAVE_POLICY[type];
+    if (policy.unlimited) throw httpError(`${policy.label} has no balance to adjust`, 400);
+
+    const targetYear = year ? Number(year) : getNowIST().year;
+    const balance = await ensureBalance(user, targetYear, type);
+
+    // A deduction may not take the balance below zero
+    const guard = days < 0 ? { $expr: { $gte: [balanceExpr, -days] } } : {};
+    const updated = await LeaveBalance.findOneAndUpdate(
+        { _id: balance._id, ...guard },
+        {
+            $inc: { adjustment: days },
+            $push: { adjustments: { days, reason: reason || "", adjustedBy: actor._id } },
+        },
+        { returnDocument: "after" }
+    );
+    if (!updated) throw httpError(`Only ${availableOf(balance)} day(s) of ${policy.label} are available to deduct`, 400);
+
+    await logAction({
+        action: "LEAVE_BALANCE_ADJUSTED",
+        performedBy: actor._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `${days > 0 ? "Granted" : "Deducted"} ${Math.abs(days)} day(s) of ${policy.label} (${targetYear}) for ${user.fullName}`,
+        metadata: { type, year: targetYear, days, reason: reason || "" },
+    });
+
+    return presentBalance(updated);
+};
+
+// ─── Requests ───
+
+const presentRequest = (request) => {
+    const data = request.toObject ? request.toObject() : request;
+    return {
+        ...data,
+        typeLabel: LEAVE_POLICY[data.type]?.label || data.type,
+        from: toISTDateString(data.startDate),
+        to: toISTDateString(data.endDate),
+    };
+};
+
+const summarize = (request) => ({
+    typeLabel: LEAVE_POLICY[request.type].label,
+    from: formatISTDate(request.startDate),
+    to: formatISTDate(request.endDate),
+    days: request.days,
+    reason: request.reason,
+});
+
+/**
+ * Reporting manager who approves the user's leave — null routes it to HR
+ */
+const resolveApprover = async (user) => {
+    if (!user.reportsTo) return null;
+    return User.findOne({ _id: user.reportsTo, status: USER_STATUS.ACTIVE }).select("fullName email");
+};
+
+/**
+ * Active users whose role can approve any leave (the HR queue)
+ */
+const getHrApprovers = async (excludeUserId) => {
+    const roles = (await listRoles()).filter((r) => (r.permissions || []).includes("leave.manageAll")).map((r) => r.name);
+    return User.find({ role: { $in: roles }, status: USER_STATUS.ACTIVE, _id: { $ne: excludeUserId } }).select("fullName email");
+};
+
+/**
+ * Employee applies for leave — { type, startDate, endDate (YYYY-MM-DD), reason }
+ * Days are reserved from the balance (as pending) until the request is reviewed
+ */
+const applyForLeave = async (userId, { type, startDate, endDate, reason }) => {
+    const user = await findUser(userId);
+    if (user.status !== USER_STATUS.ACTIVE) throw httpError("Only active employees can apply for leave", 403);
+
+    const policy = LEAVE_POLICY[type];
+    if (!policy) throw httpError(`Leave type must be one of: ${Object.keys(LEAVE_POLICY).join(", ")}`, 400);
+
+    const start = parseISTDate(startDate);
+    const end = parseISTDate(endDate || startDate);
+    if (!start || !end) throw httpError("Dates must be real calendar days (YYYY-MM-DD)", 400);
+    if (end < start) throw httpError("End date cannot be before the start date", 400);
+    if (istYear(start) !== istYear(end)) {
+        throw httpError("Leave cannot span two calendar years — apply for each year separately", 400);
+    }
+
+    const { start: todayStart } = getTodayRangeIST();
+    if (start < new Date(todayStart.getTime() - MAX_BACKDATE_DAYS * DAY_MS)) {
+        throw httpError(`Leave can be applied for at most ${MAX_BACKDATE_DAYS} days after the fact`, 400);
+    }
+
+    const overlapping = await LeaveRequest.exists({
+        user: user._id,
+        status: { $in: [LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED] },
+        startDate: { $lte: end },
+        endDate: { $gte: start },
+    });
+    if (overlapping) throw httpError("You already have leave applied for some of these days", 400);
+
+    const days = await countLeaveDays(user, start, end);
+    if (days === 0) throw httpError("These days are all holidays or weekly offs — no leave is needed", 400);
+
+    // Reserve the days — atomically, so two requests can't both spend the same balance
+    const balance = await ensureBalance(user, istYear(start), type);
+    const guard = policy.unlimited ? {} : { $expr: { $gte: [balanceExpr, days] } };
+    const reserved = await LeaveBalance.findOneAndUpdate({ _id: balance._id, ...guard }, { $inc: { pending: days } });
+    if (!reserved) {
+        throw httpError(`Not enough ${policy.label} — ${availableOf(balance)} day(s) available, ${days} requested`, 400);
+    }
+
+    const approver = await resolveApprover(user);
+
+    let request;
+    try {
+        request = await LeaveRequest.create({
+            user: user._id,
+            type,
+            startDate: start,
+            endDate: end,
+            days,
+            reason: reason || "",
+            approver: approver?._id || null,
+        });
+    } catch (err) {
+        await LeaveBalance.updateOne({ _id: balance._id }, { $inc: { pending: -days } });
+        throw err;
+    }
+
+    // Fire-and-forget email to whoever approves it
+    const recipients = approver ? [approver] : await getHrApprovers(user._id);
+    for (const recipient of recipients) {
+        sendLeaveRequestEmail(recipient.email, recipient.fullName, user.fullName, summarize(request)).catch((err) =>
+            console.error("Failed to send leave request email to", recipient.email, err)
+        );
+    }
+
+    return presentRequest(request);
+};
+
+/**
+ * Can the actor approve / reject this request? Never their own.
+ * The assigned manager (leave.approve) or anyone with leave.manageAll (HR).
+ */
+const canReview = async (actor, request) => {
+    if (String(request.user._id || request.user) === String(actor._id)) return false;
+    if (await hasPermission(actor, "leave.manageAll")) return true;
+    return String(request.approver) === String(actor._id) && (await hasPermission(actor, "leave.approve"));
+};
+
+/**
+ * Past days of an approved leave become "on-leave" attendance (the daily cron handles the rest)
+ * Days the employee actually worked, holidays and weekly offs are left alone
+ */
+const markLeaveDays = async (request) => {
+    const { start: todayStart } = getTodayRangeIST();
+    const user = await User.findById(request.user._id || request.user).select("location department");
+    const calendar = await loadCalendar(request.startDate, request.endDate);
+
+    for (let day = new Date(request.startDate); day <= request.endDate && day < todayStart; day = new Date(day.getTime() + DAY_MS)) {
+        if (!calendar.isWorkingDay(user, day)) continue; // Not a leave day
+
+        const { start, end } = getTodayRangeIST(day);
+        const records = await Attendance.find({ user: request.user._id || request.user, date: { $gte: start, $lte: end } });
+
+        if (records.length === 0) {
+            await new Attendance({
+                user: request.user._id || request.user,
+                date: start,
+                status: "on-leave",
+                leaveRequest: request._id,
+                dailyReport: `On leave (${LEAVE_POLICY[request.type].label}).`,
+            }).save(); // Post-save hook syncs the Google Sheet
+            continue;
+        }
+
+        for (const record of records.filter((r) => r.status === "absent")) {
+            record.status = "on-leave";
+            record.leaveRequest = request._id;
+            record.dailyReport = `On leave (${LEAVE_POLICY[request.type].label}).`;
+            await record.save();
+        }
+    }
+};
+
+/**
+ * Approved leave cancelled — its past "on-leave" days go back to absent
+ */
+const unmarkLeaveDays = async (request) => {
+    const records = await Attendance.find({ leaveRequest: request._id, status: "on-leave" });
+    for (const record of records) {
+        record.status = "absent";
+        record.leaveRequest = undefined;
+        record.dailyReport = "Leave cancelled — marked absent.";
+        await record.save();
+    }
+};
+
+// Opposite of a balance $inc, to undo it
+const negate = (change) => Object.fromEntries(Object.entries(change).map(([field, n]) => [field, -n]));
+
+const findRequest = async (requestId) => {
+    const request = mongoose.isValidObjectId(requestId)
+        ? await LeaveRequest.findById(requestId).populate("user", "fullName email")
+        : null;
+    if (!request) throw httpError("Leave request not found", 404);
+    return request;
+};
+
+/**
+ * Manager / HR approves or rejects a pending request (a note is required to reject)
+ */
+const reviewRequest = async (requestId, actor, { approved, note }) => {
+    const request = await findRequest(requestId);
+
+    if (request.status !== LEAVE_STATUS.PENDING) throw httpError(`This request is already ${request.status}`, 400);
+    if (!(await canReview(actor, request))) {
+        throw httpError("Only the employee's reporting manager or HR can review this request", 403);
+    }
+    if (!approved && !note) throw httpError("Add a note explaining why the leave is rejected", 400);
+
+    // Conditional on still pending, so a concurrent cancel / review can't double-count
+    const updated = await LeaveRequest.findOneAndUpdate(
+        { _id: request._id, status: LEAVE_STATUS.PENDING },
+        {
+            status: approved ? LEAVE_STATUS.APPROVED : LEAVE_STATUS.REJECTED,
+            reviewedBy: actor._id,
+            reviewedAt: new Date(),
+            reviewNote: note || "",
+        },
+        { returnDocument: "after" }
+    ).populate("user", "fullName email");
+    if (!updated) throw httpError("This request was changed meanwhile — reload and try again", 409);
+
+    const balanceFilter = { user: updated.user._id, year: istYear(updated.startDate), type: updated.type };
+    const balanceChange = approved ? { pending: -updated.days, used: updated.days } : { pending: -updated.days };
+    let balanceApplied = false;
+    try {
+        await LeaveBalance.updateOne(balanceFilter, { $inc: balanceChange });
+        balanceApplied = true;
+        if (approved) await markLeaveDays(updated);
+    } catch (err) {
+        // The request goes back to pending, with the balance and any days already marked undone
+        if (approved) await unmarkLeaveDays(updated);
+        if (balanceApplied) await LeaveBalance.updateOne(balanceFilter, { $inc: negate(balanceChange) });
+        await LeaveRequest.updateOne(
+            { _id: updated._id },
+            { status: LEAVE_STATUS.PENDING, $unset: { reviewedBy: "", reviewedAt: "" }, reviewNote: "" }
+        );
+        throw err;
+    }
+
+    const label = LEAVE_POLICY[updated.type].label;
+    await logAction({
+        action: approved ? "LEAVE_APPROVED" : "LEAVE_REJECTED",
+        performedBy: actor._id,
+        targetUserId: updated.user._id,
+        targetUser: updated.user.email,
+        details: `${approved ? "Approved" : "Rejected"} ${updated.days} day(s) of ${label} for ${updated.user.fullName} (${toISTDateString(updated.startDate)} – ${toISTDateString(updated.endDate)})`,
+        metadata: { requestId: updated._id, type: updated.type, days: updated.days, note: note || "" },
+    });
+
+    // Fire-and-forget email notification
+    sendLeaveDecisionEmail(updated.user.email, updated.user.fullName, approved ? "approved" : "rejected", summarize(updated), note).catch(
+        (err) => console.error("Failed to send leave decision email to", updated.user.email, err)
+    );
+
+    return presentRequest(updated);
+};
+
+/**
+ * Withdraw a request — employees: pending ones, or approved leave that hasn't started;
+ * HR (leave.manageAll): any pending or approved request. Days go back to the balance.
+ */
+const cancelRequest = async (requestId, actor, { note } = {}) => {
+    const request = await findRequest(requestId);
+    const own = String(request.user._id) === String(actor._id);
+    const isHr = await hasPermission(actor, "leave.manageAll");
+
+    if (![LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED].includes(request.status)) {
+        throw httpError(`This request is already ${request.status}`, 400);
+    }
+    if (!own && !isHr) throw httpError("You can only cancel your own leave requests", 403);
+
+    const { start: todayStart } = getTodayRangeIST();
+    if (own && !isHr && request.status === LEAVE_STATUS.APPROVED && request.startDate <= todayStart) {
+        throw httpError("Leave that has already started can only be cancelled by HR", 403);
+    }
+
+    const previousStatus = request.status;
+    const updated = await LeaveRequest.findOneAndUpdate(
+        { _id: request._id, status: previousStatus },
+        { status: LEAVE_STATUS.CANCELLED, cancelledBy: actor._id, cancelledAt: new Date(), ...(note ? { reviewNote: note } : {}) },
+        { returnDocument: "after" }
+    ).populate("user", "fullName email");
+    if (!updated) throw httpError("This request was changed meanwhile — reload and try again", 409);
+
+    const wasApproved = previousStatus === LEAVE_STATUS.APPROVED;
+    const balanceFilter = { user: updated.user._id, year: istYear(updated.startDate), type: updated.type };
+    const balanceChange = wasApproved ? { used: -updated.days } : { pending: -updated.days };
+    let balanceApplied = false;
+    try {
+        await LeaveBalance.updateOne(balanceFilter, { $inc: balanceChange });
+        balanceApplied = true;
+        if (wasApproved) await unmarkLeaveDays(updated);
+    } catch (err) {
+        // The request goes back to its previous status, with its balance and leave days restored
+        if (wasApproved) await markLeaveDays(updated);
+        if (balanceApplied) await LeaveBalance.updateOne(balanceFilter, { $inc: negate(balanceChange) });
+        await LeaveRequest.updateOne(
+            { _id: updated._id },
+            { status: previousStatus, $unset: { cancelledBy: "", cancelledAt: "" }, reviewNote: request.reviewNote || "" }
+        );
+        throw err;
+    }
+
+    await logAction({
+        action: "LEAVE_CANCELLED",
+        performedBy: actor._id,
+        targetUserId: updated.user._id,
+        targetUser: updated.user.email,
+        details: `Cancelled ${previousStatus} ${LEAVE_POLICY[updated.type].label} for ${updated.user.fullName} (${toISTDateString(updated.startDate)} – ${toISTDateString(updated.endDate)})`,
+        metadata: { requestId: updated._id, previousStatus, days: updated.days },
+    });
+
+    if (!own) {
+        sendLeaveDecisionEmail(updated.user.email, updated.user.fullName, "cancelled", summarize(updated), note).catch((err) =>
+            console.error("Failed to send leave decision email to", updated.user.email, err)
+        );
+    }
+
+    return presentRequest(updated);
+};
+
+// ─── Lists ───
+
+/**
+ * Filter for request lists — ?status=pending&year=2026&type=sick
+ */
+const buildRequestFilter = (query) => {
+    const filter = {};
+
+    if (query.status) {
+        if (!Object.values(LEAVE_STATUS).includes(query.status)) {
+            throw httpError(`status must be one of: ${Object.values(LEAVE_STATUS).join(", ")}`, 400);
+        }
+        filter.status = query.status;
+    }
+    if (query.type) {
+        if (!LEAVE_POLICY[query.type]) throw httpError(`type must be one of: ${Object.keys(LEAVE_POLICY).join(", ")}`, 400);
+        filter.type = query.type;
+    }
+    if (query.year) {
+        const year = Number(query.year);
+        if (!Number.isInteger(year)) throw httpError("year must be a 4-digit year", 400);
+        filter.startDate = { $gte: parseISTDate(`${year}-01-01`), $lte: parseISTDate(`${year}-12-31`) };
+    }
+
+    return filter;
+};
+
+/**
+ * Approval queue filter — HR sees every request (?routed=hr for those without a manager),
+ * managers the ones routed to them
+ */
+const buildApprovalFilter = async (actor, query) => {
+    const filter = { status: LEAVE_STATUS.PENDING, ...buildRequestFilter(query) };
+
+    if (await hasPermission(actor, "leave.manageAll")) {
+        if (query.routed === "hr") filter.approver = null;
+        if (query.routed === "me") filter.approver = actor._id;
+    } else {
+        filter.approver = actor._id;
+    }
+
+    return filter;
+};
+
+// ─── Attendance integration ───
+
+/**
+ * Approved leave covering an IST day — Map of userId → request (used by the daily cron)
+ */
+const getApprovedLeaveForDay = async (dayStart) => {
+    const requests = await LeaveRequest.find({
+        status: LEAVE_STATUS.APPROVED,
+        startDate: { $lte: dayStart },
+        endDate: { $gte: dayStart },
+    })
+        .select("user type")
+        .lean();
+
+    return new Map(requests.map((r) => [String(r.user), r]));
+};
+
+module.exports = {
+    LEAVE_POLICY,
+    getLeaveTypes,
+    getBalances,
+    adjustBalance,
+    applyForLeave,
+    reviewRequest,
+    cancelRequest,
+    presentRequest,
+    buildRequestFilter,
+    buildApprovalFilter,
+    getApprovedLeaveForDay,
+};
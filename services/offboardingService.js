@@ -0,0 +1,313 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+const Attendance = require("../models/Attendance");
+const Department = require("../models/Department");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const LeaveRequest = require("../models/LeaveRequest");
+const LeaveBalance = require("../models/LeaveBalance");
+const RegularizationRequest = require("../models/RegularizationRequest");
+const { USER_STATUS } = require("../utils/constants");
+const { getTodayRangeIST } = require("../utils/dateUtils");
+const { revokeAllSessions } = require("./sessionService");
+const { removeEmployeeFromSheets } = require("./googleSheetsService");
+const { deleteUserDocuments } = require("./documentService");
+const { deleteUserFiles } = require("./customFieldService");
+const { logAction } = require("../controllers/auditController");
+
+// Offboarded users must stay inactive at least this long before their data may be purged
+// (90 days unless OFFBOARDED_DATA_RETENTION_DAYS is set; an explicit 0 allows immediate purges)
+const DEFAULT_DATA_RETENTION_DAYS = 90;
+const configuredRetentionDays = Number.parseInt(process.env.OFFBOARDED_DATA_RETENTION_DAYS, 10);
+const DATA_RETENTION_DAYS = configuredRetentionDays >= 0 ? configuredRetentionDays : DEFAULT_DATA_RETENTION_DAYS;
+
+// ─── Default exit checklist ───
+// "access" and "tasks" are ticked automatically when the offboarding completes
+const EXIT_CHECKLIST = [
+    { key: "access", label: "Portal access and sessions revoked" },
+    { key: "tasks", label: "Open tasks reassigned or unassigned" },
+    { key: "handover", label: "Knowledge transfer / handover completed" },
+    { key: "equipment", label: "Company equipment returned (laptop, ID card)" },
+    { key: "accounts", label: "External accounts deactivated (email, Slack, Google Workspace)" },
+    { key: "settlement", label: "Full and final settlement processed" },
+    { key: "exitInterview", label: "Exit interview conducted" },
+    { key: "relievingLetter", label: "Relieving / experience letter issued" },
+];
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const findUser = async (userId) => {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) throw httpError("User not found", 404);
+    return user;
+};
+
+const tickChecklist = (user, key, actorId) => {
+    const item = user.offboarding.checklist.find((i) => i.key === key);
+    if (item && !item.done) {
+        item.done = true;
+        item.doneAt = new Date();
+        item.doneBy = actorId;
+    }
+};
+
+/**
+ * Hand the leaver's open tasks to reassignTasksTo, or just remove them as an assignee
+ * Done tasks keep the leaver as assignee so history and reports stay intact
+ */
+const reassignOpenTasks = async (user) => {
+    const filter = { assignees: user._id, status: { $ne: "done" } };
+    const target = user.offboarding.reassignTasksTo;
+
+    if (target) {
+        await Task.updateMany(filter, { $addToSet: { assignees: target } });
+        await Project.updateMany(
+            { _id: { $in: await Task.distinct("project", filter) } },
+            { $addToSet: { members: target } }
+        );
+    }
+
+    const result = await Task.updateMany(filter, { $pull: { assignees: user._id } });
+    return result.modifiedCount;
+};
+
+/**
+ * Final step — runs immediately if the last working day has already passed,
+ * otherwise from the daily cron job (processDueOffboardings)
+ */
+const completeOffboarding = async (user, actorId = null) => {
+    const tasksReassigned = await reassignOpenTasks(user);
+
+    // Reports move up to the leaver's own manager; departments they headed lose their head
+    await User.updateMany({ reportsTo: user._id }, { reportsTo: user.reportsTo || null });
+    await Department.updateMany({ head: user._id }, { head: null });
+
+    await revokeAllSessions(user._id, { reason: "deactivated" });
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date(), revokedBy: actorId });
+
+    user.status = USER_STATUS.INACTIVE;
+    user.offboarding.completedAt = new Date();
+    user.offboarding.tasksReassigned = tasksReassigned;
+    tickChecklist(user, "access", actorId);
+    tickChecklist(user, "tasks", actorId);
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "OFFBOARDING_COMPLETED",
+        performedBy: actorId || user.offboarding.initiatedBy,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `${user.fullName} deactivated after last working day; ${tasksReassigned} open task(s) ${
+            user.offboarding.reassignTasksTo ? "reassigned" : "unassigned"
+        }`,
+    });
+
+    return user;
+};
+
+/**
+ * Start offboarding — records the last working day and exit checklist
+ * If that day has already passed (in IST) the account is deactivated right away
+ */
+const startOffboarding = async (userId, { lastWorkingDay, reason, reassignTasksTo }, actor) => {
+    const user = await findUser(userId);
+
+    if (String(user._id) === String(actor._id)) {
+        throw httpError("You cannot offboard yourself", 400);
+    }
+    if (user.status === USER_STATUS.INACTIVE) {
+        throw httpError("User is already inactive", 400);
+    }
+    if (user.isBeingOffboarded()) {
+        throw httpError("Offboarding is already in progress for this user", 400);
+    }
+
+    if (reassignTasksTo) {
+        const target = await User.findById(reassignTasksTo).select("status");
+        if (!target || target.status === USER_STATUS.INACTIVE || String(target._id) === String(user._id)) {
+            throw httpError("Task reassignment target not found or inactive", 400);
+        }
+    }
+
+    const { start: lastDay } = getTodayRangeIST(new Date(lastWorkingDay));
+
+    user.offboarding = {
+        lastWorkingDay: lastDay,
+        reason: reason || "",
+        reassignTasksTo: reassignTasksTo || null,
+        initiatedBy: actor._id,
+        initiatedAt: new Date(),
+        checklist: EXIT_CHECKLIST.map((item) => ({ ...item, done: false })),
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "OFFBOARD_EMPLOYEE",
+        performedBy: actor._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Started offboarding for ${user.fullName} (last working day ${lastDay.toISOString().slice(0, 10)})`,
+        metadata: { reason: user.offboarding.reason, reassignTasksTo: user.offboarding.reassignTasksTo },
+    });
+
+    const { start: todayStart } = getTodayRangeIST();
+    if (lastDay < todayStart) {
+        await completeOffboarding(user, actor._id);
+    }
+
+    return user;
+};
+
+/**
+ * Daily cron — deactivate everyone whose last working day has passed
+ */
+const processDueOffboardings = async () => {
+    const { start: todayStart } = getTodayRangeIST();
+
+    const due = await User.find({
+        "offboarding.initiatedAt": { $ne: null },
+        "offboarding.completedAt": null,
+        "offboarding.lastWorkingDay": { $lt: todayStart },
+    });
+
+    for (const user of due) {
+        try {
+            await completeOffboarding(user);
+        } catch (err) {
+            console.error(`❌ Offboarding failed for ${user.email}:`, err.message);
+        }
+    }
+
+    return due.length;
+};
+
+/**
+ * Offboarding record with checklist
+ */
+const getOffboarding = async (userId) => {
+    const user = await User.findById(userId)
+        .select("fullName email status offboarding")
+        .populate("offboarding.initiatedBy", "fullName email")
+        .populate("offboarding.reassignTasksTo", "fullName email")
+        .populate("offboarding.checklist.doneBy", "fullName");
+
+    if (!user) throw httpError("User not found", 404);
+    if (!user.offboarding?.initiatedAt) throw httpError("This user has not been offboarded", 404);
+
+    return user;
+};
+
+/**
+ * Tick / untick an exit checklist item
+ */
+const updateChecklistItem = async (userId, key, done, actor) => {
+    const user = await findUser(userId);
+    const item = user.offboarding?.initiatedAt && user.offboarding.checklist.find((i) => i.key === key);
+    if (!item) throw httpError("Checklist item not found", 404);
+
+    item.done = !!done;
+    item.doneAt = done ? new Date() : undefined;
+    item.doneBy = done ? actor._id : undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return user.offboarding;
+};
+
+/**
+ * Cancel an offboarding that has not completed yet
+ */
+const cancelOffboarding = async (userId, actor) => {
+    const user = await findUser(userId);
+    if (!user.isBeingOffboarded()) {
+        throw httpError("No pending offboarding to cancel", 400);
+    }
+
+    user.offboarding = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "OFFBOARDING_CANCELLED",
+        performedBy: actor._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Cancelled offboarding for ${user.fullName}`,
+    });
+
+    return user;
+};
+
+/**
+ * Permanently delete an offboarded employee and their personal data
+ * Only for inactive users past the retention period; the audit trail is kept
+ */
+const purgeEmployee = async (userId, confirmEmail, actor) => {
+    const user = await findUser(userId);
+
+    if (String(user._id) === String(actor._id)) {
+        throw httpError("You cannot delete your own account", 400);
+    }
+    if (user.status !== USER_STATUS.INACTIVE) {
+        throw httpError("Only offboarded (inactive) employees can be purged. Offboard them first.", 400);
+    }
+    if (confirmEmail !== user.email) {
+        throw httpError("Confirmation email does not match this employee", 400);
+    }
+
+    const inactiveSince = user.offboarding?.completedAt || user.updatedAt;
+    const purgeAllowedAt = new Date(inactiveSince.getTime() + DATA_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    if (purgeAllowedAt > new Date()) {
+        throw httpError(
+            `Data must be retained for ${DATA_RETENTION_DAYS} day(s) after offboarding. Purge allowed from ${purgeAllowedAt.toISOString().slice(0, 10)}.`,
+            400
+        );
+    }
+
+    const [attendance] = await Promise.all([
+        Attendance.deleteMany({ user: user._id }),
+        Task.updateMany({ assignees: user._id }, { $pull: { assignees: user._id } }),
+        Project.updateMany({ members: user._id }, { $pull: { members: user._id } }),
+        User.updateMany({ reportsTo: user._id }, { reportsTo: user.reportsTo || null }),
+        Department.updateMany({ head: user._id }, { head: null }),
+        Session.deleteMany({ user: user._id }),
+        ApiToken.deleteMany({ user: user._id }),
+        LeaveRequest.deleteMany({ user: user._id }),
+        LeaveBalance.deleteMany({ user: user._id }),
+        LeaveRequest.updateMany({ approver: user._id }, { approver: null }), // Pending approvals fall back to HR
+        RegularizationRequest.deleteMany({ user: user._id }),
+        RegularizationRequest.updateMany({ approver: user._id }, { approver: null }),
+        deleteUserDocuments(user._id),
+        deleteUserFiles(user._id),
+    ]);
+    await user.deleteOne();
+
+    // Remove the employee's rows from ALL month sheet tabs (fire-and-forget)
+    removeEmployeeFromSheets(user.fullName).catch((err) =>
+        console.error("Sheet removal sync failed:", err.message)
+    );
+
+    await logAction({
+        action: "PURGE_EMPLOYEE",
+        performedBy: actor._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Permanently deleted ${user.fullName} (${user.role}) and ${attendance.deletedCount} attendance record(s)`,
+    });
+
+    return user;
+};
+
+module.exports = {
+    EXIT_CHECKLIST,
+    startOffboarding,
+    processDueOffboardings,
+    getOffboarding,
+    updateChecklistItem,
+    cancelOffboarding,
+    purgeEmployee,
+};
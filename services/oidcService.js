@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { generateOidcTransactionToken } = require("../utils/generateToken");
+const { encrypt, decrypt } = require("../utils/encryptData");
+
+// ─── Configuration (all from env; SSO is disabled unless issuer + client id are set) ───
+const getConfig = () => ({
+    issuer: (process.env.OIDC_ISSUER || "").replace(/\/+$/, ""),
+    clientId: process.env.OIDC_CLIENT_ID || "",
+    clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.CLIENT_URL || "http://localhost:5173"}/auth/sso/callback`,
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING === "true",
+    defaultDepartment: process.env.OIDC_DEFAULT_DEPARTMENT || "",
+});
+
+const isEnabled = () => {
+    const { issuer, clientId } = getConfig();
+    return Boolean(issuer && clientId);
+};
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Discovery document and JWKS are cached per issuer; keys are refetched on an unknown kid
+let metadataCache = { issuer: null, data: null, fetchedAt: 0 };
+let jwksCache = { uri: null, keys: [] };
+
+const ssoError = (message, statusCode = 401) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const assertEnabled = () => {
+    if (!isEnabled()) throw ssoError("Single sign-on is not configured", 404);
+};
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        console.error(`OIDC request to ${url} failed (${response.status}):`, body.error_description || body.error || "");
+        throw ssoError("Identity provider request failed", 502);
+    }
+
+    return body;
+};
+
+/**
+ * Provider metadata from <issuer>/.well-known/openid-configuration
+ */
+const getProviderMetadata = async () => {
+    const { issuer } = getConfig();
+
+    if (metadataCache.issuer === issuer && Date.now() - metadataCache.fetchedAt < METADATA_CACHE_TTL_MS) {
+        return metadataCache.data;
+    }
+
+    const data = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (data.issuer !== issuer) {
+        throw ssoError("Identity provider issuer does not match OIDC_ISSUER", 502);
+    }
+
+    metadataCache = { issuer, data, fetchedAt: Date.now() };
+    return data;
+};
+
+/**
+ * Public key for an ID token's kid (refetches the JWKS once if the key is new)
+ */
+const getSigningKey = async (jwksUri, kid) => {
+    const findKey = () => jwksCache.keys.find((k) => (kid ? k.kid === kid : k.use !== "enc"));
+
+    let jwk = jwksCache.uri === jwksUri ? findKey() : null;
+    if (!jwk) {
+        const { keys = [] } = await fetchJson(jwksUri);
+        jwksCache = { uri: jwksUri, keys };
+        jwk = findKey();
+    }
+
+    if (!jwk) throw ssoError("Identity provider signing key not found", 502);
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Step 1 — build the IdP authorization URL (authorization code + PKCE)
+ * The returned transactionToken must be sent back with the code on callback. It is encrypted,
+ * so the browser only holds an opaque handle — the PKCE verifier and nonce stay unreadable.
+ */
+const createAuthorizationRequest = async () => {
+    assertEnabled();
+
+    const { clientId, redirectUri, scopes } = getConfig();
+    const metadata = await getProviderMetadata();
+
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+    }).toString();
+
+    return {
+        authorizationUrl: url.toString(),
+        state,
+        transactionToken: encrypt(generateOidcTransactionToken({ state, nonce, codeVerifier })),
+    };
+};
+
+/**
+ * Step 2 — exchange the code, verify the ID token and return the identity claims
+ * Returns { subject, issuer, email, emailVerified, name }
+ * emailVerified is only true when the IdP explicitly asserts it
+ */
+const completeAuthorization = async ({ code, state, transactionToken }) => {
+    assertEnabled();
+
+    let transaction;
+    try {
+        transaction = jwt.verify(decrypt(transactionToken), process.env.JWT_SECRET);
+    } catch (err) {
+        transaction = null;
+    }
+
+    if (!transaction || transaction.purpose !== "oidc" || transaction.state !== state) {
+        throw ssoError("Sign-in session expired. Please try again.");
+    }
+
+    const { issuer, clientId, clientSecret, redirectUri } = getConfig();
+    const metadata = await getProviderMetadata();
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: clientId,
+            client_secret: clientSecret,
+            code_verifier: transaction.codeVerifier,
+        }).toString(),
+    });
+
+    if (!tokens.id_token) throw ssoError("Identity provider did not return an ID token", 502);
+
+    const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+    if (!header) throw ssoError("Invalid ID token from identity provider");
+
+    const key = await getSigningKey(metadata.jwks_uri, header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(tokens.id_token, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer,
+            audience: clientId,
+        });
+    } catch (err) {
+        throw ssoError("Invalid ID token from identity provider");
+    }
+
+    if (claims.nonce !== transaction.nonce) {
+        throw ssoError("Invalid ID token from identity provider");
+    }
+
+    // Some providers only expose email via the userinfo endpoint
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (userinfo.sub === claims.sub) {
+            claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+        }
+    }
+
+    if (!claims.email) throw ssoError("Identity provider did not share an email address", 403);
+
+    return {
+        subject: claims.sub,
+        issuer: claims.iss,
+        email: String(claims.email).toLowerCase().trim(),
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" "),
+    };
+};
+
+module.exports = {
+    getConfig,
+    isEnabled,
+    createAuthorizationRequest,
+    completeAuthorization,
+};
@@ -0,0 +1,347 @@
+const mongoose = require("mongoose");
+const OnboardingFlow = require("../models/OnboardingFlow");
+const Policy = require("../models/Policy");
+const User = require("../models/User");
+const { USER_STATUS } = require("../utils/constants");
+const { assertRolesExist } = require("./permissionService");
+const { departmentExists } = require("./departmentService");
+
+// Flows are read on every onboarding request, so cache briefly
+const CACHE_TTL_MS = 60 * 1000;
+let flowsCache = { flows: null, expiresAt: 0 };
+
+const clearCache = () => {
+    flowsCache = { flows: null, expiresAt: 0 };
+};
+
+// ─── Built-in fields & documents ───
+// These keys map onto fixed User.onboarding paths used by payroll, exports and change requests
+const BANK_FIELD_KEYS = ["bankName", "accountNumber", "ifscCode"];
+const BUILT_IN_DOCUMENT_TYPES = {
+    aadhaarCard: "Aadhaar card",
+    panCard: "PAN card",
+};
+
+// ─── Default flow (the original two-step onboarding) ───
+const DEFAULT_POLICY = {
+    key: "employee-declaration",
+    title: "Employee Declaration",
+    text:
+        "I declare that the bank details and identity documents I have submitted are genuine and belong to me, " +
+        "and that the information I have provided is true and complete to the best of my knowledge. " +
+        "I understand that providing false information may lead to termination of employment.",
+};
+
+const DEFAULT_FLOW = {
+    name: "Standard onboarding",
+    description: "Bank details, identity documents and the employee declaration",
+    roles: [],
+    departments: [],
+    steps: [
+        {
+            key: "bankDetails",
+            title: "Financials & Identity",
+            fields: [
+                { key: "bankName", label: "Bank name", type: "text", required: true },
+                { key: "accountNumber", label: "Account number", type: "text", required: true, sensitive: true, pattern: "^[0-9]{8,18}$" },
+                { key: "ifscCode", label: "IFSC code", type: "text", required: true, pattern: "^[A-Z]{4}0[A-Z0-9]{6}$" },
+            ],
+            documents: Object.entries(BUILT_IN_DOCUMENT_TYPES).map(([docType, label]) => ({ docType, label, required: true })),
+        },
+        {
+            key: "declaration",
+            title: "Digital Declaration",
+            policies: [DEFAULT_POLICY.key],
+            requireSignature: true,
+        },
+    ],
+};
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * First run: create the default declaration policy and flow
+ */
+let seeding = null;
+const ensureDefaults = async () => {
+    if (!seeding) {
+        seeding = (async () => {
+            if ((await OnboardingFlow.estimatedDocumentCount()) > 0) return;
+            await Policy.updateOne(
+                { key: DEFAULT_POLICY.key },
+                {
+                    $setOnInsert: {
+                        key: DEFAULT_POLICY.key,
+                        title: DEFAULT_POLICY.title,
+                        versions: [{ version: 1, text: DEFAULT_POLICY.text }],
+                        currentVersion: 1,
+                    },
+                },
+                { upsert: true }
+            );
+            // Built through the model so nested step / field defaults are stored too
+            const { _id, ...flow } = new OnboardingFlow(DEFAULT_FLOW).toObject();
+            await OnboardingFlow.updateOne({ name: DEFAULT_FLOW.name }, { $setOnInsert: flow }, { upsert: true });
+        })().catch((err) => {
+            seeding = null;
+            throw err;
+        });
+    }
+    await seeding;
+};
+
+// ─── Flows ───
+
+/**
+ * All flows (cached)
+ */
+const listFlows = async () => {
+    if (flowsCache.flows && flowsCache.expiresAt > Date.now()) {
+        return flowsCache.flows;
+    }
+
+    await ensureDefaults();
+    const flows = await OnboardingFlow.find().sort({ createdAt: 1 }).lean();
+
+    flowsCache = { flows, expiresAt: Date.now() + CACHE_TTL_MS };
+    return flows;
+};
+
+/**
+ * The flow for a user — the one fixed at their first submission if it still exists,
+ * otherwise the most specific match (role + department > department > role > catch-all)
+ */
+const resolveFlow = async (user) => {
+    const flows = await listFlows();
+
+    if (user.onboarding?.flow) {
+        const fixed = flows.find((f) => String(f._id) === String(user.onboarding.flow));
+        if (fixed) return fixed;
+    }
+
+    const score = (flow) => (flow.departments.length > 0 ? 2 : 0) + (flow.roles.length > 0 ? 1 : 0);
+    const matches = flows.filter(
+        (f) =>
+            (f.roles.length === 0 || f.roles.includes(user.role)) &&
+            (f.departments.length === 0 || f.departments.includes(user.department))
+    );
+
+    if (matches.length === 0) throw httpError("No onboarding flow applies to this user — ask an admin to configure one", 500);
+
+    // Highest score wins; ties go to the oldest flow (sort is stable)
+    return matches.sort((a, b) => score(b) - score(a))[0];
+};
+
+/**
+ * Labels for every document type — built-ins plus any defined in a flow
+ */
+const getDocumentTypes = async () => {
+    const types = { ...BUILT_IN_DOCUMENT_TYPES };
+    for (const flow of await listFlows()) {
+        for (const step of flow.steps) {
+            for (const doc of step.documents) {
+                if (!types[doc.docType]) types[doc.docType] = doc.label;
+            }
+        }
+    }
+    return types;
+};
+
+/**
+ * Structural checks Mongoose can't express — unique keys, select options, valid patterns, known policies
+ */
+const assertValidSteps = async (steps) => {
+    if (!steps || steps.length === 0) throw httpError("A flow needs at least one step", 400);
+
+    const stepKeys = new Set();
+    const fieldKeys = new Set();
+    const docTypes = new Set();
+    const policyKeys = new Set();
+
+    for (const step of steps) {
+        if (stepKeys.has(step.key)) throw httpError(`Duplicate step key: ${step.key}`, 400);
+        stepKeys.add(step.key);
+
+        for (const field of step.fields || []) {
+            if (fieldKeys.has(field.key)) throw httpError(`Field "${field.key}" appears in more than one step`, 400);
+            fieldKeys.add(field.key);
+
+            if (field.type === "select" && (!field.options || field.options.length === 0)) {
+                throw httpError(`Select field "${field.key}" needs at least one option`, 400);
+            }
+            if (field.pattern) {
+                try {
+                    new RegExp(field.pattern);
+                } catch (err) {
+                    throw httpError(`Field "${field.key}" has an invalid pattern`, 400);
+                }
+            }
+        }
+
+        for (const doc of step.documents || []) {
+            if (docTypes.has(doc.docType)) throw httpError(`Document "${doc.docType}" appears in more than one step`, 400);
+            docTypes.add(doc.docType);
+        }
+
+        (step.policies || []).forEach((key) => policyKeys.add(key));
+
+        const empty = !step.fields?.length && !step.documents?.length && !step.policies?.length && !step.requireSignature;
+        if (empty) throw httpError(`Step "${step.key}" has nothing to fill in`, 400);
+    }
+
+    const existing = await Policy.find({ key: { $in: [...policyKeys] } }).select("key").lean();
+    const missing = [...policyKeys].filter((key) => !existing.some((p) => p.key === key));
+    if (missing.length > 0) throw httpError(`Unknown policy: ${missing.join(", ")}`, 400);
+};
+
+const assertValidAudience = async ({ roles, departments }) => {
+    if (roles?.length) await assertRolesExist(roles);
+    for (const name of departments || []) {
+        if (!(await departmentExists(name))) throw httpError(`Department not found: ${name}`, 400);
+    }
+};
+
+const findFlow = async (id) => {
+    const flow = mongoose.isValidObjectId(id) ? await OnboardingFlow.findById(id) : null;
+    if (!flow) throw httpError("Onboarding flow not found", 404);
+    return flow;
+};
+
+/**
+ * Create a flow
+ */
+const createFlow = async (data, actor) => {
+    await ensureDefaults();
+    if (await OnboardingFlow.exists({ name: data.name })) {
+        throw httpError(`A flow named "${data.name}" already exists`, 400);
+    }
+    await assertValidSteps(data.steps);
+    await assertValidAudience(data);
+
+    const flow = await OnboardingFlow.create({ ...data, createdBy: actor._id });
+    clearCache();
+    return flow;
+};
+
+/**
+ * Edit a flow — employees part-way through keep their completed steps (matched by step key)
+ */
+const updateFlow = async (id, updates) => {
+    const flow = await findFlow(id);
+
+    if (updates.name !== undefined && updates.name !== flow.name && (await OnboardingFlow.exists({ name: updates.name }))) {
+        throw httpError(`A flow named "${updates.name}" already exists`, 400);
+    }
+    if (updates.steps !== undefined) await assertValidSteps(updates.steps);
+    await assertValidAudience(updates);
+
+    for (const prop of ["name", "description", "roles", "departments", "steps"]) {
+        if (updates[prop] !== undefined) flow[prop] = updates[prop];
+    }
+
+    await flow.save();
+    clearCache();
+    return flow;
+};
+
+/**
+ * Delete a flow — not the last catch-all, and not while pending employees are on it
+ */
+const deleteFlow = async (id) => {
+    const flow = await findFlow(id);
+
+    const isCatchAll = flow.roles.length === 0 && flow.departments.length === 0;
+    if (isCatchAll) {
+        const others = await OnboardingFlow.countDocuments({ _id: { $ne: flow._id }, roles: { $size: 0 }, departments: { $size: 0 } });
+        if (others === 0) throw httpError("At least one flow must apply to everyone (no roles or departments)", 400);
+    }
+
+    const inProgress = await User.countDocuments({ "onboarding.flow": flow._id, status: USER_STATUS.PENDING });
+    if (inProgress > 0) {
+        throw httpError(`${inProgress} employee(s) are part-way through this flow. Edit it instead.`, 400);
+    }
+
+    await flow.deleteOne();
+    clearCache();
+    return flow;
+};
+
+// ─── Policies ───
+
+/**
+ * Policies with their current text (history omitted unless asked for)
+ */
+const listPolicies = async ({ withHistory = false } = {}) => {
+    await ensureDefaults();
+    const policies = await Policy.find().sort({ title: 1 }).lean();
+
+    return policies.map(({ versions, ...policy }) => ({
+        ...policy,
+        text: versions.find((v) => v.version === policy.currentVersion)?.text || "",
+        ...(withHistory ? { versions } : {}),
+    }));
+};
+
+/**
+ * Current versions of the given policy keys — { key: { title, version, text } }
+ */
+const getCurrentPolicies = async (keys) => {
+    const policies = await Policy.find({ key: { $in: keys } }).lean();
+
+    return policies.reduce((result, policy) => {
+        const current = policy.versions.find((v) => v.version === policy.currentVersion);
+        result[policy.key] = { title: policy.title, version: policy.currentVersion, text: current?.text || "" };
+        return result;
+    }, {});
+};
+
+/**
+ * Create a policy with its first version
+ */
+const createPolicy = async ({ key, title, text }, actor) => {
+    await ensureDefaults();
+    if (await Policy.exists({ key })) throw httpError(`A policy with key "${key}" already exists`, 400);
+
+    return Policy.create({
+        key,
+        title,
+        versions: [{ version: 1, text, publishedBy: actor._id }],
+        currentVersion: 1,
+        createdBy: actor._id,
+    });
+};
+
+/**
+ * Publish new text for a policy — earlier acknowledgements keep pointing at their version
+ */
+const publishPolicyVersion = async (key, { text, title }, actor) => {
+    const policy = await Policy.findOne({ key });
+    if (!policy) throw httpError("Policy not found", 404);
+
+    const version = policy.currentVersion + 1;
+    policy.versions.push({ version, text, publishedBy: actor._id });
+    policy.currentVersion = version;
+    if (title) policy.title = title;
+    await policy.save();
+
+    return policy;
+};
+
+module.exports = {
+    BANK_FIELD_KEYS,
+    BUILT_IN_DOCUMENT_TYPES,
+    listFlows,
+    resolveFlow,
+    getDocumentTypes,
+    createFlow,
+    updateFlow,
+    deleteFlow,
+    listPolicies,
+    getCurrentPolicies,
+    createPolicy,
+    publishPolicyVersion,
+};
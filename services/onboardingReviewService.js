@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { USER_STATUS, ONBOARDING_REVIEW_STATUS } = require("../utils/constants");
+const { decrypt } = require("../utils/encryptData");
+const { sendOnboardingReviewEmail } = require("../utils/emailService");
+const { BANK_FIELD_KEYS, resolveFlow } = require("./onboardingConfigService");
+const { getRef } = require("./documentService");
+const { logAction } = require("../controllers/auditController");
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const safeDecrypt = (value) => {
+    if (!value) return "";
+    try {
+        return decrypt(value);
+    } catch (err) {
+        return value; // Legacy plain-text value
+    }
+};
+
+const maskAccountNumber = (value) => (value ? `••••${String(value).slice(-4)}` : "");
+
+const findUser = async (userId) => {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) throw httpError("User not found", 404);
+    return user;
+};
+
+/**
+ * Submitted and waiting for HR, or sent back for changes
+ */
+const isUnderReview = (user) =>
+    [ONBOARDING_REVIEW_STATUS.SUBMITTED, ONBOARDING_REVIEW_STATUS.CHANGES_REQUESTED].includes(user.onboarding?.review?.status);
+
+/**
+ * Put a completed onboarding in the HR queue (called after the last step). The caller saves the user.
+ * HR approves or rejects each step's form fields as one item and each uploaded document separately.
+ */
+const submitForReview = (user, flow) => {
+    const items = [];
+    for (const step of flow.steps) {
+        if (step.fields.length > 0) {
+            items.push({ key: step.key, kind: "fields", label: step.title, status: "pending" });
+        }
+        for (const doc of step.documents) {
+            const ref = getRef(user, doc.docType);
+            if (ref?.version || ref?.data) {
+                items.push({ key: doc.docType, kind: "document", label: doc.label, status: "pending", version: ref.version });
+            }
+        }
+    }
+
+    user.onboarding.review = {
+        status: ONBOARDING_REVIEW_STATUS.SUBMITTED,
+        submittedAt: new Date(),
+        items,
+    };
+};
+
+/**
+ * Review state as shown to the employee — which items were rejected and why
+ */
+const presentReview = (user) => {
+    const review = user.onboarding?.review;
+    if (!review?.status) return null;
+
+    return {
+        status: review.status,
+        submittedAt: review.submittedAt,
+        verifiedAt: review.verifiedAt,
+        items: review.items.map((item) => ({
+            key: item.key,
+            kind: item.kind,
+            label: item.label || item.key,
+            status: item.status,
+            comment: item.comment,
+            reviewedAt: item.reviewedAt,
+        })),
+    };
+};
+
+/**
+ * HR queue — onboarding packets by review status (default: submitted), oldest first
+ */
+const listQueue = async ({ status = ONBOARDING_REVIEW_STATUS.SUBMITTED } = {}) => {
+    if (!Object.values(ONBOARDING_REVIEW_STATUS).includes(status)) {
+        throw httpError(`status must be one of: ${Object.values(ONBOARDING_REVIEW_STATUS).join(", ")}`, 400);
+    }
+
+    const users = await User.find({ "onboarding.review.status": status })
+        .select("fullName email role department startDate onboarding.review onboarding.bankName onboarding.accountNumber onboarding.flow")
+        .sort({ "onboarding.review.submittedAt": 1 })
+        .lean();
+
+    return users.map(({ onboarding, ...user }) => ({
+        user,
+        flow: onboarding.flow,
+        bankName: onboarding.bankName,
+        accountNumber: maskAccountNumber(safeDecrypt(onboarding.accountNumber)),
+        review: onboarding.review,
+        pendingItems: onboarding.review.items.filter((i) => i.status === "pending").map((i) => i.key),
+    }));
+};
+
+/**
+ * Full packet for one employee — each step's values (sensitive ones decrypted), document metadata,
+ * acknowledgements and review state. Document files themselves come from GET /api/users/:id/document/:docType
+ */
+const getPacket = async (userId) => {
+    const user = await User.findById(userId)
+        .select("-onboarding.aadhaarCard.data -onboarding.panCard.data")
+        .populate("onboarding.review.items.reviewedBy", "fullName");
+    if (!user) throw httpError("User not found", 404);
+    if (!user.onboarding?.review?.status) throw httpError("This employee has not submitted onboarding yet", 404);
+
+    const { onboarding } = user;
+    const flow = await resolveFlow(user);
+
+    const fieldValue = (field) => {
+        const value = BANK_FIELD_KEYS.includes(field.key) ? onboarding[field.key] : onboarding.fields.get(field.key);
+        return field.sensitive || field.key === "accountNumber" ? safeDecrypt(value) : value ?? null;
+    };
+
+    return {
+        user: { _id: user._id, fullName: user.fullName, email: user.email, role: user.role, department: user.department },
+        flow: { _id: flow._id, name: flow.name },
+        steps: flow.steps.map((step) => ({
+            key: step.key,
+            title: step.title,
+            fields: step.fields.map((field) => ({ key: field.key, label: field.label, value: fieldValue(field) })),
+            documents: step.documents.map(({ docType, label }) => {
+                const { contentType, fileName, size, checksum, version, uploadedAt } = getRef(user, docType) || {};
+                return { docType, label, contentType, fileName, size, checksum, version, uploadedAt };
+            }),
+        })),
+        acknowledgements: onboarding.acknowledgements,
+        declaration: {
+            accepted: onboarding.declarationAccepted,
+            signature: onboarding.digitalSignature,
+            date: onboarding.declarationDate,
+        },
+        review: onboarding.review,
+    };
+};
+
+/**
+ * HR approves / rejects items — decisions: [{ key, approved, comment }]
+ * Once nothing is pending: all approved → verified (user becomes active), any rejected → changes-requested
+ */
+const reviewItems = async (userId, decisions, reviewer) => {
+    const user = await findUser(userId);
+    const review = user.onboarding.review;
+
+    if (String(user._id) === String(reviewer._id)) {
+        throw httpError("You cannot review your own onboarding", 403);
+    }
+    if (review?.status !== ONBOARDING_REVIEW_STATUS.SUBMITTED) {
+        throw httpError("This onboarding is not waiting for review", 400);
+    }
+
+    for (const { key, approved, comment } of decisions) {
+        const item = review.items.find((i) => i.key === key);
+        if (!item) throw httpError(`Unknown review item: ${key}`, 400);
+        if (item.status !== "pending") throw httpError(`${item.label} has already been reviewed`, 400);
+        if (!approved && !comment) throw httpError(`Add a comment explaining what is wrong with the ${item.label}`, 400);
+
+        item.status = approved ? "approved" : "rejected";
+        item.comment = comment || "";
+        item.reviewedBy = reviewer._id;
+        item.reviewedAt = new Date();
+    }
+
+    const pending = review.items.filter((i) => i.status === "pending");
+    const rejected = review.items.filter((i) => i.status === "rejected");
+
+    if (pending.length > 0) {
+        await user.save({ validateBeforeSave: false });
+        return user;
+    }
+
+    const verified = rejected.length === 0;
+    if (verified) {
+        review.status = ONBOARDING_REVIEW_STATUS.VERIFIED;
+        review.verifiedAt = new Date();
+        review.verifiedBy = reviewer._id;
+        user.onboarding.completedAt = new Date();
+        user.status = USER_STATUS.ACTIVE;
+    } else {
+        review.status = ONBOARDING_REVIEW_STATUS.CHANGES_REQUESTED;
+    }
+    await user.save({ validateBeforeSave: false });
+
+    const rejectedItems = rejected.map((i) => ({ label: i.label, comment: i.comment }));
+
+    await logAction({
+        action: verified ? "ONBOARDING_VERIFIED" : "ONBOARDING_CHANGES_REQUESTED",
+        performedBy: reviewer._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: verified
+            ? `Verified onboarding for ${user.fullName}`
+            : `Requested changes to ${user.fullName}'s onboarding: ${rejectedItems.map((i) => i.label).join(", ")}`,
+        metadata: { items: review.items.map(({ key, status, version, comment }) => ({ key, status, version, comment })) },
+    });
+
+    // Fire-and-forget email notification
+    sendOnboardingReviewEmail(user.email, user.fullName, verified, rejectedItems).catch((err) =>
+        console.error("Failed to send onboarding review email to", user.email, err)
+    );
+
+    return user;
+};
+
+module.exports = {
+    isUnderReview,
+    submitForReview,
+    presentReview,
+    listQueue,
+    getPacket,
+    reviewItems,
+};
@@ -0,0 +1,318 @@
+const User = require("../models/User");
+const { USER_STATUS, ONBOARDING_REVIEW_STATUS } = require("../utils/constants");
+const { encrypt } = require("../utils/encryptData");
+const { parseValue } = require("./customFieldService");
+const { BANK_FIELD_KEYS, resolveFlow, getCurrentPolicies } = require("./onboardingConfigService");
+const { isUploaded, getRef, addVersion } = require("./documentService");
+const reviewService = require("./onboardingReviewService");
+const { logAction } = require("../controllers/auditController");
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Multipart checkboxes / arrays arrive as "a,b" strings or repeated keys
+const toList = (value) => {
+    if (value === undefined || value === null || value === "") return [];
+    return (Array.isArray(value) ? value : String(value).split(",")).map((v) => String(v).trim()).filter(Boolean);
+};
+
+const findUser = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) throw httpError("User not found", 404);
+    return user;
+};
+
+// ─── Step state ───
+
+const getFieldValue = (user, key) => {
+    if (BANK_FIELD_KEYS.includes(key)) return user.onboarding?.[key];
+    const fields = user.onboarding?.fields;
+    return fields instanceof Map ? fields.get(key) : fields?.[key];
+};
+
+const hasAcknowledged = (user, policyKey) =>
+    (user.onboarding?.acknowledgements || []).some((a) => a.policyKey === policyKey);
+
+/**
+ * Is everything a step requires in place? Steps with nothing required count once submitted.
+ */
+const isStepComplete = (user, step) => {
+    const submitted = (user.onboarding?.stepsCompleted || []).some((s) => s.key === step.key);
+
+    const requiredFields = step.fields.filter((f) => f.required);
+    const requiredDocs = step.documents.filter((d) => d.required);
+    const hasRequirements =
+        requiredFields.length > 0 || requiredDocs.length > 0 || step.policies.length > 0 || step.requireSignature;
+
+    const satisfied =
+        requiredFields.every((f) => {
+            const value = getFieldValue(user, f.key);
+            return value !== undefined && value !== null && value !== "";
+        }) &&
+        requiredDocs.every((d) => isUploaded(user, d.docType)) &&
+        step.policies.every((key) => hasAcknowledged(user, key)) &&
+        (!step.requireSignature || !!user.onboarding?.digitalSignature);
+
+    return satisfied && (hasRequirements || submitted);
+};
+
+/**
+ * Flow + per-step progress for the onboarding UI
+ */
+const getProgress = async (user) => {
+    const flow = await resolveFlow(user);
+    const policies = await getCurrentPolicies(flow.steps.flatMap((s) => s.policies));
+
+    const steps = flow.steps.map((step) => ({
+        key: step.key,
+        title: step.title,
+        description: step.description,
+        complete: isStepComplete(user, step),
+        fields: step.fields.map(({ key, label, type, required, options, pattern }) => ({
+            key,
+            label,
+            type,
+            required,
+            options,
+            pattern,
+            provided: !!getFieldValue(user, key),
+        })),
+        documents: step.documents.map(({ docType, label, required }) => ({
+            docType,
+            label,
+            required,
+            uploaded: isUploaded(user, docType),
+            version: getRef(user, docType)?.version || null,
+        })),
+        policies: step.policies.map((key) => ({
+            key,
+            ...policies[key],
+            acknowledgedVersion: (user.onboarding?.acknowledgements || []).find((a) => a.policyKey === key)?.version || null,
+        })),
+        requireSignature: step.requireSignature,
+    }));
+
+    return {
+        flow: { _id: flow._id, name: flow.name },
+        steps,
+        currentStep: steps.find((s) => !s.complete)?.key || null,
+    };
+};
+
+// ─── Writes ───
+
+/**
+ * Validate form values against the step's field definitions — returns { key: value }
+ */
+const parseFields = (fields, body) => {
+    const values = {};
+
+    for (const field of fields) {
+        const raw = typeof body[field.key] === "string" ? body[field.key].trim() : body[field.key];
+        let value = parseValue(field, field.key === "ifscCode" && raw ? String(raw).toUpperCase() : raw);
+
+        if (value !== null && field.pattern && !new RegExp(field.pattern).test(String(value))) {
+            throw httpError(`${field.label} is not in the expected format`, 400);
+        }
+        values[field.key] = value;
+    }
+
+    return values;
+};
+
+/**
+ * Store parsed values — bank fields on their fixed paths (account number encrypted), others in onboarding.fields
+ */
+const applyFields = (user, fields, values) => {
+    for (const field of fields) {
+        const value = values[field.key];
+        const stored = value !== null && (field.sensitive || field.key === "accountNumber") ? encrypt(String(value)) : value;
+
+        if (BANK_FIELD_KEYS.includes(field.key)) {
+            user.onboarding[field.key] = stored ?? "";
+        } else if (stored === null) {
+            user.onboarding.fields.delete(field.key);
+        } else {
+            user.onboarding.fields.set(field.key, stored);
+        }
+    }
+    user.markModified("onboarding.fields");
+};
+
+/**
+ * Submit one step (by key, or by position for the legacy /step1 and /step2 endpoints) — fields in body,
+ * documents as files keyed by docType, policy acknowledgements (acknowledgedPolicies: keys, or declarationAccepted: true for all of the step's policies) and
+ * digitalSignature when the step asks for one. The last step sends everything to HR for review.
+ */
+const submitStep = async (userId, stepKey, body = {}, files = {}) => {
+    const user = await findUser(userId);
+
+    if (user.status !== USER_STATUS.PENDING) throw httpError("Onboarding already completed", 400);
+    if (reviewService.isUnderReview(user)) throw httpError("Your onboarding has been submitted for HR review", 400);
+
+    const flow = await resolveFlow(user);
+    const index = typeof stepKey === "number" ? stepKey : flow.steps.findIndex((s) => s.key === stepKey);
+    if (!flow.steps[index]) throw httpError(`Unknown onboarding step: ${stepKey}`, 404);
+    const step = flow.steps[index];
+
+    const incomplete = flow.steps.slice(0, index).find((s) => !isStepComplete(user, s));
+    if (incomplete) throw httpError(`Please complete "${incomplete.title}" first`, 400);
+
+    // Files for documents outside this step are refused rather than silently dropped
+    for (const docType of Object.keys(files)) {
+        if (!step.documents.some((d) => d.docType === docType)) {
+            throw httpError(`"${docType}" is not a document of the ${step.title} step`, 400);
+        }
+    }
+
+    // ─── Validate everything before writing anything ───
+    const values = parseFields(step.fields, body);
+
+    for (const doc of step.documents) {
+        if (doc.required && !files[doc.docType]?.[0] && !isUploaded(user, doc.docType)) {
+            throw httpError(`${doc.label} document is required`, 400);
+        }
+    }
+
+    const acceptedAll = body.declarationAccepted === true || body.declarationAccepted === "true";
+    const acknowledged = acceptedAll ? step.policies : toList(body.acknowledgedPolicies);
+    const policies = await getCurrentPolicies(step.policies);
+    const missingPolicy = step.policies.find((key) => !acknowledged.includes(key));
+    if (missingPolicy) {
+        throw httpError(`You must accept the ${policies[missingPolicy]?.title || missingPolicy} to proceed`, 400);
+    }
+
+    const signature = typeof body.digitalSignature === "string" ? body.digitalSignature.trim() : "";
+    if (step.requireSignature && (signature.length < 2 || signature.length > 100)) {
+        throw httpError("Digital signature (full name, 2–100 characters) is required", 400);
+    }
+
+    // ─── Apply ───
+    user.onboarding.flow = flow._id;
+    applyFields(user, step.fields, values);
+
+    for (const doc of step.documents) {
+        const file = files[doc.docType]?.[0];
+        if (file) await addVersion(user, doc.docType, file, user);
+    }
+
+    for (const key of step.policies) {
+        user.onboarding.acknowledgements = user.onboarding.acknowledgements.filter((a) => a.policyKey !== key);
+        user.onboarding.acknowledgements.push({ policyKey: key, version: policies[key].version });
+    }
+
+    if (step.requireSignature) {
+        user.onboarding.digitalSignature = signature;
+        user.onboarding.declarationAccepted = true;
+        user.onboarding.declarationDate = new Date();
+    }
+
+    user.onboarding.stepsCompleted = user.onboarding.stepsCompleted.filter((s) => s.key !== step.key);
+    user.onboarding.stepsCompleted.push({ key: step.key });
+
+    // Last step done → HR verification (verification makes the user ACTIVE)
+    const finished = flow.steps.every((s) => isStepComplete(user, s));
+    if (finished) reviewService.submitForReview(user, flow);
+
+    await user.save({ validateBeforeSave: false });
+
+    return { user, step, submittedForReview: finished };
+};
+
+/**
+ * Document types a step (by key, or by position for /step1 and /step2) accepts as uploads
+ * Lets the upload middleware refuse any other file before it is buffered
+ */
+const getStepDocTypes = async (userId, stepKey) => {
+    const user = await findUser(userId);
+    const flow = await resolveFlow(user);
+    const step = typeof stepKey === "number" ? flow.steps[stepKey] : flow.steps.find((s) => s.key === stepKey);
+    if (!step) throw httpError(`Unknown onboarding step: ${stepKey}`, 404);
+
+    return step.documents.map((d) => d.docType);
+};
+
+/**
+ * Document types a resubmission accepts — the ones HR rejected
+ */
+const getResubmitDocTypes = async (userId) => {
+    const user = await findUser(userId);
+    const items = user.onboarding.review?.items || [];
+
+    return items.filter((i) => i.kind === "document" && i.status === "rejected").map((i) => i.key);
+};
+
+/**
+ * Employee resubmits exactly the rejected items — step fields in body, documents as files
+ */
+const resubmit = async (userId, body = {}, files = {}) => {
+    const user = await findUser(userId);
+    const review = user.onboarding.review;
+
+    if (review?.status !== ONBOARDING_REVIEW_STATUS.CHANGES_REQUESTED) {
+        throw httpError("HR has not requested any changes to your onboarding", 400);
+    }
+
+    const flow = await resolveFlow(user);
+    const rejected = review.items.filter((i) => i.status === "rejected");
+    const rejectedSteps = rejected.filter((i) => i.kind === "fields").map((i) => flow.steps.find((s) => s.key === i.key));
+    const rejectedDocs = rejected.filter((i) => i.kind === "document");
+
+    // Only rejected items may change
+    const editableFields = rejectedSteps.flatMap((s) => s?.fields || []);
+    const allFields = flow.steps.flatMap((s) => s.fields);
+    const lockedField = allFields.find(
+        (f) => !editableFields.includes(f) && body[f.key] !== undefined && String(body[f.key]).trim() !== ""
+    );
+    if (lockedField) throw httpError(`${lockedField.label} was approved and cannot be changed here`, 400);
+
+    for (const docType of Object.keys(files)) {
+        if (!rejectedDocs.some((i) => i.key === docType)) {
+            throw httpError(`Your ${docType} was approved and cannot be replaced here`, 400);
+        }
+    }
+
+    // Every rejected item must be resubmitted
+    const missing = rejectedDocs.filter((i) => !files[i.key]?.[0]).map((i) => i.label);
+    if (missing.length > 0) throw httpError(`Please resubmit: ${missing.join(", ")}`, 400);
+
+    const values = parseFields(editableFields, body);
+
+    applyFields(user, editableFields, values);
+    for (const item of rejected) {
+        if (item.kind === "document") {
+            const stored = await addVersion(user, item.key, files[item.key][0], user);
+            item.version = stored.version;
+        }
+
+        item.status = "pending";
+        item.comment = "";
+        item.reviewedBy = undefined;
+        item.reviewedAt = undefined;
+    }
+
+    review.status = ONBOARDING_REVIEW_STATUS.SUBMITTED;
+    review.submittedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "ONBOARDING_RESUBMITTED",
+        performedBy: user._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Resubmitted onboarding items: ${rejected.map((i) => i.label).join(", ")}`,
+    });
+
+    return reviewService.presentReview(user);
+};
+
+module.exports = {
+    getProgress,
+    submitStep,
+    getStepDocTypes,
+    resubmit,
+    getResubmitDocTypes,
+};
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { USER_STATUS } = require("../utils/constants");
+const { hasPermission } = require("./permissionService");
+const { getHeadedDepartmentNames } = require("./departmentService");
+
+const ORG_CHART_FIELDS = "fullName email role department status reportsTo";
+
+// Guards against runaway walks if the data was ever edited outside the API
+const MAX_HIERARCHY_DEPTH = 50;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Validate a new reportsTo for a user — manager must exist, be active/pending
+ * and must not already report (directly or indirectly) to the user
+ */
+const assertValidManager = async (userId, managerId) => {
+    if (!managerId) return;
+
+    if (!mongoose.isValidObjectId(managerId)) {
+        const error = new Error("Invalid reporting manager id");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (userId && String(userId) === String(managerId)) {
+        const error = new Error("A user cannot report to themselves");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const manager = await User.findById(managerId).select("status reportsTo");
+    if (!manager || manager.status === USER_STATUS.INACTIVE) {
+        const error = new Error("Reporting manager not found or inactive");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (!userId) return;
+
+    // Walk up from the proposed manager — meeting the user again means a cycle
+    let current = manager;
+    for (let depth = 0; current?.reportsTo && depth < MAX_HIERARCHY_DEPTH; depth++) {
+        if (String(current.reportsTo) === String(userId)) {
+            const error = new Error("This change would create a reporting cycle");
+            error.statusCode = 400;
+            throw error;
+        }
+        current = await User.findById(current.reportsTo).select("reportsTo");
+    }
+};
+
+/**
+ * Everyone below a manager in the hierarchy, with depth (0 = direct report)
+ */
+const getReports = async (managerId, { directOnly = false } = {}) => {
+    if (directOnly) {
+        const reports = await User.find({ reportsTo: managerId, status: { $ne: USER_STATUS.INACTIVE } })
+            .select(ORG_CHART_FIELDS)
+            .sort({ fullName: 1 })
+            .lean();
+        return reports.map((r) => ({ ...r, depth: 0 }));
+    }
+
+    const [result] = await User.aggregate([
+        { $match: { _id: toObjectId(managerId) } },
+        {
+            $graphLookup: {
+                from: User.collection.name,
+                startWith: "$_id",
+                connectFromField: "_id",
+                connectToField: "reportsTo",
+                as: "reports",
+                depthField: "depth",
+                maxDepth: MAX_HIERARCHY_DEPTH,
+                restrictSearchWithMatch: { status: { $ne: USER_STATUS.INACTIVE } },
+            },
+        },
+        {
+            $project: {
+                reports: { _id: 1, fullName: 1, email: 1, role: 1, department: 1, status: 1, reportsTo: 1, depth: 1 },
+            },
+        },
+    ]);
+
+    return (result?.reports || []).sort((a, b) => a.depth - b.depth || a.fullName.localeCompare(b.fullName));
+};
+
+/**
+ * Ids of everyone in a manager's reporting line (direct and indirect)
+ */
+const getReportIds = async (managerId) => (await getReports(managerId)).map((r) => r._id);
+
+/**
+ * A manager's team — their reporting line plus everyone in departments they head
+ */
+const getTeamUserIds = async (managerId) => {
+    const [reportIds, headedDepartments] = await Promise.all([
+        getReportIds(managerId),
+        getHeadedDepartmentNames(managerId),
+    ]);
+    if (headedDepartments.length === 0) return reportIds;
+
+    const members = await User.find({
+        department: { $in: headedDepartments },
+        status: { $ne: USER_STATUS.INACTIVE },
+        _id: { $ne: managerId },
+    }).distinct("_id");
+
+    const ids = new Map([...reportIds, ...members].map((id) => [String(id), id]));
+    return [...ids.values()];
+};
+
+/**
+ * Is userId in managerId's team?
+ */
+const isInTeam = async (managerId, userId) => {
+    const ids = await getTeamUserIds(managerId);
+    return ids.some((id) => String(id) === String(userId));
+};
+
+/**
+ * Which users the caller may act on for team-scoped features
+ * Returns null for company-wide access (org.viewAll), otherwise the caller's team ids
+ */
+const getScopedUserIds = async (user) => {
+    if (await hasPermission(user, "org.viewAll")) return null;
+    return await getTeamUserIds(user._id);
+};
+
+/**
+ * Org chart as nested trees — every active/pending user whose manager is
+ * missing or inactive becomes a root. Pass rootId for a single subtree.
+ */
+const getOrgChart = async (rootId) => {
+    const users = await User.find({ status: { $ne: USER_STATUS.INACTIVE } })
+        .select(ORG_CHART_FIELDS)
+        .sort({ fullName: 1 })
+        .lean();
+
+    const nodes = new Map(users.map((u) => [String(u._id), { ...u, reports: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.reportsTo && nodes.get(String(node.reportsTo));
+        if (parent) parent.reports.push(node);
+        else roots.push(node);
+    }
+
+    if (rootId) {
+        const root = nodes.get(String(rootId));
+        if (!root) {
+            const error = new Error("User not found");
+            error.statusCode = 404;
+            throw error;
+        }
+        return [root];
+    }
+
+    return roots;
+};
+
+/**
+ * Org chart as the caller may see it — company-wide with org.viewAll, otherwise
+ * the caller's own subtree (or the subtree of someone in their team)
+ */
+const getOrgChartFor = async (user, rootId) => {
+    if (await hasPermission(user, "org.viewAll")) return await getOrgChart(rootId);
+
+    if (rootId && String(rootId) !== String(user._id) && !(await isInTeam(user._id, rootId))) {
+        const error = new Error("Access denied. This employee is not in your team.");
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return await getOrgChart(rootId || user._id);
+};
+
+module.exports = {
+    assertValidManager,
+    getReports,
+    getReportIds,
+    getTeamUserIds,
+    isInTeam,
+    getScopedUserIds,
+    getOrgChart,
+    getOrgChartFor,
+};
@@ -0,0 +1,219 @@
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { DEFAULT_ROLES, PROTECTED_ADMIN_PERMISSIONS } = require("../utils/permissions");
+const { ROLES } = require("../utils/constants");
+
+// Roles are read on every authorized request, so cache briefly
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const clearCache = () => cache.clear();
+
+/**
+ * Resolve a role definition: stored document first, then built-in default
+ * Returns null for unknown roles
+ */
+const getRole = async (name) => {
+    const cached = cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.role;
+    }
+
+    const stored = await Role.findOne({ name }).lean();
+    const defaults = DEFAULT_ROLES[name];
+
+    let role = null;
+    if (stored) {
+        role = { ...stored, isSystem: !!defaults };
+    } else if (defaults) {
+        role = { name, ...defaults, isSystem: true };
+    }
+
+    cache.set(name, { role, expiresAt: Date.now() + CACHE_TTL_MS });
+    return role;
+};
+
+/**
+ * Set of permission keys granted to a role
+ */
+const getPermissions = async (roleName) => {
+    const role = await getRole(roleName);
+    return new Set(role ? role.permissions : []);
+};
+
+/**
+ * Effective permissions for an authenticated user
+ * Requests made with a personal API token are limited to the token's scopes
+ * (set by protect on user.$locals.apiTokenScopes)
+ */
+const getUserPermissions = async (user) => {
+    const permissions = await getPermissions(user.role);
+    const scopes = user.$locals?.apiTokenScopes;
+
+    if (!scopes) return permissions;
+    return new Set(scopes.filter((s) => permissions.has(s)));
+};
+
+/**
+ * Does this user (role, narrowed by API token scopes) have the permission?
+ */
+const hasPermission = async (user, permission) => {
+    const permissions = await getUserPermissions(user);
+    return permissions.has(permission);
+};
+
+/**
+ * Can a user with actorRole create / invite / promote someone to targetRole?
+ */
+const canAssignRole = async (actorRole, targetRole) => {
+    const role = await getRole(actorRole);
+    return !!role && role.assignableRoles.includes(targetRole);
+};
+
+/**
+ * Does a role (built-in or custom) exist?
+ */
+const roleExists = async (name) => {
+    return !!(await getRole(name));
+};
+
+/**
+ * All roles — built-in defaults merged with stored overrides and custom roles
+ */
+const listRoles = async () => {
+    const stored = await Role.find().lean();
+    const storedByName = new Map(stored.map((r) => [r.name, r]));
+
+    const systemRoles = Object.entries(DEFAULT_ROLES).map(([name, defaults]) => ({
+        name,
+        ...defaults,
+        ...(storedByName.get(name) || {}),
+        isSystem: true,
+    }));
+    const customRoles = stored.filter((r) => !DEFAULT_ROLES[r.name]);
+
+    return [...systemRoles, ...customRoles];
+};
+
+/**
+ * Make sure every referenced role exists
+ */
+const assertRolesExist = async (names = []) => {
+    for (const name of names) {
+        if (!(await roleExists(name))) {
+            const error = new Error(`Unknown role: ${name}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+};
+
+/**
+ * Create a custom role (Admin only)
+ */
+const createRole = async (data, actor) => {
+    const { name, label, description, permissions, assignableRoles } = data;
+
+    if (await roleExists(name)) {
+        const error = new Error(`Role "${name}" already exists`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    await assertRolesExist(assignableRoles);
+
+    const role = await Role.create({
+        name,
+        label: label || name,
+        description,
+        permissions: permissions || [],
+        assignableRoles: assignableRoles || [],
+        isSystem: false,
+        updatedBy: actor._id,
+    });
+
+    clearCache();
+    return role.toObject();
+};
+
+/**
+ * Edit a role's permissions / metadata (built-in roles get an override document)
+ */
+const updateRole = async (name, updates, actor) => {
+    const current = await getRole(name);
+    if (!current) {
+        const error = new Error("Role not found");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const updated = {
+        label: updates.label ?? current.label,
+        description: updates.description ?? current.description,
+        permissions: updates.permissions ?? current.permissions,
+        assignableRoles: updates.assignableRoles ?? current.assignableRoles,
+    };
+
+    await assertRolesExist(updated.assignableRoles);
+
+    if (name === ROLES.ADMIN) {
+        const missing = PROTECTED_ADMIN_PERMISSIONS.filter((p) => !updated.permissions.includes(p));
+        if (missing.length) {
+            const error = new Error(`The admin role must keep: ${missing.join(", ")}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    const role = await Role.findOneAndUpdate(
+        { name },
+        { ...updated, isSystem: current.isSystem, updatedBy: actor._id },
+        { upsert: true, returnDocument: "after", runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    clearCache();
+    return role;
+};
+
+/**
+ * Delete a custom role — built-in roles and roles still in use cannot be deleted
+ */
+const deleteRole = async (name) => {
+    if (DEFAULT_ROLES[name]) {
+        const error = new Error("Built-in roles cannot be deleted");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+        const error = new Error("Role not found");
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const usersWithRole = await User.countDocuments({ role: name });
+    if (usersWithRole > 0) {
+        const error = new Error(`Cannot delete role "${name}" — ${usersWithRole} user(s) still have it`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    await role.deleteOne();
+    await Role.updateMany({}, { $pull: { assignableRoles: name } });
+
+    clearCache();
+};
+
+module.exports = {
+    getRole,
+    getPermissions,
+    getUserPermissions,
+    hasPermission,
+    canAssignRole,
+    roleExists,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+};
@@ -0,0 +1,230 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const { encrypt, decrypt } = require("../utils/encryptData");
+const { sendProfileChangeDecisionEmail } = require("../utils/emailService");
+const { logAction } = require("../controllers/auditController");
+
+// ─── Field groups ───
+// Low-risk fields employees edit directly; sensitive ones go through HR approval
+const SELF_EDITABLE_FIELDS = ["phone", "address"];
+const SENSITIVE_FIELDS = {
+    bankName: "Bank name",
+    accountNumber: "Account number",
+    ifscCode: "IFSC code",
+};
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const safeDecrypt = (value) => {
+    if (!value) return "";
+    try {
+        return decrypt(value);
+    } catch (err) {
+        return value; // Legacy plain-text value
+    }
+};
+
+// Account numbers never leave the server in full outside the HR profile view
+const maskAccountNumber = (value) => (value ? `••••${String(value).slice(-4)}` : "");
+
+/**
+ * Request as returned to clients — account numbers masked
+ */
+const presentRequest = (request) => {
+    const data = request.toObject ? request.toObject() : { ...request };
+    data.changes = { ...data.changes };
+    if (data.changes.accountNumber) {
+        data.changes.accountNumber = maskAccountNumber(safeDecrypt(data.changes.accountNumber));
+    }
+    return data;
+};
+
+/**
+ * Employee edits their own low-risk fields (PUT /api/users/me)
+ */
+const updateOwnProfile = async (userId, updates) => {
+    const user = await User.findById(userId);
+    if (!user) throw httpError("User not found", 404);
+
+    const diff = {};
+    for (const field of SELF_EDITABLE_FIELDS) {
+        if (updates[field] !== undefined && updates[field] !== user[field]) {
+            diff[field] = { from: user[field], to: updates[field] };
+            user[field] = updates[field];
+        }
+    }
+
+    if (Object.keys(diff).length === 0) return user;
+
+    await user.save({ validateBeforeSave: false });
+
+    await logAction({
+        action: "SELF_UPDATE_PROFILE",
+        performedBy: user._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `Updated own profile: ${Object.keys(diff).join(", ")}`,
+        metadata: { diff },
+    });
+
+    return user;
+};
+
+/**
+ * Employee asks to change bank details — one pending request at a time
+ */
+const submitChangeRequest = async (userId, updates) => {
+    const user = await User.findById(userId);
+    if (!user) throw httpError("User not found", 404);
+
+    const existing = await ProfileChangeRequest.exists({ user: userId, status: "pending" });
+    if (existing) {
+        throw httpError("You already have a pending change request. Cancel it or wait for HR to review it.", 400);
+    }
+
+    const current = {
+        bankName: user.onboarding?.bankName || "",
+        accountNumber: safeDecrypt(user.onboarding?.accountNumber),
+        ifscCode: user.onboarding?.ifscCode || "",
+    };
+
+    const changes = {};
+    for (const field of Object.keys(SENSITIVE_FIELDS)) {
+        if (updates[field] !== undefined && updates[field] !== current[field]) {
+            changes[field] = field === "accountNumber" ? encrypt(updates[field]) : updates[field];
+        }
+    }
+
+    if (Object.keys(changes).length === 0) {
+        throw httpError("No changes to submit", 400);
+    }
+
+    const request = await ProfileChangeRequest.create({ user: userId, changes });
+    return presentRequest(request);
+};
+
+/**
+ * Employee's own requests, newest first
+ */
+const listOwnRequests = async (userId) => {
+    const requests = await ProfileChangeRequest.find({ user: userId })
+        .populate("reviewedBy", "fullName")
+        .sort({ createdAt: -1 })
+        .lean();
+    return requests.map(presentRequest);
+};
+
+/**
+ * Employee withdraws a pending request
+ */
+const cancelOwnRequest = async (userId, requestId) => {
+    const request = mongoose.isValidObjectId(requestId)
+        ? await ProfileChangeRequest.findOneAndUpdate(
+            { _id: requestId, user: userId, status: "pending" },
+            { status: "cancelled" },
+            { returnDocument: "after" }
+        )
+        : null;
+
+    if (!request) throw httpError("Pending change request not found", 404);
+    return presentRequest(request);
+};
+
+/**
+ * HR queue — requests by status (default: pending), oldest first
+ */
+const listRequests = async ({ status = "pending" } = {}) => {
+    const requests = await ProfileChangeRequest.find({ status })
+        .populate("user", "fullName email department onboarding.bankName onboarding.ifscCode onboarding.accountNumber")
+        .populate("reviewedBy", "fullName")
+        .sort({ createdAt: 1 })
+        .lean();
+
+    return requests.map((request) => {
+        const data = presentRequest(request);
+        if (request.user) {
+            const { onboarding = {}, ...user } = request.user;
+            data.user = user;
+            data.current = {
+                bankName: onboarding.bankName || "",
+                accountNumber: maskAccountNumber(safeDecrypt(onboarding.accountNumber)),
+                ifscCode: onboarding.ifscCode || "",
+            };
+        }
+        return data;
+    });
+};
+
+/**
+ * HR approves (applies the changes) or rejects a request
+ * The field-level diff goes to the audit log (account numbers masked) and the employee is emailed
+ */
+const reviewRequest = async (requestId, approve, note, reviewer) => {
+    const request = mongoose.isValidObjectId(requestId)
+        ? await ProfileChangeRequest.findOne({ _id: requestId, status: "pending" })
+        : null;
+    if (!request) throw httpError("Pending change request not found", 404);
+
+    if (String(request.user) === String(reviewer._id)) {
+        throw httpError("You cannot review your own change request", 403);
+    }
+
+    const user = await User.findById(request.user);
+    if (!user) throw httpError("User not found", 404);
+
+    const fields = Object.keys(SENSITIVE_FIELDS).filter((f) => request.changes[f] !== undefined);
+    const diff = {};
+    for (const field of fields) {
+        const from = user.onboarding[field] || "";
+        const to = request.changes[field];
+        diff[field] = field === "accountNumber"
+            ? { from: maskAccountNumber(safeDecrypt(from)), to: maskAccountNumber(safeDecrypt(to)) }
+            : { from, to };
+    }
+
+    if (approve) {
+        for (const field of fields) user.onboarding[field] = request.changes[field];
+        await user.save({ validateBeforeSave: false });
+    }
+
+    request.status = approve ? "approved" : "rejected";
+    request.reviewedBy = reviewer._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note || "";
+    await request.save();
+
+    await logAction({
+        action: approve ? "PROFILE_CHANGE_APPROVED" : "PROFILE_CHANGE_REJECTED",
+        performedBy: reviewer._id,
+        targetUserId: user._id,
+        targetUser: user.email,
+        details: `${approve ? "Approved" : "Rejected"} profile change for ${user.fullName}: ${fields.join(", ")}`,
+        metadata: { requestId: request._id, diff, note: request.reviewNote },
+    });
+
+    // Fire-and-forget email notification
+    sendProfileChangeDecisionEmail(
+        user.email,
+        user.fullName,
+        approve,
+        fields.map((f) => SENSITIVE_FIELDS[f]),
+        request.reviewNote
+    ).catch((err) => console.error("Failed to send profile change email to", user.email, err));
+
+    return presentRequest(request);
+};
+
+module.exports = {
+    SELF_EDITABLE_FIELDS,
+    updateOwnProfile,
+    submitChangeRequest,
+    listOwnRequests,
+    cancelOwnRequest,
+    listRequests,
+    reviewRequest,
+};
@@ -0,0 +1,357 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Attendance = require("../models/Attendance");
+const RegularizationRequest = require("../models/RegularizationRequest");
+const { USER_STATUS, REGULARIZATION_STATUS } = require("../utils/constants");
+const { getTodayRangeIST, formatISTDate, parseISTDate, toISTDateString } = require("../utils/dateUtils");
+const { sendRegularizationRequestEmail, sendRegularizationDecisionEmail } = require("../utils/emailService");
+const { hasPermission, listRoles } = require("./permissionService");
+const { logAction } = require("../controllers/auditController");
+
+// ─── Attendance regularization ───
+// Employees propose the real work sessions for a day; the reporting manager (or HR when there
+// is none) approves, and the day's record is rewritten from those sessions. Reviewing any
+// request, not only ones routed to you, takes attendance.regularize + org.viewAll (HR / Admin).
+
+const MAX_BACKDATE_DAYS = 30;
+const MAX_SESSIONS = 10;
+const MAX_DAY_SPAN_MS = 36 * 60 * 60 * 1000; // Night shifts may end the next morning
+
+const ACTIVE_STATUSES = ["clocked-in", "away"];
+
+const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * "HH:mm" (IST, on the requested day) or a full ISO date-time → Date
+ */
+const parseTime = (value, dayStart) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+    if (match) {
+        const [hours, minutes] = [Number(match[1]), Number(match[2])];
+        if (hours > 23 || minutes > 59) return null;
+        return new Date(dayStart.getTime() + (hours * 60 + minutes) * 60 * 1000);
+    }
+
+    const date = /^\d{4}-\d{2}-\d{2}T/.test(String(value || "")) ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+};
+
+/**
+ * Proposed sessions → ordered, non-overlapping [{ start, end, duration }] within the day
+ * Accepts { sessions: [{ start, end }] } or a single { clockIn, clockOut }
+ */
+const buildSessions = ({ sessions, clockIn, clockOut }, dayStart) => {
+    const proposed = sessions && sessions.length > 0 ? sessions : [{ start: clockIn, end: clockOut }];
+    if (proposed.length > MAX_SESSIONS) throw httpError(`At most ${MAX_SESSIONS} sessions can be proposed for a day`, 400);
+
+    const now = new Date();
+    const built = proposed.map((session, i) => {
+        const start = parseTime(session?.start, dayStart);
+        const end = parseTime(session?.end, dayStart);
+        const label = proposed.length > 1 ? `Session ${i + 1}: ` : "";
+
+        if (!start || !end) throw httpError(`${label}times must be HH:mm (IST) or ISO date-times`, 400);
+        if (end <= start) throw httpError(`${label}clock-out must be after clock-in`, 400);
+        if (start < dayStart || end > new Date(dayStart.getTime() + MAX_DAY_SPAN_MS)) {
+            throw httpError(`${label}times must fall on the requested day (or the following morning)`, 400);
+        }
+        if (end > now) throw httpError(`${label}times cannot be in the future`, 400);
+
+        return { start, end, duration: Math.floor((end - start) / 1000) };
+    });
+
+    built.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < built.length; i++) {
+        if (built[i].start < built[i - 1].end) throw httpError("Sessions cannot overlap", 400);
+    }
+
+    return built;
+};
+
+/**
+ * The attendance fields a regularization rewrites — also the audit's before / after
+ */
+const snapshot = (record) =>
+    record
+        ? {
+            status: record.status,
+            clockIn: record.clockIn || null,
+            clockOut: record.clockOut || null,
+            activeSeconds: record.activeSeconds || 0,
+            sessions: (record.sessions || []).map(({ start, end, duration }) => ({ start, end, duration })),
+            breaks: (record.breaks || []).map(({ start, end, duration }) => ({ start, end, duration })),
+        }
+        : null;
+
+const presentRequest = (request) => {
+    const data = request.toObject ? request.toObject() : request;
+    return { ...data, day: toISTDateString(data.date) };
+};
+
+const summarize = (request) => ({
+    date: formatISTDate(request.date),
+    times: request.sessions
+        .map((s) => `${s.start.toLocaleTimeString("en-IN", { timeZone: "Asia/Kolkata", hour: "2-digit", minute: "2-digit" })} – ${s.end.toLocaleTimeString("en-IN", { timeZone: "Asia/Kolkata", hour: "2-digit", minute: "2-digit" })}`)
+        .join(", "),
+    reason: request.reason,
+});
+
+/**
+ * Active users who review requests without a manager (the HR queue)
+ */
+const getHrApprovers = async (excludeUserId) => {
+    const roles = (await listRoles())
+        .filter((r) => ["attendance.regularize", "org.viewAll"].every((p) => (r.permissions || []).includes(p)))
+        .map((r) => r.name);
+    return User.find({ role: { $in: roles }, status: USER_STATUS.ACTIVE, _id: { $ne: excludeUserId } }).select("fullName email");
+};
+
+/**
+ * Employee asks to correct a day — { date (YYYY-MM-DD), clockIn, clockOut | sessions, reason }
+ */
+const submitRequest = async (userId, { date, reason, ...times }) => {
+    const user = await User.findById(userId).select("fullName email status reportsTo");
+    if (!user) throw httpError("User not found", 404);
+    if (user.status !== USER_STATUS.ACTIVE) throw httpError("Only active employees can regularize attendance", 403);
+
+    const dayStart = parseISTDate(date);
+    if (!dayStart) throw httpError("date must be a real calendar day (YYYY-MM-DD)", 400);
+
+    const { start: todayStart } = getTodayRangeIST();
+    if (dayStart > todayStart) throw httpError("Attendance can't be regularized for a future day", 400);
+    if (dayStart < new Date(todayStart.getTime() - MAX_BACKDATE_DAYS * 24 * 60 * 60 * 1000)) {
+        throw httpError(`Attendance can be regularized for at most the last ${MAX_BACKDATE_DAYS} days`, 400);
+    }
+
+    const sessions = buildSessions(times, dayStart);
+
+    const { end: dayEnd } = getTodayRangeIST(dayStart);
+    const record = await Attendance.findOne({ user: user._id, date: { $gte: dayStart, $lte: dayEnd } });
+    // A past day still clocked in is the forgot-to-clock-out case — approval closes it
+    if (record && ACTIVE_STATUSES.includes(record.status) && dayStart.getTime() === todayStart.getTime()) {
+        throw httpError("You are still clocked in today — clock out first", 400);
+    }
+    if (record?.status === "on-leave") {
+        throw httpError("You are on approved leave this day — cancel the leave to regularize it", 400);
+    }
+
+    const pending = await RegularizationRequest.exists({ user: user._id, date: dayStart, status: REGULARIZATION_STATUS.PENDING });
+    if (pending) throw httpError("You already have a pending regularization request for this day", 400);
+
+    const approver = user.reportsTo
+        ? await User.findOne({ _id: user.reportsTo, status: USER_STATUS.ACTIVE }).select("fullName email")
+        : null;
+
+    const request = await RegularizationRequest.create({
+        user: user._id,
+        date: dayStart,
+        sessions,
+        reason,
+        approver: approver?._id || null,
+    });
+
+    // Fire-and-forget email to whoever reviews it
+    const recipients = approver ? [approver] : await getHrApprovers(user._id);
+    for (const recipient of recipients) {
+        sendRegularizationRequestEmail(recipient.email, recipient.fullName, user.fullName, summarize(request)).catch((err) =>
+            console.error("Failed to send regularization request email to", recipient.email, err)
+        );
+    }
+
+    return presentRequest(request);
+};
+
+/**
+ * Can the actor approve / reject this request? Never their own.
+ */
+const canReview = async (actor, request) => {
+    if (String(request.user._id || request.user) === String(actor._id)) return false;
+    if (!(await hasPermission(actor, "attendance.regularize"))) return false;
+    return String(request.approver) === String(actor._id) || (await hasPermission(actor, "org.viewAll"));
+};
+
+/**
+ * Rewrite the day's attendance from the approved sessions — gaps between sessions become breaks
+ * Returns { before, after } snapshots
+ */
+const applyToAttendance = async (request) => {
+    const { start, end } = getTodayRangeIST(request.date);
+    const records = await Attendance.find({ user: request.user._id, date: { $gte: start, $lte: end } }).sort({ createdAt: 1 });
+    const { start: todayStart } = getTodayRangeIST();
+    if (start.getTime() === todayStart.getTime() && records.some((r) => ACTIVE_STATUSES.includes(r.status))) {
+        throw httpError("The employee is clocked in today — they need to clock out before it can be regularized", 409);
+    }
+
+    const record = records[0] || new Attendance({ user: request.user._id, date: start });
+    const before = snapshot(records[0]);
+
+    // Duplicate records for the same day are deleted below — keep them in full in the before snapshot
+    if (records.length > 1) {
+        before.duplicates = records.slice(1).map((r) => ({ _id: r._id, ...snapshot(r), dailyReport: r.dailyReport || "" }));
+    }
+
+    // System "marked absent" notes are replaced; a real daily report is kept
+    const note = `[Regularized]: ${request.reason}`;
+    record.dailyReport = !before || before.status === "absent" || !record.dailyReport ? note : `${record.dailyReport}\n${note}`;
+
+    const sessions = request.sessions.map(({ start: s, end: e, duration }) => ({ start: s, end: e, duration }));
+    record.sessions = sessions;
+    record.breaks = sessions.slice(1).map((session, i) => ({
+        start: sessions[i].end,
+        end: session.start,
+        duration: Math.floor((session.start - sessions[i].end) / 1000),
+    }));
+    record.activeSeconds = sessions.reduce((sum, s) => sum + s.duration, 0);
+    record.clockIn = sessions[0].start;
+    record.clockOut = sessions[sessions.length - 1].end;
+    record.status = "clocked-out";
+    record.lastActiveAt = null;
+    record.leaveRequest = undefined;
+
+    await record.save(); // Post-save hook syncs the Google Sheet
+
+    // Duplicate records for the same day would double-count — the regularized one is authoritative
+    for (const duplicate of records.slice(1)) await duplicate.deleteOne();
+
+    return { before, after: snapshot(record) };
+};
+
+const findRequest = async (requestId) => {
+    const request = mongoose.isValidObjectId(requestId)
+        ? await RegularizationRequest.findById(requestId).populate("user", "fullName email")
+        : null;
+    if (!request) throw httpError("Regularization request not found", 404);
+    return request;
+};
+
+/**
+ * Manager / HR approves or rejects a pending request (a note is required to reject)
+ */
+const reviewRequest = async (requestId, actor, { approved, note }) => {
+    const request = await findRequest(requestId);
+
+    if (request.status !== REGULARIZATION_STATUS.PENDING) throw httpError(`This request is already ${request.status}`, 400);
+    if (!(await canReview(actor, request))) {
+        throw httpError("Only the employee's reporting manager or HR can review this request", 403);
+    }
+    if (!approved && !note) throw httpError("Add a note explaining why the request is rejected", 400);
+
+    // Claim the request first (conditional on still pending) so a concurrent review can't rewrite twice
+    const updated = await RegularizationRequest.findOneAndUpdate(
+        { _id: request._id, status: REGULARIZATION_STATUS.PENDING },
+        {
+            status: approved ? REGULARIZATION_STATUS.APPROVED : REGULARIZATION_STATUS.REJECTED,
+            reviewedBy: actor._id,
+            reviewedAt: new Date(),
+            reviewNote: note || "",
+        },
+        { returnDocument: "after" }
+    ).populate("user", "fullName email");
+    if (!updated) throw httpError("This request was changed meanwhile — reload and try again", 409);
+
+    let change = null;
+    if (approved) {
+        try {
+            change = await applyToAttendance(updated);
+        } catch (err) {
+            // e.g. the employee is clocked in today — the request goes back to pending
+            await RegularizationRequest.updateOne(
+                { _id: updated._id },
+                { status: REGULARIZATION_STATUS.PENDING, $unset: { reviewedBy: "", reviewedAt: "" }, reviewNote: "" }
+            );
+            throw err;
+        }
+        await RegularizationRequest.updateOne({ _id: updated._id }, { before: change.before });
+        updated.before = change.before;
+    }
+
+    const day = toISTDateString(updated.date);
+    await logAction({
+        action: approved ? "REGULARIZATION_APPROVED" : "REGULARIZATION_REJECTED",
+        performedBy: actor._id,
+        targetUserId: updated.user._id,
+        targetUser: updated.user.email,
+        details: approved
+            ? `Regularized ${updated.user.fullName}'s attendance for ${day} (${change.before ? change.before.status : "no record"} → ${Math.round((change.after.activeSeconds / 3600) * 10) / 10}h worked)`
+            : `Rejected ${updated.user.fullName}'s regularization request for ${day}`,
+        metadata: { requestId: updated._id, date: day, reason: updated.reason, note: note || "", ...(change || {}) },
+    });
+
+    // Fire-and-forget email notification
+    sendRegularizationDecisionEmail(updated.user.email, updated.user.fullName, approved, summarize(updated), note).catch((err) =>
+        console.error("Failed to send regularization decision email to", updated.user.email, err)
+    );
+
+    return presentRequest(updated);
+};
+
+/**
+ * Employee withdraws their own pending request
+ */
+const cancelRequest = async (requestId, actor) => {
+    const request = await findRequest(requestId);
+    if (String(request.user._id) !== String(actor._id)) throw httpError("You can only cancel your own requests", 403);
+
+    const updated = await RegularizationRequest.findOneAndUpdate(
+        { _id: request._id, status: REGULARIZATION_STATUS.PENDING },
+        { status: REGULARIZATION_STATUS.CANCELLED },
+        { returnDocument: "after" }
+    );
+    if (!updated) throw httpError(`This request is already ${request.status}`, 400);
+
+    return presentRequest(updated);
+};
+
+// ─── Lists ───
+
+/**
+ * Filter for request lists — ?status=pending&from=2026-03-01&to=2026-03-31
+ */
+const buildRequestFilter = (query) => {
+    const filter = {};
+
+    if (query.status) {
+        if (!Object.values(REGULARIZATION_STATUS).includes(query.status)) {
+            throw httpError(`status must be one of: ${Object.values(REGULARIZATION_STATUS).join(", ")}`, 400);
+        }
+        filter.status = query.status;
+    }
+    if (query.from || query.to) {
+        const from = query.from ? parseISTDate(query.from) : null;
+        const to = query.to ? parseISTDate(query.to) : null;
+        if ((query.from && !from) || (query.to && !to)) throw httpError("from / to must be dates (YYYY-MM-DD)", 400);
+        filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+    }
+
+    return filter;
+};
+
+/**
+ * Approval queue filter — HR sees every request (?routed=hr for those without a manager),
+ * managers the ones routed to them
+ */
+const buildApprovalFilter = async (actor, query) => {
+    const filter = { status: REGULARIZATION_STATUS.PENDING, ...buildRequestFilter(query) };
+
+    if (await hasPermission(actor, "org.viewAll")) {
+        if (query.routed === "hr") filter.approver = null;
+        if (query.routed === "me") filter.approver = actor._id;
+    } else {
+        filter.approver = actor._id;
+    }
+
+    return filter;
+};
+
+module.exports = {
+    submitRequest,
+    reviewRequest,
+    cancelRequest,
+    presentRequest,
+    buildRequestFilter,
+    buildApprovalFilter,
+};
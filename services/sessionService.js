@@ -0,0 +1,156 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { generateAccessToken, generateRefreshToken, hashToken } = require("../utils/generateToken");
+
+// Only write lastSeenAt when it is older than this, to avoid a DB write per request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Build a short human-readable device label from a User-Agent string
+ * e.g. "Chrome on Windows", "Safari on iOS"
+ */
+const describeDevice = (userAgent = "") => {
+    const browsers = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//],
+        ["Postman", /PostmanRuntime/],
+        ["curl", /curl\//],
+    ];
+    const systems = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X|Macintosh/],
+        ["Linux", /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return "Unknown device";
+    if (!system) return browser[0];
+    if (!browser) return system[0];
+    return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Start a new session for a login and issue its first token pair
+ * client: { ip, userAgent, deviceName? }
+ */
+const createSession = async (user, client = {}) => {
+    const session = new Session({
+        user: user._id,
+        device: client.deviceName || describeDevice(client.userAgent),
+        userAgent: client.userAgent || "",
+        ipAddress: client.ip || "",
+        lastSeenIp: client.ip || "",
+    });
+
+    const accessToken = generateAccessToken(user, session._id);
+    const refreshToken = generateRefreshToken(user, session._id);
+
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    await session.save();
+
+    return { session, accessToken, refreshToken };
+};
+
+/**
+ * Rotate the refresh token of an existing session (loaded with its refreshTokenHash)
+ * Only succeeds while that hash is still current — returns null if another request
+ * rotated or revoked the session first, which callers must treat as token reuse
+ */
+const rotateSession = async (session, user, client = {}) => {
+    const accessToken = generateAccessToken(user, session._id);
+    const refreshToken = generateRefreshToken(user, session._id);
+
+    const update = {
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+        lastSeenAt: new Date(),
+    };
+    if (client.ip) update.lastSeenIp = client.ip;
+
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        { $set: update }
+    );
+    if (!rotated) return null;
+
+    return { accessToken, refreshToken };
+};
+
+/**
+ * Find a session that can still be used (not revoked, not expired)
+ */
+const findActiveSession = async (sessionId, { withTokenHash = false } = {}) => {
+    const query = Session.findOne({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    if (withTokenHash) query.select("+refreshTokenHash");
+    return await query;
+};
+
+/**
+ * Record activity on a session (throttled)
+ */
+const touchSession = (session, ip) => {
+    if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) return;
+
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), lastSeenIp: ip || session.lastSeenIp })
+        .catch((err) => console.error("Failed to update session activity:", err.message));
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+const listSessions = async (userId) => {
+    return await Session.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    })
+        .select("device userAgent ipAddress lastSeenAt lastSeenIp createdAt expiresAt")
+        .sort({ lastSeenAt: -1 })
+        .lean();
+};
+
+/**
+ * Revoke one session (scoped to its owner)
+ * Returns the revoked session, or null if it was not found / already revoked
+ */
+const revokeSession = async (userId, sessionId, reason = "user") => {
+    return await Session.findOneAndUpdate(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { returnDocument: "after" }
+    ).lean();
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one (the caller's)
+ * Returns the number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { reason = "user", exceptSessionId } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    findActiveSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
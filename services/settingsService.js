@@ -0,0 +1,40 @@
+const Setting = require("../models/Setting");
+
+// Settings are read on hot paths (e.g. every authenticated request), so cache briefly
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Get a setting value, falling back to defaultValue when it has never been set
+ */
+const getSetting = async (key, defaultValue = null) => {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const setting = await Setting.findOne({ key }).lean();
+    const value = setting ? setting.value : defaultValue;
+
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+};
+
+/**
+ * Create or update a setting value
+ */
+const setSetting = async (key, value, updatedBy) => {
+    const setting = await Setting.findOneAndUpdate(
+        { key },
+        { value, updatedBy },
+        { upsert: true, returnDocument: "after", setDefaultsOnInsert: true }
+    ).lean();
+
+    cache.set(key, { value: setting.value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return setting.value;
+};
+
+module.exports = {
+    getSetting,
+    setSetting,
+};
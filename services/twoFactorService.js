@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const { encrypt, decrypt } = require("../utils/encryptData");
+const { generateSecret, verifyCode, buildOtpauthUrl } = require("../utils/totp");
+const { getSetting, setSetting } = require("./settingsService");
+const { SETTING_KEYS } = require("../utils/constants");
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash("sha256").update(code.toLowerCase().replace(/[\s-]/g, "")).digest("hex");
+
+/**
+ * Generate a fresh set of one-time recovery codes (e.g. "a1b2c-3d4e5")
+ * Returns both the plaintext codes (shown once) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const findUserWithSecrets = async (userId) => {
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) {
+        const error = new Error("User not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    return user;
+};
+
+/**
+ * Check a TOTP code against the user's active secret, rejecting replays
+ * Mutates user.twoFactor.lastUsedStep — caller must save
+ */
+const checkTotp = (user, code) => {
+    if (!user.twoFactor?.secret) return false;
+
+    const step = verifyCode(decrypt(user.twoFactor.secret), code);
+    if (step === null) return false;
+    if (user.twoFactor.lastUsedStep != null && step <= user.twoFactor.lastUsedStep) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+};
+
+/**
+ * Roles for which the admin policy makes 2FA mandatory
+ */
+const getRequiredRoles = async () => {
+    return await getSetting(SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES, []);
+};
+
+const isTwoFactorRequired = async (user) => {
+    const requiredRoles = await getRequiredRoles();
+    return requiredRoles.includes(user.role);
+};
+
+/**
+ * Update the mandatory-2FA policy (Admin only)
+ */
+const updatePolicy = async (requiredRoles, adminUser) => {
+    return await setSetting(SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES, requiredRoles, adminUser._id);
+};
+
+/**
+ * Start enrolment — generate a pending secret and its QR provisioning data
+ */
+const startEnrollment = async (userId) => {
+    const user = await findUserWithSecrets(userId);
+
+    if (user.twoFactor?.enabled) {
+        const error = new Error("Two-factor authentication is already enabled");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpauthUrl(user.email, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * Activates 2FA and returns the one-time recovery codes
+ */
+const confirmEnrollment = async (userId, code) => {
+    const user = await findUserWithSecrets(userId);
+
+    if (user.twoFactor?.enabled) {
+        const error = new Error("Two-factor authentication is already enabled");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+        const error = new Error("Start two-factor setup first");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const step = verifyCode(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+        const error = new Error("Invalid verification code");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return { user, recoveryCodes: codes };
+};
+
+/**
+ * Verify the second login factor — a TOTP code or an unused recovery code
+ * Recovery codes are consumed on use
+ */
+const verifyLoginCode = async (user, code) => {
+    if (checkTotp(user, code)) {
+        await user.save({ validateBeforeSave: false });
+        return true;
+    }
+
+    const hash = hashRecoveryCode(String(code || ""));
+    const index = (user.twoFactor?.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    await user.save({ validateBeforeSave: false });
+    return true;
+};
+
+/**
+ * Disable 2FA for yourself — requires password and a current code
+ */
+const disableTwoFactor = async (userId, password, code) => {
+    const user = await findUserWithSecrets(userId);
+
+    if (!user.twoFactor?.enabled) {
+        const error = new Error("Two-factor authentication is not enabled");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (await isTwoFactorRequired(user)) {
+        const error = new Error("Two-factor authentication is mandatory for your role");
+        error.statusCode = 403;
+        throw error;
+    }
+
+    if (!(await user.comparePassword(password)) || !(await verifyLoginCode(user, code))) {
+        const error = new Error("Invalid password or verification code");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    clearTwoFactor(user);
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+};
+
+/**
+ * Replace recovery codes — requires a current TOTP code
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+    const user = await findUserWithSecrets(userId);
+
+    if (!user.twoFactor?.enabled) {
+        const error = new Error("Two-factor authentication is not enabled");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (!checkTotp(user, code)) {
+        const error = new Error("Invalid verification code");
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    return codes;
+};
+
+/**
+ * Admin reset for a user who lost their device and recovery codes
+ * The user re-enrols on next login if their role requires 2FA
+ */
+const resetTwoFactor = async (userId) => {
+    const user = await findUserWithSecrets(userId);
+    clearTwoFactor(user);
+    await user.save({ validateBeforeSave: false });
+    return user;
+};
+
+const clearTwoFactor = (user) => {
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+};
+
+module.exports = {
+    TWO_FACTOR_FIELDS,
+    getRequiredRoles,
+    isTwoFactorRequired,
+    updatePolicy,
+    startEnrollment,
+    confirmEnrollment,
+    verifyLoginCode,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetTwoFactor,
+};
@@ -0,0 +1,168 @@
+const User = require("../models/User");
+const { hasPermission } = require("./permissionService");
+const { getViewableFields, presentValues } = require("./customFieldService");
+const { decrypt } = require("../utils/encryptData");
+const { toISTDateString } = require("../utils/dateUtils");
+const { logAction } = require("../controllers/auditController");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const MAX_EXPORT_ROWS = 10000;
+
+// Unmasked bank details need the same permission as the full HR profile view
+const SENSITIVE_PERMISSION = "users.view";
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const safeDecrypt = (value) => {
+    if (!value) return "";
+    try {
+        return decrypt(value);
+    } catch (err) {
+        return value; // Legacy plain-text value
+    }
+};
+
+const asDate = (value) => (value ? toISTDateString(value) : "");
+const maskTail = (value) => (value ? `••••${String(value).slice(-4)}` : "");
+
+// ─── Standard columns ───
+// select: User paths the column reads; sensitive columns are masked without SENSITIVE_PERMISSION
+const STANDARD_COLUMNS = [
+    { key: "fullName", label: "Full Name", select: "fullName", value: (u) => u.fullName },
+    { key: "email", label: "Email", select: "email", value: (u) => u.email },
+    { key: "role", label: "Role", select: "role", value: (u) => u.role },
+    { key: "department", label: "Department", select: "department", value: (u) => u.department },
+    { key: "location", label: "Location", select: "location", value: (u) => u.location },
+    { key: "status", label: "Status", select: "status", value: (u) => u.status },
+    { key: "phone", label: "Phone", select: "phone", value: (u) => u.phone },
+    { key: "address", label: "Address", select: "address", value: (u) => u.address },
+    { key: "startDate", label: "Start Date", select: "startDate", value: (u) => asDate(u.startDate) },
+    { key: "manager", label: "Manager", select: "reportsTo", value: (u) => u.reportsTo?.fullName || "" },
+    { key: "createdAt", label: "Created", select: "createdAt", value: (u) => asDate(u.createdAt) },
+    { key: "lastLogin", label: "Last Login", select: "lastLogin", value: (u) => asDate(u.lastLogin) },
+    {
+        key: "onboardingCompleted",
+        label: "Onboarding Completed",
+        select: "onboarding.completedAt",
+        value: (u) => asDate(u.onboarding?.completedAt),
+    },
+    { key: "bankName", label: "Bank Name", select: "onboarding.bankName", value: (u) => u.onboarding?.bankName },
+    {
+        key: "accountNumber",
+        label: "Account Number",
+        select: "onboarding.accountNumber",
+        sensitive: true,
+        value: (u) => safeDecrypt(u.onboarding?.accountNumber),
+    },
+    {
+        key: "ifscCode",
+        label: "IFSC Code",
+        select: "onboarding.ifscCode",
+        sensitive: true,
+        value: (u) => u.onboarding?.ifscCode,
+    },
+];
+
+const DEFAULT_COLUMNS = ["fullName", "email", "role", "department", "status", "phone", "startDate", "manager"];
+
+/**
+ * Custom fields become "cf.<key>" columns — only those the viewer may see
+ */
+const customColumns = (fields) =>
+    fields.map((field) => ({
+        key: `cf.${field.key}`,
+        label: field.label,
+        select: "customFields",
+        custom: field.key,
+        value: (u, values) => {
+            const value = values[field.key];
+            if (value === null || value === undefined) return "";
+            if (field.type === "file") return value.fileName || "";
+            if (field.type === "date") return asDate(value);
+            return value;
+        },
+    }));
+
+/**
+ * Columns this viewer may export — [{ key, label, sensitive }]
+ */
+const getExportColumns = async (viewer) => {
+    const columns = [...STANDARD_COLUMNS, ...customColumns(await getViewableFields(viewer))];
+    return columns.map(({ key, label, sensitive }) => ({ key, label, sensitive: !!sensitive }));
+};
+
+/**
+ * Resolve ?columns= (comma-separated keys) — default: the standard directory columns + every viewable custom field
+ */
+const resolveColumns = async (requested, viewer) => {
+    const available = [...STANDARD_COLUMNS, ...customColumns(await getViewableFields(viewer))];
+
+    if (!requested) {
+        return available.filter((c) => DEFAULT_COLUMNS.includes(c.key) || c.custom);
+    }
+
+    const keys = String(requested).split(",").map((k) => k.trim()).filter(Boolean);
+    const unknown = keys.filter((k) => !available.some((c) => c.key === k));
+    if (unknown.length > 0) {
+        throw badRequest(`Unknown column(s): ${unknown.join(", ")}. Allowed: ${available.map((c) => c.key).join(", ")}`);
+    }
+
+    return [...new Set(keys)].map((k) => available.find((c) => c.key === k));
+};
+
+/**
+ * Plan an export of the users matching filter — validates the request and writes the audit entry up front,
+ * so an export is recorded even if the download is interrupted
+ * Returns { headers, rowCount, masked, rows } where rows is an async iterator of cell arrays
+ */
+const prepareExport = async ({ filter, sort, format, columns: requested, filters }, viewer) => {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw badRequest(`Unsupported format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+
+    const columns = await resolveColumns(requested, viewer);
+    const rowCount = await User.countDocuments(filter);
+    if (rowCount > MAX_EXPORT_ROWS) {
+        throw badRequest(`Export is limited to ${MAX_EXPORT_ROWS} employees (${rowCount} match). Narrow the filters.`);
+    }
+
+    const unmasked = await hasPermission(viewer, SENSITIVE_PERMISSION);
+    const masked = columns.filter((c) => c.sensitive && !unmasked).map((c) => c.key);
+    const withCustomFields = columns.some((c) => c.custom);
+
+    // Custom field applicability depends on the employee's department
+    const select = new Set(columns.map((c) => c.select));
+    if (withCustomFields) select.add("department");
+
+    await logAction({
+        action: "EXPORT_EMPLOYEES",
+        performedBy: viewer._id,
+        details: `Exported ${rowCount} employee(s) as ${format.toUpperCase()}`,
+        metadata: { format, rowCount, columns: columns.map((c) => c.key), masked, filters },
+    });
+
+    const rows = async function* () {
+        let query = User.find(filter).select([...select].join(" ")).sort(sort);
+        if (select.has("reportsTo")) query = query.populate("reportsTo", "fullName");
+
+        for await (const user of query.lean().cursor()) {
+            const values = withCustomFields ? await presentValues(user, viewer) : {};
+            yield columns.map((column) => {
+                const value = column.value(user, values) ?? "";
+                return masked.includes(column.key) ? maskTail(value) : value;
+            });
+        }
+    };
+
+    return { headers: columns.map((c) => c.label), rowCount, masked, rows: rows() };
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    getExportColumns,
+    prepareExport,
+};
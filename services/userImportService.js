@@ -0,0 +1,157 @@
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const authService = require("./authService");
+const { canAssignRole } = require("./permissionService");
+const { registerValidator } = require("../validators/authValidator");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { logAction } = require("../controllers/auditController");
+
+const IMPORT_COLUMNS = ["fullName", "email", "role", "department", "startDate", "phone"];
+const REQUIRED_COLUMNS = ["fullName", "email", "role"];
+const MAX_IMPORT_ROWS = 500;
+
+// ─── Result report (downloadable CSV) ───
+const REPORT_COLUMNS = [
+    { key: "row", label: "Row" },
+    ...IMPORT_COLUMNS.map((key) => ({ key, label: key })),
+    { key: "status", label: "Status" },
+    { key: "errors", label: "Errors" },
+    { key: "userId", label: "User ID" },
+];
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Run the same rules as POST /api/auth/register against one CSV row
+ * Returns the sanitized row and its error messages
+ */
+const validateRow = async (actor, record) => {
+    const req = { body: { ...record } };
+
+    await Promise.all(registerValidator.map((chain) => chain.run(req)));
+    const errors = validationResult(req).array().map((e) => `${e.path}: ${e.msg}`);
+
+    const data = IMPORT_COLUMNS.reduce((row, key) => {
+        row[key] = req.body[key] || "";
+        return row;
+    }, {});
+
+    if (!errors.some((e) => e.startsWith("role:")) && !(await canAssignRole(actor.role, data.role))) {
+        errors.push(`role: ${actor.role} cannot create users with role ${data.role}`);
+    }
+
+    return { data, errors };
+};
+
+/**
+ * Validate every row — field rules, role permissions, duplicates in the file and in the DB
+ */
+const validateRows = async (actor, records) => {
+    const rows = [];
+    const seenEmails = new Map();
+
+    for (const [index, record] of records.entries()) {
+        const { data, errors } = await validateRow(actor, record);
+        const row = index + 2; // 1-based, after the header row
+
+        const email = data.email.toLowerCase();
+        if (email && seenEmails.has(email)) {
+            errors.push(`email: duplicate of row ${seenEmails.get(email)}`);
+        } else if (email) {
+            seenEmails.set(email, row);
+        }
+
+        rows.push({ row, data: { ...data, email }, errors });
+    }
+
+    const existing = await User.find({ email: { $in: [...seenEmails.keys()] } }).select("email").lean();
+    const existingEmails = new Set(existing.map((u) => u.email));
+
+    for (const row of rows) {
+        if (existingEmails.has(row.data.email)) {
+            row.errors.push("email: a user with this email already exists");
+        }
+        row.status = row.errors.length > 0 ? "invalid" : "valid";
+    }
+
+    return rows;
+};
+
+/**
+ * Import employees from CSV text
+ * dryRun: validate only. Otherwise users are created (and invited) only if every row is valid.
+ * Returns { dryRun, committed, summary, rows }
+ */
+const importEmployees = async (actor, csvText, { dryRun = false } = {}) => {
+    const { headers, records } = parseCsv(csvText);
+
+    const missing = REQUIRED_COLUMNS.filter((c) => !headers.includes(c));
+    if (missing.length > 0) {
+        throw badRequest(`CSV is missing required column(s): ${missing.join(", ")}. Expected: ${IMPORT_COLUMNS.join(", ")}`);
+    }
+    if (records.length === 0) {
+        throw badRequest("CSV contains no employee rows");
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw badRequest(`A single import is limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const rows = await validateRows(actor, records);
+    const invalid = rows.filter((r) => r.status === "invalid").length;
+
+    const summary = { total: rows.length, valid: rows.length - invalid, invalid, created: 0, failed: 0 };
+
+    if (dryRun || invalid > 0) {
+        return { dryRun, committed: false, summary, rows };
+    }
+
+    for (const row of rows) {
+        try {
+            const user = await authService.registerUser(actor, row.data);
+            row.status = "created";
+            row.userId = user._id;
+            summary.created++;
+
+            await logAction({
+                action: "CREATE_EMPLOYEE",
+                performedBy: actor._id,
+                targetUserId: user._id,
+                targetUser: user.email,
+                details: `Created user ${user.fullName} with role ${user.role} via bulk import and sent invitation`,
+            });
+        } catch (err) {
+            // e.g. the email was taken between validation and creation
+            row.status = "failed";
+            row.errors.push(err.message);
+            summary.failed++;
+        }
+    }
+
+    await logAction({
+        action: "BULK_IMPORT_EMPLOYEES",
+        performedBy: actor._id,
+        details: `Bulk import: ${summary.created} of ${summary.total} users created`,
+        metadata: summary,
+    });
+
+    return { dryRun, committed: true, summary, rows };
+};
+
+/**
+ * Flatten import results into a CSV report
+ */
+const buildReportCsv = (rows) =>
+    toCsv(
+        rows.map((r) => ({ row: r.row, ...r.data, status: r.status, errors: r.errors.join("; "), userId: r.userId })),
+        REPORT_COLUMNS
+    );
+
+module.exports = {
+    IMPORT_COLUMNS,
+    importEmployees,
+    buildReportCsv,
+};
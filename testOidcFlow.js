@@ -0,0 +1,274 @@
+const http = require("http");
+const crypto = require("crypto");
+const assert = require("assert");
+const jwt = require("jsonwebtoken");
+const dotenv = require("dotenv");
+dotenv.config();
+
+// End-to-end check of the SSO authorization-code flow in services/oidcService.js against a
+// local mock identity provider (discovery, JWKS, authorize and token endpoints).
+// Covers discovery, ID token signature via JWKS (incl. key rotation), PKCE, state, nonce,
+// the opaque (encrypted) transaction token and the email_verified claim.
+// No database or real IdP needed — the OIDC_* env vars are pointed at the mock.
+//
+// Usage: node testOidcFlow.js
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "oidc-flow-test-secret";
+if (!process.env.ENCRYPTION_KEYS && !process.env.ENCRYPTION_KEY) {
+    process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString("hex");
+}
+process.env.OIDC_CLIENT_ID = "portal-test-client";
+process.env.OIDC_CLIENT_SECRET = "portal-test-secret";
+process.env.OIDC_REDIRECT_URI = "http://localhost:5173/auth/sso/callback";
+
+const oidcService = require("./services/oidcService");
+const { generateOidcTransactionToken } = require("./utils/generateToken");
+const { encrypt, decrypt } = require("./utils/encryptData");
+
+const IDENTITY = { sub: "mock-user-1", email: "Jane.Doe@Example.com", email_verified: true, name: "Jane Doe" };
+
+// ─── Mock identity provider ───
+
+const createMockProvider = () => {
+    let signingKey;
+    let claims = IDENTITY;
+    const codes = new Map(); // code → { clientId, redirectUri, nonce, codeChallenge }
+
+    const rotateKey = () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+        signingKey = { kid: crypto.randomBytes(8).toString("hex"), privateKey, publicKey };
+    };
+    rotateKey();
+
+    const readForm = (req) =>
+        new Promise((resolve) => {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => resolve(Object.fromEntries(new URLSearchParams(body))));
+        });
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, provider.issuer);
+
+        if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+            return sendJson(res, 200, {
+                issuer: provider.issuer,
+                authorization_endpoint: `${provider.issuer}/authorize`,
+                token_endpoint: `${provider.issuer}/token`,
+                jwks_uri: `${provider.issuer}/jwks`,
+                response_types_supported: ["code"],
+                code_challenge_methods_supported: ["S256"],
+                id_token_signing_alg_values_supported: ["RS256"],
+            });
+        }
+
+        if (req.method === "GET" && url.pathname === "/jwks") {
+            const jwk = signingKey.publicKey.export({ format: "jwk" });
+            return sendJson(res, 200, { keys: [{ ...jwk, kid: signingKey.kid, use: "sig", alg: "RS256" }] });
+        }
+
+        // The user "signs in" instantly and is redirected back with a one-time code
+        if (req.method === "GET" && url.pathname === "/authorize") {
+            const params = Object.fromEntries(url.searchParams);
+            if (
+                params.response_type !== "code" ||
+                params.client_id !== process.env.OIDC_CLIENT_ID ||
+                params.code_challenge_method !== "S256" ||
+                !params.code_challenge ||
+                !params.nonce ||
+                !params.state
+            ) {
+                return sendJson(res, 400, { error: "invalid_request" });
+            }
+
+            const code = crypto.randomBytes(16).toString("hex");
+            codes.set(code, {
+                clientId: params.client_id,
+                redirectUri: params.redirect_uri,
+                nonce: params.nonce,
+                codeChallenge: params.code_challenge,
+            });
+
+            const redirect = new URL(params.redirect_uri);
+            redirect.search = new URLSearchParams({ code, state: params.state }).toString();
+            res.writeHead(302, { Location: redirect.toString() });
+            return res.end();
+        }
+
+        if (req.method === "POST" && url.pathname === "/token") {
+            const form = await readForm(req);
+            const grant = codes.get(form.code);
+            codes.delete(form.code); // Codes are single-use
+
+            if (!grant || form.grant_type !== "authorization_code") {
+                return sendJson(res, 400, { error: "invalid_grant", error_description: "Unknown or used code" });
+            }
+            if (form.client_id !== grant.clientId || form.client_secret !== process.env.OIDC_CLIENT_SECRET) {
+                return sendJson(res, 401, { error: "invalid_client" });
+            }
+            if (form.redirect_uri !== grant.redirectUri) {
+                return sendJson(res, 400, { error: "invalid_grant", error_description: "redirect_uri mismatch" });
+            }
+
+            const challenge = crypto.createHash("sha256").update(form.code_verifier || "").digest("base64url");
+            if (challenge !== grant.codeChallenge) {
+                return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+            }
+
+            const idToken = jwt.sign({ ...claims, nonce: grant.nonce }, signingKey.privateKey, {
+                algorithm: "RS256",
+                keyid: signingKey.kid,
+                issuer: provider.issuer,
+                audience: grant.clientId,
+                expiresIn: "5m",
+            });
+            return sendJson(res, 200, { access_token: "mock-access-token", token_type: "Bearer", id_token: idToken });
+        }
+
+        sendJson(res, 404, { error: "not_found" });
+    });
+
+    const provider = {
+        issuer: null,
+        rotateKey,
+        setClaims: (next) => (claims = next),
+        start: () =>
+            new Promise((resolve) => {
+                server.listen(0, "127.0.0.1", () => {
+                    provider.issuer = `http://127.0.0.1:${server.address().port}`;
+                    resolve();
+                });
+            }),
+        stop: () => new Promise((resolve) => server.close(resolve)),
+    };
+    return provider;
+};
+
+// ─── Flow helpers ───
+
+// Step 1 plus the browser round-trip: follow the authorization URL to the redirect and read code + state
+const signIn = async () => {
+    const request = await oidcService.createAuthorizationRequest();
+
+    const response = await fetch(request.authorizationUrl, { redirect: "manual" });
+    assert.strictEqual(response.status, 302, "authorize endpoint should redirect back to the app");
+
+    const callback = new URL(response.headers.get("location"));
+    assert.strictEqual(`${callback.origin}${callback.pathname}`, process.env.OIDC_REDIRECT_URI);
+
+    // The browser only gets an opaque handle — not a readable JWT carrying the PKCE verifier
+    const transaction = jwt.verify(decrypt(request.transactionToken), process.env.JWT_SECRET);
+    assert.strictEqual(jwt.decode(request.transactionToken), null, "transaction token must not be a readable JWT");
+    assert.ok(!request.transactionToken.includes(transaction.codeVerifier));
+
+    return {
+        request,
+        transaction,
+        code: callback.searchParams.get("code"),
+        state: callback.searchParams.get("state"),
+    };
+};
+
+// The service must refuse with its own HTTP error, for the expected reason
+const expectRejected = async (promise, reason) => {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error.statusCode >= 400, `expected an HTTP error, got: ${error.message}`);
+        assert.match(error.message, reason);
+        return true;
+    });
+};
+
+async function runOidcFlowTest() {
+    const provider = createMockProvider();
+    await provider.start();
+    process.env.OIDC_ISSUER = provider.issuer;
+
+    try {
+        console.log(`Mock identity provider at ${provider.issuer}\n`);
+
+        console.log("1. Authorization code flow (discovery, JWKS, PKCE, nonce)...");
+        const { request, code, state } = await signIn();
+        assert.strictEqual(state, request.state, "state must round-trip through the provider");
+        const identity = await oidcService.completeAuthorization({ code, state, transactionToken: request.transactionToken });
+        assert.deepStrictEqual(identity, {
+            subject: IDENTITY.sub,
+            issuer: provider.issuer,
+            email: "jane.doe@example.com",
+            emailVerified: true,
+            name: IDENTITY.name,
+        });
+        console.log("✅ Signed in as", identity.email);
+
+        console.log("2. Replaying a used code is rejected...");
+        await expectRejected(
+            oidcService.completeAuthorization({ code, state, transactionToken: request.transactionToken }),
+            /Identity provider request failed/
+        );
+        console.log("✅ Rejected");
+
+        console.log("3. Mismatched state is rejected...");
+        const second = await signIn();
+        await expectRejected(
+            oidcService.completeAuthorization({ code: second.code, state: "forged-state", transactionToken: second.request.transactionToken }),
+            /Sign-in session expired/
+        );
+        console.log("✅ Rejected");
+
+        console.log("4. Wrong PKCE code verifier is rejected...");
+        const third = await signIn();
+        const wrongVerifier = encrypt(generateOidcTransactionToken({ ...third.transaction, codeVerifier: "not-the-verifier" }));
+        await expectRejected(
+            oidcService.completeAuthorization({ code: third.code, state: third.state, transactionToken: wrongVerifier }),
+            /Identity provider request failed/
+        );
+        console.log("✅ Rejected");
+
+        console.log("5. ID token nonce must match the sign-in transaction...");
+        const fourth = await signIn();
+        const wrongNonce = encrypt(generateOidcTransactionToken({ ...fourth.transaction, nonce: "another-nonce" }));
+        await expectRejected(
+            oidcService.completeAuthorization({ code: fourth.code, state: fourth.state, transactionToken: wrongNonce }),
+            /Invalid ID token/
+        );
+        console.log("✅ Rejected");
+
+        console.log("6. Provider key rotation (unknown kid refetches the JWKS)...");
+        provider.rotateKey();
+        const fifth = await signIn();
+        const rotated = await oidcService.completeAuthorization({
+            code: fifth.code,
+            state: fifth.state,
+            transactionToken: fifth.request.transactionToken,
+        });
+        assert.strictEqual(rotated.subject, IDENTITY.sub);
+        console.log("✅ Signed in with the new key");
+
+        console.log("7. A missing email_verified claim is not treated as verified...");
+        const unverified = { ...IDENTITY };
+        delete unverified.email_verified;
+        provider.setClaims(unverified);
+        const sixth = await signIn();
+        const unverifiedIdentity = await oidcService.completeAuthorization({
+            code: sixth.code,
+            state: sixth.state,
+            transactionToken: sixth.request.transactionToken,
+        });
+        assert.strictEqual(unverifiedIdentity.emailVerified, false);
+        console.log("✅ emailVerified is false (login refuses to link or provision by email)");
+
+        console.log("\nAll OIDC flow checks passed.");
+        await provider.stop();
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ OIDC flow check failed:", error);
+        await provider.stop();
+        process.exit(1);
+    }
+}
+
+runOidcFlowTest();
@@ -13,18 +13,42 @@ const USER_STATUS = {
     INACTIVE: "inactive", // Offboarded / access revoked
 };
 
-// ─── Who can create whom (PRD Section 3.2) ───
-// Admin can add: HR, Manager, Employee
-// HR can add: Manager, Employee
-// Manager & Employee: cannot add anyone
-const CREATION_PERMISSIONS = {
-    [ROLES.ADMIN]: [ROLES.ADMIN, ROLES.HR, ROLES.MANAGER, ROLES.EMPLOYEE],
-    [ROLES.HR]: [ROLES.MANAGER, ROLES.EMPLOYEE],
-    [ROLES.MANAGER]: [],
-    [ROLES.EMPLOYEE]: [],
+// ─── Onboarding Review (HR verification after the employee submits) ───
+const ONBOARDING_REVIEW_STATUS = {
+    SUBMITTED: "submitted",                 // Waiting for HR
+    VERIFIED: "verified",                   // All items approved — user becomes active
+    CHANGES_REQUESTED: "changes-requested", // Some items rejected — employee resubmits those
 };
 
+// ─── Leave ───
+const LEAVE_TYPES = {
+    CASUAL: "casual",
+    SICK: "sick",
+    EARNED: "earned",
+    UNPAID: "unpaid",
+    COMP_OFF: "comp-off",
+};
+
+const LEAVE_STATUS = {
+    PENDING: "pending",     // Waiting for the reporting manager (or HR)
+    APPROVED: "approved",   // Days count as "on-leave" in attendance
+    REJECTED: "rejected",
+    CANCELLED: "cancelled", // Withdrawn by the employee or HR
+};
+
+const REGULARIZATION_STATUS = {
+    PENDING: "pending",     // Waiting for the reporting manager (or HR)
+    APPROVED: "approved",   // The day's attendance was rewritten with the proposed times
+    REJECTED: "rejected",
+    CANCELLED: "cancelled", // Withdrawn by the employee
+};
+
+// Who can create whom (PRD Section 3.2) and all other authorization
+// now lives in utils/permissions.js (roles → permissions, assignableRoles)
+
 // ─── Departments ───
+// Seed list only — departments live in the Department collection (/api/departments)
+// and these are created the first time the collection is empty
 const DEPARTMENTS = [
     "Engineering",
     "Marketing",
@@ -32,12 +56,25 @@ const DEPARTMENTS = [
     "Finance",
     "Operations",
     "Design",
-    "Management",
 ];
 
+// ─── Admin-configurable settings keys (see models/Setting.js) ───
+const SETTING_KEYS = {
+    TWO_FACTOR_REQUIRED_ROLES: "security.twoFactorRequiredRoles",
+};
+
+// ─── Roles that an admin may make 2FA mandatory for ───
+// These roles can view decrypted bank details and ID documents
+const TWO_FACTOR_ENFORCEABLE_ROLES = [ROLES.ADMIN, ROLES.HR];
+
 module.exports = {
     ROLES,
     USER_STATUS,
-    CREATION_PERMISSIONS,
+    ONBOARDING_REVIEW_STATUS,
+    LEAVE_TYPES,
+    LEAVE_STATUS,
+    REGULARIZATION_STATUS,
     DEPARTMENTS,
+    SETTING_KEYS,
+    TWO_FACTOR_ENFORCEABLE_ROLES,
 };
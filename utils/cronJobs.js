@@ -4,6 +4,9 @@ const User = require("../models/User");
 const Attendance = require("../models/Attendance");
 const { sendOverdueTaskEmail, sendAbsentEmail, sendMonthlyReportEmail } = require("./emailService");
 const { getMonthRangeIST, getTodayRangeIST, getNowIST, formatISTDate } = require("./dateUtils");
+const { processDueOffboardings } = require("../services/offboardingService");
+const { getApprovedLeaveForDay, LEAVE_POLICY } = require("../services/leaveService");
+const { loadCalendar } = require("../services/holidayService");
 
 // ═══════════════════════════════════════════════════════════
 // Shared helper — build & send the monthly report for ONE user
@@ -30,11 +33,16 @@ const buildAndSendMonthlyReport = async (user, month, year) => {
         return (istDate.getUTCMonth() + 1) === month;
     });
 
-    const daysPresent = attendanceRecords.filter(r =>
+    // Holidays and weekly offs don't count as working days (hours worked on them still count)
+    const calendar = await loadCalendar(monthStart, monthEnd);
+    const workingDayRecords = attendanceRecords.filter(r => calendar.isWorkingDay(user, r.date));
+
+    const daysPresent = workingDayRecords.filter(r =>
         ["clocked-in", "clocked-out", "away"].includes(r.status)
     ).length;
-    const daysAbsent = attendanceRecords.filter(r => r.status === "absent").length;
-    const totalDays  = attendanceRecords.length;
+    const daysAbsent = workingDayRecords.filter(r => r.status === "absent").length;
+    // Approved leave is not counted against the attendance rate
+    const totalDays  = workingDayRecords.filter(r => r.status !== "on-leave").length;
     const totalActiveSeconds = attendanceRecords.reduce((s, r) => s + (r.activeSeconds || 0), 0);
     const totalWorkingHours  = Math.round((totalActiveSeconds / 3600) * 10) / 10;
     
@@ -88,6 +96,11 @@ const startCronJobs = () => {
         try {
             const now = new Date();
 
+            // 0. Deactivate employees whose last working day has passed
+            // Runs first so they are not marked absent below
+            const offboarded = await processDueOffboardings();
+            if (offboarded > 0) console.log(`👋 Completed ${offboarded} offboarding(s)`);
+
             // 1. Process Overdue Tasks
             // A task is only overdue once the entire due date (in IST) has passed.
             // The cron fires at UTC midnight = 5:30 AM IST, so "now" is still the
@@ -124,6 +137,8 @@ const startCronJobs = () => {
             const { start: yesterdayStart, end: yesterdayEnd } = getTodayRangeIST(yesterdayDate);
 
             const activeUsers = await User.find({ status: "active" });
+            const onLeave = await getApprovedLeaveForDay(yesterdayStart);
+            const calendar = await loadCalendar(yesterdayStart, yesterdayEnd);
 
             for (const user of activeUsers) {
                 // Find if user has attendance for yesterday using IST date boundaries
@@ -132,6 +147,20 @@ const startCronJobs = () => {
                     date: { $gte: yesterdayStart, $lte: yesterdayEnd }
                 });
 
+                // Holiday or weekly off — nobody is absent (records of anyone who worked are kept)
+                if (!calendar.isWorkingDay(user, yesterdayStart)) continue;
+
+                // On approved leave — mark "on-leave" instead of absent (no absent email)
+                const leave = onLeave.get(String(user._id));
+                if (leave && (!record || record.status === "absent")) {
+                    record = record || new Attendance({ user: user._id, date: yesterdayStart, activeSeconds: 0 });
+                    record.status = "on-leave";
+                    record.leaveRequest = leave._id;
+                    record.dailyReport = `On leave (${LEAVE_POLICY[leave.type].label}).`;
+                    await record.save(); // Trigger Mongoose post-save hook to update Google Sheet
+                    continue;
+                }
+
                 // If there's no record, officially create one to trigger the sheet sync
                 if (!record) {
                     record = new Attendance({
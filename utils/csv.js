@@ -0,0 +1,105 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF/LF line endings)
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    // Strip a UTF-8 BOM left by Excel exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name
+ * Returns { headers, records }
+ */
+const parseCsv = (text) => {
+    const [headerRow = [], ...dataRows] = parseRows(text);
+    const headers = headerRow.map((h) => h.trim());
+
+    const records = dataRows.map((cells) =>
+        headers.reduce((record, header, index) => {
+            record[header] = (cells[index] || "").trim();
+            return record;
+        }, {})
+    );
+
+    return { headers, records };
+};
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return "";
+
+    let str = value instanceof Date ? value.toISOString() : String(value);
+
+    // Neutralise spreadsheet formula injection
+    if (/^[=+\-@]/.test(str)) str = `'${str}`;
+
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * One CSV line (with trailing CRLF) from an array of cell values — for streaming writers
+ */
+const toCsvRow = (values) => values.map(escapeCell).join(",") + "\r\n";
+
+/**
+ * Build CSV text from objects — columns: [{ key, label }]
+ */
+const toCsv = (records, columns) => {
+    const lines = [toCsvRow(columns.map((c) => c.label))];
+
+    for (const record of records) {
+        lines.push(toCsvRow(columns.map((c) => record[c.key])));
+    }
+
+    return lines.join("");
+};
+
+module.exports = {
+    parseCsv,
+    toCsv,
+    toCsvRow,
+};
@@ -79,6 +79,28 @@ exports.formatISTDate = (date) => {
     });
 };
 
+/**
+ * Formats a Date as its IST calendar day, e.g. "2026-03-12" (sortable, spreadsheet-friendly).
+ */
+exports.toISTDateString = (date) => {
+    return new Date(new Date(date).getTime() + IST_OFFSET).toISOString().slice(0, 10);
+};
+
+/**
+ * Parses a "YYYY-MM-DD" calendar day as 00:00 IST (the timestamp attendance records use).
+ * Returns null for anything that isn't a real date.
+ */
+exports.parseISTDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+    if (!match) return null;
+
+    const [, y, m, d] = match.map(Number);
+    const utc = new Date(Date.UTC(y, m - 1, d));
+    if (utc.getUTCMonth() !== m - 1 || utc.getUTCDate() !== d) return null;
+
+    return new Date(utc.getTime() - IST_OFFSET);
+};
+
 exports.deduplicateByISTDay = (records) => {
     const dayMap = new Map();
     for (const r of records) {
@@ -13,33 +13,58 @@ const transporter = nodemailer.createTransport({
     },
 });
 
-const sendWelcomeEmail = async (toEmail, fullName, password) => {
+const sendInvitationEmail = async (toEmail, fullName, inviteUrl, expiresInDays) => {
     try {
         const mailOptions = {
             from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
             to: toEmail,
-            subject: "Welcome to Humanity Founders Employee Portal",
+            subject: "You're invited to the Humanity Founders Employee Portal",
             html: `
                 <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
                     <h2 style="color: #6a11cb;">Welcome, ${fullName}!</h2>
-                    <p>You have been given access to the Humanity Founders Employee Portal.</p>
-                    <p>Please log in using the credentials below:</p>
-                    <div style="background-color: #f7f9fc; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                        <p style="margin: 0; padding-bottom: 5px;"><strong>Email:</strong> ${toEmail}</p>
-                        <p style="margin: 0;"><strong>Password:</strong> ${password}</p>
-                    </div>
-                    <p><strong>Important:</strong> You will be required to complete your onboarding process upon your first login. For security reasons, we strongly recommend changing your password shortly after.</p>
-                    <p>Visit the portal here: <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}">${process.env.CLIENT_URL || 'http://localhost:5173'}</a></p>
+                    <p>You have been invited to the Humanity Founders Employee Portal.</p>
+                    <p>Click the button below to set your password and activate your account:</p>
+                    <p><a href="${inviteUrl}" style="display: inline-block; background-color: #6a11cb; color: #fff; padding: 10px 18px; border-radius: 5px; text-decoration: none;">Accept Invitation</a></p>
+                    <p>This link expires in ${expiresInDays} day(s). If it has expired, ask HR to resend your invitation.</p>
+                    <p><strong>Important:</strong> After setting your password you will be taken straight to your onboarding process.</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Invitation email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending invitation email:", error);
+        return false;
+    }
+};
+
+const sendPasswordResetEmail = async (toEmail, fullName, resetUrl, expiresInMinutes) => {
+    try {
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: "Reset your Humanity Founders Portal password",
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: #6a11cb;">Password Reset Request</h2>
+                    <p>Hi ${fullName},</p>
+                    <p>We received a request to reset the password for your Humanity Founders Employee Portal account.</p>
+                    <p><a href="${resetUrl}" style="display: inline-block; background-color: #6a11cb; color: #fff; padding: 10px 18px; border-radius: 5px; text-decoration: none;">Reset Password</a></p>
+                    <p>This link can only be used once and expires in ${expiresInMinutes} minutes.</p>
+                    <p>If you did not request a password reset, you can safely ignore this email — your password will not change.</p>
                     <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
                 </div>
             `,
         };
 
         const info = await transporter.sendMail(mailOptions);
-        console.log("Email sent: %s", info.messageId);
+        console.log("Password reset email sent: %s", info.messageId);
         return true;
     } catch (error) {
-        console.error("Error sending email:", error);
+        console.error("Error sending password reset email:", error);
         return false;
     }
 };
@@ -268,9 +293,213 @@ const sendMonthlyReportEmail = async (toEmail, fullName, report) => {
     }
 };
 
+const sendProfileChangeDecisionEmail = async (toEmail, fullName, approved, fieldLabels, note) => {
+    try {
+        const decision = approved ? "approved" : "rejected";
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: `Your profile change request was ${decision}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: ${approved ? "#2e7d32" : "#c62828"};">Profile Change ${approved ? "Approved" : "Rejected"}</h2>
+                    <p>Hi ${fullName},</p>
+                    <p>HR has <strong>${decision}</strong> your request to update: ${fieldLabels.join(", ")}.</p>
+                    ${note ? `<p><strong>Note from HR:</strong> ${note}</p>` : ""}
+                    <p>${approved ? "Your profile now shows the new details." : "Your existing details are unchanged. You can submit a new request from your profile."}</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Profile change decision email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending profile change decision email:", error);
+        return false;
+    }
+};
+
+const sendDocumentReuploadEmail = async (toEmail, fullName, documentLabel, reason) => {
+    try {
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: `Please upload your ${documentLabel} again`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: #ef6c00;">Document Re-upload Requested</h2>
+                    <p>Hi ${fullName},</p>
+                    <p>HR has asked you to upload a new copy of your <strong>${documentLabel}</strong>.</p>
+                    ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+                    <p>You can upload it from the onboarding section of the portal. Your previous upload is kept on record.</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Document re-upload email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending document re-upload email:", error);
+        return false;
+    }
+};
+
+const sendOnboardingReviewEmail = async (toEmail, fullName, verified, rejectedItems) => {
+    try {
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: verified ? "Your onboarding has been verified" : "Changes needed to your onboarding",
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: ${verified ? "#2e7d32" : "#ef6c00"};">${verified ? "Onboarding Verified" : "Onboarding Changes Requested"}</h2>
+                    <p>Hi ${fullName},</p>
+                    ${verified
+                        ? "<p>HR has verified your bank details and documents. Your account is now fully active — welcome aboard!</p>"
+                        : `<p>HR reviewed your onboarding and needs you to resubmit the following:</p>
+                           <ul>${rejectedItems.map((item) => `<li><strong>${item.label}</strong>: ${item.comment}</li>`).join("")}</ul>
+                           <p>Everything else was approved — you only need to resubmit the items above from the onboarding page.</p>`}
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Onboarding review email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending onboarding review email:", error);
+        return false;
+    }
+};
+
+const sendLeaveRequestEmail = async (toEmail, fullName, employeeName, leave) => {
+    try {
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: `Leave request from ${employeeName}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: #1565c0;">Leave Approval Needed</h2>
+                    <p>Hi ${fullName},</p>
+                    <p><strong>${employeeName}</strong> has applied for <strong>${leave.days} day(s)</strong> of ${leave.typeLabel}:</p>
+                    <p>${leave.from}${leave.from !== leave.to ? ` – ${leave.to}` : ""}</p>
+                    ${leave.reason ? `<p><strong>Reason:</strong> ${leave.reason}</p>` : ""}
+                    <p>You can approve or reject it from the leave approvals page of the portal.</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Leave request email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending leave request email:", error);
+        return false;
+    }
+};
+
+const sendLeaveDecisionEmail = async (toEmail, fullName, decision, leave, note) => {
+    const colors = { approved: "#2e7d32", rejected: "#c62828", cancelled: "#ef6c00" };
+    try {
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: `Your leave request was ${decision}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: ${colors[decision] || "#333"};">Leave ${decision.charAt(0).toUpperCase() + decision.slice(1)}</h2>
+                    <p>Hi ${fullName},</p>
+                    <p>Your ${leave.typeLabel} for <strong>${leave.days} day(s)</strong> (${leave.from}${leave.from !== leave.to ? ` – ${leave.to}` : ""}) has been <strong>${decision}</strong>.</p>
+                    ${note ? `<p><strong>Note:</strong> ${note}</p>` : ""}
+                    <p>${decision === "approved" ? "Enjoy your time off!" : "The days have been returned to your leave balance."}</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Leave decision email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending leave decision email:", error);
+        return false;
+    }
+};
+
+const sendRegularizationRequestEmail = async (toEmail, fullName, employeeName, request) => {
+    try {
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: `Attendance regularization request from ${employeeName}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: #1565c0;">Attendance Correction Needs Review</h2>
+                    <p>Hi ${fullName},</p>
+                    <p><strong>${employeeName}</strong> has asked to correct their attendance for <strong>${request.date}</strong>.</p>
+                    <p><strong>Proposed times (IST):</strong> ${request.times}</p>
+                    <p><strong>Reason:</strong> ${request.reason}</p>
+                    <p>You can approve or reject it from the attendance approvals page of the portal.</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Regularization request email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending regularization request email:", error);
+        return false;
+    }
+};
+
+const sendRegularizationDecisionEmail = async (toEmail, fullName, approved, request, note) => {
+    try {
+        const decision = approved ? "approved" : "rejected";
+        const mailOptions = {
+            from: `"Humanity Founders" <${process.env.SMTP_USER}>`,
+            to: toEmail,
+            subject: `Your attendance regularization for ${request.date} was ${decision}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: ${approved ? "#2e7d32" : "#c62828"};">Regularization ${approved ? "Approved" : "Rejected"}</h2>
+                    <p>Hi ${fullName},</p>
+                    <p>Your request to correct your attendance for <strong>${request.date}</strong> (${request.times}) has been <strong>${decision}</strong>.</p>
+                    ${note ? `<p><strong>Note:</strong> ${note}</p>` : ""}
+                    <p>${approved ? "Your attendance for the day now shows these times." : "Your attendance for the day is unchanged."}</p>
+                    <p style="margin-top: 30px; font-size: 0.9em; color: #777;">Regards,<br/>Humanity Founders Admin Team</p>
+                </div>
+            `,
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log("Regularization decision email sent: %s", info.messageId);
+        return true;
+    } catch (error) {
+        console.error("Error sending regularization decision email:", error);
+        return false;
+    }
+};
+
 module.exports = {
-    sendWelcomeEmail,
+    sendInvitationEmail,
+    sendPasswordResetEmail,
     sendOverdueTaskEmail,
     sendAbsentEmail,
     sendMonthlyReportEmail,
+    sendProfileChangeDecisionEmail,
+    sendDocumentReuploadEmail,
+    sendOnboardingReviewEmail,
+    sendLeaveRequestEmail,
+    sendLeaveDecisionEmail,
+    sendRegularizationRequestEmail,
+    sendRegularizationDecisionEmail,
 };
@@ -1,70 +1,203 @@
 const crypto = require("crypto");
 
-const algorithm = "aes-256-cbc";
-const key = Buffer.from(process.env.ENCRYPTION_KEY, "hex");
+// ─── Keys ───
+// ENCRYPTION_KEYS: comma-separated "id:hex" pairs of 32-byte keys, e.g. "2026-10:ab12…,k1:cd34…".
+//   Every key that may still appear in stored data must stay listed until the rotation
+//   report (services/keyRotationService.js) shows nothing left on it.
+// ENCRYPTION_KEY_ID: key new data is encrypted with (default: the first in ENCRYPTION_KEYS).
+// ENCRYPTION_KEY: the original un-versioned key. Still needed to read data written before
+//   key ids existed ("legacy"), and used as key "k1" when ENCRYPTION_KEYS is not set.
+const LEGACY_KEY_ID = "legacy";
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const parseKey = (id, hex) => {
+    const key = Buffer.from(hex || "", "hex");
+    if (key.length !== 32) throw new Error(`Encryption key "${id}" must be 64 hex characters (32 bytes)`);
+    return key;
+};
+
+const legacyKey = process.env.ENCRYPTION_KEY ? parseKey(LEGACY_KEY_ID, process.env.ENCRYPTION_KEY) : null;
+
+const keys = new Map();
+if (process.env.ENCRYPTION_KEYS) {
+    for (const entry of process.env.ENCRYPTION_KEYS.split(",").map((e) => e.trim()).filter(Boolean)) {
+        const [id, hex] = entry.split(":");
+        if (!KEY_ID_PATTERN.test(id || "") || id === LEGACY_KEY_ID) {
+            throw new Error(`Invalid encryption key id "${id}" — use letters, digits, "-" or "_" (not "${LEGACY_KEY_ID}")`);
+        }
+        keys.set(id, parseKey(id, hex));
+    }
+} else if (legacyKey) {
+    keys.set("k1", legacyKey);
+}
+
+if (keys.size === 0) throw new Error("ENCRYPTION_KEYS (or ENCRYPTION_KEY) must be set");
+
+const currentKeyId = process.env.ENCRYPTION_KEY_ID || keys.keys().next().value;
+if (!keys.has(currentKeyId)) throw new Error(`ENCRYPTION_KEY_ID "${currentKeyId}" is not in ENCRYPTION_KEYS`);
+
+const getKey = (id) => {
+    const key = id === LEGACY_KEY_ID ? legacyKey : keys.get(id);
+    if (!key) throw new Error(`Encryption key "${id}" is not configured`);
+    return key;
+};
+
+// ─── Formats ───
+// Current: AES-256-GCM (authenticated) tagged with the key id
+//   string: "keyId:iv:authTag:encryptedData" (hex)
+//   Buffer: ["HFE" | 0x01 | keyId length | keyId | IV (12) | authTag (16) | encrypted data]
+// Legacy: AES-256-CBC with ENCRYPTION_KEY
+//   string: "iv:encryptedData" (hex)
+//   Buffer: [IV (16 bytes) + encrypted data]
+const algorithm = "aes-256-gcm";
+const legacyAlgorithm = "aes-256-cbc";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const BUFFER_MAGIC = Buffer.from([0x48, 0x46, 0x45, 0x01]); // "HFE" + format version
+
+const STRING_PATTERN = /^([A-Za-z0-9_-]{1,32}):([0-9a-f]{24}):([0-9a-f]{32}):([0-9a-f]*)$/;
+const LEGACY_STRING_PATTERN = /^([0-9a-f]{32}):([0-9a-f]+)$/;
+
+const seal = (keyId, data) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(algorithm, getKey(keyId), iv);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), encrypted };
+};
+
+const open = (keyId, iv, tag, encrypted) => {
+    const decipher = crypto.createDecipheriv(algorithm, getKey(keyId), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+const openLegacy = (iv, encrypted) => {
+    const decipher = crypto.createDecipheriv(legacyAlgorithm, getKey(LEGACY_KEY_ID), iv);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
 
 /**
- * Encrypt a string or buffer
- * Returns format: "iv:encryptedData" (hex encoded)
+ * Split a versioned Buffer into its parts (null if it has no header)
  */
-const encrypt = (text) => {
-    if (!text) return text;
-    // Generate random IV for each encryption
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
+const parseBuffer = (buffer) => {
+    if (buffer.length < BUFFER_MAGIC.length + 1 || !buffer.subarray(0, BUFFER_MAGIC.length).equals(BUFFER_MAGIC)) {
+        return null;
+    }
+    const idLength = buffer[BUFFER_MAGIC.length];
+    const idStart = BUFFER_MAGIC.length + 1;
+    const ivStart = idStart + idLength;
+    const tagStart = ivStart + IV_LENGTH;
+    const dataStart = tagStart + TAG_LENGTH;
+    if (buffer.length < dataStart) return null;
 
-    let encrypted = cipher.update(text);
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
+    const keyId = buffer.subarray(idStart, ivStart).toString("utf8");
+    if (!KEY_ID_PATTERN.test(keyId)) return null;
 
-    // Return IV + Encrypted data
-    return iv.toString("hex") + ":" + encrypted.toString("hex");
+    return {
+        keyId,
+        iv: buffer.subarray(ivStart, tagStart),
+        tag: buffer.subarray(tagStart, dataStart),
+        encrypted: buffer.subarray(dataStart),
+    };
+};
+
+/**
+ * Encrypt a string or buffer with the current key
+ * Returns format: "keyId:iv:authTag:encryptedData" (hex encoded)
+ */
+const encrypt = (text) => {
+    if (!text) return text;
+    const { iv, tag, encrypted } = seal(currentKeyId, text);
+    return [currentKeyId, iv.toString("hex"), tag.toString("hex"), encrypted.toString("hex")].join(":");
 };
 
 /**
- * Decrypt a string
- * Expects format: "iv:encryptedData" (hex encoded)
+ * Decrypt a string (current or legacy format)
  */
 const decrypt = (text) => {
     if (!text) return text;
 
+    const current = STRING_PATTERN.exec(text);
+    if (current) {
+        const [, keyId, iv, tag, encrypted] = current;
+        return open(keyId, Buffer.from(iv, "hex"), Buffer.from(tag, "hex"), Buffer.from(encrypted, "hex")).toString();
+    }
+
     const parts = text.split(":");
     // Handle legacy/unencrypted data gracefully if format doesn't match
     if (parts.length !== 2) return text;
 
-    const iv = Buffer.from(parts[0], "hex");
-    const encryptedText = Buffer.from(parts[1], "hex");
-
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-    return decrypted.toString();
+    return openLegacy(Buffer.from(parts[0], "hex"), Buffer.from(parts[1], "hex")).toString();
 };
 
 /**
- * Encrypt a Buffer (for files)
- * Returns Buffer: [IV (16 bytes) + Encrypted Data]
+ * Encrypt a Buffer (for files) with the current key
+ * Returns Buffer: ["HFE" 0x01 | keyId length | keyId | IV | authTag | encrypted data]
  */
 const encryptBuffer = (buffer) => {
     if (!buffer) return buffer;
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
-    return Buffer.concat([iv, encrypted]);
+    const { iv, tag, encrypted } = seal(currentKeyId, buffer);
+    const keyId = Buffer.from(currentKeyId, "utf8");
+    return Buffer.concat([BUFFER_MAGIC, Buffer.from([keyId.length]), keyId, iv, tag, encrypted]);
 };
 
 /**
- * Decrypt a Buffer (for files)
- * Expects Buffer: [IV (16 bytes) + Encrypted Data]
+ * Decrypt a Buffer (current or legacy format)
  */
 const decryptBuffer = (buffer) => {
     if (!buffer) return buffer;
-    const iv = buffer.slice(0, 16);
-    const encryptedData = buffer.slice(16);
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    return Buffer.concat([decipher.update(encryptedData), decipher.final()]);
+
+    const parsed = parseBuffer(buffer);
+    if (parsed) {
+        try {
+            return open(parsed.keyId, parsed.iv, parsed.tag, parsed.encrypted);
+        } catch (err) {
+            // A legacy buffer whose random IV happens to start with the header bytes
+            if (!legacyKey) throw err;
+        }
+    }
+
+    return openLegacy(buffer.subarray(0, 16), buffer.subarray(16));
 };
 
-module.exports = { encrypt, decrypt, encryptBuffer, decryptBuffer };
+/**
+ * Key a stored value (string or Buffer) was encrypted with — "legacy" for the
+ * pre-versioning format, null if the value doesn't look encrypted
+ */
+const getKeyId = (value) => {
+    if (!value) return null;
+    if (Buffer.isBuffer(value)) return parseBuffer(value)?.keyId || (value.length > 16 ? LEGACY_KEY_ID : null);
+    if (typeof value !== "string") return null;
 
+    const current = STRING_PATTERN.exec(value);
+    if (current) return current[1];
+    return LEGACY_STRING_PATTERN.test(value) ? LEGACY_KEY_ID : null;
+};
+
+/**
+ * Is the value encrypted with something other than the current key?
+ */
+const needsRotation = (value) => {
+    const keyId = getKeyId(value);
+    return keyId !== null && keyId !== currentKeyId;
+};
+
+/**
+ * Re-encrypt a string / Buffer with the current key (unchanged if already current)
+ */
+const reencrypt = (value) => (needsRotation(value) ? encrypt(decrypt(value)) : value);
+const reencryptBuffer = (buffer) => (needsRotation(buffer) ? encryptBuffer(decryptBuffer(buffer)) : buffer);
+
+module.exports = {
+    LEGACY_KEY_ID,
+    currentKeyId,
+    keyIds: [...keys.keys()],
+    encrypt,
+    decrypt,
+    encryptBuffer,
+    decryptBuffer,
+    getKeyId,
+    needsRotation,
+    reencrypt,
+    reencryptBuffer,
+};
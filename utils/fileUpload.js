@@ -1,7 +1,7 @@
 const multer = require("multer");
 
-// Use memory storage — files are stored as Buffers in memory
-// then saved directly to MongoDB (no cloud storage needed)
+// Use memory storage — uploads are held briefly as Buffers so they can be
+// encrypted, then handed to services/fileStorageService (GridFS / disk / S3)
 const storage = multer.memoryStorage();
 
 // File filter — only allow PDFs and images
@@ -29,4 +29,44 @@ const upload = multer({
     },
 });
 
+// CSV uploads (bulk employee import) — parsed in memory, never stored
+const csvUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ["text/csv", "application/vnd.ms-excel", "text/plain", "application/octet-stream"];
+
+        if (allowedTypes.includes(file.mimetype) && /\.csv$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            const error = new Error("Only .csv files are allowed");
+            error.statusCode = 400;
+            cb(error, false);
+        }
+    },
+    limits: {
+        fileSize: 1 * 1024 * 1024, // 1MB — thousands of rows
+    },
+});
+
+// Holiday calendar imports — CSV or iCal (.ics), parsed in memory, never stored
+const calendarUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ["text/csv", "text/calendar", "application/vnd.ms-excel", "text/plain", "application/octet-stream"];
+
+        if (allowedTypes.includes(file.mimetype) && /\.(csv|ics)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            const error = new Error("Only .csv and .ics files are allowed");
+            error.statusCode = 400;
+            cb(error, false);
+        }
+    },
+    limits: {
+        fileSize: 1 * 1024 * 1024, // 1MB — years of holidays
+    },
+});
+
 module.exports = upload;
+module.exports.csvUpload = csvUpload;
+module.exports.calendarUpload = calendarUpload;
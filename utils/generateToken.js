@@ -1,15 +1,17 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 
 /**
  * Generate Access Token (short-lived)
- * Contains: userId, role, status
+ * Contains: userId, role, status, sessionId (so revoking the session revokes the token)
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
     return jwt.sign(
         {
             id: user._id,
             role: user.role,
             status: user.status,
+            sid: sessionId,
         },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRE || "7d" }
@@ -18,17 +20,67 @@ const generateAccessToken = (user) => {
 
 /**
  * Generate Refresh Token (long-lived)
- * Contains: only userId (minimal data)
+ * Contains: userId + sessionId (all rotations of one login share a session)
+ * A unique jwtid guarantees every rotation yields a distinct token string
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, sessionId) => {
     return jwt.sign(
-        { id: user._id },
+        { id: user._id, sid: sessionId },
         process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRE || "30d" }
+        {
+            expiresIn: process.env.JWT_REFRESH_EXPIRE || "30d",
+            jwtid: crypto.randomUUID(),
+        }
     );
 };
 
+/**
+ * Generate Two-Factor Challenge Token (5 minutes)
+ * Proves the password step passed; only accepted by POST /api/auth/login/2fa
+ */
+const generateTwoFactorToken = (user) => {
+    return jwt.sign(
+        { id: user._id, purpose: "2fa" },
+        process.env.JWT_SECRET,
+        { expiresIn: "5m" }
+    );
+};
+
+/**
+ * Generate Invitation Token (signed, expiring)
+ * tokenId is stored on the user — resending issues a new id, invalidating older links
+ */
+const generateInviteToken = (user, tokenId, expiresInDays) => {
+    return jwt.sign(
+        { id: user._id, purpose: "invite" },
+        process.env.JWT_SECRET,
+        { expiresIn: `${expiresInDays}d`, jwtid: tokenId }
+    );
+};
+
+/**
+ * Generate OIDC Transaction Token (10 minutes)
+ * Carries the state, nonce and PKCE verifier of one SSO attempt back to the callback
+ * Signed only — services/oidcService.js encrypts it before it is handed to the browser
+ */
+const generateOidcTransactionToken = ({ state, nonce, codeVerifier }) => {
+    return jwt.sign(
+        { purpose: "oidc", state, nonce, codeVerifier },
+        process.env.JWT_SECRET,
+        { expiresIn: "10m" }
+    );
+};
+
+/**
+ * Hash a raw token for storage — only hashes of refresh/reset tokens are persisted
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
 module.exports = {
     generateAccessToken,
     generateRefreshToken,
+    generateTwoFactorToken,
+    generateInviteToken,
+    generateOidcTransactionToken,
+    hashToken,
 };
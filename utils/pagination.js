@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+
+/**
+ * Shared list helpers — page or cursor pagination with a consistent envelope:
+ *
+ *   { success, count, data, pagination: { total, page, limit, totalPages, hasMore, nextCursor } }
+ *
+ * Query params: ?page=2&limit=25 or ?cursor=<nextCursor>&limit=25, ?sort=name | -startDate
+ */
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Cursor = base64url JSON of the last row's sort value + _id (dates are tagged so they round-trip)
+const encodeCursor = (value, id) => {
+    const v = value instanceof Date ? { d: value.toISOString() } : value ?? null;
+    return Buffer.from(JSON.stringify({ v, id: String(id) })).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!mongoose.isValidObjectId(id)) throw new Error("bad id");
+        return { value: v && typeof v === "object" && v.d ? new Date(v.d) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch (err) {
+        throw badRequest("Invalid cursor");
+    }
+};
+
+/**
+ * Parse pagination + sort params
+ * sortFields maps public sort names to document paths, e.g. { name: "fullName" }
+ * defaultSort uses the same syntax as ?sort ("-createdAt")
+ */
+const parseListQuery = (query, { sortFields, defaultSort, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT }) => {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+
+    const sortParam = String(query.sort || defaultSort);
+    const direction = sortParam.startsWith("-") ? -1 : 1;
+    const sortName = sortParam.replace(/^-/, "");
+    const field = sortFields[sortName];
+
+    if (!field) {
+        throw badRequest(`Cannot sort by "${sortName}". Allowed: ${Object.keys(sortFields).join(", ")}`);
+    }
+
+    return {
+        page,
+        limit,
+        cursor: query.cursor ? decodeCursor(String(query.cursor)) : null,
+        sort: { field, direction },
+    };
+};
+
+/**
+ * Rows strictly after the cursor in the current sort order (ties broken by _id)
+ */
+const afterCursor = ({ field, direction }, { value, id }) => {
+    const op = direction === 1 ? "$gt" : "$lt";
+    const sameValue = { [field]: value, _id: { [op]: id } };
+
+    if (value === null) {
+        // Nulls sort first ascending, last descending
+        return direction === 1
+            ? { $or: [sameValue, { [field]: { $ne: null } }] }
+            : sameValue;
+    }
+
+    const beyond = { [field]: { [op]: value } };
+    return direction === 1
+        ? { $or: [beyond, sameValue] }
+        : { $or: [beyond, sameValue, { [field]: null }] };
+};
+
+/**
+ * Run a paginated find — returns { data, pagination }
+ * options: { select, populate } applied to the find; results are lean objects
+ */
+const paginate = async (Model, filter, listQuery, { select, populate } = {}) => {
+    const { page, limit, cursor, sort } = listQuery;
+
+    const pageFilter = cursor ? { $and: [filter, afterCursor(sort, cursor)] } : filter;
+
+    let find = Model.find(pageFilter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .skip(cursor ? 0 : (page - 1) * limit)
+        .limit(limit + 1); // one extra row tells us whether there is a next page
+
+    if (select) find = find.select(select);
+    if (populate) find = find.populate(populate);
+
+    const [total, rows] = await Promise.all([Model.countDocuments(filter), find.lean()]);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    const last = data[data.length - 1];
+
+    return {
+        data,
+        pagination: {
+            total,
+            page: cursor ? null : page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(sort.field.split(".").reduce((o, k) => o?.[k], last), last._id) : null,
+        },
+    };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const escapeClass = (value) => value.replace(/[\]\\^-]/g, "\\$&");
+
+/**
+ * Case-insensitive search across fields — no text index needed
+ * Matches a prefix of any word ("sha" → "Priya Sharma", "priya.s@…"), and for 3+ characters
+ * also a fuzzy in-order match ("prsh" → "Priya Sharma") so skipped letters still hit
+ */
+const buildSearchFilter = (term, fields) => {
+    const value = String(term || "").trim().slice(0, 100);
+    if (!value) return {};
+
+    const patterns = [`(^|[\\s@._-])${escapeRegex(value)}`];
+    const letters = [...value.replace(/\s+/g, "")];
+    if (letters.length >= 3 && letters.length <= 20) {
+        // a[^b]*b[^c]*c — each gap stops at the next letter, so matching never backtracks
+        // exponentially (a plain a.*b.*c does, and can pin the database CPU)
+        patterns.push(letters.map((c, i) => (i === 0 ? "" : `[^${escapeClass(c)}]*`) + escapeRegex(c)).join(""));
+    }
+
+    return {
+        $or: fields.flatMap((field) => patterns.map((pattern) => ({ [field]: { $regex: pattern, $options: "i" } }))),
+    };
+};
+
+/**
+ * Send a paginated result in the standard list envelope
+ */
+const sendList = (res, { data, pagination }) => {
+    res.status(200).json({
+        success: true,
+        count: data.length,
+        data,
+        pagination,
+    });
+};
+
+module.exports = {
+    parseListQuery,
+    paginate,
+    buildSearchFilter,
+    sendList,
+};
@@ -0,0 +1,144 @@
+const { ROLES } = require("./constants");
+
+// ─── Permission Registry ───
+// Every authorization check in the API refers to one of these keys.
+// Roles (built-in or custom) are just named sets of permissions — see models/Role.js
+const PERMISSIONS = {
+    // Users / Directory
+    "users.viewDirectory": "List employees in the directory",
+    "users.export": "Export the employee directory to CSV / XLSX (bank details masked without users.view)",
+    "users.view": "View an employee's full profile (incl. decrypted bank details)",
+    "users.viewDocuments": "View onboarding ID documents (Aadhaar, PAN)",
+    "users.viewWorklog": "View an employee's worklog",
+    "users.create": "Create users and manage their invitations",
+    "users.update": "Edit employee profiles",
+    "users.delete": "Permanently purge offboarded employees and their personal data",
+    "users.approveChanges": "Approve or reject employees' bank detail change requests",
+    "users.offboard": "Offboard employees and manage their exit checklist",
+    "users.unlock": "Unlock accounts locked after failed logins",
+    "users.revokeSessions": "Force-logout an employee from all devices",
+
+    // Onboarding
+    "onboarding.verify": "Review onboarding submissions and approve or reject bank details and documents",
+    "onboarding.configure": "Define onboarding flows (steps, fields, documents) and publish policy versions",
+
+    // Attendance
+    "attendance.viewAll": "View everyone's attendance status and history",
+    "attendance.override": "Override an employee's attendance for a day",
+    "attendance.syncSheet": "Sync attendance to Google Sheets",
+    "attendance.regularize": "Approve or reject attendance regularization requests (any request with org.viewAll)",
+    "attendance.manageCalendar": "Manage the holiday calendar (incl. iCal / CSV import) and weekly-off rules",
+
+    // Leave
+    "leave.approve": "Approve or reject leave requests routed to you by your reports",
+    "leave.manageAll": "Review any leave request (incl. the HR queue), cancel approved leave and adjust balances",
+
+    // Projects & Tasks
+    "projects.create": "Create projects",
+    "projects.viewAll": "View every project and its tasks, not just ones you're assigned to",
+    "projects.update": "Edit any project",
+    "projects.manageMembers": "Add or remove project members",
+    "projects.delete": "Delete any project (creators can always delete their own)",
+    "customFields.manage": "Define custom profile fields and their visibility",
+    "departments.manage": "Create, edit, merge and delete departments",
+    "org.viewAll": "Access every employee's attendance and work log (otherwise limited to your reporting line)",
+    "org.viewChart": "View the org chart and reporting lines (only your own team without org.viewAll)",
+    "tasks.viewByUser": "View all tasks assigned to a specific employee",
+
+    // Dashboard
+    "dashboard.viewTeam": "See the management dashboard for your department",
+    "dashboard.viewCompany": "See the management dashboard across all departments",
+
+    // Administration
+    "audit.view": "View the audit log",
+    "security.manage": "Manage security policies (2FA), reset users' 2FA and rotate encryption keys",
+    "roles.manage": "Create custom roles and edit role permissions",
+    "apiTokens.create": "Create personal API tokens for scripts and integrations",
+    "apiTokens.manageAll": "View and revoke every user's API tokens",
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// ─── Built-in Roles (PRD Section 3.1) ───
+// assignableRoles replaces the old CREATION_PERMISSIONS (PRD Section 3.2):
+// Admin can add: Admin, HR, Manager, Employee
+// HR can add: Manager, Employee
+// Manager & Employee: cannot add anyone
+// Admins can edit these mappings via /api/roles; stored overrides win over these defaults.
+const DEFAULT_ROLES = {
+    [ROLES.ADMIN]: {
+        label: "Admin",
+        description: "Full access to the portal",
+        permissions: PERMISSION_KEYS,
+        assignableRoles: [ROLES.ADMIN, ROLES.HR, ROLES.MANAGER, ROLES.EMPLOYEE],
+    },
+    [ROLES.HR]: {
+        label: "HR",
+        description: "Manages employees, onboarding and attendance",
+        permissions: [
+            "users.viewDirectory",
+            "users.export",
+            "users.view",
+            "users.viewDocuments",
+            "users.viewWorklog",
+            "users.create",
+            "users.update",
+            "users.delete",
+            "users.offboard",
+            "users.approveChanges",
+            "onboarding.verify",
+            "customFields.manage",
+            "users.unlock",
+            "users.revokeSessions",
+            "org.viewAll",
+            "org.viewChart",
+            "attendance.viewAll",
+            "attendance.override",
+            "attendance.syncSheet",
+            "attendance.regularize",
+            "attendance.manageCalendar",
+            "leave.approve",
+            "leave.manageAll",
+            "projects.viewAll",
+            "dashboard.viewTeam",
+            "dashboard.viewCompany",
+        ],
+        assignableRoles: [ROLES.MANAGER, ROLES.EMPLOYEE],
+    },
+    [ROLES.MANAGER]: {
+        label: "Manager",
+        description: "Leads a team of direct and indirect reports",
+        permissions: [
+            "users.viewWorklog",
+            "org.viewChart",
+            "attendance.viewAll",
+            "attendance.override",
+            "attendance.syncSheet",
+            "attendance.regularize",
+            "leave.approve",
+            "projects.create",
+            "projects.viewAll",
+            "dashboard.viewTeam",
+        ],
+        assignableRoles: [],
+    },
+    [ROLES.EMPLOYEE]: {
+        label: "Employee",
+        description: "Standard employee access",
+        permissions: [
+            "users.viewDirectory",
+            "projects.create",
+        ],
+        assignableRoles: [],
+    },
+};
+
+// Permissions the admin role can never lose (prevents locking everyone out of role management)
+const PROTECTED_ADMIN_PERMISSIONS = ["roles.manage"];
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_KEYS,
+    DEFAULT_ROLES,
+    PROTECTED_ADMIN_PERMISSIONS,
+};
@@ -0,0 +1,181 @@
+const zlib = require("zlib");
+
+/**
+ * Minimal XLSX writer — one worksheet, bold frozen header row, inline strings and numbers
+ * Enough for data exports without pulling in a spreadsheet library
+ */
+
+const escapeXml = (value) =>
+    String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "") // Not allowed in XML 1.0
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+// ─── ZIP container (deflate, no ZIP64 — fine for exports well under 4 GB) ───
+
+// Table-driven CRC-32 (zlib.crc32 only exists from Node 20.15 / 22.2)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const DOS_TIME = 0; // 00:00:00
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01 — fixed timestamp keeps output deterministic
+
+const zip = (files) => {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, content } of files) {
+        const nameBuf = Buffer.from(name, "utf8");
+        const data = Buffer.from(content, "utf8");
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(DOS_TIME, 12);
+        header.writeUInt16LE(DOS_DATE, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(nameBuf.length, 28);
+        header.writeUInt32LE(offset, 42); // bytes 30-41 (extra, comment, disk, attributes) stay 0
+
+        chunks.push(local, nameBuf, compressed);
+        central.push(header, nameBuf);
+        offset += local.length + nameBuf.length + compressed.length;
+    }
+
+    const centralBuf = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralBuf.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...chunks, centralBuf, end]);
+};
+
+// ─── Workbook parts ───
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const cell = (value, style) => {
+    const s = style ? ` s="${style}"` : "";
+    if (value === null || value === undefined || value === "") return `<c${s}/>`;
+    if (typeof value === "number" && Number.isFinite(value)) return `<c${s}><v>${value}</v></c>`;
+    if (typeof value === "boolean") return `<c t="b"${s}><v>${value ? 1 : 0}</v></c>`;
+    return `<c t="inlineStr"${s}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (headers, rows) => {
+    const lines = [`<row>${headers.map((h) => cell(h, 1)).join("")}</row>`];
+    for (const row of rows) {
+        lines.push(`<row>${row.map((v) => cell(v)).join("")}</row>`);
+    }
+
+    return (
+        XML_HEADER +
+        `<worksheet xmlns="${NS_MAIN}">` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${lines.join("")}</sheetData>` +
+        "</worksheet>"
+    );
+};
+
+/**
+ * Build an .xlsx file — headers: string[], rows: arrays of string | number | boolean | null
+ * Returns a Buffer
+ */
+const toXlsx = (headers, rows, { sheetName = "Sheet1" } = {}) => {
+    const safeName = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, " ").slice(0, 31));
+
+    return zip([
+        {
+            name: "[Content_Types].xml",
+            content:
+                XML_HEADER +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                "</Types>",
+        },
+        {
+            name: "_rels/.rels",
+            content:
+                XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+                "</Relationships>",
+        },
+        {
+            name: "xl/workbook.xml",
+            content:
+                XML_HEADER +
+                `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+                `<sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets>` +
+                "</workbook>",
+        },
+        {
+            name: "xl/_rels/workbook.xml.rels",
+            content:
+                XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${NS_REL}/styles" Target="styles.xml"/>` +
+                "</Relationships>",
+        },
+        {
+            // Style 0 = default, 1 = bold header
+            name: "xl/styles.xml",
+            content:
+                XML_HEADER +
+                `<styleSheet xmlns="${NS_MAIN}">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                "</styleSheet>",
+        },
+        { name: "xl/worksheets/sheet1.xml", content: sheetXml(headers, rows) },
+    ]);
+};
+
+module.exports = {
+    toXlsx,
+};
@@ -0,0 +1,28 @@
+const { body } = require("express-validator");
+const { PERMISSION_KEYS } = require("../utils/permissions");
+const { MAX_EXPIRY_DAYS } = require("../services/apiTokenService");
+
+// ─── Create API Token Validation ───
+const createTokenValidator = [
+    body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Token name is required")
+        .isLength({ max: 100 })
+        .withMessage("Token name must be at most 100 characters"),
+    body("scopes")
+        .isArray({ min: 1 })
+        .withMessage("At least one scope is required"),
+    body("scopes.*")
+        .isIn(PERMISSION_KEYS)
+        .withMessage("Unknown scope"),
+    body("expiresInDays")
+        .optional()
+        .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+        .withMessage(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`)
+        .toInt(),
+];
+
+module.exports = {
+    createTokenValidator,
+};
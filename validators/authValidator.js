@@ -1,5 +1,7 @@
 const { body } = require("express-validator");
-const { ROLES, DEPARTMENTS } = require("../utils/constants");
+const { TWO_FACTOR_ENFORCEABLE_ROLES } = require("../utils/constants");
+const { departmentExists } = require("../services/departmentService");
+const { roleExists } = require("../services/permissionService");
 
 // ─── Login Validation ───
 const loginValidator = [
@@ -12,6 +14,110 @@ const loginValidator = [
     body("password")
         .notEmpty()
         .withMessage("Password is required"),
+    body("deviceName")
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage("Device name must be at most 100 characters"),
+];
+
+// ─── Refresh / Logout Validation ───
+const refreshTokenValidator = [
+    body("refreshToken")
+        .notEmpty()
+        .withMessage("Refresh token is required"),
+];
+
+// ─── Forgot Password Validation ───
+const forgotPasswordValidator = [
+    body("email")
+        .trim()
+        .notEmpty()
+        .withMessage("Email is required")
+        .isEmail()
+        .withMessage("Please enter a valid email"),
+];
+
+// ─── Reset Password Validation ───
+const resetPasswordValidator = [
+    body("token")
+        .notEmpty()
+        .withMessage("Reset token is required"),
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required")
+        .isLength({ min: 8 })
+        .withMessage("Password must be at least 8 characters"),
+];
+
+// ─── Accept Invitation Validation ───
+const acceptInvitationValidator = [
+    body("token")
+        .notEmpty()
+        .withMessage("Invitation token is required"),
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required")
+        .isLength({ min: 8 })
+        .withMessage("Password must be at least 8 characters"),
+];
+
+// ─── Change Password Validation ───
+const changePasswordValidator = [
+    body("currentPassword")
+        .notEmpty()
+        .withMessage("Current password is required"),
+    body("newPassword")
+        .notEmpty()
+        .withMessage("New password is required")
+        .isLength({ min: 8 })
+        .withMessage("New password must be at least 8 characters"),
+];
+
+// ─── Two-Factor Validation ───
+const twoFactorLoginValidator = [
+    body("twoFactorToken")
+        .notEmpty()
+        .withMessage("Two-factor token is required"),
+    body("code")
+        .trim()
+        .notEmpty()
+        .withMessage("Verification code is required"),
+];
+
+const oidcCallbackValidator = [
+    body("code")
+        .notEmpty()
+        .withMessage("Authorization code is required"),
+    body("state")
+        .notEmpty()
+        .withMessage("State is required"),
+    body("transactionToken")
+        .notEmpty()
+        .withMessage("Transaction token is required"),
+];
+
+const twoFactorCodeValidator = [
+    body("code")
+        .trim()
+        .notEmpty()
+        .withMessage("Verification code is required"),
+];
+
+const twoFactorDisableValidator = [
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required"),
+    ...twoFactorCodeValidator,
+];
+
+const twoFactorPolicyValidator = [
+    body("requiredRoles")
+        .isArray()
+        .withMessage("requiredRoles must be an array"),
+    body("requiredRoles.*")
+        .isIn(TWO_FACTOR_ENFORCEABLE_ROLES)
+        .withMessage(`2FA can only be enforced for: ${TWO_FACTOR_ENFORCEABLE_ROLES.join(", ")}`),
 ];
 
 // ─── Register Validation (Admin/HR creating a new user) ───
@@ -28,25 +134,49 @@ const registerValidator = [
         .withMessage("Email is required")
         .isEmail()
         .withMessage("Please enter a valid email"),
-    body("password")
-        .notEmpty()
-        .withMessage("Password is required")
-        .isLength({ min: 8 })
-        .withMessage("Password must be at least 8 characters"),
     body("role")
+        .trim()
+        .toLowerCase()
         .notEmpty()
         .withMessage("Role is required")
-        .isIn([ROLES.ADMIN, ROLES.HR, ROLES.MANAGER, ROLES.EMPLOYEE])
-        .withMessage("Role must be admin, hr, manager, or employee"),
+        .custom(async (value) => {
+            if (!(await roleExists(value))) throw new Error("Unknown role");
+        }),
     body("department")
         .if((value, { req }) => ["manager", "employee"].includes(req.body.role))
         .notEmpty()
-        .withMessage("Department is required")
-        .isIn(DEPARTMENTS)
-        .withMessage("Invalid department"),
+        .withMessage("Department is required"),
+    body("department")
+        .optional({ values: "falsy" })
+        .custom(async (value) => {
+            if (!(await departmentExists(value))) throw new Error("Invalid department");
+        }),
+    body("reportsTo")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid reporting manager id"),
+    body("startDate")
+        .optional({ values: "falsy" })
+        .isISO8601()
+        .withMessage("Start date must be a valid date (YYYY-MM-DD)"),
+    body("phone")
+        .optional({ values: "falsy" })
+        .trim()
+        .matches(/^\+?[\d\s()-]{6,20}$/)
+        .withMessage("Please enter a valid phone number"),
 ];
 
 module.exports = {
     loginValidator,
+    refreshTokenValidator,
+    forgotPasswordValidator,
+    resetPasswordValidator,
+    changePasswordValidator,
+    acceptInvitationValidator,
+    twoFactorLoginValidator,
+    oidcCallbackValidator,
+    twoFactorCodeValidator,
+    twoFactorDisableValidator,
+    twoFactorPolicyValidator,
     registerValidator,
 };
@@ -0,0 +1,63 @@
+const { body } = require("express-validator");
+const { CUSTOM_FIELD_TYPES } = require("../models/CustomField");
+
+// ─── Shared: everything except key & type ───
+const fieldSettingsRules = [
+    body("label")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Label cannot be empty")
+        .isLength({ max: 60 })
+        .withMessage("Label must be at most 60 characters"),
+    body("options")
+        .optional()
+        .isArray()
+        .withMessage("Options must be an array"),
+    body("options.*")
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage("Options cannot be empty"),
+    body("required").optional().isBoolean().withMessage("required must be true or false").toBoolean(),
+    body("departments").optional().isArray().withMessage("Departments must be an array"),
+    body("visibleToRoles").optional().isArray().withMessage("visibleToRoles must be an array"),
+    body("visibleToRoles.*").isString().trim().toLowerCase(),
+    body("visibleToSelf").optional().isBoolean().withMessage("visibleToSelf must be true or false").toBoolean(),
+    body("editableBySelf").optional().isBoolean().withMessage("editableBySelf must be true or false").toBoolean(),
+    body("order").optional().isInt().withMessage("Order must be a whole number").toInt(),
+];
+
+// ─── Create Custom Field Validation ───
+const createCustomFieldValidator = [
+    body("key")
+        .trim()
+        .notEmpty()
+        .withMessage("Field key is required")
+        .matches(/^[a-z][a-zA-Z0-9]{1,39}$/)
+        .withMessage("Field key must be camelCase letters and digits (e.g. bloodGroup)"),
+    body("label")
+        .trim()
+        .notEmpty()
+        .withMessage("Label is required"),
+    body("type")
+        .isIn(CUSTOM_FIELD_TYPES)
+        .withMessage(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(", ")}`),
+    ...fieldSettingsRules,
+];
+
+// ─── Update Custom Field Validation ───
+const updateCustomFieldValidator = [...fieldSettingsRules];
+
+// ─── Set Custom Field Values Validation ───
+const customFieldValuesValidator = [
+    body("values")
+        .isObject()
+        .withMessage("values must be an object of { fieldKey: value }"),
+];
+
+module.exports = {
+    createCustomFieldValidator,
+    updateCustomFieldValidator,
+    customFieldValuesValidator,
+};
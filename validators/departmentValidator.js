@@ -0,0 +1,56 @@
+const { body } = require("express-validator");
+
+// ─── Shared: description, head, parent ───
+const departmentFieldRules = [
+    body("description")
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage("Description must be at most 300 characters"),
+    body("head")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid department head id"),
+    body("parent")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid parent department id"),
+];
+
+// ─── Create Department Validation ───
+const createDepartmentValidator = [
+    body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Department name is required")
+        .isLength({ max: 60 })
+        .withMessage("Department name must be at most 60 characters"),
+    ...departmentFieldRules,
+];
+
+// ─── Update Department Validation ───
+const updateDepartmentValidator = [
+    body("name")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Department name cannot be empty")
+        .isLength({ max: 60 })
+        .withMessage("Department name must be at most 60 characters"),
+    ...departmentFieldRules,
+];
+
+// ─── Merge Department Validation ───
+const mergeDepartmentValidator = [
+    body("targetId")
+        .notEmpty()
+        .withMessage("Target department is required")
+        .isMongoId()
+        .withMessage("Invalid target department id"),
+];
+
+module.exports = {
+    createDepartmentValidator,
+    updateDepartmentValidator,
+    mergeDepartmentValidator,
+};
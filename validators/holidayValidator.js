@@ -0,0 +1,62 @@
+const { body } = require("express-validator");
+
+const scopeRules = [
+    body("locations")
+        .optional()
+        .isArray()
+        .withMessage("locations must be a list (empty = every location)"),
+    body("departments")
+        .optional()
+        .isArray()
+        .withMessage("departments must be a list (empty = every department)"),
+];
+
+// ─── Create Holiday Validation ───
+const createHolidayValidator = [
+    body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Holiday name is required")
+        .isLength({ max: 100 })
+        .withMessage("Holiday name must be at most 100 characters"),
+    body("date")
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Date must be a date (YYYY-MM-DD)"),
+    ...scopeRules,
+];
+
+// ─── Update Holiday Validation ───
+const updateHolidayValidator = [
+    body("name")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Holiday name cannot be empty")
+        .isLength({ max: 100 })
+        .withMessage("Holiday name must be at most 100 characters"),
+    body("date")
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Date must be a date (YYYY-MM-DD)"),
+    ...scopeRules,
+];
+
+// ─── Weekly Off Rules Validation ───
+const weeklyOffsValidator = [
+    body("rules")
+        .isArray()
+        .withMessage("rules must be a list (empty = no weekly offs)"),
+    body("rules.*.days")
+        .isArray({ min: 1 })
+        .withMessage("Each rule needs at least one weekday (0 = Sunday … 6 = Saturday)"),
+    body("rules.*.weeks")
+        .optional()
+        .isArray()
+        .withMessage("weeks must be a list of week numbers (1-5)"),
+];
+
+module.exports = {
+    createHolidayValidator,
+    updateHolidayValidator,
+    weeklyOffsValidator,
+};
@@ -0,0 +1,62 @@
+const { body } = require("express-validator");
+const { LEAVE_TYPES } = require("../utils/constants");
+
+// ─── Apply For Leave Validation ───
+const applyLeaveValidator = [
+    body("type")
+        .isIn(Object.values(LEAVE_TYPES))
+        .withMessage(`Leave type must be one of: ${Object.values(LEAVE_TYPES).join(", ")}`),
+    body("startDate")
+        .notEmpty()
+        .withMessage("Start date is required")
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Start date must be a date (YYYY-MM-DD)"),
+    body("endDate")
+        .optional({ values: "falsy" })
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("End date must be a date (YYYY-MM-DD)"),
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Reason must be at most 500 characters"),
+];
+
+// ─── Review Leave Validation ───
+const reviewLeaveValidator = [
+    body("note")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Note must be at most 500 characters"),
+];
+
+// ─── Balance Adjustment Validation ───
+const adjustBalanceValidator = [
+    body("type")
+        .isIn(Object.values(LEAVE_TYPES).filter((type) => type !== LEAVE_TYPES.UNPAID))
+        .withMessage("Choose a leave type that has a balance"),
+    body("days")
+        .isFloat({ min: -365, max: 365 })
+        .withMessage("days must be a number between -365 and 365")
+        .custom((value) => Number(value) !== 0 && Number.isInteger(Number(value) * 2))
+        .withMessage("days must be a non-zero multiple of 0.5")
+        .toFloat(),
+    body("year")
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage("year must be a 4-digit year")
+        .toInt(),
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("A reason is required for balance adjustments")
+        .isLength({ max: 500 })
+        .withMessage("Reason must be at most 500 characters"),
+];
+
+module.exports = {
+    applyLeaveValidator,
+    reviewLeaveValidator,
+    adjustBalanceValidator,
+};
@@ -0,0 +1,42 @@
+const { body } = require("express-validator");
+
+// ─── Start Offboarding Validation ───
+const offboardValidator = [
+    body("lastWorkingDay")
+        .notEmpty()
+        .withMessage("Last working day is required")
+        .isISO8601()
+        .withMessage("Last working day must be a valid date (YYYY-MM-DD)"),
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Reason must be at most 500 characters"),
+    body("reassignTasksTo")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid user id for task reassignment"),
+];
+
+// ─── Exit Checklist Item Validation ───
+const checklistItemValidator = [
+    body("done")
+        .isBoolean()
+        .withMessage("done must be true or false")
+        .toBoolean(),
+];
+
+// ─── Purge Validation ───
+const purgeValidator = [
+    body("confirmEmail")
+        .trim()
+        .notEmpty()
+        .withMessage("Type the employee's email to confirm permanent deletion")
+        .toLowerCase(),
+];
+
+module.exports = {
+    offboardValidator,
+    checklistItemValidator,
+    purgeValidator,
+};
@@ -1,41 +1,122 @@
 const { body } = require("express-validator");
+const { ONBOARDING_FIELD_TYPES } = require("../models/OnboardingFlow");
 
-// ─── Step 1: Financials & Identity Validation ───
-const step1Validator = [
-    body("bankName")
+const CAMEL_KEY = /^[a-z][a-zA-Z0-9]{1,39}$/;
+
+// ─── Shared: flow audience & steps ───
+// Structural checks (unique keys, select options, known policies) happen in onboardingConfigService
+const flowRules = [
+    body("description")
+        .optional()
+        .isString()
         .trim()
-        .notEmpty()
-        .withMessage("Bank name is required"),
-    body("accountNumber")
+        .isLength({ max: 500 })
+        .withMessage("Description must be at most 500 characters"),
+    body("roles").optional().isArray().withMessage("roles must be an array"),
+    body("roles.*").isString().trim().toLowerCase(),
+    body("departments").optional().isArray().withMessage("departments must be an array"),
+    body("departments.*").isString().trim(),
+    body("steps").optional().isArray({ min: 1 }).withMessage("steps must be a non-empty array"),
+    body("steps.*.key").matches(CAMEL_KEY).withMessage("Step keys must be camelCase letters and digits (e.g. bankDetails)"),
+    body("steps.*.title").isString().trim().notEmpty().withMessage("Each step needs a title"),
+    body("steps.*.fields").optional().isArray().withMessage("Step fields must be an array"),
+    body("steps.*.fields.*.key").matches(CAMEL_KEY).withMessage("Field keys must be camelCase letters and digits"),
+    body("steps.*.fields.*.label").isString().trim().notEmpty().withMessage("Each field needs a label"),
+    body("steps.*.fields.*.type")
+        .optional()
+        .isIn(ONBOARDING_FIELD_TYPES)
+        .withMessage(`Field type must be one of: ${ONBOARDING_FIELD_TYPES.join(", ")}`),
+    body("steps.*.fields.*.required").optional().isBoolean({ strict: true }).withMessage("required must be true or false"),
+    body("steps.*.fields.*.sensitive").optional().isBoolean({ strict: true }).withMessage("sensitive must be true or false"),
+    body("steps.*.documents").optional().isArray().withMessage("Step documents must be an array"),
+    body("steps.*.documents.*.docType").matches(CAMEL_KEY).withMessage("Document types must be camelCase letters and digits"),
+    body("steps.*.documents.*.label").isString().trim().notEmpty().withMessage("Each document needs a label"),
+    body("steps.*.documents.*.required").optional().isBoolean({ strict: true }).withMessage("required must be true or false"),
+    body("steps.*.policies").optional().isArray().withMessage("Step policies must be an array of policy keys"),
+    body("steps.*.requireSignature").optional().isBoolean({ strict: true }).withMessage("requireSignature must be true or false"),
+];
+
+// ─── Create Onboarding Flow Validation ───
+const createFlowValidator = [
+    body("name")
         .trim()
         .notEmpty()
-        .withMessage("Account number is required")
-        .isLength({ min: 8, max: 18 })
-        .withMessage("Account number must be between 8 and 18 digits"),
-    body("ifscCode")
+        .withMessage("Flow name is required")
+        .isLength({ max: 80 })
+        .withMessage("Flow name must be at most 80 characters"),
+    body("steps").exists().withMessage("A flow needs at least one step"),
+    ...flowRules,
+];
+
+// ─── Update Onboarding Flow Validation ───
+const updateFlowValidator = [
+    body("name")
+        .optional()
         .trim()
         .notEmpty()
-        .withMessage("IFSC code is required")
-        .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
-        .withMessage("Invalid IFSC code format (e.g., SBIN0001234)"),
+        .withMessage("Flow name cannot be empty")
+        .isLength({ max: 80 })
+        .withMessage("Flow name must be at most 80 characters"),
+    ...flowRules,
+];
+
+// ─── Policy Validation ───
+const policyTextRule = body("text")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Policy text is required")
+    .isLength({ max: 20000 })
+    .withMessage("Policy text must be at most 20000 characters");
+
+const createPolicyValidator = [
+    body("key")
+        .trim()
+        .matches(/^[a-z][a-z0-9-]{1,59}$/)
+        .withMessage("Policy key must be lowercase letters, digits and dashes (e.g. code-of-conduct)"),
+    body("title").trim().notEmpty().withMessage("Policy title is required"),
+    policyTextRule,
+];
+
+const publishPolicyValidator = [
+    body("title").optional().trim().notEmpty().withMessage("Policy title cannot be empty"),
+    policyTextRule,
 ];
 
-// ─── Step 2: Digital Declaration Validation ───
-const step2Validator = [
-    body("declarationAccepted")
-        .isBoolean()
-        .withMessage("Declaration must be accepted")
-        .equals("true")
-        .withMessage("You must accept the declaration to proceed"),
-    body("digitalSignature")
+// ─── Document Re-upload Request Validation (HR) ───
+const reuploadRequestValidator = [
+    body("reason")
         .trim()
         .notEmpty()
-        .withMessage("Digital signature (full name) is required")
-        .isLength({ min: 2, max: 100 })
-        .withMessage("Signature must be between 2 and 100 characters"),
+        .withMessage("Tell the employee why a new upload is needed")
+        .isLength({ max: 500 })
+        .withMessage("Reason must be at most 500 characters"),
+];
+
+// ─── HR Review Validation ───
+const reviewValidator = [
+    body("items")
+        .isArray({ min: 1 })
+        .withMessage("items must be a non-empty array of { key, approved, comment }"),
+    body("items.*.key")
+        .isString()
+        .notEmpty()
+        .withMessage("Each item needs a key (a step key or document type)"),
+    body("items.*.approved")
+        .isBoolean({ strict: true })
+        .withMessage("approved must be true or false"),
+    body("items.*.comment")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Comment must be at most 500 characters"),
 ];
 
 module.exports = {
-    step1Validator,
-    step2Validator,
+    createFlowValidator,
+    updateFlowValidator,
+    createPolicyValidator,
+    publishPolicyValidator,
+    reuploadRequestValidator,
+    reviewValidator,
 };
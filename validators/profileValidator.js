@@ -0,0 +1,51 @@
+const { body } = require("express-validator");
+
+// ─── Self-Service Profile Validation (PUT /api/users/me) ───
+const updateOwnProfileValidator = [
+    body("phone")
+        .optional()
+        .trim()
+        .matches(/^(\+?[\d\s()-]{6,20})?$/)
+        .withMessage("Please enter a valid phone number"),
+    body("address")
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage("Address must be at most 300 characters"),
+];
+
+// ─── Bank Details Change Request Validation ───
+// Same formats as onboarding step 1
+const changeRequestValidator = [
+    body("bankName")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Bank name cannot be empty"),
+    body("accountNumber")
+        .optional()
+        .trim()
+        .isLength({ min: 8, max: 18 })
+        .withMessage("Account number must be between 8 and 18 digits"),
+    body("ifscCode")
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+        .withMessage("Invalid IFSC code format (e.g., SBIN0001234)"),
+];
+
+// ─── HR Review Validation ───
+const reviewChangeRequestValidator = [
+    body("note")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Note must be at most 500 characters"),
+];
+
+module.exports = {
+    updateOwnProfileValidator,
+    changeRequestValidator,
+    reviewChangeRequestValidator,
+};
@@ -0,0 +1,47 @@
+const { body } = require("express-validator");
+
+// ─── Regularization Request Validation ───
+// Times are "HH:mm" (IST, on the requested day) or ISO date-times — checked in the service
+const regularizationValidator = [
+    body("date")
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Date must be a date (YYYY-MM-DD)"),
+    body("sessions")
+        .optional()
+        .isArray({ min: 1, max: 10 })
+        .withMessage("sessions must be a list of 1-10 { start, end } times"),
+    body("sessions.*")
+        .isObject()
+        .withMessage("Each session must be a { start, end } object"),
+    body(["sessions.*.start", "sessions.*.end"])
+        .isString()
+        .withMessage("Each session needs a start and end time"),
+    body("clockIn")
+        .if(body("sessions").not().exists())
+        .notEmpty()
+        .withMessage("Proposed clock-in time is required"),
+    body("clockOut")
+        .if(body("sessions").not().exists())
+        .notEmpty()
+        .withMessage("Proposed clock-out time is required"),
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("Please explain why the attendance needs correcting")
+        .isLength({ max: 500 })
+        .withMessage("Reason must be at most 500 characters"),
+];
+
+// ─── Review Regularization Validation ───
+const reviewRegularizationValidator = [
+    body("note")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Note must be at most 500 characters"),
+];
+
+module.exports = {
+    regularizationValidator,
+    reviewRegularizationValidator,
+};
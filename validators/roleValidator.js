@@ -0,0 +1,51 @@
+const { body } = require("express-validator");
+const { PERMISSION_KEYS } = require("../utils/permissions");
+
+// ─── Shared: permission & assignable-role lists ───
+const permissionListRules = [
+    body("permissions")
+        .optional()
+        .isArray()
+        .withMessage("Permissions must be an array"),
+    body("permissions.*")
+        .isIn(PERMISSION_KEYS)
+        .withMessage("Unknown permission"),
+    body("assignableRoles")
+        .optional()
+        .isArray()
+        .withMessage("Assignable roles must be an array"),
+    body("assignableRoles.*")
+        .isString()
+        .trim()
+        .toLowerCase(),
+    body("label")
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage("Label must be at most 50 characters"),
+    body("description")
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage("Description must be at most 300 characters"),
+];
+
+// ─── Create Role Validation ───
+const createRoleValidator = [
+    body("name")
+        .trim()
+        .toLowerCase()
+        .notEmpty()
+        .withMessage("Role name is required")
+        .matches(/^[a-z][a-z0-9-]{1,30}$/)
+        .withMessage("Role name must be a lowercase slug (letters, digits, hyphens)"),
+    ...permissionListRules,
+];
+
+// ─── Update Role Validation ───
+const updateRoleValidator = [...permissionListRules];
+
+module.exports = {
+    createRoleValidator,
+    updateRoleValidator,
+};